@@ -1,6 +1,13 @@
 # CompleteARR FetchInfo Launcher
 # This script launches the CompleteARR FetchInfo script
 
+param(
+    # Optional override for Sonarr settings file
+    [string]$SonarrConfigPath,
+    # Optional override for Radarr settings file
+    [string]$RadarrConfigPath
+)
+
 # Get the directory where this script is located
 $ScriptDir = Split-Path -Parent $MyInvocation.MyCommand.Path
 $ParentDir = Split-Path -Parent $ScriptDir
@@ -11,7 +18,10 @@ $FetchInfoScript = Join-Path $ParentDir "CompleteARR_Scripts" "CompleteARR_Fetch
 # Check if the FetchInfo script exists
 if (Test-Path $FetchInfoScript) {
     Write-Host "Launching CompleteARR FetchInfo..." -ForegroundColor Green
-    & $FetchInfoScript
+    $fetchInfoArgs = @{}
+    if ($SonarrConfigPath) { $fetchInfoArgs.SonarrConfigPath = $SonarrConfigPath }
+    if ($RadarrConfigPath) { $fetchInfoArgs.RadarrConfigPath = $RadarrConfigPath }
+    & $FetchInfoScript @fetchInfoArgs
 } else {
     Write-Host "Error: FetchInfo script not found at $FetchInfoScript" -ForegroundColor Red
     Write-Host "Please ensure the CompleteARR_Scripts directory contains CompleteARR_FetchInfo.ps1" -ForegroundColor Yellow
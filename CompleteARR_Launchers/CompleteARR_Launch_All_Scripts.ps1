@@ -122,7 +122,7 @@ Write-Host "   • Run automatically without waiting for input" -ForegroundColor
 Write-Host ""
 
 try {
-    & $FetchInfoPath
+    & $FetchInfoPath -SonarrConfigPath $SonarrConfigPath -RadarrConfigPath $RadarrConfigPath
     Write-Host ""
     Write-Host "✅ Fetch Info completed successfully!" -ForegroundColor Green
     Write-Host "   Configuration info logged for troubleshooting." -ForegroundColor Green
@@ -269,6 +269,7 @@ if ($radarrFilmEngineSummary) {
     Write-Host "🎥 RADARR FILM ENGINE:" -ForegroundColor Magenta
     Write-Host ("  Movies checked             : {0}" -f $radarrFilmEngineSummary.MoviesChecked) -ForegroundColor White
     Write-Host ("  Movies skipped             : {0}" -f $radarrFilmEngineSummary.MoviesSkipped) -ForegroundColor White
+    Write-Host ("  Movies excluded            : {0}" -f $radarrFilmEngineSummary.MoviesExcluded) -ForegroundColor White
     Write-Host ("  Root corrections           : {0}" -f $radarrFilmEngineSummary.RootCorrections) -ForegroundColor White
     Write-Host ("  Errors                     : {0}" -f $radarrFilmEngineSummary.Errors) -ForegroundColor White
     Write-Host ""
@@ -279,6 +280,7 @@ if ($sonarrSeriesEngineSummary) {
     Write-Host "🎬 SONARR SERIES ENGINE:" -ForegroundColor Blue
     Write-Host ("  Series checked             : {0}" -f $sonarrSeriesEngineSummary.SeriesChecked) -ForegroundColor White
     Write-Host ("  Series skipped             : {0}" -f $sonarrSeriesEngineSummary.SkippedDueToErrors) -ForegroundColor White
+    Write-Host ("  Series excluded            : {0}" -f $sonarrSeriesEngineSummary.SkippedDueToFilter) -ForegroundColor White
     Write-Host ("  Series promoted            : {0}" -f $sonarrSeriesEngineSummary.Promotions) -ForegroundColor White
     Write-Host ("  Series demoted             : {0}" -f $sonarrSeriesEngineSummary.Demotions) -ForegroundColor White
     Write-Host ("  Specials monitored         : {0}" -f $sonarrSeriesEngineSummary.SpecialsMonitoredInComplete) -ForegroundColor White
@@ -24,7 +24,11 @@
 [CmdletBinding()]
 param(
     [switch]$ShowSonarr,
-    [switch]$ShowRadarr
+    [switch]$ShowRadarr,
+    # Optional override for Sonarr settings file
+    [string]$SonarrConfigPath,
+    # Optional override for Radarr settings file
+    [string]$RadarrConfigPath
 )
 
 $ErrorActionPreference = 'Stop'
@@ -39,6 +43,13 @@ if (-not $ShowSonarr -and -not $ShowRadarr) {
 $ScriptRoot = Split-Path -Path $MyInvocation.MyCommand.Path -Parent
 $ProjectRoot = Split-Path -Path $ScriptRoot -Parent
 
+if (-not $SonarrConfigPath) {
+    $SonarrConfigPath = Join-Path $ProjectRoot 'CompleteARR_Settings\CompleteARR_SONARR_Settings.yml'
+}
+if (-not $RadarrConfigPath) {
+    $RadarrConfigPath = Join-Path $ProjectRoot 'CompleteARR_Settings\CompleteARR_RADARR_Settings.yml'
+}
+
 $loggingHelpersPath = Join-Path $ScriptRoot 'CompleteARR_Logging.ps1'
 if (Test-Path -LiteralPath $loggingHelpersPath) {
     . $loggingHelpersPath
@@ -49,8 +60,8 @@ $timestamp = (Get-Date).ToString('yyyy-MM-dd_HHmm')
 $logsBaseOverride = $null
 try {
     # If either settings file specifies Logging.LogsRoot, use it.
-    $sonarrConfig = Join-Path $ProjectRoot 'CompleteARR_Settings\CompleteARR_SONARR_Settings.yml'
-    $radarrConfig = Join-Path $ProjectRoot 'CompleteARR_Settings\CompleteARR_RADARR_Settings.yml'
+    $sonarrConfig = $SonarrConfigPath
+    $radarrConfig = $RadarrConfigPath
     if (Test-Path -LiteralPath $sonarrConfig) {
         $sraw = Get-Content -LiteralPath $sonarrConfig -Raw
         $scfg = $sraw | ConvertFrom-Yaml
@@ -238,13 +249,13 @@ try {
     Import-Module powershell-yaml -ErrorAction Stop
     
     if ($ShowSonarr) {
-        $sonarrConfig = Join-Path $ProjectRoot 'CompleteARR_Settings\CompleteARR_SONARR_Settings.yml'
+        $sonarrConfig = $SonarrConfigPath
         $sonarrInfo = Get-ArrInfo -ConfigPath $sonarrConfig -InstanceType "Sonarr"
         Show-ArrInfo -InstanceType "SONARR" -Info $sonarrInfo
     }
     
     if ($ShowRadarr) {
-        $radarrConfig = Join-Path $ProjectRoot 'CompleteARR_Settings\CompleteARR_RADARR_Settings.yml'
+        $radarrConfig = $RadarrConfigPath
         $radarrInfo = Get-ArrInfo -ConfigPath $radarrConfig -InstanceType "Radarr"
         Show-ArrInfo -InstanceType "RADARR" -Info $radarrInfo
     }
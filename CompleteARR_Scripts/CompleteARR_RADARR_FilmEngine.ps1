@@ -69,6 +69,7 @@ Import-Module powershell-yaml -ErrorAction Stop
 $Global:CompleteARR_Summary = [PSCustomObject]@{
     MoviesChecked               = 0
     MoviesSkipped               = 0
+    MoviesExcluded              = 0
     MoviesAlreadyCorrect        = 0
     RootCorrections             = 0
     Errors                      = 0
@@ -194,6 +195,12 @@ function Initialize-LoggingFromConfig {
     # Use script-specific name for log file
     $scriptName = "CompleteARR_RADARR_FilmEngine"
 
+    # The web UI runs each instance of a multi-instance setup with RunScope.Instance set, so logs stay apart.
+    $instance = $Config.runScope.instance
+    if ($instance) {
+        $scriptName = "{0}_{1}" -f $scriptName, $instance
+    }
+
     if (Get-Command -Name Initialize-CompleteARRLogPaths -ErrorAction SilentlyContinue) {
         $logsBaseOverride = $null
         if (Get-Command -Name Resolve-CompleteARRLogsBase -ErrorAction SilentlyContinue) {
@@ -331,6 +338,31 @@ function Get-RadarrMovies {
     return Invoke-RadarrApi -Method 'GET' -Path 'movie' -ErrorContext 'movie'
 }
 
+function Get-RadarrTags {
+    return Invoke-RadarrApi -Method 'GET' -Path 'tag' -ErrorContext 'tag'
+}
+
+function Add-PlanItem {
+    <#
+        Records a change the engine would make, for the web UI's Plan / Apply workflow.
+        Only active when the UI passes RunScope.PlanFile in its runtime settings copy.
+    #>
+    param(
+        [hashtable]$Item
+    )
+
+    $planFile = $Global:CompleteARR_Config.runScope.planFile
+    if (-not $planFile) {
+        return
+    }
+
+    $Item['engine'] = 'radarr'
+    if ($Global:CompleteARR_Config.runScope.instance) {
+        $Item['instance'] = $Global:CompleteARR_Config.runScope.instance
+    }
+    ($Item | ConvertTo-Json -Compress -Depth 5) | Add-Content -LiteralPath $planFile -Encoding utf8
+}
+
 function Update-RadarrMovie {
     param(
         [pscustomobject]$Movie,
@@ -455,6 +487,46 @@ function Invoke-MovieMoveWithVerification {
 # MOVIE LOGIC
 # ------------------------------------------------------------
 
+function Get-MovieExclusion {
+    <#
+        Returns a description of the first Exclusions rule that matches the movie, or $null.
+        Rules match by tag label, movie id, title regex or path prefix, all case-insensitive.
+    #>
+    param(
+        [pscustomobject]$Movie,
+        [object[]]$Rules,
+        [hashtable]$TagLabelsById
+    )
+
+    foreach ($rule in $Rules) {
+        $type  = ([string]$rule.type).Trim().ToLowerInvariant()
+        $value = ([string]$rule.value).Trim()
+        if (-not $value) {
+            continue
+        }
+
+        try {
+            $matched = switch ($type) {
+                'tag'   { @($Movie.tags | Where-Object { $TagLabelsById[[int]$_] -eq $value }).Count -gt 0 }
+                'id'    { [string]$Movie.id -eq $value }
+                'title' { [bool]($Movie.title -match $value) }
+                'path'  { [bool]$Movie.path -and $Movie.path.StartsWith($value, [System.StringComparison]::OrdinalIgnoreCase) }
+                default { $false }
+            }
+        }
+        catch {
+            Write-Log 'WARNING' ("Ignoring invalid exclusion rule {0} '{1}': {2}" -f $rule.type, $value, $_.Exception.Message)
+            $matched = $false
+        }
+
+        if ($matched) {
+            return ("{0} '{1}'" -f $rule.type, $value)
+        }
+    }
+
+    return $null
+}
+
 function Join-RadarrRootAndLeaf {
     param(
         [string]$RootFolder,
@@ -542,6 +614,14 @@ function Update-MoviePathInRoot {
 
     Write-Log 'FILE' ("Target root folder for movie path correction is: {0}" -f $expectedRoot)
     Write-Log 'SUCCESS' ("Movie '{0}' (id={1}) - ROOT CORRECTION: path '{2}' -> '{3}'" -f $Movie.title, $Movie.id, $currentPath, $newPath)
+    Add-PlanItem @{
+        kind     = 'root-correct'
+        itemType = 'movie'
+        id       = $Movie.id
+        title    = $Movie.title
+        from     = @{ path = $currentPath }
+        to       = @{ path = $newPath }
+    }
 
     $Movie.path = $newPath
     $Global:CompleteARR_Summary.RootCorrections++
@@ -672,6 +752,33 @@ try {
     $allMovies = Get-RadarrMovies
     Write-Log 'DEBUG' ("Loaded {0} movies from Radarr." -f $allMovies.Count)
 
+    # A targeted run from the web UI narrows the run to specific movies (RunScope only exists in its runtime settings copy).
+    $scopeMovieIds = @($config.runScope.movieIds | Where-Object { $_ -ne $null } | ForEach-Object { [int]$_ })
+    if ($scopeMovieIds.Count -gt 0) {
+        $allMovies = @($allMovies | Where-Object { $scopeMovieIds -contains [int]$_.id })
+        Write-Log 'INFO' ("Targeted run: limited to {0} movies (ids {1})." -f $allMovies.Count, ($scopeMovieIds -join ', '))
+    }
+
+    # Exclusions keep movies away from the engine entirely, e.g. hand-curated collections.
+    $exclusionRules = @($config.exclusions | Where-Object { $_ -ne $null })
+    if ($exclusionRules.Count -gt 0) {
+        $tagLabelsById = @{}
+        if (@($exclusionRules | Where-Object { ([string]$_.type).Trim() -eq 'tag' }).Count -gt 0) {
+            foreach ($tag in Get-RadarrTags) {
+                $tagLabelsById[[int]$tag.id] = $tag.label
+            }
+        }
+        $allMovies = @($allMovies | Where-Object {
+            $exclusion = Get-MovieExclusion -Movie $_ -Rules $exclusionRules -TagLabelsById $tagLabelsById
+            if ($exclusion) {
+                Write-Log 'INFO' ("Movie '{0}' (id={1}) - Excluded by rule {2}. Skipping." -f $_.title, $_.id, $exclusion)
+                $Global:CompleteARR_Summary.MoviesExcluded++
+                return $false
+            }
+            return $true
+        })
+    }
+
     # Get profile-to-root mappings from config
     $profileRootMappings = @{}
     if ($config.filmEngine -and $config.filmEngine.profileRootMappings) {
@@ -700,6 +807,7 @@ try {
     Write-Log 'INFO' ("  Movies checked           : {0}" -f $Global:CompleteARR_Summary.MoviesChecked)
     Write-Log 'INFO' ("  Movies already correct   : {0}" -f $Global:CompleteARR_Summary.MoviesAlreadyCorrect)
     Write-Log 'INFO' ("  Movies skipped           : {0}" -f $Global:CompleteARR_Summary.MoviesSkipped)
+    Write-Log 'INFO' ("  Movies excluded          : {0}" -f $Global:CompleteARR_Summary.MoviesExcluded)
     Write-Log 'INFO' ("  Root corrections         : {0}" -f $Global:CompleteARR_Summary.RootCorrections)
     Write-Log 'INFO' ("  Errors                   : {0}" -f $Global:CompleteARR_Summary.Errors)
     Write-Log 'INFO' "----- END CompleteARR RADARR run -----"
@@ -210,6 +210,12 @@ function Initialize-LoggingFromConfig {
     # Use script-specific name for log file
     $scriptName = "CompleteARR_SONARR_SeriesEngine"
 
+    # The web UI runs each instance of a multi-instance setup with RunScope.Instance set, so logs stay apart.
+    $instance = $Config.runScope.instance
+    if ($instance) {
+        $scriptName = "{0}_{1}" -f $scriptName, $instance
+    }
+
     if (Get-Command -Name Initialize-CompleteARRLogPaths -ErrorAction SilentlyContinue) {
         $logsBaseOverride = $null
         if (Get-Command -Name Resolve-CompleteARRLogsBase -ErrorAction SilentlyContinue) {
@@ -346,6 +352,10 @@ function Get-SonarrSeries {
     return Invoke-SonarrApi -Method 'GET' -Path 'series' -ErrorContext 'series'
 }
 
+function Get-SonarrTags {
+    return Invoke-SonarrApi -Method 'GET' -Path 'tag' -ErrorContext 'tag'
+}
+
 function Get-SonarrEpisodesForSeries {
     param(
         [int]$SeriesId
@@ -366,6 +376,27 @@ function Get-SonarrEpisodesForSeries {
     return $result
 }
 
+function Add-PlanItem {
+    <#
+        Records a change the engine would make, for the web UI's Plan / Apply workflow.
+        Only active when the UI passes RunScope.PlanFile in its runtime settings copy.
+    #>
+    param(
+        [hashtable]$Item
+    )
+
+    $planFile = $Global:CompleteARR_Config.runScope.planFile
+    if (-not $planFile) {
+        return
+    }
+
+    $Item['engine'] = 'sonarr'
+    if ($Global:CompleteARR_Config.runScope.instance) {
+        $Item['instance'] = $Global:CompleteARR_Config.runScope.instance
+    }
+    ($Item | ConvertTo-Json -Compress -Depth 5) | Add-Content -LiteralPath $planFile -Encoding utf8
+}
+
 function Update-SonarrSeries {
     param(
         [pscustomobject]$Series,
@@ -714,6 +745,15 @@ function Update-MonitoringStateForSeries {
                             }
 
             Write-Log 'DEBUG' ("Setting S{0:D2}E{1:D2} {2} for series '{3}' (id={4}) [{5}: {6}]" -f $season, $epNum, $stateText, $Series.title, $Series.id, $profileLabel, $reason)
+            Add-PlanItem @{
+                kind     = 'episode-monitor'
+                itemType = 'episode'
+                id       = $ep.id
+                seriesId = $Series.id
+                title    = ("{0} S{1:D2}E{2:D2}" -f $Series.title, $season, $epNum)
+                from     = @{ monitored = -not $desiredMonitored }
+                to       = @{ monitored = $desiredMonitored }
+            }
 
             $episodesToUpdate.Add($ep)
         }
@@ -731,6 +771,46 @@ function Update-MonitoringStateForSeries {
     $Global:CompleteARR_Summary.EpisodeMonitorChanges += $changes
 }
 
+function Get-SeriesExclusion {
+    <#
+        Returns a description of the first Exclusions rule that matches the series, or $null.
+        Rules match by tag label, series id, title regex or path prefix, all case-insensitive.
+    #>
+    param(
+        [pscustomobject]$Series,
+        [object[]]$Rules,
+        [hashtable]$TagLabelsById
+    )
+
+    foreach ($rule in $Rules) {
+        $type  = ([string]$rule.type).Trim().ToLowerInvariant()
+        $value = ([string]$rule.value).Trim()
+        if (-not $value) {
+            continue
+        }
+
+        try {
+            $matched = switch ($type) {
+                'tag'   { @($Series.tags | Where-Object { $TagLabelsById[[int]$_] -eq $value }).Count -gt 0 }
+                'id'    { [string]$Series.id -eq $value }
+                'title' { [bool]($Series.title -match $value) }
+                'path'  { [bool]$Series.path -and $Series.path.StartsWith($value, [System.StringComparison]::OrdinalIgnoreCase) }
+                default { $false }
+            }
+        }
+        catch {
+            Write-Log 'WARNING' ("Ignoring invalid exclusion rule {0} '{1}': {2}" -f $rule.type, $value, $_.Exception.Message)
+            $matched = $false
+        }
+
+        if ($matched) {
+            return ("{0} '{1}'" -f $rule.type, $value)
+        }
+    }
+
+    return $null
+}
+
 function Join-SonarrRootAndLeaf {
     param(
         [string]$RootFolder,
@@ -783,6 +863,14 @@ function Update-SeriesPathInRoot {
 
     Write-Log 'FILE' ("Target root folder for media set path correction is: {0}" -f $expectedRoot)
     Write-Log 'SUCCESS' ("Series '{0}' (id={1}) - ROOT CORRECTION: path '{2}' -> '{3}'" -f $Series.title, $Series.id, $currentPath, $newPath)
+    Add-PlanItem @{
+        kind     = 'root-correct'
+        itemType = 'series'
+        id       = $Series.id
+        title    = $Series.title
+        from     = @{ path = $currentPath }
+        to       = @{ path = $newPath }
+    }
 
     $Series.path = $newPath
     $Global:CompleteARR_Summary.RootCorrections++
@@ -895,6 +983,14 @@ function Invoke-MediaSetProcessing {
             $newPath = Join-SonarrRootAndLeaf -RootFolder $compRootFolder -Leaf $leaf
 
             Write-Log 'PROMOTION' ("🚀 Series '{0}' (id={1}) - PROMOTE TO COMPLETE: profileId {2} -> {3}; path '{4}' -> '{5}';" -f $series.title, $series.id, $oldProfileId, $compProfileId, $oldPath, $newPath)
+            Add-PlanItem @{
+                kind     = 'promote'
+                itemType = 'series'
+                id       = $series.id
+                title    = $series.title
+                from     = @{ qualityProfileId = $oldProfileId; path = $oldPath }
+                to       = @{ qualityProfileId = $compProfileId; path = $newPath }
+            }
             Write-Log 'FILE'    ("Target root folder for media set '{0}' is: {1}" -f $mediaType, $compRootFolder)
 
             $series.path = $newPath
@@ -971,6 +1067,14 @@ function Invoke-MediaSetProcessing {
 
             Write-Log 'WARNING' ("Series '{0}' has {1} AIRED non-special episodes older than graceDays missing files. DEMOTING to INCOMPLETE." -f $series.title, $missingPastGrace)
             Write-Log 'DEMOTION' ("📉 Series '{0}' (id={1}) - DEMOTE TO INCOMPLETE: profileId {2} -> {3}; path '{4}' -> '{5}';" -f $series.title, $series.id, $oldProfileId, $incProfileId, $oldPath, $newPath)
+            Add-PlanItem @{
+                kind     = 'demote'
+                itemType = 'series'
+                id       = $series.id
+                title    = $series.title
+                from     = @{ qualityProfileId = $oldProfileId; path = $oldPath }
+                to       = @{ qualityProfileId = $incProfileId; path = $newPath }
+            }
             Write-Log 'FILE'    ("Target root folder for media set '{0}' is: {1}" -f $mediaType, $incRootFolder)
 
             $series.path = $newPath
@@ -1052,6 +1156,33 @@ try {
     $allSeries = Get-SonarrSeries
     Write-Log 'DEBUG' ("Loaded {0} series from Sonarr." -f $allSeries.Count)
 
+    # A targeted run from the web UI narrows the run to specific series (RunScope only exists in its runtime settings copy).
+    $scopeSeriesIds = @($config.runScope.seriesIds | Where-Object { $_ -ne $null } | ForEach-Object { [int]$_ })
+    if ($scopeSeriesIds.Count -gt 0) {
+        $allSeries = @($allSeries | Where-Object { $scopeSeriesIds -contains [int]$_.id })
+        Write-Log 'INFO' ("Targeted run: limited to {0} series (ids {1})." -f $allSeries.Count, ($scopeSeriesIds -join ', '))
+    }
+
+    # Exclusions keep series away from the engine entirely, e.g. daily shows that will never be "complete".
+    $exclusionRules = @($config.exclusions | Where-Object { $_ -ne $null })
+    if ($exclusionRules.Count -gt 0) {
+        $tagLabelsById = @{}
+        if (@($exclusionRules | Where-Object { ([string]$_.type).Trim() -eq 'tag' }).Count -gt 0) {
+            foreach ($tag in Get-SonarrTags) {
+                $tagLabelsById[[int]$tag.id] = $tag.label
+            }
+        }
+        $allSeries = @($allSeries | Where-Object {
+            $exclusion = Get-SeriesExclusion -Series $_ -Rules $exclusionRules -TagLabelsById $tagLabelsById
+            if ($exclusion) {
+                Write-Log 'INFO' ("Series '{0}' (id={1}) - Excluded by rule {2}. Skipping." -f $_.title, $_.id, $exclusion)
+                $Global:CompleteARR_Summary.SkippedDueToFilter++
+                return $false
+            }
+            return $true
+        })
+    }
+
     # Pre-group series by profile ID for faster lookups (optimization)
     $seriesByProfileId = @{}
     foreach ($series in $allSeries) {
@@ -1073,6 +1204,7 @@ try {
     # SUMMARY
     Write-Log 'INFO' "----- COMPLETEARR SONARR SUMMARY -----"
     Write-Log 'INFO' ("  Series checked           : {0}" -f $Global:CompleteARR_Summary.SeriesChecked)
+    Write-Log 'INFO' ("  Series excluded          : {0}" -f $Global:CompleteARR_Summary.SkippedDueToFilter)
     Write-Log 'INFO' ("  Incomplete series seen   : {0}" -f $Global:CompleteARR_Summary.IncompleteSeriesSeen)
     Write-Log 'INFO' ("  Complete series seen     : {0}" -f $Global:CompleteARR_Summary.CompleteSeriesSeen)
     Write-Log 'INFO' ("  Promotions (-> complete) : {0}" -f $Global:CompleteARR_Summary.Promotions)
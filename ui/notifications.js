@@ -0,0 +1,247 @@
+const axios = require("axios");
+const nodemailer = require("nodemailer");
+
+const NOTIFICATION_TIMEOUT_MS = 15000;
+
+const NOTIFICATION_EVENTS = {
+  runCompleted: "Run completed",
+  runFailed: "Run failed or stopped",
+  promotion: "Series promoted",
+  demotion: "Series demoted",
+  rootCorrection: "Root folder corrected",
+  errorThreshold: "Errors reached the threshold"
+};
+
+const ACTION_EVENTS = { promote: "promotion", demote: "demotion", "root-correct": "rootCorrection" };
+const ACTION_LABELS = { promote: "Promoted", demote: "Demoted", "root-correct": "Root corrected" };
+
+const DEFAULT_TEMPLATES = {
+  run: "CompleteARR run {{outcome}} ({{engines}}, {{duration}}): {{promotions}} promoted, {{demotions}} demoted, {{rootCorrections}} root corrections, {{errors}} errors.",
+  title: "{{action}}: {{title}} ({{engine}}){{dryRun}}",
+  errorThreshold: "CompleteARR run {{runId}} logged {{errors}} errors (threshold {{threshold}})."
+};
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  // "digest" sends one message per run; "immediate" sends every event on its own.
+  delivery: "digest",
+  events: {
+    runCompleted: false,
+    runFailed: true,
+    promotion: true,
+    demotion: true,
+    rootCorrection: false,
+    errorThreshold: true
+  },
+  errorThreshold: 1,
+  includeDryRuns: false,
+  templates: DEFAULT_TEMPLATES,
+  targets: []
+};
+
+// Each target type knows which fields it needs and how to deliver a { subject, body, event, data } message.
+const TARGET_TYPES = {
+  webhook: {
+    label: "Generic JSON webhook",
+    required: ["url"],
+    send: (target, message) =>
+      axios.post(target.url, { subject: message.subject, message: message.body, event: message.event, data: message.data }, {
+        timeout: NOTIFICATION_TIMEOUT_MS
+      })
+  },
+  discord: {
+    label: "Discord webhook",
+    required: ["url"],
+    // Discord rejects messages over 2000 characters.
+    send: (target, message) =>
+      axios.post(target.url, { content: `**${message.subject}**\n${message.body}`.slice(0, 2000) }, { timeout: NOTIFICATION_TIMEOUT_MS })
+  },
+  slack: {
+    label: "Slack-compatible webhook",
+    required: ["url"],
+    send: (target, message) =>
+      axios.post(target.url, { text: `*${message.subject}*\n${message.body}` }, { timeout: NOTIFICATION_TIMEOUT_MS })
+  },
+  apprise: {
+    label: "Apprise API",
+    required: ["url"],
+    // url is the Apprise API notify endpoint, e.g. http://apprise:8000/notify/completearr; "urls" makes it stateless.
+    send: (target, message) =>
+      axios.post(
+        target.url,
+        {
+          title: message.subject,
+          body: message.body,
+          type: message.failure ? "failure" : "info",
+          ...(target.appriseUrls ? { urls: target.appriseUrls } : {}),
+          ...(target.tag ? { tag: target.tag } : {})
+        },
+        { timeout: NOTIFICATION_TIMEOUT_MS }
+      )
+  },
+  smtp: {
+    label: "Email (SMTP)",
+    required: ["host", "from", "to"],
+    send: (target, message, resolveSecret) => {
+      const transport = nodemailer.createTransport({
+        host: target.host,
+        port: Number(target.port) || (target.secure ? 465 : 587),
+        secure: Boolean(target.secure),
+        auth: target.username ? { user: target.username, pass: resolveSecret(target.password || "", "password") } : undefined,
+        connectionTimeout: NOTIFICATION_TIMEOUT_MS
+      });
+      return transport.sendMail({ from: target.from, to: target.to, subject: message.subject, text: message.body });
+    }
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Fills in defaults so older or hand-edited files still have every key.
+function normalizeNotificationSettings(settings) {
+  const source = isPlainObject(settings) ? settings : {};
+  return {
+    ...DEFAULT_NOTIFICATION_SETTINGS,
+    ...source,
+    events: { ...DEFAULT_NOTIFICATION_SETTINGS.events, ...(isPlainObject(source.events) ? source.events : {}) },
+    templates: { ...DEFAULT_TEMPLATES, ...(isPlainObject(source.templates) ? source.templates : {}) },
+    targets: Array.isArray(source.targets) ? source.targets : []
+  };
+}
+
+// Returns errors keyed by dotted path, like the settings validation.
+function validateNotificationSettings(settings) {
+  const errors = {};
+  if (!["digest", "immediate"].includes(settings.delivery)) {
+    errors.delivery = 'Must be "digest" or "immediate".';
+  }
+  if (!Number.isInteger(settings.errorThreshold) || settings.errorThreshold < 1) {
+    errors.errorThreshold = "Must be a whole number of at least 1.";
+  }
+  for (const key of Object.keys(settings.events)) {
+    if (!NOTIFICATION_EVENTS[key]) {
+      errors[`events.${key}`] = "Unknown event.";
+    } else if (typeof settings.events[key] !== "boolean") {
+      errors[`events.${key}`] = "Must be true or false.";
+    }
+  }
+  for (const key of Object.keys(settings.templates)) {
+    if (!DEFAULT_TEMPLATES[key]) {
+      errors[`templates.${key}`] = "Unknown template.";
+    } else if (typeof settings.templates[key] !== "string" || !settings.templates[key].trim()) {
+      errors[`templates.${key}`] = "Template cannot be empty.";
+    }
+  }
+  const ids = new Set();
+  settings.targets.forEach((target, index) => {
+    const prefix = `targets.${index}`;
+    if (!isPlainObject(target)) {
+      errors[prefix] = "Must be an object.";
+      return;
+    }
+    const type = TARGET_TYPES[target.type];
+    if (!type) {
+      errors[`${prefix}.type`] = `Must be one of: ${Object.keys(TARGET_TYPES).join(", ")}.`;
+      return;
+    }
+    if (!target.id || ids.has(target.id)) {
+      errors[`${prefix}.id`] = "Each target needs a unique id.";
+    }
+    ids.add(target.id);
+    for (const field of type.required) {
+      if (!String(target[field] || "").trim()) {
+        errors[`${prefix}.${field}`] = "Required.";
+      }
+    }
+    if (target.url && !/^https?:\/\/\S+$/.test(target.url)) {
+      errors[`${prefix}.url`] = "Must be an http(s) URL.";
+    }
+  });
+  return errors;
+}
+
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] === undefined || values[key] === null ? "" : String(values[key])));
+}
+
+const formatDuration = (ms) => {
+  const seconds = Math.round((ms || 0) / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+// Turns a finished run (history record plus the action lines its logs produced) into the messages to send.
+function buildRunNotifications(settings, record, actions) {
+  const { events, templates } = settings;
+  const totals = { promotions: 0, demotions: 0, rootCorrections: 0, errors: 0 };
+  for (const summary of Object.values(record.summary || {})) {
+    totals.promotions += Number(summary.promotions) || 0;
+    totals.demotions += Number(summary.demotions) || 0;
+    totals.rootCorrections += Number(summary.rootCorrections) || 0;
+    totals.errors += Number(summary.errors) || 0;
+  }
+  const failed = record.outcome !== "success";
+  const runValues = {
+    ...totals,
+    runId: record.id,
+    outcome: record.outcome,
+    trigger: record.trigger,
+    engines: record.engines.join(", "),
+    duration: formatDuration(record.durationMs),
+    threshold: settings.errorThreshold
+  };
+
+  const runMessage = (failed ? events.runFailed : events.runCompleted) ? renderTemplate(templates.run, runValues) : null;
+  const titleActions = actions.filter((action) => events[ACTION_EVENTS[action.action]] && (!action.dryRun || settings.includeDryRuns));
+  const titleMessages = titleActions.map((action) =>
+    renderTemplate(templates.title, {
+      ...action,
+      action: ACTION_LABELS[action.action],
+      dryRun: action.dryRun ? " [dry run]" : "",
+      runId: record.id
+    })
+  );
+  const thresholdMessage =
+    events.errorThreshold && totals.errors >= settings.errorThreshold ? renderTemplate(templates.errorThreshold, runValues) : null;
+
+  const subject = `CompleteARR run ${record.outcome}`;
+  const data = { run: runValues, actions: titleActions };
+  if (settings.delivery === "digest") {
+    const parts = [runMessage, thresholdMessage, ...titleMessages].filter(Boolean);
+    return parts.length ? [{ event: "digest", subject, body: parts.join("\n"), failure: failed || Boolean(thresholdMessage), data }] : [];
+  }
+  return [
+    runMessage && { event: failed ? "runFailed" : "runCompleted", subject, body: runMessage, failure: failed, data: { run: runValues } },
+    thresholdMessage && { event: "errorThreshold", subject: "CompleteARR errors", body: thresholdMessage, failure: true, data: { run: runValues } },
+    ...titleMessages.map((body, index) => ({
+      event: ACTION_EVENTS[titleActions[index].action],
+      subject: "CompleteARR",
+      body,
+      failure: false,
+      data: { action: titleActions[index] }
+    }))
+  ].filter(Boolean);
+}
+
+async function sendToTarget(target, message, resolveSecret) {
+  const type = TARGET_TYPES[target.type];
+  if (!type) {
+    throw new Error(`Unknown notification target type "${target.type}".`);
+  }
+  try {
+    await type.send(target, message, (value, field) => resolveSecret(value, `${target.name || target.id}.${field}`));
+  } catch (error) {
+    const status = error.response?.status;
+    throw new Error(status ? `${type.label} answered HTTP ${status}.` : error.message);
+  }
+}
+
+module.exports = {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  NOTIFICATION_EVENTS,
+  TARGET_TYPES,
+  buildRunNotifications,
+  normalizeNotificationSettings,
+  renderTemplate,
+  sendToTarget,
+  validateNotificationSettings
+};
@@ -1,17 +1,36 @@
-const { useEffect, useMemo, useState } = React;
+const { useEffect, useMemo, useRef, useState } = React;
 const html = htm.bind(React.createElement);
 
 const DEFAULT_STATUS = { status: "unknown", startedAt: null, finishedAt: null, nextRun: null };
 const DEFAULT_OPTIONS = { profiles: [], rootFolders: [] };
 
+let csrfToken = null;
+
+// Adds the session's CSRF token to state-changing requests; a 401 sends the app back to the login screen.
+function apiFetch(url, options = {}) {
+  const method = (options.method || "GET").toUpperCase();
+  const headers = { ...(options.headers || {}) };
+  if (method !== "GET" && csrfToken) {
+    headers["X-CSRF-Token"] = csrfToken;
+  }
+  return fetch(url, { ...options, headers, credentials: "same-origin" }).then((res) => {
+    if (res.status === 401) {
+      window.dispatchEvent(new Event("completearr:unauthorized"));
+    }
+    return res;
+  });
+}
+
 function useApi(path, fallback, refreshMs) {
   const [data, setData] = useState(fallback);
   const [error, setError] = useState(null);
 
   useEffect(() => {
+    // No path means nothing to load yet.
+    if (!path) return undefined;
     let isMounted = true;
     const fetchOnce = () =>
-      fetch(path)
+      apiFetch(path)
         .then((res) => res.json())
         .then((payload) => {
           if (isMounted) {
@@ -41,11 +60,39 @@ function useApi(path, fallback, refreshMs) {
 
 const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
 
+// Secret references ("${env:VAR}", "file:/path") are not secret, so only literal keys are hidden.
+const secretInputType = (value) => (/^(\$\{env:[^}]+\}|file:.+)$/.test(String(value || "").trim()) ? "text" : "password");
+
+// Mirrors listInstances in server.js: `Sonarr:`/`Radarr:` is one mapping or a list of named instances.
+// path is where the instance's fields live in the settings object, e.g. "Sonarr" or "Sonarr.1".
+const instanceSlug = (name) => String(name).trim().replace(/[^A-Za-z0-9-]+/g, "-").replace(/^-+|-+$/g, "");
+const instancesOf = (data, type) => {
+  const section = data?.[type];
+  const list = Array.isArray(section);
+  return (list ? section : [section || {}]).map((entry, index) => ({
+    index,
+    name: String(entry?.Name || "").trim() || (index === 0 ? "Default" : `${type} ${index + 1}`),
+    path: list ? `${type}.${index}` : type,
+    connection: entry || {}
+  }));
+};
+
+// Sets without an Instance belong to the primary (first) instance.
+const setBelongsTo = (set, instance) => {
+  const owner = String(set?.Instance || "").trim();
+  return owner ? owner === instance.name || owner === instanceSlug(instance.name) : instance.index === 0;
+};
+
 const NAV_ITEMS = [
   { key: "home", label: "Home" },
   { key: "sonarr", label: "Sonarr" },
   { key: "radarr", label: "Radarr" },
   { key: "shared", label: "Shared" },
+  { key: "history", label: "History" },
+  { key: "activity", label: "Activity" },
+  { key: "library", label: "Library" },
+  { key: "plans", label: "Plans" },
+  { key: "logs", label: "Logs" },
   { key: "about", label: "About" }
 ];
 
@@ -65,163 +112,2333 @@ function Toggle({ label, description, value, onChange }) {
   `;
 }
 
-function App() {
-  const [view, setView] = useState("home");
-  const [message, setMessage] = useState("");
-  const [runNowBusy, setRunNowBusy] = useState(false);
+const VERDICT_LABELS = {
+  promote: "Promote to Complete",
+  demote: "Demote to Incomplete",
+  "root-correct": "Root correction",
+  stay: "No change"
+};
 
-  const statusApi = useApi("/api/status", DEFAULT_STATUS, 5000);
-  const sonarrApi = useApi("/api/settings/sonarr", {});
-  const radarrApi = useApi("/api/settings/radarr", {});
-  const sonarrOptionsApi = useApi("/api/options/sonarr", DEFAULT_OPTIONS);
-  const radarrOptionsApi = useApi("/api/options/radarr", DEFAULT_OPTIONS);
-  const aboutApi = useApi("/api/about", { content: "" });
-  const weeklyStatsApi = useApi("/api/stats/weekly", { radarr: [], sonarr: [] });
+function ConnectionTest({ engine, connection, instance }) {
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
 
-  const handleInput = (setter, path) => (event) => {
-    const value = event.target.type === "number" ? Number(event.target.value) : event.target.value;
-    setter((prev) => {
-      const next = JSON.parse(JSON.stringify(prev || {}));
-      const keys = path.split(".");
-      let cursor = next;
-      keys.slice(0, -1).forEach((key) => {
-        if (!cursor[key]) cursor[key] = {};
-        cursor = cursor[key];
+  // Settings edits make an earlier result stale.
+  useEffect(() => setResult(null), [connection?.Url, connection?.ApiKey]);
+
+  const test = async () => {
+    setBusy(true);
+    try {
+      const res = await apiFetch(`/api/test-connection/${engine}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ Url: connection?.Url || "", ApiKey: connection?.ApiKey || "", Instance: instance || null })
       });
-      cursor[keys[keys.length - 1]] = value;
-      return next;
-    });
+      const payload = await res.json().catch(() => ({}));
+      setResult(res.ok ? payload : { ok: false, error: payload.error || "Test failed.", warnings: [] });
+    } catch (error) {
+      setResult({ ok: false, error: error.message, warnings: [] });
+    } finally {
+      setBusy(false);
+    }
   };
 
-  const toggleValue = (setter, path) => () => {
-    setter((prev) => {
-      const next = JSON.parse(JSON.stringify(prev || {}));
-      const keys = path.split(".");
-      let cursor = next;
-      keys.slice(0, -1).forEach((key) => {
-        if (!cursor[key]) cursor[key] = {};
-        cursor = cursor[key];
+  const tone = !result ? null : !result.ok ? "failed" : result.warnings.length ? "stopped" : "success";
+  const badge = !result ? null : result.ok ? (result.warnings.length ? "Connected with warnings" : "Connected") : "Failed";
+  return html`
+    <div className="actions">
+      <button className="ghost" onClick=${test} disabled=${busy}>${busy ? "Testing…" : "Test"}</button>
+      ${result && html`<span className=${`pill outcome-${tone}`}>${badge}</span>`}
+      ${result?.ok && html`
+        <span className="help">
+          ${result.appName || "App"} ${result.version} · API key accepted · ${result.latencyMs} ms
+        </span>
+      `}
+    </div>
+    ${result && !result.ok && html`
+      <div className="help warning">${result.error}${result.hint ? ` ${result.hint}` : ""}</div>
+    `}
+    ${(result?.warnings || []).map((warning) => html`<div className="help warning" key=${warning}>${warning}</div>`)}
+  `;
+}
+
+const formatEpisode = (ep) =>
+  `S${String(ep.seasonNumber).padStart(2, "0")}E${String(ep.episodeNumber).padStart(2, "0")}${ep.title ? ` - ${ep.title}` : ""} (${formatDate(ep.airDateUtc)})`;
+
+function ExplainSeriesCard({ instance }) {
+  const [query, setQuery] = useState("");
+  const [matches, setMatches] = useState([]);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const search = async () => {
+    setError("");
+    setResult(null);
+    const scope = instance ? `&instance=${encodeURIComponent(instance)}` : "";
+    const res = await apiFetch(`/api/sonarr/series?search=${encodeURIComponent(query)}${scope}`);
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setMatches([]);
+      setError(payload.error || "Search failed.");
+      return;
+    }
+    setMatches(payload.slice(0, 20));
+    if (!payload.length) setError("No series matched that search.");
+  };
+
+  const explain = async (seriesId) => {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await apiFetch(`/api/sonarr/series/${seriesId}/evaluate${instance ? `?instance=${encodeURIComponent(instance)}` : ""}`);
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(payload.error || "Evaluation failed.");
+        setResult(null);
+      } else {
+        setResult(payload);
+        setMatches([]);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return html`
+    <div className="card">
+      <h2>Explain a Series</h2>
+      <p>Search for a show to see what the Series Engine would do with it on the next run. Nothing is changed.</p>
+      <div className="actions">
+        <input
+          placeholder="Series title or Sonarr id"
+          value=${query}
+          onInput=${(event) => setQuery(event.target.value)}
+          onKeyDown=${(event) => event.key === "Enter" && search()}
+        />
+        <button className="ghost" disabled=${busy} onClick=${search}>Search</button>
+      </div>
+      ${error && html`<p className="warning">${error}</p>`}
+      ${matches.length > 0 &&
+      html`
+        <ul className="result-list">
+          ${matches.map((item) => html`
+            <li key=${item.id}>
+              <button className="link" onClick=${() => explain(item.id)}>${item.title}${item.year ? ` (${item.year})` : ""}</button>
+            </li>
+          `)}
+        </ul>
+      `}
+      ${result &&
+      html`
+        <div className="explain">
+          <div className="grid">
+            <div>
+              <label>Series</label>
+              <div>${result.series.title} (id=${result.series.id})</div>
+            </div>
+            <div>
+              <label>Matched Set</label>
+              <div>${result.set ? result.set["Media Type"] : "None"}</div>
+            </div>
+            <div>
+              <label>Current State</label>
+              <div className="pill">${result.state}</div>
+            </div>
+            <div>
+              <label>Verdict</label>
+              <div className=${`pill verdict-${result.verdict}`}>${VERDICT_LABELS[result.verdict] || result.verdict}</div>
+            </div>
+            ${result.exclusion &&
+            html`
+              <div>
+                <label>Exclusion</label>
+                <div className="pill excluded" title=${result.exclusion.note || ""}>Excluded by ${result.exclusion.description}</div>
+              </div>
+            `}
+          </div>
+          <p>${result.reason}</p>
+          ${result.targetPath && html`<p className="help">Target path: ${result.targetPath}</p>`}
+          <p className="help">
+            ${result.counts.counted} counted episodes, ${result.counts.aired} aired, ${result.counts.missingAired} missing,
+            ${" "}${result.counts.missingPastGrace} missing past grace days.
+          </p>
+          ${result.missingAired.length > 0 &&
+          html`
+            <label>Missing aired episodes</label>
+            <ul className="result-list">
+              ${result.missingAired.map((ep) => html`<li key=${ep.id}>${formatEpisode(ep)}</li>`)}
+            </ul>
+          `}
+          ${result.missingPastGrace.length > 0 &&
+          html`
+            <label>Missing past grace days</label>
+            <ul className="result-list">
+              ${result.missingPastGrace.map((ep) => html`<li key=${ep.id}>${formatEpisode(ep)}</li>`)}
+            </ul>
+          `}
+        </div>
+      `}
+    </div>
+  `;
+}
+
+function RadarrAuditCard({ instance }) {
+  const [audit, setAudit] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [moving, setMoving] = useState(null);
+  const [moveResult, setMoveResult] = useState(null);
+
+  const runAudit = async () => {
+    setBusy(true);
+    setError("");
+    setMoveResult(null);
+    try {
+      const res = await apiFetch(`/api/radarr/audit${instance ? `?instance=${encodeURIComponent(instance)}` : ""}`);
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setAudit(null);
+        setError(payload.error || "Audit failed.");
+      } else {
+        setAudit(payload);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const moveNow = async (movie) => {
+    if (!window.confirm(`Move "${movie.title}" to ${movie.targetPath} now? Radarr moves the files, even with Dry Run on.`)) return;
+    setMoving(movie.id);
+    setMoveResult(null);
+    try {
+      const res = await apiFetch(`/api/radarr/movies/${movie.id}/move`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ instance })
       });
-      const lastKey = keys[keys.length - 1];
-      cursor[lastKey] = !cursor[lastKey];
-      return next;
-    });
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setMoveResult({ tone: "warning", text: `${movie.title}: ${payload.error || "Move failed."}` });
+        return;
+      }
+      setMoveResult({
+        tone: "success",
+        text: `${movie.title} moved to ${payload.newPath}${payload.verified ? ` (verified after ${payload.attempts} check(s))` : " (not verified)"}.`
+      });
+      setAudit((prev) => ({
+        ...prev,
+        counts: { ...prev.counts, mismatched: prev.counts.mismatched - 1, correct: prev.counts.correct + 1 },
+        mismatched: prev.mismatched.filter((item) => item.id !== movie.id)
+      }));
+    } finally {
+      setMoving(null);
+    }
   };
 
-  const saveSettings = async (path, payload, label) => {
-    await fetch(path, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload)
+  return html`
+    <div className="card">
+      <h2>Audit</h2>
+      <p>
+        Compares every movie's path with the root folder its profile maps to, like the Film Engine would. Nothing is changed
+        until you press Move now, which uses the Move Verification settings above.
+      </p>
+      <div className="actions">
+        <button className="ghost" disabled=${busy || moving !== null} onClick=${runAudit}>${busy ? "Auditing…" : audit ? "Audit Again" : "Run Audit"}</button>
+      </div>
+      ${error && html`<p className="warning">${error}</p>`}
+      ${moveResult && html`<p className=${moveResult.tone}>${moveResult.text}</p>`}
+      ${audit &&
+      html`
+        <p className="help">
+          ${audit.counts.movies} movies: ${audit.counts.correct} in the right root, ${audit.counts.mismatched} in the wrong root,
+          ${" "}${audit.counts.unmapped} without a mapping${audit.counts.excluded ? `, ${audit.counts.excluded} excluded` : ""}${audit.counts.noPath ? `, ${audit.counts.noPath} without a path` : ""}.
+          Audited ${formatDate(audit.auditedAt)}.
+        </p>
+        ${audit.missingRoots.length > 0 &&
+        html`
+          <label>Mappings to root folders Radarr does not have</label>
+          <ul className="result-list">
+            ${audit.missingRoots.map((item) => html`<li key=${item.profile} className="warning">${item.profile} → ${item.root}</li>`)}
+          </ul>
+        `}
+        <label>In the wrong root folder</label>
+        ${audit.mismatched.length
+          ? html`
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Movie</th>
+                    <th>Profile</th>
+                    <th>Path</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${audit.mismatched.map((movie) => html`
+                    <tr key=${movie.id}>
+                      <td>
+                        ${movie.title}${movie.year ? ` (${movie.year})` : ""}
+                        <div className="help">id ${movie.id}</div>
+                      </td>
+                      <td>${movie.qualityProfileName}</td>
+                      <td>
+                        <div>${movie.path}</div>
+                        <div className="help">→ ${movie.targetPath}</div>
+                      </td>
+                      <td>
+                        <button
+                          className="ghost"
+                          disabled=${movie.rootMissing || moving !== null || busy}
+                          title=${movie.rootMissing ? `Radarr has no root folder ${movie.expectedRoot}.` : ""}
+                          onClick=${() => moveNow(movie)}
+                        >
+                          ${moving === movie.id ? "Moving…" : "Move now"}
+                        </button>
+                      </td>
+                    </tr>
+                  `)}
+                </tbody>
+              </table>
+            `
+          : html`<p className="help">Every mapped movie is in its root folder.</p>`}
+        ${audit.unmapped.length > 0 &&
+        html`
+          <label>Profiles without a mapping (the engine skips these)</label>
+          <ul className="result-list">
+            ${audit.unmapped.map((movie) => html`
+              <li key=${movie.id}>${movie.title}${movie.year ? ` (${movie.year})` : ""} <span className="help">${movie.qualityProfileName || "unknown profile"}</span></li>
+            `)}
+          </ul>
+        `}
+        ${audit.excluded.length > 0 &&
+        html`
+          <label>Excluded (the engine skips these)</label>
+          <ul className="result-list">
+            ${audit.excluded.map((movie) => html`
+              <li key=${movie.id}>
+                ${movie.title}${movie.year ? ` (${movie.year})` : ""} <span className="help">${movie.path}</span>
+                ${" "}<span className="pill excluded" title=${movie.exclusion.note || ""}>Excluded by ${movie.exclusion.description}</span>
+              </li>
+            `)}
+          </ul>
+        `}
+      `}
+    </div>
+  `;
+}
+
+const SET_FIELDS = ["Media Type", "Incomplete Profile Name", "Incomplete Root Folder", "Complete Profile Name", "Complete Root Folder"];
+const SET_STATUS = {
+  valid: { tone: "success", label: "Valid" },
+  unfinished: { tone: "stopped", label: "Missing fields" },
+  warning: { tone: "stopped", label: "Check roots" },
+  conflict: { tone: "failed", label: "Conflict" },
+  invalid: { tone: "failed", label: "Invalid" }
+};
+
+const setLabel = (set, index) => `Set ${index + 1}${String(set?.["Media Type"] || "").trim() ? ` (${set["Media Type"].trim()})` : ""}`;
+
+// Finds Sets of one instance that get in each other's way. Errors mirror validateSetProfiles in server.js and stop a
+// save; warnings are about root folders, which the engine tolerates but which make the library hard to follow.
+function findSetConflicts(sets, instances) {
+  const conflicts = [];
+  const text = (value) => String(value || "").trim();
+  const ownerOf = (set) => instances.find((instance) => setBelongsTo(set, instance))?.name ?? text(set?.Instance);
+  const profiles = [];
+  const roots = [];
+  sets.forEach((set, index) => {
+    const incomplete = text(set?.["Incomplete Profile Name"]);
+    if (incomplete && incomplete.toLowerCase() === text(set["Complete Profile Name"]).toLowerCase()) {
+      conflicts.push({
+        severity: "error",
+        sets: [index],
+        message: `${setLabel(set, index)} uses "${incomplete}" as both its Incomplete and Complete profile, so its series can never be promoted.`
+      });
+    }
+    for (const side of ["Incomplete", "Complete"]) {
+      const profile = text(set?.[`${side} Profile Name`]);
+      const root = text(set?.[`${side} Root Folder`]).replace(/\/+$/, "");
+      if (profile) profiles.push({ index, side, profile, owner: ownerOf(set) });
+      if (root) roots.push({ index, side, root, owner: ownerOf(set) });
+    }
+  });
+
+  profiles.forEach((a, i) => {
+    profiles.slice(i + 1).forEach((b) => {
+      if (a.owner !== b.owner || a.index === b.index || a.profile.toLowerCase() !== b.profile.toLowerCase()) return;
+      conflicts.push({
+        severity: "error",
+        sets: [a.index, b.index],
+        message: `"${a.profile}" is the ${a.side} profile of ${setLabel(sets[a.index], a.index)} and the ${b.side} profile of ${setLabel(sets[b.index], b.index)}. The engine runs every Set, so series on it are processed twice per run and can end up in either Set's folders.`
+      });
     });
-    setMessage(`${label} saved successfully.`);
-    setTimeout(() => setMessage(""), 3000);
-  };
+  });
 
-  const addSet = () => {
-    sonarrApi.setData((prev) => {
-      const next = JSON.parse(JSON.stringify(prev || {}));
-      if (!next.Sets) next.Sets = [];
-      next.Sets.push({
-        "Media Type": "",
-        "Incomplete Profile Name": "",
-        "Incomplete Root Folder": "",
-        "Complete Profile Name": "",
-        "Complete Root Folder": ""
+  const seen = new Set();
+  roots.forEach((a, i) => {
+    roots.slice(i + 1).forEach((b) => {
+      if (a.owner !== b.owner) return;
+      const labelA = `${setLabel(sets[a.index], a.index)}'s ${a.side}`;
+      const labelB = a.index === b.index ? `its ${b.side}` : `${setLabel(sets[b.index], b.index)}'s ${b.side}`;
+      if (a.root === b.root) {
+        // Sets sharing an Incomplete (or Complete) root is a normal layout; only mixing the two sides is reported.
+        if (a.side === b.side || seen.has(`${a.root}\u0000${a.index}\u0000${b.index}`)) return;
+        seen.add(`${a.root}\u0000${a.index}\u0000${b.index}`);
+        conflicts.push({
+          severity: "warning",
+          sets: [...new Set([a.index, b.index])],
+          message: `${labelA} root is also ${labelB} root (${a.root}), so incomplete and complete series share one folder and moves between them change nothing on disk.`
+        });
+        return;
+      }
+      const [outer, inner] = b.root.startsWith(`${a.root}/`) ? [a, b] : a.root.startsWith(`${b.root}/`) ? [b, a] : [];
+      if (!outer || seen.has(`${outer.root}\u0000${inner.root}`)) return;
+      seen.add(`${outer.root}\u0000${inner.root}`);
+      conflicts.push({
+        severity: "warning",
+        sets: [...new Set([a.index, b.index])],
+        message: `${inner.root} (${setLabel(sets[inner.index], inner.index)}, ${inner.side}) is inside ${outer.root} (${setLabel(sets[outer.index], outer.index)}, ${outer.side}). Series in the inner folder also count as being in the outer one, so one in the wrong root can go unnoticed.`
       });
-      return next;
     });
+  });
+  return conflicts;
+}
+
+// Suggestions whose profiles a Set of this instance already uses are left out.
+function SetSuggestionsDialog({ instance, usedProfiles, onAdd, onClose }) {
+  const suggestionsApi = useApi(`/api/sonarr/set-suggestions${instance ? `?instance=${encodeURIComponent(instance)}` : ""}`, null);
+  const [picked, setPicked] = useState(null);
+  const [roots, setRoots] = useState({});
+
+  const payload = suggestionsApi.data;
+  const fresh = (payload?.suggestions || []).filter(
+    (item) =>
+      !usedProfiles.includes(item.set["Incomplete Profile Name"].toLowerCase()) &&
+      !usedProfiles.includes(item.set["Complete Profile Name"].toLowerCase())
+  );
+  const covered = (payload?.suggestions || []).length - fresh.length;
+  const chosen = picked ?? fresh.map((item) => item.set["Media Type"]);
+  const toggle = (name) => setPicked(chosen.includes(name) ? chosen.filter((item) => item !== name) : [...chosen, name]);
+  const withRoots = (item) => ({ ...item.set, ...(roots[item.set["Media Type"]] || {}) });
+  const setRoot = (name, field) => (event) => {
+    const value = event.target.value;
+    setRoots((prev) => ({ ...prev, [name]: { ...(prev[name] || {}), [field]: value } }));
   };
 
-  const sets = sonarrApi.data?.Sets || [];
-  const sonarrProfiles = sonarrOptionsApi.data?.profiles || [];
-  const sonarrRoots = sonarrOptionsApi.data?.rootFolders || [];
-  const radarrProfiles = radarrOptionsApi.data?.profiles || [];
-  const radarrRoots = radarrOptionsApi.data?.rootFolders || [];
-  const radarrMappings = radarrApi.data?.FilmEngine?.ProfileRootMappings || {};
-  const sharedLogging = sonarrApi.data?.Logging || {};
-  const sonarrMoveVerify = sonarrApi.data?.Behavior?.MoveVerification || {};
-  const radarrMoveVerify = radarrApi.data?.Behavior?.MoveVerification || {};
-  const weeklyRadarr = weeklyStatsApi.data?.radarr || [];
-  const weeklySonarr = weeklyStatsApi.data?.sonarr || [];
-  const latestRadarr = weeklyRadarr[0]?.summary || {};
-  const latestSonarr = weeklySonarr[0]?.summary || {};
+  return html`
+    <div className="modal-backdrop" onClick=${onClose}>
+      <div className="card modal" onClick=${(event) => event.stopPropagation()}>
+        <h2>Suggested Sets</h2>
+        <p className="help">
+          Pairs Sonarr profiles named like "Incomplete - X" and "Complete - X". Root folders are where series on each
+          profile already live, or the folder whose name matches best.
+        </p>
+        ${!payload && html`<p className="help">Loading profiles and root folders from Sonarr…</p>`}
+        ${payload?.error && html`<p className="warning">${payload.error}</p>`}
+        ${payload && !payload.error && !fresh.length && html`<p className="help">No new pairs found.</p>`}
+        ${fresh.map((item) => {
+          const name = item.set["Media Type"];
+          const set = withRoots(item);
+          return html`
+            <div key=${name} className="notification-target">
+              <label className="toggle">
+                <input type="checkbox" style=${{ width: "auto" }} checked=${chosen.includes(name)} onChange=${() => toggle(name)} />
+                <strong>${name}</strong>
+              </label>
+              <div className="help">${set["Incomplete Profile Name"]} ↔ ${set["Complete Profile Name"]}</div>
+              <div className="grid">
+                ${["Incomplete Root Folder", "Complete Root Folder"].map((field) => html`
+                  <div key=${field}>
+                    <label>${field}</label>
+                    <select className=${set[field] ? "" : "invalid"} value=${set[field]} onInput=${setRoot(name, field)}>
+                      <option value="">Select a root</option>
+                      ${payload.rootFolders.map((root) => html`<option key=${root} value=${root}>${root}</option>`)}
+                    </select>
+                    <div className="help">${roots[name]?.[field] !== undefined ? "Picked by you." : item.reasons[field]}</div>
+                  </div>
+                `)}
+              </div>
+            </div>
+          `;
+        })}
+        ${covered > 0 && html`<p className="help">${covered} pair${covered === 1 ? " is" : "s are"} already covered by a Set.</p>`}
+        ${payload?.unpaired?.length > 0 &&
+        html`
+          <label>Profiles without a partner</label>
+          <ul className="result-list">
+            ${payload.unpaired.map((item) => html`<li key=${item.profile}>${item.profile} <span className="help">no matching ${item.missing} profile</span></li>`)}
+          </ul>
+        `}
+        <div className="actions">
+          <button
+            className="primary"
+            disabled=${!chosen.length}
+            onClick=${() => onAdd(fresh.filter((item) => chosen.includes(item.set["Media Type"])).map(withRoots))}
+          >
+            Add ${chosen.length} Set${chosen.length === 1 ? "" : "s"}
+          </button>
+          <button className="ghost" onClick=${onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
 
-  const isRunning = statusApi.data.status === "running";
+const EXCLUSION_TYPES = ["Tag", "Id", "Title", "Path"];
+const EMPTY_EXCLUSION = { Type: "Tag", Value: "", Note: "", Instance: "" };
+const EXCLUSION_HELP = {
+  Tag: "A tag label; everything carrying the tag is skipped.",
+  Id: "The id of one item, as shown in its page URL.",
+  Title: "A regular expression matched against the title, ignoring case. Picking a title fills in an exact match.",
+  Path: "A path prefix; everything stored under it is skipped."
+};
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
-  const runNow = async () => {
-    if (isRunning || runNowBusy) return;
-    setRunNowBusy(true);
+// Exclusions are saved straight to the settings file, so onSaved passes the new list up to keep the form in sync.
+function ExclusionsCard({ engine, instance, instances, onSaved }) {
+  const [noun, singular] = engine === "sonarr" ? ["series", "series"] : ["movies", "movie"];
+  const [version, setVersion] = useState(0);
+  const rulesApi = useApi(`/api/exclusions/${engine}?v=${version}`, { rules: [] });
+  const query = instance ? `?instance=${encodeURIComponent(instance)}` : "";
+  const previewApi = useApi(rulesApi.data.rules?.length ? `/api/exclusions/${engine}/preview${query}${query ? "&" : "?"}v=${version}` : null, null);
+  const candidatesApi = useApi(instance ? `/api/exclusions/${engine}/candidates${query}` : null, { tags: [], items: [] });
+  const [draft, setDraft] = useState(EMPTY_EXCLUSION);
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [draftPreview, setDraftPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const rules = rulesApi.data.rules || [];
+  const matchesByIndex = new Map((previewApi.data?.rules || []).map((rule) => [rule.index, rule]));
+  const candidates = candidatesApi.data || { tags: [], items: [] };
+  const suggestions = {
+    Tag: (candidates.tags || []).map((tag) => ({ value: tag })),
+    Id: (candidates.items || []).map((item) => ({ value: String(item.id), label: item.title })),
+    Title: (candidates.items || []).map((item) => ({ value: `^${escapeRegExp(item.title)}$`, label: item.title })),
+    Path: (candidates.items || []).filter((item) => item.path).map((item) => ({ value: item.path, label: item.title }))
+  }[draft.Type] || [];
+
+  const updateDraft = (field) => (event) => {
+    const value = event.target.value;
+    setDraft((prev) => ({ ...prev, [field]: value }));
+    setDraftPreview(null);
+  };
+
+  const reset = () => {
+    setDraft(EMPTY_EXCLUSION);
+    setEditing(null);
+    setErrors({});
+    setDraftPreview(null);
+  };
+
+  const applySaved = (payload, text) => {
+    rulesApi.setData({ ...rulesApi.data, rules: payload.rules });
+    onSaved(payload.rules.map(({ index, ...rule }) => rule));
+    setVersion((value) => value + 1);
+    setMessage({ tone: "success", text });
+  };
+
+  const saveRule = async () => {
+    setBusy(true);
+    setMessage(null);
     try {
-      const res = await fetch("/api/run-now", { method: "POST" });
+      const res = await apiFetch(editing === null ? `/api/exclusions/${engine}` : `/api/exclusions/${engine}/${editing}`, {
+        method: editing === null ? "POST" : "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(draft)
+      });
       const payload = await res.json().catch(() => ({}));
       if (!res.ok) {
-        setMessage(payload.error || "Failed to start run.");
-      } else {
-        setMessage("Run started.");
+        setErrors(payload.errors || {});
+        setMessage({ tone: "warning", text: payload.error || "Rule not saved." });
+        return;
       }
-      setTimeout(() => setMessage(""), 3000);
+      applySaved(payload, editing === null ? "Rule added." : "Rule saved.");
+      reset();
     } finally {
-      setRunNowBusy(false);
+      setBusy(false);
     }
   };
 
-  const weeklySummary = useMemo(() => {
-    const combine = (items, keys) => {
-      const total = {};
-      keys.forEach((key) => (total[key] = 0));
-      items.forEach((item) => {
-        keys.forEach((key) => {
-          const value = Number(item?.summary?.[key] ?? 0);
-          if (!Number.isNaN(value)) {
-            total[key] += value;
-          }
-        });
+  const removeRule = async (rule) => {
+    if (!window.confirm(`Remove the ${rule.Type} rule "${rule.Value}"? The engines will process matching ${noun} again.`)) return;
+    setBusy(true);
+    setMessage(null);
+    try {
+      const res = await apiFetch(`/api/exclusions/${engine}/${rule.index}`, { method: "DELETE" });
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setMessage({ tone: "warning", text: payload.error || "Rule not removed." });
+        return;
+      }
+      applySaved(payload, "Rule removed.");
+      if (editing !== null) reset();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const editRule = (rule) => {
+    setDraft({ Type: rule.Type, Value: String(rule.Value ?? ""), Note: rule.Note || "", Instance: rule.Instance || "" });
+    setEditing(rule.index);
+    setErrors({});
+    setDraftPreview(null);
+  };
+
+  const previewDraft = async () => {
+    setBusy(true);
+    try {
+      const res = await apiFetch(`/api/exclusions/${engine}/preview`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ rules: [draft], instance })
       });
-      return total;
-    };
+      const payload = await res.json().catch(() => ({}));
+      setDraftPreview(res.ok ? payload.rules[0] : { error: payload.error || "Preview failed." });
+    } finally {
+      setBusy(false);
+    }
+  };
 
-    return {
-      radarr: combine(weeklyRadarr, ["moviesChecked", "moviesSkipped", "rootCorrections", "errors"]),
-      sonarr: combine(weeklySonarr, ["seriesChecked", "promotions", "demotions", "rootCorrections", "errors"])
-    };
-  }, [weeklyRadarr, weeklySonarr]);
+  const matchSummary = (preview) => {
+    if (!preview) return "—";
+    if (preview.error) return html`<span className="warning">${preview.error}</span>`;
+    if (!preview.appliesHere) return html`<span className="help">Other instance</span>`;
+    return `${preview.matchCount} ${preview.matchCount === 1 ? singular : noun}`;
+  };
 
-  const content = useMemo(() => {
-    if (view === "home") {
-      return html`
-        <div className="stack">
-          <div className="card">
-            <h2>Welcome</h2>
-            <p>Use the tabs above to configure Sonarr, Radarr, and shared settings. Changes are saved to your YAML files.</p>
+  return html`
+    <div className="card">
+      <h2>Exclusions</h2>
+      <p>
+        ${engine === "sonarr" ? "Series" : "Movies"} matching any rule are skipped by the engine and flagged wherever they show up
+        in this UI. Rules are saved to the settings file as soon as you add, change or remove them.
+      </p>
+      ${rulesApi.error && html`<p className="warning">${rulesApi.error}</p>`}
+      ${previewApi.data?.error && html`<p className="warning">Matches could not be loaded: ${previewApi.data.error}</p>`}
+      ${rules.length
+        ? html`
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Value</th>
+                  <th>Note</th>
+                  ${instances.length > 1 && html`<th>Instance</th>`}
+                  <th>Matches${previewApi.data?.instance ? ` on ${previewApi.data.instance}` : ""}</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                ${rules.map((rule) => html`
+                  <tr key=${rule.index} className=${editing === rule.index ? "selected" : ""}>
+                    <td>${rule.Type}</td>
+                    <td><code>${String(rule.Value ?? "")}</code></td>
+                    <td>${rule.Note || ""}</td>
+                    ${instances.length > 1 && html`<td>${rule.Instance || "All"}</td>`}
+                    <td title=${(matchesByIndex.get(rule.index)?.matches || []).map((item) => item.title).join("\n")}>
+                      ${matchSummary(matchesByIndex.get(rule.index))}
+                    </td>
+                    <td>
+                      <button className="link" disabled=${busy} onClick=${() => editRule(rule)}>Edit</button>
+                      ${" · "}
+                      <button className="link" disabled=${busy} onClick=${() => removeRule(rule)}>Remove</button>
+                    </td>
+                  </tr>
+                `)}
+              </tbody>
+            </table>
+          `
+        : html`<p className="help">No exclusions yet; the engine processes every ${singular}.</p>`}
+      <div className="grid" style=${{ marginTop: "16px" }}>
+        <div>
+          <label>Type</label>
+          <select className=${errors.Type ? "invalid" : ""} value=${draft.Type} onInput=${updateDraft("Type")}>
+            ${EXCLUSION_TYPES.map((type) => html`<option key=${type} value=${type}>${type}</option>`)}
+          </select>
+          ${errors.Type && html`<div className="help warning">${errors.Type}</div>`}
+        </div>
+        <div>
+          <label>Value</label>
+          <input
+            className=${errors.Value ? "invalid" : ""}
+            list=${`exclusion-values-${engine}`}
+            value=${draft.Value}
+            onInput=${updateDraft("Value")}
+          />
+          <datalist id=${`exclusion-values-${engine}`}>
+            ${suggestions.map((option) => html`<option key=${option.value} value=${option.value}>${option.label || ""}</option>`)}
+          </datalist>
+          <div className=${errors.Value ? "help warning" : "help"}>${errors.Value || EXCLUSION_HELP[draft.Type]}</div>
+        </div>
+        <div>
+          <label>Note</label>
+          <input value=${draft.Note} placeholder="Why it is excluded" onInput=${updateDraft("Note")} />
+        </div>
+        ${instances.length > 1 && html`
+          <div>
+            <label>Instance</label>
+            <select className=${errors.Instance ? "invalid" : ""} value=${draft.Instance} onInput=${updateDraft("Instance")}>
+              <option value="">All instances</option>
+              ${instances.map((name) => html`<option key=${name} value=${name}>${name}</option>`)}
+            </select>
+            ${errors.Instance && html`<div className="help warning">${errors.Instance}</div>`}
           </div>
-          <div className="card">
-            <h2>Run Status</h2>
-            <div className="grid">
-              <div>
-                <label>Status</label>
-                <div className=${`pill ${statusApi.data.status === "running" ? "success" : ""}`}>${statusApi.data.status}</div>
-              </div>
-              <div>
-                <label>Last Started</label>
-                <div>${formatDate(statusApi.data.startedAt)}</div>
-              </div>
-              <div>
-                <label>Last Finished</label>
-                <div>${formatDate(statusApi.data.finishedAt)}</div>
+        `}
+      </div>
+      ${message && html`<p className=${message.tone}>${message.text}</p>`}
+      ${draftPreview &&
+      html`
+        <div className="explain">
+          ${draftPreview.error
+            ? html`<p className="warning">${draftPreview.error}</p>`
+            : !draftPreview.appliesHere
+              ? html`<p className="help">This rule is for another instance, so nothing on ${instance} matches.</p>`
+              : html`
+                  <p className="help">Matches ${draftPreview.matchCount} ${draftPreview.matchCount === 1 ? singular : noun} on ${instance}.</p>
+                  <ul className="result-list">
+                    ${draftPreview.matches.map((item) => html`<li key=${item.id}>${item.title} <span className="help">${item.path}</span></li>`)}
+                  </ul>
+                  ${draftPreview.matchCount > draftPreview.matches.length &&
+                  html`<p className="help">Showing the first ${draftPreview.matches.length}.</p>`}
+                `}
+        </div>
+      `}
+      <div className="actions">
+        <button className="ghost" disabled=${busy || !instance} onClick=${previewDraft}>Preview Matches</button>
+        <button className="primary" disabled=${busy} onClick=${saveRule}>${editing === null ? "Add Rule" : "Save Rule"}</button>
+        ${editing !== null && html`<button className="ghost" disabled=${busy} onClick=${reset}>Cancel</button>`}
+      </div>
+    </div>
+  `;
+}
+
+const CONSOLE_LEVELS = ["INFO", "WARNING", "ERROR", "PROMOTION", "DEMOTION", "OTHER"];
+const CONSOLE_MAX_LINES = 5000;
+
+const consoleLevelOf = (line) => (CONSOLE_LEVELS.includes(line.level) ? line.level : "OTHER");
+
+function LiveConsole() {
+  const [lines, setLines] = useState([]);
+  const [state, setState] = useState({});
+  const [connected, setConnected] = useState(false);
+  const [levels, setLevels] = useState(CONSOLE_LEVELS);
+  const [follow, setFollow] = useState(true);
+  const outputRef = useRef(null);
+
+  useEffect(() => {
+    const source = new EventSource("/api/runs/current/stream");
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+    source.addEventListener("reset", () => setLines([]));
+    source.addEventListener("state", (event) => setState(JSON.parse(event.data)));
+    source.addEventListener("line", (event) => {
+      const line = JSON.parse(event.data);
+      setLines((prev) => {
+        const next = prev.length >= CONSOLE_MAX_LINES ? prev.slice(prev.length - CONSOLE_MAX_LINES + 1) : prev.slice();
+        next.push(line);
+        return next;
+      });
+    });
+    return () => source.close();
+  }, []);
+
+  const visible = useMemo(() => lines.filter((line) => levels.includes(consoleLevelOf(line))), [lines, levels]);
+
+  useEffect(() => {
+    if (follow && outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [visible, follow]);
+
+  const toggleLevel = (level) =>
+    setLevels((prev) => (prev.includes(level) ? prev.filter((item) => item !== level) : [...prev, level]));
+
+  const progress = state.progress ? `${state.progress.current}/${state.progress.total}` : "—";
+
+  return html`
+    <div className="card">
+      <h2>Live Console</h2>
+      <div className="grid">
+        <div>
+          <label>Run</label>
+          <div className=${`pill ${state.running ? "success" : ""}`}>${state.running ? "running" : connected ? "idle" : "disconnected"}</div>
+        </div>
+        <div>
+          <label>Engine</label>
+          <div>${state.engine || "—"}${state.instance ? ` (${state.instance})` : ""}</div>
+        </div>
+        <div>
+          <label>Current Set</label>
+          <div>${state.set || "—"}</div>
+        </div>
+        <div>
+          <label>Progress</label>
+          <div>${progress}</div>
+        </div>
+      </div>
+      <div className="chips">
+        ${CONSOLE_LEVELS.map((level) => html`
+          <button
+            key=${level}
+            className=${`chip level-${level.toLowerCase()} ${levels.includes(level) ? "active" : ""}`}
+            onClick=${() => toggleLevel(level)}
+          >
+            ${level}
+          </button>
+        `)}
+        <label className="chip-toggle">
+          <input type="checkbox" checked=${follow} onChange=${(event) => setFollow(event.target.checked)} />
+          Auto-scroll
+        </label>
+      </div>
+      <div className="console" ref=${outputRef}>
+        ${visible.length
+          ? visible.map((line) => html`
+              <div key=${line.seq} className=${`console-line level-${consoleLevelOf(line).toLowerCase()}`}>
+                ${line.segments.map((segment, index) => html`
+                  <span key=${index} className=${[segment.color ? `ansi-${segment.color}` : "", segment.bold ? "ansi-bold" : ""].join(" ")}>${segment.text}</span>
+                `)}
               </div>
-              <div>
-                <label>Next Run</label>
-                <div>${formatDate(statusApi.data.nextRun)}</div>
+            `)
+          : html`<div className="help">No output yet. Start a run to see it here.</div>`}
+      </div>
+    </div>
+  `;
+}
+
+const CRON_PRESETS = [
+  { label: "Every 30 minutes", cron: "*/30 * * * *" },
+  { label: "Hourly", cron: "0 * * * *" },
+  { label: "Every 6 hours", cron: "0 */6 * * *" },
+  { label: "Daily at 03:00", cron: "0 3 * * *" }
+];
+
+// One toggle, cron field and preset picker per engine; shared by the Schedule card and the setup wizard.
+function ScheduleFields({ engines, errors, onChange }) {
+  return html`
+    <div className="grid">
+      ${Object.entries(engines).map(([key, entry]) => html`
+        <div key=${key}>
+          ${Toggle({
+            label: entry.label,
+            value: entry.enabled,
+            onChange: (val) => onChange(key, { enabled: val })
+          })}
+          <input
+            className=${errors[key] ? "invalid" : ""}
+            value=${entry.cron || ""}
+            onInput=${(event) => onChange(key, { cron: event.target.value })}
+          />
+          <select value="" onInput=${(event) => event.target.value && onChange(key, { cron: event.target.value })}>
+            <option value="">Presets…</option>
+            ${CRON_PRESETS.map((preset) => html`<option key=${preset.cron} value=${preset.cron}>${preset.label}</option>`)}
+          </select>
+          ${errors[key]
+            ? html`<div className="help warning">${errors[key]}</div>`
+            : html`<div className="help">Next run: ${entry.enabled ? formatDate(entry.nextRun) : "disabled"}</div>`}
+        </div>
+      `)}
+    </div>
+  `;
+}
+
+function ScheduleCard() {
+  const scheduleApi = useApi("/api/schedule", { engines: {}, timezone: "" });
+  const [errors, setErrors] = useState({});
+  const [saveMessage, setSaveMessage] = useState("");
+
+  const engines = scheduleApi.data?.engines || {};
+
+  const updateEngine = (key, patch) => {
+    scheduleApi.setData((prev) => ({
+      ...prev,
+      engines: { ...prev.engines, [key]: { ...prev.engines[key], ...patch } }
+    }));
+  };
+
+  const save = async () => {
+    const payload = {};
+    Object.entries(engines).forEach(([key, entry]) => {
+      payload[key] = { enabled: entry.enabled, cron: entry.cron };
+    });
+    const res = await apiFetch("/api/schedule", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setErrors(body.errors || {});
+      setSaveMessage(body.error || "Failed to save schedule.");
+      return;
+    }
+    setErrors({});
+    scheduleApi.setData(body);
+    setSaveMessage("Schedule saved.");
+    setTimeout(() => setSaveMessage(""), 3000);
+  };
+
+  return html`
+    <div className="card">
+      <h2>Schedule</h2>
+      <p>
+        Each engine runs on its own cron schedule (minute hour day-of-month month day-of-week), evaluated in the
+        ${" "}${scheduleApi.data?.timezone || "server"} time zone. Engines that are due at the same minute run together.
+      </p>
+      <${ScheduleFields} engines=${engines} errors=${errors} onChange=${updateEngine} />
+      <div className="actions">
+        <button className="primary" onClick=${save}>Save Schedule</button>
+      </div>
+      ${saveMessage && html`<p className=${Object.keys(errors).length ? "warning" : "success"}>${saveMessage}</p>`}
+    </div>
+  `;
+}
+
+const ENGINE_LABELS = { fetchinfo: "FetchInfo", radarr: "Radarr", sonarr: "Sonarr", all: "All engines" };
+const RUN_ENGINES = ["fetchinfo", "radarr", "sonarr"];
+
+const describeRunOptions = (options) =>
+  [
+    options.dryRun === true ? "dry run" : options.dryRun === false ? "live" : null,
+    options.sets ? `Sets: ${options.sets.join(", ")}` : null,
+    options.seriesIds ? `series ${options.seriesIds.join(", ")}` : null,
+    options.movieIds ? `movies ${options.movieIds.join(", ")}` : null
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+const parseIds = (text) =>
+  text
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+
+// Options for a one-off run (or a plan, which is always a dry run); nothing here is written to the settings files.
+function RunOptionsDialog({ sets, busy, onRun, onClose, mode = "run" }) {
+  const [engines, setEngines] = useState(RUN_ENGINES);
+  const [chosenSets, setChosenSets] = useState([]);
+  const [dryRun, setDryRun] = useState("");
+  const [seriesIds, setSeriesIds] = useState("");
+  const [movieIds, setMovieIds] = useState("");
+
+  const toggle = (list, setList, value) =>
+    setList(list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
+
+  const start = () => {
+    const body = { engines };
+    if (chosenSets.length) body.sets = chosenSets;
+    if (seriesIds.trim()) body.seriesIds = parseIds(seriesIds);
+    if (movieIds.trim()) body.movieIds = parseIds(movieIds);
+    if (dryRun) body.dryRun = dryRun === "dry";
+    onRun(body);
+  };
+
+  return html`
+    <div className="modal-backdrop" onClick=${onClose}>
+      <div className="card modal" onClick=${(event) => event.stopPropagation()}>
+        <h2>${mode === "plan" ? "Create Plan" : "Run with Options"}</h2>
+        <label>Engines</label>
+        <div className="chips">
+          ${RUN_ENGINES.map((engine) => html`
+            <button key=${engine} className=${`chip ${engines.includes(engine) ? "active" : ""}`} onClick=${() => toggle(engines, setEngines, engine)}>
+              ${ENGINE_LABELS[engine]}
+            </button>
+          `)}
+        </div>
+        <label>Sonarr Sets</label>
+        <div className="chips">
+          ${sets.length
+            ? sets.map((name) => html`
+                <button key=${name} className=${`chip ${chosenSets.includes(name) ? "active" : ""}`} onClick=${() => toggle(chosenSets, setChosenSets, name)}>
+                  ${name}
+                </button>
+              `)
+            : html`<span className="help">No Sets configured.</span>`}
+        </div>
+        <div className="help">Leave all unselected to process every Set.</div>
+        <div className="grid">
+          <div>
+            <label>Sonarr Series IDs</label>
+            <input value=${seriesIds} placeholder="e.g. 123, 456" onInput=${(event) => setSeriesIds(event.target.value)} />
+          </div>
+          <div>
+            <label>Radarr Movie IDs</label>
+            <input value=${movieIds} placeholder="e.g. 42" onInput=${(event) => setMovieIds(event.target.value)} />
+          </div>
+          ${mode === "run" && html`
+            <div>
+              <label>Mode</label>
+              <select value=${dryRun} onChange=${(event) => setDryRun(event.target.value)}>
+                <option value="">Use DryRun from settings</option>
+                <option value="dry">Dry run (no changes)</option>
+                <option value="live">Live (apply changes)</option>
+              </select>
+            </div>
+          `}
+        </div>
+        <div className="actions">
+          <button className="primary" disabled=${busy || !engines.length} onClick=${start}>
+            ${busy ? "Starting..." : mode === "plan" ? "Create Plan" : "Start Run"}
+          </button>
+          <button className="ghost" onClick=${onClose}>Cancel</button>
+        </div>
+        <p className="help">
+          ${mode === "plan"
+            ? "The engines run in dry-run mode and every change they would make is collected for review."
+            : "These options apply to this run only; your settings files are not changed."}
+        </p>
+      </div>
+    </div>
+  `;
+}
+const HISTORY_PAGE_SIZE = 20;
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return "—";
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const logHref = (log) => `/api/logs/file/${log.kind}/${encodeURIComponent(log.name)}`;
+
+// Runs across several instances list each instance on its own line; otherwise one line per engine.
+function RunSummary({ summary, instances }) {
+  const entries = Object.entries(summary || {}).flatMap(([engine, values]) => {
+    const byInstance = Object.entries(instances?.[engine] || {});
+    return byInstance.length > 1
+      ? byInstance.map(([instance, own]) => [`${engine}:${instance}`, `${ENGINE_LABELS[engine] || engine} (${instance})`, own])
+      : [[engine, ENGINE_LABELS[engine] || engine, values]];
+  });
+  if (!entries.length) return html`<span className="help">No summary</span>`;
+  return html`
+    <div>
+      ${entries.map(([key, label, values]) => html`
+        <div key=${key}>
+          <strong>${label}:</strong>
+          ${" "}${Object.entries(values)
+            .map(([key, value]) => `${key} ${value}`)
+            .join(", ")}
+        </div>
+      `)}
+    </div>
+  `;
+}
+
+function HistoryView() {
+  const [page, setPage] = useState(1);
+  const historyApi = useApi(`/api/runs?page=${page}&pageSize=${HISTORY_PAGE_SIZE}`, { runs: [], total: 0 }, 10000);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const runs = historyApi.data?.runs || [];
+  const totalPages = Math.max(1, Math.ceil((historyApi.data?.total || 0) / HISTORY_PAGE_SIZE));
+  const selected = runs.find((run) => run.id === selectedId);
+
+  return html`
+    <div className="stack">
+      <div className="card">
+        <h2>Run History</h2>
+        <p>Every run started by the schedule, the Run Now button or the API, newest first.</p>
+        ${historyApi.error && html`<p className="warning">${historyApi.error}</p>`}
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Started</th>
+              <th>Trigger</th>
+              <th>Engines</th>
+              <th>Outcome</th>
+              <th>Exit</th>
+              <th>Duration</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${runs.map((run) => html`
+              <tr key=${run.id} className=${run.id === selectedId ? "selected" : ""}>
+                <td>${formatDate(run.startedAt)}</td>
+                <td>${run.trigger}</td>
+                <td>
+                  ${run.engines.map((engine) => ENGINE_LABELS[engine] || engine).join(", ")}
+                  ${run.options && html`<div className="help">${describeRunOptions(run.options)}</div>`}
+                </td>
+                <td><span className=${`pill outcome-${run.outcome}`}>${run.outcome}</span></td>
+                <td>${run.exitCode ?? "—"}</td>
+                <td>${formatDuration(run.durationMs)}</td>
+                <td>
+                  <button className="link" onClick=${() => setSelectedId(run.id === selectedId ? null : run.id)}>
+                    ${run.id === selectedId ? "Hide" : "Details"}
+                  </button>
+                </td>
+              </tr>
+            `)}
+          </tbody>
+        </table>
+        ${!runs.length && html`<p className="help">No runs recorded yet.</p>`}
+        <div className="actions">
+          <button className="ghost" disabled=${page <= 1} onClick=${() => setPage(page - 1)}>Previous</button>
+          <span className="help">Page ${page} of ${totalPages}</span>
+          <button className="ghost" disabled=${page >= totalPages} onClick=${() => setPage(page + 1)}>Next</button>
+        </div>
+      </div>
+      ${selected && html`
+        <div className="card">
+          <h2>Run ${selected.id}</h2>
+          <div className="grid">
+            <div>
+              <label>Started</label>
+              <div>${formatDate(selected.startedAt)}</div>
+            </div>
+            <div>
+              <label>Finished</label>
+              <div>${formatDate(selected.finishedAt)}</div>
+            </div>
+            <div>
+              <label>Steps</label>
+              ${selected.steps.map((step, index) => html`
+                <div key=${index}>
+                  ${ENGINE_LABELS[step.engine] || step.engine}${step.instance ? ` (${step.instance})` : ""}: exit ${step.exitCode ?? "—"}
+                  ${step.signal ? ` (${step.signal})` : ""}${step.error ? ` — ${step.error}` : ""}
+                </div>
+              `)}
+            </div>
+            <div>
+              <label>Logs</label>
+              ${selected.logs.length
+                ? selected.logs.map((log) => html`
+                    <div key=${log.kind + log.name}>
+                      <a href=${logHref(log)} target="_blank" rel="noreferrer">${log.name}</a>
+                      ${log.kind === "error" ? " (errors)" : ""}
+                    </div>
+                  `)
+                : html`<div className="help">No log files were written.</div>`}
+            </div>
+          </div>
+          <label>Summary</label>
+          <${RunSummary} summary=${selected.summary} instances=${selected.instanceSummaries} />
+          ${selected.excluded?.length > 0 &&
+          html`
+            <label>Targets skipped by exclusion rules</label>
+            <ul className="result-list">
+              ${selected.excluded.map((item) => html`
+                <li key=${`${item.engine}:${item.instance}:${item.id}`}>
+                  ${item.title} <span className="help">${ENGINE_LABELS[item.engine]} (${item.instance}) id ${item.id}</span>
+                  ${" "}<span className="pill excluded">Excluded by ${item.exclusion.description}</span>
+                </li>
+              `)}
+            </ul>
+          `}
+        </div>
+      `}
+    </div>
+  `;
+}
+
+const ACTIVITY_PAGE_SIZE = 50;
+const DEFAULT_ACTIVITY_FILTERS = { title: "", engine: "", action: "", from: "", to: "" };
+
+const formatProfileChange = (item) => {
+  if (item.oldProfileId === null) return "—";
+  const label = (name, id) => name || `#${id}`;
+  return `${label(item.oldProfileName, item.oldProfileId)} → ${label(item.newProfileName, item.newProfileId)}`;
+};
+
+function ActivityView() {
+  const [filters, setFilters] = useState(DEFAULT_ACTIVITY_FILTERS);
+  const [page, setPage] = useState(1);
+
+  const query = new URLSearchParams({ page: String(page), pageSize: String(ACTIVITY_PAGE_SIZE) });
+  Object.entries(filters).forEach(([key, value]) => value && query.set(key, value));
+  const actionsApi = useApi(`/api/actions?${query}`, { actions: [], total: 0 });
+
+  const actions = actionsApi.data?.actions || [];
+  const totalPages = Math.max(1, Math.ceil((actionsApi.data?.total || 0) / ACTIVITY_PAGE_SIZE));
+
+  const updateFilter = (key) => (event) => {
+    setFilters((prev) => ({ ...prev, [key]: event.target.value }));
+    setPage(1);
+  };
+
+  return html`
+    <div className="card">
+      <h2>Activity</h2>
+      <p>Every promotion, demotion and root correction the engines have logged, newest first.</p>
+      <div className="grid">
+        <div>
+          <label>Title</label>
+          <input value=${filters.title} placeholder="Filter by title" onInput=${updateFilter("title")} />
+        </div>
+        <div>
+          <label>Engine</label>
+          <select value=${filters.engine} onInput=${updateFilter("engine")}>
+            <option value="">All</option>
+            <option value="sonarr">Sonarr</option>
+            <option value="radarr">Radarr</option>
+          </select>
+        </div>
+        <div>
+          <label>Action</label>
+          <select value=${filters.action} onInput=${updateFilter("action")}>
+            <option value="">All</option>
+            ${Object.entries(VERDICT_LABELS)
+              .filter(([key]) => key !== "stay")
+              .map(([key, label]) => html`<option key=${key} value=${key}>${label}</option>`)}
+          </select>
+        </div>
+        <div>
+          <label>From</label>
+          <input type="date" value=${filters.from} onInput=${updateFilter("from")} />
+        </div>
+        <div>
+          <label>To</label>
+          <input type="date" value=${filters.to} onInput=${updateFilter("to")} />
+        </div>
+      </div>
+      ${actionsApi.data?.error && html`<p className="warning">${actionsApi.data.error}</p>`}
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>Title</th>
+            <th>Action</th>
+            <th>Profile</th>
+            <th>Path</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${actions.map((item) => html`
+            <tr key=${item.id}>
+              <td>${formatDate(item.timestamp)}</td>
+              <td>
+                ${item.itemUrl
+                  ? html`<a href=${item.itemUrl} target="_blank" rel="noreferrer">${item.title}</a>`
+                  : item.title}
+                <div className="help">${ENGINE_LABELS[item.engine]} id ${item.arrId}</div>
+              </td>
+              <td>
+                <span className=${`pill verdict-${item.action}`}>${VERDICT_LABELS[item.action] || item.action}</span>
+                ${item.dryRun && html` <span className="pill">dry run</span>`}
+                ${item.exclusion &&
+                html` <span className="pill excluded" title=${`Excluded by ${item.exclusion.description} since this ran`}>Now excluded</span>`}
+              </td>
+              <td>${formatProfileChange(item)}</td>
+              <td>
+                <div>${item.oldPath || "—"}</div>
+                <div className="help">→ ${item.newPath || "—"}</div>
+              </td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+      ${!actions.length && html`<p className="help">No actions match these filters.</p>`}
+      <div className="actions">
+        <button className="ghost" disabled=${page <= 1} onClick=${() => setPage(page - 1)}>Previous</button>
+        <span className="help">Page ${page} of ${totalPages}</span>
+        <button className="ghost" disabled=${page >= totalPages} onClick=${() => setPage(page + 1)}>Next</button>
+      </div>
+    </div>
+  `;
+}
+
+const LIBRARY_PAGE_SIZE = 100;
+const LIBRARY_QUICK_FILTERS = [
+  { key: "all", label: "All" },
+  { key: "uncovered", label: "Not covered by any Set", test: (row) => row.orphanedProfile },
+  { key: "wrong-root", label: "In wrong root", test: (row) => row.rootMismatch },
+  { key: "incomplete", label: "Incomplete", test: (row) => row.side === "incomplete" },
+  { key: "complete", label: "Complete", test: (row) => row.side === "complete" },
+  { key: "excluded", label: "Excluded", test: (row) => row.exclusion },
+  // Fewest missing aired episodes first; series that will promote next run are not "close", they are done.
+  { key: "closest", label: "Closest to completion", test: (row) => row.side === "incomplete" && row.missingAired > 0, sort: { key: "missingAired", dir: 1 } }
+];
+const LIBRARY_COLUMNS = [
+  { key: "title", label: "Title" },
+  { key: "set", label: "Set" },
+  { key: "side", label: "Side" },
+  { key: "qualityProfileName", label: "Profile" },
+  { key: "missingAired", label: "Missing aired" },
+  { key: "missingPastGrace", label: "Past grace" }
+];
+const SIDE_LABELS = { incomplete: "Incomplete", complete: "Complete" };
+
+const compareLibraryRows = (key, dir) => (a, b) => {
+  const left = a[key];
+  const right = b[key];
+  // Empty values sort last in either direction.
+  if (left === null || left === undefined || left === "") return right === null || right === undefined || right === "" ? 0 : 1;
+  if (right === null || right === undefined || right === "") return -1;
+  const result = typeof left === "number" ? left - right : String(left).localeCompare(String(right));
+  return result * dir || String(a.title).localeCompare(String(b.title));
+};
+
+function LibraryView({ instances }) {
+  const [instance, setInstance] = useState("");
+  const [quick, setQuick] = useState("all");
+  const [search, setSearch] = useState("");
+  const [setFilter, setSetFilter] = useState("");
+  const [sort, setSort] = useState({ key: "title", dir: 1 });
+  const [page, setPage] = useState(1);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const scope = instance ? `?instance=${encodeURIComponent(instance)}` : "";
+  const libraryApi = useApi(`/api/sonarr/library${scope}`, null);
+  const rows = libraryApi.data?.series || [];
+
+  const refresh = async () => {
+    setRefreshing(true);
+    try {
+      const res = await apiFetch(`/api/sonarr/library${scope ? `${scope}&` : "?"}refresh=1`);
+      libraryApi.setData(await res.json().catch(() => ({ error: "Refresh failed." })));
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const quickFilter = LIBRARY_QUICK_FILTERS.find((item) => item.key === quick);
+  const needle = search.trim().toLowerCase();
+  const visible = rows
+    .filter((row) => !quickFilter.test || quickFilter.test(row))
+    .filter((row) => !setFilter || row.set === setFilter)
+    .filter((row) => !needle || String(row.title || "").toLowerCase().includes(needle) || String(row.id) === needle)
+    .sort(compareLibraryRows(sort.key, sort.dir));
+  const totalPages = Math.max(1, Math.ceil(visible.length / LIBRARY_PAGE_SIZE));
+  const pageRows = visible.slice((page - 1) * LIBRARY_PAGE_SIZE, page * LIBRARY_PAGE_SIZE);
+  const setNames = [...new Set(rows.map((row) => row.set).filter(Boolean))].sort();
+
+  const countFor = (item) => (item.test ? rows.filter(item.test).length : rows.length);
+  const pickQuick = (item) => {
+    setQuick(item.key);
+    if (item.sort) setSort(item.sort);
+    setPage(1);
+  };
+  const sortBy = (key) => setSort((prev) => ({ key, dir: prev.key === key ? -prev.dir : 1 }));
+
+  return html`
+    <div className="card">
+      <h2>Library</h2>
+      <p>
+        Every Sonarr series with the Set and side the Series Engine sees it in. Sonarr data is cached for 15 minutes;
+        changes to your Sets apply straight away.
+      </p>
+      <div className="grid">
+        ${instances.length > 1 && html`
+          <div>
+            <label>Instance</label>
+            <select value=${instance} onInput=${(event) => { setInstance(event.target.value); setPage(1); }}>
+              ${instances.map((name, index) => html`<option key=${name} value=${index === 0 ? "" : name}>${name}</option>`)}
+            </select>
+          </div>
+        `}
+        <div>
+          <label>Title</label>
+          <input value=${search} placeholder="Filter by title or id" onInput=${(event) => { setSearch(event.target.value); setPage(1); }} />
+        </div>
+        <div>
+          <label>Set</label>
+          <select value=${setFilter} onInput=${(event) => { setSetFilter(event.target.value); setPage(1); }}>
+            <option value="">All</option>
+            ${setNames.map((name) => html`<option key=${name} value=${name}>${name}</option>`)}
+          </select>
+        </div>
+      </div>
+      <div className="chips">
+        ${LIBRARY_QUICK_FILTERS.map((item) => html`
+          <button key=${item.key} className=${`chip${quick === item.key ? " active" : ""}`} onClick=${() => pickQuick(item)}>
+            ${item.label} (${countFor(item)})
+          </button>
+        `)}
+        <button className="ghost chip-toggle" disabled=${refreshing} onClick=${refresh}>
+          ${refreshing ? "Refreshing…" : "Refresh from Sonarr"}
+        </button>
+      </div>
+      ${libraryApi.data?.error && html`<p className="warning">${libraryApi.data.error}</p>`}
+      ${!libraryApi.data && html`<p className="help">Loading every series and its episodes from Sonarr…</p>`}
+      ${libraryApi.data?.fetchedAt && html`<p className="help">Fetched from Sonarr ${formatDate(libraryApi.data.fetchedAt)}.</p>`}
+      <table className="data-table">
+        <thead>
+          <tr>
+            ${LIBRARY_COLUMNS.map((column) => html`
+              <th key=${column.key}>
+                <button className="link sort-header" onClick=${() => sortBy(column.key)}>
+                  ${column.label}${sort.key === column.key ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+                </button>
+              </th>
+            `)}
+            <th>Flags</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${pageRows.map((row) => html`
+            <tr key=${row.id}>
+              <td>
+                ${row.title}${row.year ? ` (${row.year})` : ""}
+                <div className="help">id ${row.id} · ${row.path}</div>
+              </td>
+              <td>${row.set || "—"}</td>
+              <td>${SIDE_LABELS[row.side] || "—"}</td>
+              <td>${row.qualityProfileName || "—"}</td>
+              <td>${row.missingAired} of ${row.aired}</td>
+              <td>${row.missingPastGrace}</td>
+              <td>
+                ${row.exclusion && html`<span className="pill excluded" title=${row.exclusion.note || ""}>Excluded by ${row.exclusion.description}</span> `}
+                ${row.orphanedProfile && html`<span className="pill verdict-demote">No Set</span> `}
+                ${row.rootMismatch && html`<span className="pill verdict-root-correct" title=${`Expected under ${row.expectedRoot}`}>Wrong root</span> `}
+                ${row.verdict !== "stay" && html`<span className=${`pill verdict-${row.verdict}`}>${VERDICT_LABELS[row.verdict]}</span>`}
+              </td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+      ${libraryApi.data && !libraryApi.data.error && !visible.length && html`<p className="help">No series match these filters.</p>`}
+      <div className="actions">
+        <button className="ghost" disabled=${page <= 1} onClick=${() => setPage(page - 1)}>Previous</button>
+        <span className="help">Page ${page} of ${totalPages} · ${visible.length} series</span>
+        <button className="ghost" disabled=${page >= totalPages} onClick=${() => setPage(page + 1)}>Next</button>
+      </div>
+    </div>
+  `;
+}
+
+const PLAN_KIND_LABELS = {
+  promote: "Promote",
+  demote: "Demote",
+  "root-correct": "Root correction",
+  "episode-monitor": "Episode monitoring"
+};
+const PLAN_KIND_VERDICTS = { promote: "promote", demote: "demote", "root-correct": "root-correct" };
+const PLAN_FIELD_LABELS = { qualityProfileId: "Profile", path: "Path", monitored: "Monitored" };
+
+const formatPlanValue = (field, value, profileName) => {
+  if (value === undefined || value === null) return "—";
+  if (field === "monitored") return value ? "yes" : "no";
+  if (field === "qualityProfileId" && profileName) return `${profileName} (${value})`;
+  return String(value);
+};
+
+function PlansView({ sets }) {
+  const [plans, setPlans] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [approved, setApproved] = useState([]);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [drifted, setDrifted] = useState([]);
+
+  const loadPlans = async () => {
+    const res = await apiFetch("/api/plans");
+    if (res.ok) setPlans(await res.json());
+  };
+
+  useEffect(() => {
+    loadPlans();
+    const timer = setInterval(loadPlans, 5000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const loadPlan = async (id) => {
+    const res = await apiFetch(`/api/plans/${id}`);
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setError(payload.error || "Failed to load plan.");
+      return;
+    }
+    setPlan(payload);
+    if (payload.status === "ready") {
+      // Items excluded since the plan was made start unapproved.
+      setApproved((current) => (current.length ? current : payload.items.filter((item) => !item.exclusion).map((item) => item.itemId)));
+    }
+  };
+
+  useEffect(() => {
+    setPlan(null);
+    setApproved([]);
+    setDrifted([]);
+    setError("");
+    if (selectedId) loadPlan(selectedId);
+  }, [selectedId]);
+
+  // Follow a plan while its dry run is still going.
+  useEffect(() => {
+    if (plan?.status !== "running") return undefined;
+    const timer = setInterval(() => loadPlan(plan.id), 2000);
+    return () => clearInterval(timer);
+  }, [plan?.id, plan?.status]);
+
+  const create = async (options) => {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await apiFetch("/api/plans", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(options)
+      });
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(payload.error || "Failed to create plan.");
+        return;
+      }
+      setDialogOpen(false);
+      loadPlans();
+      setSelectedId(payload.id);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const apply = async () => {
+    if (!window.confirm(`Apply ${approved.length} approved change(s) to your library? Files may be moved.`)) return;
+    setBusy(true);
+    setError("");
+    setDrifted([]);
+    try {
+      const res = await apiFetch(`/api/plans/${plan.id}/apply`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ itemIds: approved })
+      });
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(payload.error || "Failed to apply plan.");
+        setDrifted(payload.drifted || []);
+        return;
+      }
+      setPlan(payload.plan);
+      loadPlans();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = (itemId) =>
+    setApproved(approved.includes(itemId) ? approved.filter((id) => id !== itemId) : [...approved, itemId]);
+  const resultOf = (itemId) => plan?.results?.find((result) => result.itemId === itemId);
+  const editable = plan?.status === "ready";
+
+  return html`
+    <div className="stack">
+      <div className="card">
+        <h2>Plans</h2>
+        <p>A plan runs the engines in dry-run mode and collects every change they would make. Review it, untick what you do not want, then apply the rest.</p>
+        <div className="actions">
+          <button className="primary" onClick=${() => setDialogOpen(true)}>New Plan</button>
+        </div>
+        ${error && !plan && html`<p className="warning">${error}</p>`}
+        ${plans.length
+          ? html`
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Created</th>
+                    <th>Engines</th>
+                    <th>Status</th>
+                    <th>Changes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${plans.map((item) => html`
+                    <tr key=${item.id} className=${item.id === selectedId ? "selected" : ""} onClick=${() => setSelectedId(item.id)}>
+                      <td>${formatDate(item.createdAt)}</td>
+                      <td>${item.engines.map((engine) => ENGINE_LABELS[engine] || engine).join(", ")}</td>
+                      <td><span className=${`pill plan-${item.status}`}>${item.status}</span></td>
+                      <td>
+                        ${Object.entries(item.counts)
+                          .filter(([, count]) => count)
+                          .map(([kind, count]) => `${count} ${PLAN_KIND_LABELS[kind].toLowerCase()}`)
+                          .join(", ") || (item.status === "running" ? "…" : "none")}
+                      </td>
+                    </tr>
+                  `)}
+                </tbody>
+              </table>
+            `
+          : html`<p className="help">No plans yet.</p>`}
+      </div>
+      ${plan && html`
+        <div className="card">
+          <h2>Plan from ${formatDate(plan.createdAt)}</h2>
+          ${plan.status === "running" && html`<p className="help">The dry run is still going…</p>`}
+          ${plan.error && html`<p className="warning">${plan.error}</p>`}
+          ${plan.appliedAt && html`<p className="help">Applied ${formatDate(plan.appliedAt)}.</p>`}
+          ${plan.status !== "running" && !plan.items.length && html`<p className="help">Nothing to change.</p>`}
+          ${plan.items.length > 0 && html`
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>
+                    ${editable && html`
+                      <input
+                        type="checkbox"
+                        checked=${approved.length === plan.items.length}
+                        onChange=${(event) => setApproved(event.target.checked ? plan.items.map((item) => item.itemId) : [])}
+                      />
+                    `}
+                  </th>
+                  <th>Change</th>
+                  <th>Item</th>
+                  <th>Before</th>
+                  <th>After</th>
+                  ${plan.results && html`<th>Result</th>`}
+                </tr>
+              </thead>
+              <tbody>
+                ${plan.items.map((item) => html`
+                  <tr key=${item.itemId}>
+                    <td>
+                      ${editable
+                        ? html`<input type="checkbox" checked=${approved.includes(item.itemId)} onChange=${() => toggle(item.itemId)} />`
+                        : resultOf(item.itemId) ? "✓" : ""}
+                    </td>
+                    <td><span className=${`pill verdict-${PLAN_KIND_VERDICTS[item.kind] || "none"}`}>${PLAN_KIND_LABELS[item.kind]}</span></td>
+                    <td>
+                      ${item.title}
+                      <div className="help">${ENGINE_LABELS[item.engine]}${item.instance ? ` (${item.instance})` : ""} ${item.itemType} ${item.id}</div>
+                      ${item.exclusion && html`<span className="pill excluded" title=${item.exclusion.note || ""}>Excluded by ${item.exclusion.description}</span>`}
+                    </td>
+                    <td>
+                      ${Object.keys(item.to).map((field) => html`
+                        <div key=${field} className="diff-line diff-remove">${PLAN_FIELD_LABELS[field] || field}: ${formatPlanValue(field, item.from[field], item.profileNames?.from)}</div>
+                      `)}
+                    </td>
+                    <td>
+                      ${Object.keys(item.to).map((field) => html`
+                        <div key=${field} className="diff-line diff-add">${PLAN_FIELD_LABELS[field] || field}: ${formatPlanValue(field, item.to[field], item.profileNames?.to)}</div>
+                      `)}
+                    </td>
+                    ${plan.results && html`
+                      <td>
+                        ${resultOf(item.itemId)
+                          ? resultOf(item.itemId).ok
+                            ? html`<span className="pill outcome-success">applied</span>`
+                            : html`<span className="pill outcome-failed" title=${resultOf(item.itemId).error}>failed</span>`
+                          : html`<span className="help">skipped</span>`}
+                      </td>
+                    `}
+                  </tr>
+                `)}
+              </tbody>
+            </table>
+          `}
+          ${editable && plan.items.length > 0 && html`
+            <div className="actions">
+              <button className="primary" disabled=${busy || !approved.length} onClick=${apply}>
+                ${busy ? "Applying..." : `Apply ${approved.length} of ${plan.items.length}`}
+              </button>
+            </div>
+          `}
+          ${error && html`<p className="warning">${error}</p>`}
+          ${drifted.length > 0 && html`
+            <ul className="help warning">
+              ${drifted.map((item) => html`<li key=${item.itemId}>${item.title}: ${item.reason}</li>`)}
+            </ul>
+          `}
+        </div>
+      `}
+      ${dialogOpen && html`
+        <${RunOptionsDialog} mode="plan" sets=${sets} busy=${busy} onRun=${create} onClose=${() => setDialogOpen(false)} />
+      `}
+    </div>
+  `;
+}
+
+const LOG_LEVELS = ["DEBUG", "INFO", "SUCCESS", "WARNING", "ERROR", "PROMOTION", "DEMOTION", "FILE", "OTHER"];
+const LOG_ROW_HEIGHT = 18;
+const LOG_VIEW_HEIGHT = 480;
+const LOG_BLOCK_SIZE = 200;
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
+
+const logApiPath = (log) => `/api/logs/${log.kind}/${encodeURIComponent(log.name)}`;
+
+// Only the rows in view (plus some overscan) are rendered; lines are fetched in blocks as you scroll.
+function LogViewer({ log }) {
+  const [levels, setLevels] = useState(LOG_LEVELS);
+  const [total, setTotal] = useState(0);
+  const [blocks, setBlocks] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [highlight, setHighlight] = useState(null);
+  const [search, setSearch] = useState({ q: "", regex: false });
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState("");
+  const viewRef = useRef(null);
+  const loading = useRef(new Set());
+  const pendingScroll = useRef(null);
+
+  const filtered = levels.length !== LOG_LEVELS.length;
+  const sourceKey = `${log.kind}/${log.name}|${filtered ? levels.join(",") : ""}`;
+
+  useEffect(() => {
+    setBlocks({});
+    setTotal(0);
+    loading.current = new Set();
+    if (viewRef.current) viewRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [sourceKey]);
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / LOG_ROW_HEIGHT) - 20);
+  const lastRow = Math.min(Math.max(total, 1), Math.ceil((scrollTop + LOG_VIEW_HEIGHT) / LOG_ROW_HEIGHT) + 20);
+
+  useEffect(() => {
+    for (let block = Math.floor(firstRow / LOG_BLOCK_SIZE); block <= Math.floor(lastRow / LOG_BLOCK_SIZE); block += 1) {
+      const key = `${sourceKey}#${block}`;
+      if (blocks[block] || loading.current.has(key)) continue;
+      loading.current.add(key);
+      const query = new URLSearchParams({ offset: String(block * LOG_BLOCK_SIZE), limit: String(LOG_BLOCK_SIZE) });
+      if (filtered) query.set("levels", levels.join(","));
+      apiFetch(`${logApiPath(log)}?${query}`)
+        .then((res) => res.json())
+        .then((payload) => {
+          if (!loading.current.has(key)) return;
+          if (payload.error) {
+            setError(payload.error);
+            return;
+          }
+          setTotal(payload.total);
+          setBlocks((prev) => ({ ...prev, [block]: payload.lines }));
+        })
+        .catch((err) => setError(err.message));
+    }
+  }, [sourceKey, firstRow, lastRow, blocks]);
+
+  const toggleLevel = (level) =>
+    setLevels((prev) => (prev.includes(level) ? prev.filter((item) => item !== level) : [...prev, level]));
+
+  const applyPendingScroll = () => {
+    const number = pendingScroll.current;
+    if (number && viewRef.current && total >= number) {
+      pendingScroll.current = null;
+      viewRef.current.scrollTop = Math.max(0, (number - 1) * LOG_ROW_HEIGHT - LOG_VIEW_HEIGHT / 3);
+    }
+  };
+
+  // Line numbers only map to rows in the unfiltered view, so jumps clear the level filter first.
+  const scrollToLine = (number) => {
+    setHighlight(number);
+    pendingScroll.current = number;
+    if (filtered) {
+      setLevels(LOG_LEVELS);
+    } else {
+      applyPendingScroll();
+    }
+  };
+
+  useEffect(applyPendingScroll, [total]);
+
+  // With a level filter on, rows are not line numbers, so the search starts from the line shown in the top row.
+  const topLineNumber = () => {
+    const row = Math.floor(scrollTop / LOG_ROW_HEIGHT);
+    const line = blocks[Math.floor(row / LOG_BLOCK_SIZE)]?.[row % LOG_BLOCK_SIZE];
+    return line ? line.number : filtered ? 1 : row + 1;
+  };
+
+  const jumpToNextError = async () => {
+    const fromLine = highlight ? highlight + 1 : topLineNumber();
+    try {
+      const res = await apiFetch(`${logApiPath(log)}/search?level=ERROR&maxMatches=1&fromLine=${fromLine}`);
+      const payload = await res.json();
+      if (!res.ok) {
+        setError(payload.error || "Search failed.");
+      } else if (!payload.matches.length) {
+        setError("No more errors after this point.");
+      } else {
+        setError("");
+        scrollToLine(payload.matches[0].number);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runSearch = async (event) => {
+    event.preventDefault();
+    if (!search.q) {
+      setResults(null);
+      return;
+    }
+    const query = new URLSearchParams({ q: search.q, context: "2" });
+    if (search.regex) query.set("regex", "1");
+    try {
+      const res = await apiFetch(`${logApiPath(log)}/search?${query}`);
+      const payload = await res.json();
+      if (!res.ok) {
+        setError(payload.error || "Search failed.");
+        setResults(null);
+        return;
+      }
+      setError("");
+      setResults(payload);
+    } catch (err) {
+      setError(err.message);
+      setResults(null);
+    }
+  };
+
+  const rows = [];
+  for (let row = firstRow; row < Math.min(lastRow, total); row += 1) {
+    const line = blocks[Math.floor(row / LOG_BLOCK_SIZE)]?.[row % LOG_BLOCK_SIZE];
+    const level = (line?.level || "OTHER").toLowerCase();
+    rows.push(html`
+      <div
+        key=${row}
+        className=${`log-row console-line level-${level} ${line && line.number === highlight ? "highlight" : ""}`}
+        style=${{ top: row * LOG_ROW_HEIGHT }}
+      >
+        <span className="log-number">${line ? line.number : ""}</span>${line ? line.text : "…"}
+      </div>
+    `);
+  }
+
+  return html`
+    <div className="card">
+      <h2>${log.name}</h2>
+      <div className="chips">
+        ${LOG_LEVELS.map((level) => html`
+          <button
+            key=${level}
+            className=${`chip level-${level.toLowerCase()} ${levels.includes(level) ? "active" : ""}`}
+            onClick=${() => toggleLevel(level)}
+          >
+            ${level}
+          </button>
+        `)}
+        <button className="ghost" onClick=${jumpToNextError}>Jump to next ERROR</button>
+        <a className="ghost" href=${`/api/logs/file/${log.kind}/${encodeURIComponent(log.name)}?download=1`}>Download</a>
+      </div>
+      <form className="log-search" onSubmit=${runSearch}>
+        <input
+          value=${search.q}
+          placeholder="Search this log"
+          onInput=${(event) => setSearch({ ...search, q: event.target.value })}
+        />
+        <label className="chip-toggle">
+          <input type="checkbox" checked=${search.regex} onChange=${(event) => setSearch({ ...search, regex: event.target.checked })} />
+          Regex
+        </label>
+        <button className="primary" type="submit">Search</button>
+      </form>
+      ${error && html`<p className="warning">${error}</p>`}
+      ${results && html`
+        <div className="result-list">
+          <div className="help">${results.matches.length}${results.truncated ? "+" : ""} matches</div>
+          ${results.matches.map((match) => html`
+            <button key=${match.number} className="link log-match" onClick=${() => scrollToLine(match.number)}>
+              ${[...match.before, match, ...match.after].map((line) => html`
+                <div key=${line.number} className=${line.number === match.number ? "" : "help"}>${line.number}: ${line.text}</div>
+              `)}
+            </button>
+          `)}
+        </div>
+      `}
+      <div
+        className="console log-view"
+        ref=${viewRef}
+        style=${{ height: LOG_VIEW_HEIGHT }}
+        onScroll=${(event) => setScrollTop(event.target.scrollTop)}
+      >
+        <div style=${{ height: total * LOG_ROW_HEIGHT, position: "relative" }}>${rows}</div>
+      </div>
+      <div className="help">${total} ${filtered ? "matching " : ""}lines</div>
+    </div>
+  `;
+}
+
+function LogsView() {
+  const logsApi = useApi("/api/logs", [], 15000);
+  const [selected, setSelected] = useState(null);
+  const logs = Array.isArray(logsApi.data) ? logsApi.data : [];
+  const current = logs.find((log) => selected && log.kind === selected.kind && log.name === selected.name);
+
+  return html`
+    <div className="stack">
+      <div className="card">
+        <h2>Logs</h2>
+        <p>Full logs and error-only logs written by the engines, newest first.</p>
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Engine</th>
+              <th>Type</th>
+              <th>Time</th>
+              <th>Size</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${logs.map((log) => html`
+              <tr key=${`${log.kind}/${log.name}`} className=${current === log ? "selected" : ""}>
+                <td><button className="link" onClick=${() => setSelected(log)}>${log.name}</button></td>
+                <td>${ENGINE_LABELS[log.engine] || "—"}</td>
+                <td>${log.kind === "error" ? "Errors" : "Full"}</td>
+                <td>${formatDate(log.timestamp)}</td>
+                <td>${formatBytes(log.size)}</td>
+              </tr>
+            `)}
+          </tbody>
+        </table>
+        ${!logs.length && html`<p className="help">No log files yet.</p>`}
+      </div>
+      ${current && html`<${LogViewer} key=${`${current.kind}/${current.name}`} log=${current} />`}
+    </div>
+  `;
+}
+
+// savedCount changes after each save so the list picks up the backup that save created.
+function SettingsBackupsCard({ engine, savedCount, onRestored }) {
+  const [restoredCount, setRestoredCount] = useState(0);
+  const backupsApi = useApi(`/api/settings/${engine}/backups?v=${savedCount}-${restoredCount}`, []);
+  const [selected, setSelected] = useState(null);
+  const [status, setStatus] = useState("");
+
+  const backups = Array.isArray(backupsApi.data) ? backupsApi.data : [];
+
+  const showDiff = async (backup) => {
+    if (selected?.id === backup.id) {
+      setSelected(null);
+      return;
+    }
+    const res = await apiFetch(`/api/settings/${engine}/backups/${encodeURIComponent(backup.id)}`);
+    const payload = await res.json();
+    if (!res.ok) {
+      setStatus(payload.error || "Failed to load backup.");
+      return;
+    }
+    setStatus("");
+    setSelected(payload);
+  };
+
+  const restore = async (backup) => {
+    if (!window.confirm(`Restore the backup from ${formatDate(backup.createdAt)}? The current file is backed up first.`)) return;
+    const res = await apiFetch(`/api/settings/${engine}/restore/${encodeURIComponent(backup.id)}`, { method: "POST" });
+    const payload = await res.json();
+    if (!res.ok) {
+      setStatus(payload.error || "Restore failed.");
+      return;
+    }
+    setSelected(null);
+    setStatus(`Restored backup from ${formatDate(backup.createdAt)}.`);
+    setRestoredCount((value) => value + 1);
+    onRestored(payload.data);
+  };
+
+  const changed = selected ? selected.diff.filter((line) => line.type !== "same").length : 0;
+
+  return html`
+    <div className="card">
+      <h2>Backups</h2>
+      <p>A copy of the settings file is kept before every save or restore. Diffs show what changed since the backup.</p>
+      ${status && html`<p className="help">${status}</p>`}
+      ${backups.length
+        ? html`
+            <table className="data-table">
+              <tbody>
+                ${backups.map((backup) => html`
+                  <tr key=${backup.id} className=${selected?.id === backup.id ? "selected" : ""}>
+                    <td>${formatDate(backup.createdAt)}</td>
+                    <td>${formatBytes(backup.size)}</td>
+                    <td>
+                      <button className="link" onClick=${() => showDiff(backup)}>${selected?.id === backup.id ? "Hide diff" : "Diff"}</button>
+                      ${" · "}
+                      <button className="link" onClick=${() => restore(backup)}>Restore</button>
+                    </td>
+                  </tr>
+                `)}
+              </tbody>
+            </table>
+          `
+        : html`<p className="help">No backups yet. One is created the first time you save.</p>`}
+      ${selected && html`
+        <div className="help">${changed ? `${changed} changed lines` : "Identical to the current file."}</div>
+        <div className="console diff">
+          ${selected.diff.map((line, index) => html`
+            <div key=${index} className=${`diff-line diff-${line.type}`}>
+              ${line.type === "add" ? "+ " : line.type === "remove" ? "- " : "  "}${line.text}
+            </div>
+          `)}
+        </div>
+      `}
+    </div>
+  `;
+}
+
+function App({ session, onLogout, setupPending, onOpenSetup }) {
+  const [view, setView] = useState("home");
+  const [message, setMessage] = useState({ text: "", tone: "success" });
+  const [runNowBusy, setRunNowBusy] = useState(false);
+  const [runOptionsOpen, setRunOptionsOpen] = useState(false);
+  const [settingsErrors, setSettingsErrors] = useState({ sonarr: {}, radarr: {} });
+  const [savedCount, setSavedCount] = useState(0);
+  const [instanceTab, setInstanceTab] = useState({ sonarr: 0, radarr: 0 });
+  const [dragSet, setDragSet] = useState(null);
+  const [suggestionsOpen, setSuggestionsOpen] = useState(false);
+
+  const statusApi = useApi("/api/status", DEFAULT_STATUS, 5000);
+  const sonarrApi = useApi("/api/settings/sonarr", {});
+  const radarrApi = useApi("/api/settings/radarr", {});
+  const instancesApi = useApi(`/api/instances?v=${savedCount}`, { sonarr: [], radarr: [] });
+
+  const sonarrInstances = instancesOf(sonarrApi.data, "Sonarr");
+  const radarrInstances = instancesOf(radarrApi.data, "Radarr");
+  const sonarrInstance = sonarrInstances[Math.min(instanceTab.sonarr, sonarrInstances.length - 1)];
+  const radarrInstance = radarrInstances[Math.min(instanceTab.radarr, radarrInstances.length - 1)];
+  // Profiles and root folders come from the saved instance at the same position; a new one has none until saved.
+  const savedSonarr = instancesApi.data?.sonarr?.[sonarrInstance.index];
+  const savedRadarr = instancesApi.data?.radarr?.[radarrInstance.index];
+  const sonarrOptionsApi = useApi(savedSonarr ? `/api/options/sonarr/${encodeURIComponent(savedSonarr.name)}` : null, DEFAULT_OPTIONS);
+  const radarrOptionsApi = useApi(savedRadarr ? `/api/options/radarr/${encodeURIComponent(savedRadarr.name)}` : null, DEFAULT_OPTIONS);
+  const aboutApi = useApi("/api/about", { content: "" });
+  const weeklyStatsApi = useApi("/api/stats/weekly", { radarr: [], sonarr: [] });
+
+  const handleInput = (setter, path) => (event) => {
+    const value = event.target.type === "number" ? Number(event.target.value) : event.target.value;
+    setter((prev) => {
+      const next = JSON.parse(JSON.stringify(prev || {}));
+      const keys = path.split(".");
+      let cursor = next;
+      keys.slice(0, -1).forEach((key) => {
+        if (!cursor[key]) cursor[key] = {};
+        cursor = cursor[key];
+      });
+      cursor[keys[keys.length - 1]] = value;
+      return next;
+    });
+  };
+
+  const toggleValue = (setter, path) => () => {
+    setter((prev) => {
+      const next = JSON.parse(JSON.stringify(prev || {}));
+      const keys = path.split(".");
+      let cursor = next;
+      keys.slice(0, -1).forEach((key) => {
+        if (!cursor[key]) cursor[key] = {};
+        cursor = cursor[key];
+      });
+      const lastKey = keys[keys.length - 1];
+      cursor[lastKey] = !cursor[lastKey];
+      return next;
+    });
+  };
+
+  // Going live is the one toggle that lets the engines change the library, so it asks first.
+  const changeDryRun = (setter, type) => (val) => {
+    if (!val && !window.confirm(`Turn Dry Run off? Once saved, ${type} runs change profiles and move files in your library.`)) return;
+    handleInput(setter, "Behavior.DryRun")({ target: { value: val } });
+  };
+
+  const notify = (text, tone = "success") => {
+    setMessage({ text, tone });
+    setTimeout(() => setMessage({ text: "", tone: "success" }), tone === "success" ? 3000 : 6000);
+  };
+
+  const invalidClass = (engine, key) => (settingsErrors[engine]?.[key] ? "invalid" : "");
+  const fieldError = (engine, key) =>
+    settingsErrors[engine]?.[key] ? html`<div className="help warning">${settingsErrors[engine][key]}</div>` : null;
+
+  const reportValidation = (engine, label, body, okText) => {
+    const errors = body.errors || {};
+    setSettingsErrors((prev) => ({ ...prev, [engine]: errors }));
+    const count = Object.keys(errors).length;
+    const text = count ? `${label}: ${count} field${count === 1 ? "" : "s"} need attention.` : okText;
+    notify(body.warning ? `${text} ${body.warning}` : text, count ? "warning" : "success");
+  };
+
+  const saveSettings = async (path, payload, label) => {
+    const engine = path.split("/").pop();
+    const res = await apiFetch(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    const body = await res.json().catch(() => ({}));
+    if (res.ok) setSavedCount((value) => value + 1);
+    reportValidation(engine, `${label} not saved`, body, `${label} saved successfully.`);
+  };
+
+  // Checks Set/mapping profile names and root folders against the live instance without saving.
+  const validateAgainstArr = async (engine, payload, label) => {
+    const res = await apiFetch(`/api/settings/${engine}/validate?deep=1`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    const body = await res.json().catch(() => ({}));
+    reportValidation(engine, label, body, `${label}: everything checks out.`);
+  };
+
+  const ValidationSummary = (engine) => {
+    const entries = Object.entries(settingsErrors[engine] || {});
+    if (!entries.length) return null;
+    return html`
+      <div className="card">
+        <h2>Fix these before saving</h2>
+        <ul className="warning">
+          ${entries.map(([key, text]) => html`<li key=${key}><code>${key || "(file)"}</code> — ${text}</li>`)}
+        </ul>
+      </div>
+    `;
+  };
+
+  const addSet = () => {
+    sonarrApi.setData((prev) => {
+      const next = JSON.parse(JSON.stringify(prev || {}));
+      if (!next.Sets) next.Sets = [];
+      next.Sets.push({
+        "Media Type": "",
+        "Incomplete Profile Name": "",
+        "Incomplete Root Folder": "",
+        "Complete Profile Name": "",
+        "Complete Root Folder": "",
+        ...(sonarrInstance.index > 0 ? { Instance: sonarrInstance.name } : {})
+      });
+      return next;
+    });
+  };
+
+  // Errors are keyed by Set position, so any change to the order clears them until the next check or save.
+  const editSets = (change) => {
+    sonarrApi.setData((prev) => {
+      const next = JSON.parse(JSON.stringify(prev || {}));
+      next.Sets = change(next.Sets || []);
+      return next;
+    });
+    setSettingsErrors((prev) => ({ ...prev, sonarr: {} }));
+  };
+
+  const removeSet = (index) => {
+    if (!window.confirm(`Remove ${setLabel(sets[index], index)}? Nothing changes until you save.`)) return;
+    editSets((list) => list.filter((item, position) => position !== index));
+  };
+
+  const duplicateSet = (index) =>
+    editSets((list) => {
+      const copy = { ...list[index], "Media Type": `${String(list[index]["Media Type"] || "").trim() || "Set"} (copy)` };
+      return [...list.slice(0, index + 1), copy, ...list.slice(index + 1)];
+    });
+
+  const moveSet = (from, to) => {
+    if (from === null || from === to) return;
+    editSets((list) => {
+      const next = [...list];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  const addSuggestedSets = (suggested) => {
+    editSets((list) => [...list, ...suggested.map((set) => (sonarrInstance.index > 0 ? { ...set, Instance: sonarrInstance.name } : set))]);
+    setSuggestionsOpen(false);
+    notify(`${suggested.length} Set${suggested.length === 1 ? "" : "s"} added. Review before saving.`);
+  };
+
+  // The first extra instance turns the single mapping into a list, with the existing connection first.
+  const addInstance = (engine, type, setter, count) => {
+    setter((prev) => {
+      const next = JSON.parse(JSON.stringify(prev || {}));
+      const list = Array.isArray(next[type]) ? next[type] : [{ Name: "Default", ...(next[type] || {}) }];
+      list.push({ Name: `${type} ${list.length + 1}`, Url: "", ApiKey: "" });
+      next[type] = list;
+      return next;
+    });
+    setInstanceTab((prev) => ({ ...prev, [engine]: count }));
+  };
+
+  // Sets that still name a removed instance are left alone; validation points them out.
+  const removeInstance = (engine, type, setter, instance) => {
+    if (!window.confirm(`Remove the ${type} instance "${instance.name}" from the settings?`)) return;
+    setter((prev) => {
+      const next = JSON.parse(JSON.stringify(prev || {}));
+      next[type].splice(instance.index, 1);
+      if (next[type].length === 1) next[type] = next[type][0];
+      return next;
+    });
+    setInstanceTab((prev) => ({ ...prev, [engine]: 0 }));
+  };
+
+  // Sets follow their instance through a rename.
+  const renameInstance = (setter, instance) => (event) => {
+    const value = event.target.value;
+    setter((prev) => {
+      const next = JSON.parse(JSON.stringify(prev || {}));
+      const [type, index] = instance.path.split(".");
+      const previous = next[type][Number(index)].Name;
+      next[type][Number(index)].Name = value;
+      (next.Sets || []).forEach((set) => {
+        if (set && set.Instance === previous) set.Instance = value;
+      });
+      return next;
+    });
+  };
+
+  const InstanceTabs = (engine, type, instances, current, setter, saved) => html`
+    <div className="chips">
+      ${instances.map((instance) => html`
+        <button
+          key=${instance.index}
+          className=${`chip ${instance.index === current.index ? "active" : ""}`}
+          onClick=${() => setInstanceTab((prev) => ({ ...prev, [engine]: instance.index }))}
+        >
+          ${instance.name}
+        </button>
+      `)}
+      <button className="chip" onClick=${() => addInstance(engine, type, setter, instances.length)}>+ Add Instance</button>
+    </div>
+    ${instances.length > 1 && html`
+      <p className="help">
+        Connection${engine === "sonarr" ? " and Sets" : " and profile mappings"} are per instance; behavior and move verification apply to every instance.
+      </p>
+    `}
+    ${!saved && instancesApi.data?.[engine]?.length > 0 && html`<p className="help">Save the settings to load this instance's quality profiles and root folders.</p>`}
+  `;
+
+  const sets = sonarrApi.data?.Sets || [];
+  const setConflicts = findSetConflicts(sets, sonarrInstances).filter((conflict) => conflict.sets.some((index) => setBelongsTo(sets[index], sonarrInstance)));
+  const usedSetProfiles = sets
+    .filter((set) => setBelongsTo(set, sonarrInstance))
+    .flatMap((set) => [set["Incomplete Profile Name"], set["Complete Profile Name"]])
+    .map((profile) => String(profile || "").trim().toLowerCase())
+    .filter(Boolean);
+  const setStatus = (set, index) => {
+    const own = setConflicts.filter((conflict) => conflict.sets.includes(index));
+    if (own.some((conflict) => conflict.severity === "error")) return SET_STATUS.conflict;
+    if (Object.keys(settingsErrors.sonarr || {}).some((key) => key === `Sets.${index}` || key.startsWith(`Sets.${index}.`))) return SET_STATUS.invalid;
+    if (SET_FIELDS.some((field) => !String(set?.[field] || "").trim())) return SET_STATUS.unfinished;
+    return own.length ? SET_STATUS.warning : SET_STATUS.valid;
+  };
+  const sonarrOptions = savedSonarr ? sonarrOptionsApi.data : DEFAULT_OPTIONS;
+  const radarrOptions = savedRadarr ? radarrOptionsApi.data : DEFAULT_OPTIONS;
+  const sonarrProfiles = sonarrOptions?.profiles || [];
+  const sonarrRoots = sonarrOptions?.rootFolders || [];
+  const radarrProfiles = radarrOptions?.profiles || [];
+  const radarrRoots = radarrOptions?.rootFolders || [];
+  // The primary instance uses FilmEngine.ProfileRootMappings unless its list entry has mappings of its own.
+  const radarrMappingsPath =
+    radarrInstance.index > 0 || radarrInstance.connection.ProfileRootMappings !== undefined
+      ? `${radarrInstance.path}.ProfileRootMappings`
+      : "FilmEngine.ProfileRootMappings";
+  const radarrMappings = radarrMappingsPath.split(".").reduce((cursor, key) => cursor?.[key], radarrApi.data) || {};
+  const sharedLogging = sonarrApi.data?.Logging || {};
+  const sonarrMoveVerify = sonarrApi.data?.Behavior?.MoveVerification || {};
+  const radarrMoveVerify = radarrApi.data?.Behavior?.MoveVerification || {};
+  const weeklyRadarr = weeklyStatsApi.data?.radarr || [];
+  const weeklySonarr = weeklyStatsApi.data?.sonarr || [];
+  const latestRadarr = weeklyRadarr[0]?.summary || {};
+  const latestSonarr = weeklySonarr[0]?.summary || {};
+
+  const isRunning = statusApi.data.status === "running";
+
+  const runNow = async (options) => {
+    if (isRunning || runNowBusy) return;
+    setRunNowBusy(true);
+    try {
+      const res = await apiFetch("/api/run-now", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-CompleteARR-Client": "ui" },
+        body: JSON.stringify(options || {})
+      });
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        notify(payload.error || "Failed to start run.", "warning");
+      } else {
+        setRunOptionsOpen(false);
+        const started = options ? `Run started (${payload.engines.map((engine) => ENGINE_LABELS[engine]).join(", ")}).` : "Run started.";
+        const excluded = payload.excluded || [];
+        if (excluded.length) {
+          notify(`${started} Excluded, so the engine will skip: ${excluded.map((item) => item.title).join(", ")}.`, "warning");
+        } else {
+          notify(started);
+        }
+      }
+    } finally {
+      setRunNowBusy(false);
+    }
+  };
+
+  const weeklySummary = useMemo(() => {
+    const combine = (items, keys) => {
+      const total = {};
+      keys.forEach((key) => (total[key] = 0));
+      items.forEach((item) => {
+        keys.forEach((key) => {
+          const value = Number(item?.summary?.[key] ?? 0);
+          if (!Number.isNaN(value)) {
+            total[key] += value;
+          }
+        });
+      });
+      return total;
+    };
+
+    return {
+      radarr: combine(weeklyRadarr, ["moviesChecked", "moviesSkipped", "rootCorrections", "errors"]),
+      sonarr: combine(weeklySonarr, ["seriesChecked", "promotions", "demotions", "rootCorrections", "errors"])
+    };
+  }, [weeklyRadarr, weeklySonarr]);
+
+  const content = useMemo(() => {
+    if (view === "home") {
+      return html`
+        <div className="stack">
+          <div className="card">
+            <h2>Welcome</h2>
+            <p>Use the tabs above to configure Sonarr, Radarr, and shared settings. Changes are saved to your YAML files.</p>
+            ${setupPending && html`
+              <p className="warning">
+                Setup is not finished, so scheduled runs are paused.${" "}
+                <button className="link" onClick=${onOpenSetup}>Open the setup wizard</button>
+              </p>
+            `}
+          </div>
+          <div className="card">
+            <h2>Run Status</h2>
+            <div className="grid">
+              <div>
+                <label>Status</label>
+                <div className=${`pill ${statusApi.data.status === "running" ? "success" : ""}`}>${statusApi.data.status}</div>
+              </div>
+              <div>
+                <label>Last Started</label>
+                <div>${formatDate(statusApi.data.startedAt)}</div>
+              </div>
+              <div>
+                <label>Last Finished</label>
+                <div>${formatDate(statusApi.data.finishedAt)}</div>
+              </div>
+              <div>
+                <label>Next Run</label>
+                <div>${formatDate(statusApi.data.nextRun)}</div>
               </div>
             </div>
             <div className="actions">
-              <button className="primary" disabled=${isRunning || runNowBusy} onClick=${runNow}>
-                ${isRunning ? "Running" : runNowBusy ? "Starting..." : "Run Now"}
-              </button>
+              <div className="split-button">
+                <button className="primary" disabled=${isRunning || runNowBusy} onClick=${() => runNow()}>
+                  ${isRunning ? "Running" : runNowBusy ? "Starting..." : "Run Now"}
+                </button>
+                <button className="primary" title="Run with options" disabled=${isRunning || runNowBusy} onClick=${() => setRunOptionsOpen(true)}>▾</button>
+              </div>
             </div>
-            <p className="help">Run the full CompleteARR suite immediately (FetchInfo + Radarr + Sonarr). While a run is active the button is disabled.</p>
+            <p className="help">Run the full CompleteARR suite immediately (FetchInfo + Radarr + Sonarr), or use ▾ to pick engines, Sets, single items and dry-run mode for one run. While a run is active the buttons are disabled.</p>
+            ${runOptionsOpen && html`
+              <${RunOptionsDialog}
+                sets=${(sonarrApi.data?.Sets || []).map((set) => set?.["Media Type"]).filter(Boolean)}
+                busy=${runNowBusy}
+                onRun=${runNow}
+                onClose=${() => setRunOptionsOpen(false)}
+              />
+            `}
           </div>
+          <${LiveConsole} />
+          <${ScheduleCard} />
           <div className="card">
             <h2>Last Run Summary</h2>
             <div className="grid">
@@ -262,7 +2479,11 @@ function App() {
                 <div>${latestSonarr.errors ?? 0}</div>
               </div>
             </div>
-            <p className="help">Latest run summary is pulled from the most recent log file.</p>
+            <p className="help">
+              Latest run summary is pulled from the most recent log file${sonarrInstances.length > 1 || radarrInstances.length > 1
+                ? ` (Radarr: ${weeklyRadarr[0]?.instance || "—"}, Sonarr: ${weeklySonarr[0]?.instance || "—"})`
+                : ""}.
+            </p>
           </div>
           <div className="card">
             <h2>7-Day Activity Summary</h2>
@@ -306,6 +2527,7 @@ function App() {
             </div>
             <p className="help">Totals are aggregated from the last 7 days of CompleteARR logs.</p>
           </div>
+          <${StatsCard} />
         </div>
       `;
     }
@@ -313,21 +2535,53 @@ function App() {
     if (view === "sonarr") {
       return html`
         <div className="stack">
+          ${InstanceTabs("sonarr", "Sonarr", sonarrInstances, sonarrInstance, sonarrApi.setData, savedSonarr)}
           <div className="card">
-            <h2>Sonarr Connection</h2>
+            <h2>Sonarr Connection${sonarrInstances.length > 1 ? ` — ${sonarrInstance.name}` : ""}</h2>
             <div className="grid">
+              ${sonarrInstance.path !== "Sonarr" && html`
+                <div>
+                  <label>Instance Name</label>
+                  <input
+                    className=${invalidClass("sonarr", `${sonarrInstance.path}.Name`)}
+                    value=${sonarrInstance.connection.Name || ""}
+                    onInput=${renameInstance(sonarrApi.setData, sonarrInstance)}
+                  />
+                  ${fieldError("sonarr", `${sonarrInstance.path}.Name`)}
+                  <div className="help">Labels this instance in run summaries and stats, and is added to its log file names.</div>
+                </div>
+              `}
               <div>
                 <label>Sonarr URL</label>
-                <input value=${sonarrApi.data?.Sonarr?.Url || ""} onInput=${handleInput(sonarrApi.setData, "Sonarr.Url")} />
+                <input
+                  className=${invalidClass("sonarr", `${sonarrInstance.path}.Url`)}
+                  value=${sonarrInstance.connection.Url || ""}
+                  onInput=${handleInput(sonarrApi.setData, `${sonarrInstance.path}.Url`)}
+                />
+                ${fieldError("sonarr", `${sonarrInstance.path}.Url`)}
                 <div className="help">Base URL for your Sonarr instance (no trailing slash).</div>
               </div>
               <div>
                 <label>Sonarr API Key</label>
-                <input value=${sonarrApi.data?.Sonarr?.ApiKey || ""} onInput=${handleInput(sonarrApi.setData, "Sonarr.ApiKey")} />
-                <div className="help">Find this in Sonarr → Settings → General.</div>
+                <input
+                  type=${secretInputType(sonarrInstance.connection.ApiKey)}
+                  autoComplete="off"
+                  className=${invalidClass("sonarr", `${sonarrInstance.path}.ApiKey`)}
+                  value=${sonarrInstance.connection.ApiKey || ""}
+                  onInput=${handleInput(sonarrApi.setData, `${sonarrInstance.path}.ApiKey`)}
+                />
+                ${fieldError("sonarr", `${sonarrInstance.path}.ApiKey`)}
+                <div className="help">Find this in Sonarr → Settings → General. Saved keys stay hidden; use <code>${"${env:VAR}"}</code> or <code>file:/path</code> to keep the key out of the settings file.</div>
               </div>
             </div>
+            <${ConnectionTest} engine="sonarr" connection=${sonarrInstance.connection} instance=${savedSonarr?.name} />
+            ${sonarrInstance.index > 0 && html`
+              <div className="actions">
+                <button className="ghost" onClick=${() => removeInstance("sonarr", "Sonarr", sonarrApi.setData, sonarrInstance)}>Remove Instance</button>
+              </div>
+            `}
           </div>
+          <${ExplainSeriesCard} instance=${savedSonarr?.name ?? sonarrInstance.name} />
           <div className="card">
             <h2>Sonarr Behavior</h2>
             <div className="grid">
@@ -335,21 +2589,24 @@ function App() {
                 label: "Dry Run",
                 description: "When enabled, no changes are sent to Sonarr. Use this to test safely.",
                 value: sonarrApi.data?.Behavior?.DryRun,
-                onChange: (val) => handleInput(sonarrApi.setData, "Behavior.DryRun")({ target: { value: val } })
+                onChange: changeDryRun(sonarrApi.setData, "Sonarr")
               })}
               <div>
                 <label>Grace Days</label>
-                <input type="number" value=${sonarrApi.data?.Behavior?.GraceDays ?? 15} onInput=${handleInput(sonarrApi.setData, "Behavior.GraceDays")} />
+                <input className=${invalidClass("sonarr", "Behavior.GraceDays")} type="number" value=${sonarrApi.data?.Behavior?.GraceDays ?? 15} onInput=${handleInput(sonarrApi.setData, "Behavior.GraceDays")} />
+                ${fieldError("sonarr", "Behavior.GraceDays")}
                 <div className="help">Days after air date before a show is considered incomplete.</div>
               </div>
               <div>
                 <label>Preflight Seconds</label>
-                <input type="number" value=${sonarrApi.data?.Behavior?.PreflightSeconds ?? 0} onInput=${handleInput(sonarrApi.setData, "Behavior.PreflightSeconds")} />
+                <input className=${invalidClass("sonarr", "Behavior.PreflightSeconds")} type="number" value=${sonarrApi.data?.Behavior?.PreflightSeconds ?? 0} onInput=${handleInput(sonarrApi.setData, "Behavior.PreflightSeconds")} />
+                ${fieldError("sonarr", "Behavior.PreflightSeconds")}
                 <div className="help">Delay before starting work (useful for throttling on startup).</div>
               </div>
               <div>
                 <label>Post Move Wait</label>
-                <input type="number" value=${sonarrApi.data?.Behavior?.PostMoveWaitSeconds ?? 2} onInput=${handleInput(sonarrApi.setData, "Behavior.PostMoveWaitSeconds")} />
+                <input className=${invalidClass("sonarr", "Behavior.PostMoveWaitSeconds")} type="number" value=${sonarrApi.data?.Behavior?.PostMoveWaitSeconds ?? 2} onInput=${handleInput(sonarrApi.setData, "Behavior.PostMoveWaitSeconds")} />
+                ${fieldError("sonarr", "Behavior.PostMoveWaitSeconds")}
                 <div className="help">Wait time after a move to let Sonarr settle.</div>
               </div>
               ${Toggle({
@@ -371,299 +2628,1603 @@ function App() {
                 onChange: (val) => handleInput(sonarrApi.setData, "Behavior.MonitorSpecialsWhenComplete")({ target: { value: val } })
               })}
               ${Toggle({
-                label: "Specials Do Not Block Completion",
-                description: "Ignore specials when deciding if a show is complete.",
-                value: sonarrApi.data?.Behavior?.SpecialsDoNotBlockCompletion,
-                onChange: (val) => handleInput(sonarrApi.setData, "Behavior.SpecialsDoNotBlockCompletion")({ target: { value: val } })
+                label: "Specials Do Not Block Completion",
+                description: "Ignore specials when deciding if a show is complete.",
+                value: sonarrApi.data?.Behavior?.SpecialsDoNotBlockCompletion,
+                onChange: (val) => handleInput(sonarrApi.setData, "Behavior.SpecialsDoNotBlockCompletion")({ target: { value: val } })
+              })}
+            </div>
+          </div>
+          <div className="card">
+            <h2>Sonarr Move Verification</h2>
+            <div className="grid">
+              ${Toggle({
+                label: "Enable Verification",
+                description: "Verify move operations after Sonarr updates.",
+                value: sonarrMoveVerify.MoveVerifyEnabled,
+                onChange: (val) => handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyEnabled")({ target: { value: val } })
+              })}
+              <div>
+                <label>Mode</label>
+                <select className=${invalidClass("sonarr", "Behavior.MoveVerification.MoveVerifyMode")} value=${sonarrMoveVerify.MoveVerifyMode || "sonarr"} onInput=${handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyMode")}>
+                  ${["sonarr", "filesystem", "both"].map((mode) => html`<option key=${mode} value=${mode}>${mode}</option>`)}
+                </select>
+                ${fieldError("sonarr", "Behavior.MoveVerification.MoveVerifyMode")}
+              </div>
+              <div>
+                <label>Retries</label>
+                <input className=${invalidClass("sonarr", "Behavior.MoveVerification.MoveVerifyRetries")} type="number" value=${sonarrMoveVerify.MoveVerifyRetries ?? 3} onInput=${handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyRetries")} />
+                ${fieldError("sonarr", "Behavior.MoveVerification.MoveVerifyRetries")}
+              </div>
+              <div>
+                <label>Delay (sec)</label>
+                <input className=${invalidClass("sonarr", "Behavior.MoveVerification.MoveVerifyDelaySeconds")} type="number" value=${sonarrMoveVerify.MoveVerifyDelaySeconds ?? 5} onInput=${handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyDelaySeconds")} />
+                ${fieldError("sonarr", "Behavior.MoveVerification.MoveVerifyDelaySeconds")}
+              </div>
+              <div>
+                <label>Backoff (sec)</label>
+                <input className=${invalidClass("sonarr", "Behavior.MoveVerification.MoveVerifyBackoffSeconds")} type="number" value=${sonarrMoveVerify.MoveVerifyBackoffSeconds ?? 2} onInput=${handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyBackoffSeconds")} />
+                ${fieldError("sonarr", "Behavior.MoveVerification.MoveVerifyBackoffSeconds")}
+              </div>
+              ${Toggle({
+                label: "Reattempt Move",
+                description: "Retry the move if verification fails.",
+                value: sonarrMoveVerify.MoveVerifyReattemptMove,
+                onChange: (val) => handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyReattemptMove")({ target: { value: val } })
+              })}
+              ${Toggle({
+                label: "Revert On Failure",
+                description: "Revert to the original path if verification fails.",
+                value: sonarrMoveVerify.MoveVerifyRevertOnFailure,
+                onChange: (val) => handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyRevertOnFailure")({ target: { value: val } })
+              })}
+            </div>
+          </div>
+          ${setConflicts.length > 0 &&
+          html`
+            <div className="card">
+              <h2>Set Conflicts</h2>
+              <ul className="result-list">
+                ${setConflicts.map((conflict, position) => html`
+                  <li key=${position} className=${conflict.severity === "error" ? "warning" : ""}>
+                    <span className=${`pill outcome-${conflict.severity === "error" ? "failed" : "stopped"}`}>${conflict.severity}</span>
+                    ${" "}${conflict.message}
+                  </li>
+                `)}
+              </ul>
+              <p className="help">Errors stop the settings from saving; warnings are worth a look but the engine copes with them.</p>
+            </div>
+          `}
+          ${sets.length > 1 && html`<p className="help">Drag a Set by its title to reorder. The engine processes Sets from top to bottom.</p>`}
+          ${sets.map((set, index) => setBelongsTo(set, sonarrInstance) && html`
+            <div
+              className=${`card set-card${dragSet === index ? " dragging" : ""}`}
+              key=${`set-${index}`}
+              onDragOver=${(event) => dragSet !== null && event.preventDefault()}
+              onDrop=${(event) => {
+                event.preventDefault();
+                moveSet(dragSet, index);
+                setDragSet(null);
+              }}
+            >
+              <div className="set-header">
+                <h2
+                  draggable="true"
+                  title="Drag to reorder"
+                  onDragStart=${(event) => {
+                    event.dataTransfer.effectAllowed = "move";
+                    event.dataTransfer.setData("text/plain", String(index));
+                    setDragSet(index);
+                  }}
+                  onDragEnd=${() => setDragSet(null)}
+                >
+                  ⠿ Set ${index + 1}
+                </h2>
+                <span className=${`pill outcome-${setStatus(set, index).tone}`}>${setStatus(set, index).label}</span>
+                <div className="set-actions">
+                  <button className="link" onClick=${() => duplicateSet(index)}>Duplicate</button>
+                  ${" · "}
+                  <button className="link" onClick=${() => removeSet(index)}>Remove</button>
+                </div>
+              </div>
+              <div className="grid">
+                <div>
+                  <label>Set Name (Media Type)</label>
+                  <input className=${invalidClass("sonarr", `Sets.${index}.Media Type`)} value=${set["Media Type"] || ""} onInput=${handleInput(sonarrApi.setData, `Sets.${index}.Media Type`)} />
+                  ${fieldError("sonarr", `Sets.${index}.Media Type`)}
+                </div>
+                <div>
+                  <label>Incomplete Profile Name</label>
+                  <select className=${invalidClass("sonarr", `Sets.${index}.Incomplete Profile Name`)} value=${set["Incomplete Profile Name"] || ""} onInput=${handleInput(sonarrApi.setData, `Sets.${index}.Incomplete Profile Name`)}>
+                    <option value="">Select a profile</option>
+                    ${sonarrProfiles.map((profile) => html`<option key=${profile} value=${profile}>${profile}</option>`)}
+                  </select>
+                  ${fieldError("sonarr", `Sets.${index}.Incomplete Profile Name`)}
+                </div>
+                <div>
+                  <label>Incomplete Root Folder</label>
+                  <select className=${invalidClass("sonarr", `Sets.${index}.Incomplete Root Folder`)} value=${set["Incomplete Root Folder"] || ""} onInput=${handleInput(sonarrApi.setData, `Sets.${index}.Incomplete Root Folder`)}>
+                    <option value="">Select a root</option>
+                    ${sonarrRoots.map((root) => html`<option key=${root} value=${root}>${root}</option>`)}
+                  </select>
+                  ${fieldError("sonarr", `Sets.${index}.Incomplete Root Folder`)}
+                </div>
+                <div>
+                  <label>Complete Profile Name</label>
+                  <select className=${invalidClass("sonarr", `Sets.${index}.Complete Profile Name`)} value=${set["Complete Profile Name"] || ""} onInput=${handleInput(sonarrApi.setData, `Sets.${index}.Complete Profile Name`)}>
+                    <option value="">Select a profile</option>
+                    ${sonarrProfiles.map((profile) => html`<option key=${profile} value=${profile}>${profile}</option>`)}
+                  </select>
+                  ${fieldError("sonarr", `Sets.${index}.Complete Profile Name`)}
+                </div>
+                <div>
+                  <label>Complete Root Folder</label>
+                  <select className=${invalidClass("sonarr", `Sets.${index}.Complete Root Folder`)} value=${set["Complete Root Folder"] || ""} onInput=${handleInput(sonarrApi.setData, `Sets.${index}.Complete Root Folder`)}>
+                    <option value="">Select a root</option>
+                    ${sonarrRoots.map((root) => html`<option key=${root} value=${root}>${root}</option>`)}
+                  </select>
+                  ${fieldError("sonarr", `Sets.${index}.Complete Root Folder`)}
+                </div>
+                ${sonarrInstances.length > 1 && html`
+                  <div>
+                    <label>Instance</label>
+                    <select
+                      className=${invalidClass("sonarr", `Sets.${index}.Instance`)}
+                      value=${set.Instance || sonarrInstances[0].name}
+                      onInput=${handleInput(sonarrApi.setData, `Sets.${index}.Instance`)}
+                    >
+                      ${sonarrInstances.map((instance) => html`<option key=${instance.index} value=${instance.name}>${instance.name}</option>`)}
+                    </select>
+                    ${fieldError("sonarr", `Sets.${index}.Instance`)}
+                  </div>
+                `}
+              </div>
+            </div>
+          `)}
+          <${ExclusionsCard}
+            engine="sonarr"
+            instance=${savedSonarr?.name}
+            instances=${sonarrInstances.map((instance) => instance.name)}
+            onSaved=${(rules) => sonarrApi.setData((prev) => ({ ...prev, Exclusions: rules }))}
+          />
+          ${ValidationSummary("sonarr")}
+          <${SettingsBackupsCard} engine="sonarr" savedCount=${savedCount} onRestored=${(data) => sonarrApi.setData(data)} />
+          <div className="actions">
+            <button className="ghost" onClick=${addSet}>+ Add Set</button>
+            <button className="ghost" disabled=${!savedSonarr} onClick=${() => setSuggestionsOpen(true)}>Auto-suggest Sets</button>
+            <button className="ghost" onClick=${() => validateAgainstArr("sonarr", sonarrApi.data, "Sonarr settings")}>Check Against Sonarr</button>
+            <button className="primary" onClick=${() => saveSettings("/api/settings/sonarr", sonarrApi.data, "Sonarr settings")}>Save Sonarr Settings</button>
+          </div>
+          ${suggestionsOpen &&
+          html`
+            <${SetSuggestionsDialog}
+              instance=${savedSonarr?.name}
+              usedProfiles=${usedSetProfiles}
+              onAdd=${addSuggestedSets}
+              onClose=${() => setSuggestionsOpen(false)}
+            />
+          `}
+        </div>
+      `;
+    }
+
+    if (view === "radarr") {
+      return html`
+        <div className="stack">
+          ${InstanceTabs("radarr", "Radarr", radarrInstances, radarrInstance, radarrApi.setData, savedRadarr)}
+          <div className="card">
+            <h2>Radarr Connection${radarrInstances.length > 1 ? ` — ${radarrInstance.name}` : ""}</h2>
+            <div className="grid">
+              ${radarrInstance.path !== "Radarr" && html`
+                <div>
+                  <label>Instance Name</label>
+                  <input
+                    className=${invalidClass("radarr", `${radarrInstance.path}.Name`)}
+                    value=${radarrInstance.connection.Name || ""}
+                    onInput=${renameInstance(radarrApi.setData, radarrInstance)}
+                  />
+                  ${fieldError("radarr", `${radarrInstance.path}.Name`)}
+                  <div className="help">Labels this instance in run summaries and stats, and is added to its log file names.</div>
+                </div>
+              `}
+              <div>
+                <label>Radarr URL</label>
+                <input
+                  className=${invalidClass("radarr", `${radarrInstance.path}.Url`)}
+                  value=${radarrInstance.connection.Url || ""}
+                  onInput=${handleInput(radarrApi.setData, `${radarrInstance.path}.Url`)}
+                />
+                ${fieldError("radarr", `${radarrInstance.path}.Url`)}
+                <div className="help">Base URL for your Radarr instance (no trailing slash).</div>
+              </div>
+              <div>
+                <label>Radarr API Key</label>
+                <input
+                  type=${secretInputType(radarrInstance.connection.ApiKey)}
+                  autoComplete="off"
+                  className=${invalidClass("radarr", `${radarrInstance.path}.ApiKey`)}
+                  value=${radarrInstance.connection.ApiKey || ""}
+                  onInput=${handleInput(radarrApi.setData, `${radarrInstance.path}.ApiKey`)}
+                />
+                ${fieldError("radarr", `${radarrInstance.path}.ApiKey`)}
+                <div className="help">Find this in Radarr → Settings → General. Saved keys stay hidden; use <code>${"${env:VAR}"}</code> or <code>file:/path</code> to keep the key out of the settings file.</div>
+              </div>
+            </div>
+            <${ConnectionTest} engine="radarr" connection=${radarrInstance.connection} instance=${savedRadarr?.name} />
+            ${radarrInstance.index > 0 && html`
+              <div className="actions">
+                <button className="ghost" onClick=${() => removeInstance("radarr", "Radarr", radarrApi.setData, radarrInstance)}>Remove Instance</button>
+              </div>
+            `}
+          </div>
+          <div className="card">
+            <h2>Radarr Behavior</h2>
+            <div className="grid">
+              ${Toggle({
+                label: "Dry Run",
+                description: "When enabled, no changes are sent to Radarr. Use this to test safely.",
+                value: radarrApi.data?.Behavior?.DryRun,
+                onChange: changeDryRun(radarrApi.setData, "Radarr")
               })}
+              <div>
+                <label>Preflight Seconds</label>
+                <input className=${invalidClass("radarr", "Behavior.PreflightSeconds")} type="number" value=${radarrApi.data?.Behavior?.PreflightSeconds ?? 0} onInput=${handleInput(radarrApi.setData, "Behavior.PreflightSeconds")} />
+                ${fieldError("radarr", "Behavior.PreflightSeconds")}
+                <div className="help">Delay before starting work (useful for throttling on startup).</div>
+              </div>
+              <div>
+                <label>Post Move Wait</label>
+                <input className=${invalidClass("radarr", "Behavior.PostMoveWaitSeconds")} type="number" value=${radarrApi.data?.Behavior?.PostMoveWaitSeconds ?? 0} onInput=${handleInput(radarrApi.setData, "Behavior.PostMoveWaitSeconds")} />
+                ${fieldError("radarr", "Behavior.PostMoveWaitSeconds")}
+                <div className="help">Wait time after a move to let Radarr settle.</div>
+              </div>
             </div>
           </div>
           <div className="card">
-            <h2>Sonarr Move Verification</h2>
+            <h2>Radarr Move Verification</h2>
             <div className="grid">
               ${Toggle({
                 label: "Enable Verification",
-                description: "Verify move operations after Sonarr updates.",
-                value: sonarrMoveVerify.MoveVerifyEnabled,
-                onChange: (val) => handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyEnabled")({ target: { value: val } })
+                description: "Verify move operations after Radarr updates.",
+                value: radarrMoveVerify.MoveVerifyEnabled,
+                onChange: (val) => handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyEnabled")({ target: { value: val } })
               })}
               <div>
                 <label>Mode</label>
-                <select value=${sonarrMoveVerify.MoveVerifyMode || "sonarr"} onInput=${handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyMode")}>
-                  ${["sonarr", "filesystem", "both"].map((mode) => html`<option key=${mode} value=${mode}>${mode}</option>`)}
+                <select className=${invalidClass("radarr", "Behavior.MoveVerification.MoveVerifyMode")} value=${radarrMoveVerify.MoveVerifyMode || "radarr"} onInput=${handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyMode")}>
+                  ${["radarr", "filesystem", "both"].map((mode) => html`<option key=${mode} value=${mode}>${mode}</option>`)}
                 </select>
+                ${fieldError("radarr", "Behavior.MoveVerification.MoveVerifyMode")}
               </div>
               <div>
                 <label>Retries</label>
-                <input type="number" value=${sonarrMoveVerify.MoveVerifyRetries ?? 3} onInput=${handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyRetries")} />
+                <input className=${invalidClass("radarr", "Behavior.MoveVerification.MoveVerifyRetries")} type="number" value=${radarrMoveVerify.MoveVerifyRetries ?? 3} onInput=${handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyRetries")} />
+                ${fieldError("radarr", "Behavior.MoveVerification.MoveVerifyRetries")}
               </div>
               <div>
                 <label>Delay (sec)</label>
-                <input type="number" value=${sonarrMoveVerify.MoveVerifyDelaySeconds ?? 5} onInput=${handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyDelaySeconds")} />
+                <input className=${invalidClass("radarr", "Behavior.MoveVerification.MoveVerifyDelaySeconds")} type="number" value=${radarrMoveVerify.MoveVerifyDelaySeconds ?? 5} onInput=${handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyDelaySeconds")} />
+                ${fieldError("radarr", "Behavior.MoveVerification.MoveVerifyDelaySeconds")}
               </div>
               <div>
                 <label>Backoff (sec)</label>
-                <input type="number" value=${sonarrMoveVerify.MoveVerifyBackoffSeconds ?? 2} onInput=${handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyBackoffSeconds")} />
+                <input className=${invalidClass("radarr", "Behavior.MoveVerification.MoveVerifyBackoffSeconds")} type="number" value=${radarrMoveVerify.MoveVerifyBackoffSeconds ?? 2} onInput=${handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyBackoffSeconds")} />
+                ${fieldError("radarr", "Behavior.MoveVerification.MoveVerifyBackoffSeconds")}
               </div>
               ${Toggle({
                 label: "Reattempt Move",
                 description: "Retry the move if verification fails.",
-                value: sonarrMoveVerify.MoveVerifyReattemptMove,
-                onChange: (val) => handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyReattemptMove")({ target: { value: val } })
+                value: radarrMoveVerify.MoveVerifyReattemptMove,
+                onChange: (val) => handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyReattemptMove")({ target: { value: val } })
               })}
               ${Toggle({
                 label: "Revert On Failure",
                 description: "Revert to the original path if verification fails.",
-                value: sonarrMoveVerify.MoveVerifyRevertOnFailure,
-                onChange: (val) => handleInput(sonarrApi.setData, "Behavior.MoveVerification.MoveVerifyRevertOnFailure")({ target: { value: val } })
+                value: radarrMoveVerify.MoveVerifyRevertOnFailure,
+                onChange: (val) => handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyRevertOnFailure")({ target: { value: val } })
               })}
             </div>
           </div>
-          ${sets.map((set, index) => html`
-            <div className="card" key=${`set-${index}`}>
-              <h2>Set ${index + 1}</h2>
-              <div className="grid">
-                <div>
-                  <label>Set Name (Media Type)</label>
-                  <input value=${set["Media Type"] || ""} onInput=${handleInput(sonarrApi.setData, `Sets.${index}.Media Type`)} />
-                </div>
-                <div>
-                  <label>Incomplete Profile Name</label>
-                  <select value=${set["Incomplete Profile Name"] || ""} onInput=${handleInput(sonarrApi.setData, `Sets.${index}.Incomplete Profile Name`)}>
-                    <option value="">Select a profile</option>
-                    ${sonarrProfiles.map((profile) => html`<option key=${profile} value=${profile}>${profile}</option>`)}
-                  </select>
-                </div>
-                <div>
-                  <label>Incomplete Root Folder</label>
-                  <select value=${set["Incomplete Root Folder"] || ""} onInput=${handleInput(sonarrApi.setData, `Sets.${index}.Incomplete Root Folder`)}>
-                    <option value="">Select a root</option>
-                    ${sonarrRoots.map((root) => html`<option key=${root} value=${root}>${root}</option>`)}
-                  </select>
-                </div>
-                <div>
-                  <label>Complete Profile Name</label>
-                  <select value=${set["Complete Profile Name"] || ""} onInput=${handleInput(sonarrApi.setData, `Sets.${index}.Complete Profile Name`)}>
-                    <option value="">Select a profile</option>
-                    ${sonarrProfiles.map((profile) => html`<option key=${profile} value=${profile}>${profile}</option>`)}
-                  </select>
-                </div>
-                <div>
-                  <label>Complete Root Folder</label>
-                  <select value=${set["Complete Root Folder"] || ""} onInput=${handleInput(sonarrApi.setData, `Sets.${index}.Complete Root Folder`)}>
-                    <option value="">Select a root</option>
-                    ${sonarrRoots.map((root) => html`<option key=${root} value=${root}>${root}</option>`)}
-                  </select>
+          <div className="card">
+            <h2>Profile → Root Folder Mappings${radarrInstances.length > 1 ? ` — ${radarrInstance.name}` : ""}</h2>
+            <p>Choose the correct root folder for each Radarr quality profile.</p>
+            <div className="mapping-grid">
+              ${radarrProfiles.map((profile) => html`
+                <div className="mapping-card" key=${profile}>
+                  <div className="mapping-header">${profile}</div>
+                  <div className="mapping-body">
+                    <label>Root Folder</label>
+                    <select
+                      className=${invalidClass("radarr", `${radarrMappingsPath}.${profile}`)}
+                      value=${radarrMappings[profile] || ""}
+                      onInput=${handleInput(radarrApi.setData, `${radarrMappingsPath}.${profile}`)}
+                    >
+                      <option value="">Select a root</option>
+                      ${radarrRoots.map((root) => html`<option key=${root} value=${root}>${root}</option>`)}
+                    </select>
+                    ${fieldError("radarr", `${radarrMappingsPath}.${profile}`)}
+                  </div>
                 </div>
-              </div>
+              `)}
             </div>
-          `)}
+          </div>
+          <${RadarrAuditCard} key=${radarrInstance.name} instance=${savedRadarr?.name ?? radarrInstance.name} />
+          <${ExclusionsCard}
+            engine="radarr"
+            instance=${savedRadarr?.name}
+            instances=${radarrInstances.map((instance) => instance.name)}
+            onSaved=${(rules) => radarrApi.setData((prev) => ({ ...prev, Exclusions: rules }))}
+          />
+          ${ValidationSummary("radarr")}
+          <${SettingsBackupsCard} engine="radarr" savedCount=${savedCount} onRestored=${(data) => radarrApi.setData(data)} />
           <div className="actions">
-            <button className="ghost" onClick=${addSet}>+ Add Set</button>
-            <button className="primary" onClick=${() => saveSettings("/api/settings/sonarr", sonarrApi.data, "Sonarr settings")}>Save Sonarr Settings</button>
+            <button className="ghost" onClick=${() => validateAgainstArr("radarr", radarrApi.data, "Radarr settings")}>Check Against Radarr</button>
+            <button className="primary" onClick=${() => saveSettings("/api/settings/radarr", radarrApi.data, "Radarr settings")}>Save Radarr Settings</button>
           </div>
         </div>
       `;
     }
 
-    if (view === "radarr") {
+    if (view === "shared") {
       return html`
         <div className="stack">
           <div className="card">
-            <h2>Radarr Connection</h2>
+            <h2>Shared Settings</h2>
+            <p>These settings apply to both Sonarr and Radarr. Update them here and then save.</p>
             <div className="grid">
               <div>
-                <label>Radarr URL</label>
-                <input value=${radarrApi.data?.Radarr?.Url || ""} onInput=${handleInput(radarrApi.setData, "Radarr.Url")} />
-                <div className="help">Base URL for your Radarr instance (no trailing slash).</div>
+                <label>Logs Root</label>
+                <input className=${invalidClass("sonarr", "Logging.LogsRoot")} value=${sharedLogging.LogsRoot || "/app/CompleteARR_Logs"} onInput=${handleInput(sonarrApi.setData, "Logging.LogsRoot")} />
+                ${fieldError("sonarr", "Logging.LogsRoot")}
+                <div className="help">Base folder for logs. Full logs go into “Full Logs”, error-only logs into “Error Logs”.</div>
               </div>
               <div>
-                <label>Radarr API Key</label>
-                <input value=${radarrApi.data?.Radarr?.ApiKey || ""} onInput=${handleInput(radarrApi.setData, "Radarr.ApiKey")} />
-                <div className="help">Find this in Radarr → Settings → General.</div>
+                <label>Log File Name</label>
+                <input className=${invalidClass("sonarr", "Logging.LogFileName")} value=${sharedLogging.LogFileName || "CompleteARR.log"} onInput=${handleInput(sonarrApi.setData, "Logging.LogFileName")} />
+                ${fieldError("sonarr", "Logging.LogFileName")}
+                <div className="help">Base name for all log files (timestamps are appended).</div>
               </div>
+              <div>
+                <label>Minimum Log Level</label>
+                <select className=${invalidClass("sonarr", "Logging.MinLevel")} value=${sharedLogging.MinLevel || "Debug"} onInput=${handleInput(sonarrApi.setData, "Logging.MinLevel")}>
+                  ${["Debug", "Info", "Warning", "Error", "Success"].map((level) => html`<option key=${level} value=${level}>${level}</option>`)}
+                </select>
+                ${fieldError("sonarr", "Logging.MinLevel")}
+                <div className="help">Controls the verbosity of logging output.</div>
+              </div>
+              <div>
+                <label>Throttle (ms)</label>
+                <input className=${invalidClass("sonarr", "Logging.ThrottleMs")} type="number" value=${sharedLogging.ThrottleMs ?? 200} onInput=${handleInput(sonarrApi.setData, "Logging.ThrottleMs")} />
+                ${fieldError("sonarr", "Logging.ThrottleMs")}
+                <div className="help">Delay between API calls to avoid overwhelming Sonarr/Radarr.</div>
+              </div>
+              ${Toggle({
+                label: "Log to Console",
+                description: "Write colored logs to the console output.",
+                value: sharedLogging.LogToConsole,
+                onChange: (val) => handleInput(sonarrApi.setData, "Logging.LogToConsole")({ target: { value: val } })
+              })}
+              ${Toggle({
+                label: "Log to File",
+                description: "Write detailed logs to the CompleteARR_Logs folder.",
+                value: sharedLogging.LogToFile,
+                onChange: (val) => handleInput(sonarrApi.setData, "Logging.LogToFile")({ target: { value: val } })
+              })}
+              ${Toggle({
+                label: "Use Colors",
+                description: "Enable colored log output in the console.",
+                value: sharedLogging.UseColors,
+                onChange: (val) => handleInput(sonarrApi.setData, "Logging.UseColors")({ target: { value: val } })
+              })}
+            </div>
+            <div className="actions">
+              <button
+                className="primary"
+                onClick=${() => Promise.all([
+                  saveSettings("/api/settings/sonarr", sonarrApi.data, "Shared settings"),
+                  // Keep Radarr Logging in sync as well.
+                  saveSettings(
+                    "/api/settings/radarr",
+                    (() => {
+                      const next = JSON.parse(JSON.stringify(radarrApi.data || {}));
+                      next.Logging = { ...(next.Logging || {}), ...(sonarrApi.data?.Logging || {}) };
+                      return next;
+                    })(),
+                    "Shared settings"
+                  )
+                ])}
+              >
+                Save Shared Settings
+              </button>
             </div>
           </div>
-          <div className="card">
-            <h2>Radarr Behavior</h2>
+          <${AccessCard} session=${session} />
+          <${WebhooksCard} />
+          <${NotificationsCard} />
+          <${LogRetentionCard} />
+        </div>
+      `;
+    }
+
+    if (view === "history") {
+      return html`<${HistoryView} />`;
+    }
+
+    if (view === "activity") {
+      return html`<${ActivityView} />`;
+    }
+
+    if (view === "library") {
+      return html`<${LibraryView} instances=${sonarrInstances.map((instance) => instance.name)} />`;
+    }
+
+    if (view === "logs") {
+      return html`<${LogsView} />`;
+    }
+
+    if (view === "plans") {
+      return html`<${PlansView} sets=${(sonarrApi.data?.Sets || []).map((set) => set?.["Media Type"]).filter(Boolean)} />`;
+    }
+
+    return html`
+      <div className="card about-card">
+        <h2>About CompleteARR</h2>
+        <textarea className="about-text" readOnly value=${aboutApi.data?.content || "README not loaded."}></textarea>
+      </div>
+    `;
+  }, [
+    view,
+    statusApi.data,
+    sonarrApi.data,
+    radarrApi.data,
+    sonarrOptionsApi.data,
+    radarrOptionsApi.data,
+    instancesApi.data,
+    instanceTab,
+    sharedLogging,
+    radarrMappings,
+    weeklyRadarr,
+    weeklySonarr,
+    weeklySummary,
+    settingsErrors,
+    savedCount,
+    session,
+    runNowBusy,
+    runOptionsOpen,
+    setupPending
+  ]);
+
+  return html`
+    <div className="stack">
+      <header>
+        <div className="brand">
+          <img className="brand-logo" src="/logo-header.png" alt="CompleteARR" />
+        </div>
+        <nav>
+          ${NAV_ITEMS.map((item) => html`
+            <button key=${item.key} className=${view === item.key ? "active" : ""} onClick=${() => setView(item.key)}>
+              ${item.label}
+            </button>
+          `)}
+          ${session.via === "session" && html`<button onClick=${onLogout}>Log Out</button>`}
+        </nav>
+      </header>
+      <main>
+        ${message.text && html`<div className="card"><p className=${message.tone}>${message.text}</p></div>`}
+        ${content}
+      </main>
+    </div>
+  `;
+}
+
+const STATS_RANGES = [
+  { key: "24h", label: "24h", ms: 24 * 60 * 60 * 1000, bucket: "hour" },
+  { key: "7d", label: "7d", ms: 7 * 24 * 60 * 60 * 1000, bucket: "day" },
+  { key: "30d", label: "30d", ms: 30 * 24 * 60 * 60 * 1000, bucket: "day" },
+  { key: "90d", label: "90d", ms: 90 * 24 * 60 * 60 * 1000, bucket: "week" },
+  { key: "custom", label: "Custom" }
+];
+
+const STATS_SERIES = [
+  { key: "promotions", label: "Promotions", color: "#6effb6" },
+  { key: "demotions", label: "Demotions", color: "#ffcc73" },
+  { key: "rootCorrections", label: "Root Corrections", color: "#91b4ff" },
+  { key: "errors", label: "Errors", color: "#ff7a7a" }
+];
+
+// datetime-local inputs want local "YYYY-MM-DDTHH:mm".
+const toLocalInput = (ms) => {
+  const date = new Date(ms - new Date(ms).getTimezoneOffset() * 60000);
+  return date.toISOString().slice(0, 16);
+};
+
+function StatsChart({ stats }) {
+  const width = 800;
+  const height = 220;
+  const pad = { top: 12, right: 12, bottom: 24, left: 36 };
+  const count = stats.buckets.length;
+  // Each plotted line is the sum over the engines in the response.
+  const lines = STATS_SERIES.map((series) => ({
+    ...series,
+    values: stats.buckets.map((_, index) =>
+      Object.values(stats.series).reduce((total, engine) => total + (engine[series.key]?.[index] || 0), 0)
+    )
+  }));
+  const max = Math.max(1, ...lines.flatMap((line) => line.values));
+  const x = (index) => pad.left + (count > 1 ? (index / (count - 1)) * (width - pad.left - pad.right) : (width - pad.left - pad.right) / 2);
+  const y = (value) => pad.top + (1 - value / max) * (height - pad.top - pad.bottom);
+  const labelFor = (iso) =>
+    stats.bucket === "hour" ? new Date(iso).toLocaleString([], { day: "numeric", hour: "2-digit", minute: "2-digit" }) : new Date(iso).toLocaleDateString();
+  const slot = (width - pad.left - pad.right) / Math.max(1, count);
+
+  return html`
+    <svg className="stats-chart" viewBox=${`0 0 ${width} ${height}`} role="img">
+      <line x1=${pad.left} x2=${width - pad.right} y1=${y(0)} y2=${y(0)} className="axis" />
+      <line x1=${pad.left} x2=${width - pad.right} y1=${y(max)} y2=${y(max)} className="gridline" />
+      <text x=${pad.left - 6} y=${y(max) + 4} textAnchor="end">${max}</text>
+      <text x=${pad.left - 6} y=${y(0) + 4} textAnchor="end">0</text>
+      ${count > 0 && html`
+        <text x=${x(0)} y=${height - 6} textAnchor="start">${labelFor(stats.buckets[0])}</text>
+        <text x=${x(count - 1)} y=${height - 6} textAnchor="end">${labelFor(stats.buckets[count - 1])}</text>
+      `}
+      ${lines.map((line) => html`
+        <polyline
+          key=${line.key}
+          fill="none"
+          stroke=${line.color}
+          strokeWidth="2"
+          points=${line.values.map((value, index) => `${x(index)},${y(value)}`).join(" ")}
+        />
+      `)}
+      ${stats.buckets.map((bucket, index) => html`
+        <rect key=${bucket} className="hover-slot" x=${x(index) - slot / 2} y=${pad.top} width=${slot} height=${height - pad.top - pad.bottom}>
+          <title>${[labelFor(bucket), ...lines.map((line) => `${line.label}: ${line.values[index]}`)].join("\n")}</title>
+        </rect>
+      `)}
+    </svg>
+  `;
+}
+
+function StatsCard() {
+  const [range, setRange] = useState("7d");
+  const [engine, setEngine] = useState("");
+  const [instance, setInstance] = useState("");
+  const [custom, setCustom] = useState(() => ({
+    from: toLocalInput(Date.now() - 14 * 24 * 60 * 60 * 1000),
+    to: toLocalInput(Date.now()),
+    bucket: "day"
+  }));
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState("");
+
+  const query = useMemo(() => {
+    const params = new URLSearchParams();
+    const preset = STATS_RANGES.find((item) => item.key === range);
+    if (preset.ms) {
+      // Rounded to the minute so re-renders do not refetch.
+      const now = Math.floor(Date.now() / 60000) * 60000;
+      params.set("from", new Date(now - preset.ms).toISOString());
+      params.set("to", new Date(now).toISOString());
+      params.set("bucket", preset.bucket);
+    } else {
+      // An unfinished date is sent as-is and the server explains what is wrong with it.
+      const toIso = (value) => (Number.isNaN(Date.parse(value)) ? value : new Date(value).toISOString());
+      params.set("from", toIso(custom.from));
+      params.set("to", toIso(custom.to));
+      params.set("bucket", custom.bucket);
+    }
+    if (engine) params.set("engine", engine);
+    if (instance) params.set("instance", instance);
+    return params.toString();
+  }, [range, engine, instance, custom]);
+
+  useEffect(() => {
+    let isMounted = true;
+    apiFetch(`/api/stats?${query}`)
+      .then(async (res) => {
+        const payload = await res.json().catch(() => ({}));
+        if (!isMounted) return;
+        if (!res.ok) {
+          setError(payload.error || "Failed to load statistics.");
+          return;
+        }
+        setError("");
+        setStats(payload);
+      })
+      .catch((err) => isMounted && setError(err.message));
+    return () => {
+      isMounted = false;
+    };
+  }, [query]);
+
+  const totals = stats
+    ? Object.fromEntries(
+        STATS_SERIES.map((series) => [
+          series.key,
+          Object.values(stats.series).reduce((total, values) => total + (values[series.key] || []).reduce((sum, value) => sum + value, 0), 0)
+        ])
+      )
+    : {};
+  const instanceNames = [...new Set(Object.values(stats?.instances || {}).flat())].sort();
+
+  return html`
+    <div className="card">
+      <h2>Activity Over Time</h2>
+      <div className="chips">
+        ${STATS_RANGES.map((item) => html`
+          <button key=${item.key} className=${`chip ${range === item.key ? "active" : ""}`} onClick=${() => setRange(item.key)}>
+            ${item.label}
+          </button>
+        `)}
+        <select className="chip-select" value=${engine} onChange=${(event) => setEngine(event.target.value)}>
+          <option value="">All engines</option>
+          <option value="sonarr">Sonarr</option>
+          <option value="radarr">Radarr</option>
+        </select>
+        ${(instanceNames.length > 1 || instance) && html`
+          <select className="chip-select" value=${instance} onChange=${(event) => setInstance(event.target.value)}>
+            <option value="">All instances</option>
+            ${instanceNames.map((name) => html`<option key=${name} value=${name}>${name}</option>`)}
+          </select>
+        `}
+      </div>
+      ${range === "custom" && html`
+        <div className="grid">
+          <div>
+            <label>From</label>
+            <input type="datetime-local" value=${custom.from} onChange=${(event) => setCustom({ ...custom, from: event.target.value })} />
+          </div>
+          <div>
+            <label>To</label>
+            <input type="datetime-local" value=${custom.to} onChange=${(event) => setCustom({ ...custom, to: event.target.value })} />
+          </div>
+          <div>
+            <label>Bucket</label>
+            <select value=${custom.bucket} onChange=${(event) => setCustom({ ...custom, bucket: event.target.value })}>
+              <option value="hour">Hour</option>
+              <option value="day">Day</option>
+              <option value="week">Week</option>
+            </select>
+          </div>
+        </div>
+      `}
+      ${error && html`<p className="warning">${error}</p>`}
+      ${stats && !error && html`
+        <${StatsChart} stats=${stats} />
+        <div className="stats-legend">
+          ${STATS_SERIES.map((series) => html`
+            <span key=${series.key}>
+              <span className="swatch" style=${{ background: series.color }}></span>
+              ${series.label}: ${totals[series.key]}
+            </span>
+          `)}
+        </div>
+      `}
+      <p className="help">Per ${stats?.bucket || "bucket"} totals from the engine run summaries (UTC buckets). Hover the chart for values.</p>
+    </div>
+  `;
+}
+
+function AccessCard({ session }) {
+  const [refreshKey, setRefreshKey] = useState(0);
+  const tokensApi = useApi(`/api/auth/tokens?v=${refreshKey}`, []);
+  const [passwords, setPasswords] = useState({ currentPassword: "", newPassword: "" });
+  const [tokenName, setTokenName] = useState("");
+  const [newToken, setNewToken] = useState(null);
+  const [status, setStatus] = useState({ text: "", tone: "success" });
+
+  if (session.mode === "none") {
+    return html`
+      <div className="card">
+        <h2>Access</h2>
+        <p>Authentication is turned off (<code>AUTH_MODE=none</code>). Anyone who can reach this port can change settings.</p>
+      </div>
+    `;
+  }
+
+  const tokens = Array.isArray(tokensApi.data) ? tokensApi.data : [];
+
+  const post = async (url, body) => {
+    const res = await apiFetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body || {})
+    });
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setStatus({ text: payload.error || "Request failed.", tone: "warning" });
+      return null;
+    }
+    return payload;
+  };
+
+  const changePassword = async () => {
+    if (await post("/api/auth/password", passwords)) {
+      setPasswords({ currentPassword: "", newPassword: "" });
+      setStatus({ text: "Password changed. Other browsers have been signed out.", tone: "success" });
+    }
+  };
+
+  const createToken = async () => {
+    const payload = await post("/api/auth/tokens", { name: tokenName });
+    if (payload) {
+      setNewToken(payload);
+      setTokenName("");
+      setStatus({ text: "", tone: "success" });
+      setRefreshKey((value) => value + 1);
+    }
+  };
+
+  const revokeToken = async (token) => {
+    if (!window.confirm(`Revoke the token "${token.name}"? Scripts using it will stop working.`)) return;
+    if (await post(`/api/auth/tokens/${token.id}/revoke`)) {
+      setRefreshKey((value) => value + 1);
+    }
+  };
+
+  return html`
+    <div className="card">
+      <h2>Access</h2>
+      <p>
+        Signed in as <strong>${session.username}</strong>${session.via === "proxy" ? " via your reverse proxy" : ""}.
+        Scripts can call the API with <code>${"Authorization: Bearer <token>"}</code>.
+      </p>
+      ${session.via === "session" && html`
+        <div className="grid">
+          <div>
+            <label>Current Password</label>
+            <input
+              type="password"
+              autoComplete="current-password"
+              value=${passwords.currentPassword}
+              onInput=${(event) => setPasswords({ ...passwords, currentPassword: event.target.value })}
+            />
+          </div>
+          <div>
+            <label>New Password</label>
+            <input
+              type="password"
+              autoComplete="new-password"
+              value=${passwords.newPassword}
+              onInput=${(event) => setPasswords({ ...passwords, newPassword: event.target.value })}
+            />
+          </div>
+        </div>
+        <div className="actions">
+          <button className="ghost" onClick=${changePassword}>Change Password</button>
+        </div>
+      `}
+      <label>API Tokens</label>
+      <table className="data-table">
+        <tbody>
+          ${tokens.map((token) => html`
+            <tr key=${token.id}>
+              <td>${token.name}</td>
+              <td>Created ${formatDate(token.createdAt)}</td>
+              <td>Last used ${formatDate(token.lastUsedAt)}</td>
+              <td><button className="link" onClick=${() => revokeToken(token)}>Revoke</button></td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+      ${!tokens.length && html`<p className="help">No API tokens yet.</p>`}
+      <div className="actions">
+        <input value=${tokenName} placeholder="Token name, e.g. home-assistant" onInput=${(event) => setTokenName(event.target.value)} />
+        <button className="ghost" onClick=${createToken}>Create Token</button>
+      </div>
+      ${newToken && html`
+        <p className="success">
+          Copy this token now; it will not be shown again: <code>${newToken.token}</code>
+        </p>
+      `}
+      ${status.text && html`<p className=${status.tone}>${status.text}</p>`}
+    </div>
+  `;
+}
+
+const WEBHOOK_STATUS_TONES = { queued: "running", processed: "success", test: "success", ignored: "stopped", rejected: "failed" };
+
+function WebhooksCard() {
+  const webhooksApi = useApi("/api/webhooks", null, 10000);
+  const [newToken, setNewToken] = useState(null);
+  const [error, setError] = useState("");
+  const info = webhooksApi.data;
+
+  const generate = async () => {
+    if (info?.token && !window.confirm("Replace the webhook token? Sonarr and Radarr must be updated with the new URL.")) return;
+    const res = await apiFetch("/api/webhooks/token", { method: "POST" });
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setError(payload.error || "Failed to create token.");
+      return;
+    }
+    setError("");
+    setNewToken(payload.token);
+    webhooksApi.setData({ ...info, token: { source: "file", createdAt: payload.createdAt } });
+  };
+
+  const hookUrl = (engine) => `${window.location.origin}/api/webhooks/${engine}?token=${newToken || "<token>"}`;
+  const pending = info?.pending || { seriesIds: [], movieIds: [] };
+
+  return html`
+    <div className="card">
+      <h2>Webhooks</h2>
+      <p>
+        Add a Webhook connection in Sonarr and Radarr (Settings → Connect) with the On Import, On Rename, On Series/Movie Add and
+        On File Delete triggers. CompleteARR queues the affected titles and, once events have been quiet for
+        ${info ? ` ${info.debounceSeconds}s` : " a moment"}, runs the engines for just those titles.
+      </p>
+      <div className="grid">
+        <div>
+          <label>Sonarr URL</label>
+          <input readOnly value=${hookUrl("sonarr")} />
+        </div>
+        <div>
+          <label>Radarr URL</label>
+          <input readOnly value=${hookUrl("radarr")} />
+        </div>
+      </div>
+      <div className="help">
+        ${info?.token?.source === "env"
+          ? "The token comes from the WEBHOOK_TOKEN environment variable."
+          : info?.token
+            ? `Token created ${formatDate(info.token.createdAt)}. It is only shown once; generate a new one if you lost it.`
+            : "No webhook token yet, so deliveries are rejected."}
+      </div>
+      ${info?.token?.source !== "env" && html`
+        <div className="actions">
+          <button className="ghost" onClick=${generate}>${info?.token ? "Regenerate Token" : "Generate Token"}</button>
+        </div>
+      `}
+      ${newToken && html`<p className="success">Copy the URLs above now; the token will not be shown again.</p>`}
+      ${error && html`<p className="warning">${error}</p>`}
+      ${(pending.seriesIds.length > 0 || pending.movieIds.length > 0) && html`
+        <p className="help">
+          Queued: ${pending.seriesIds.length} series, ${pending.movieIds.length} movie(s); run starts ${formatDate(pending.runAt)}.
+        </p>
+      `}
+      <label>Recent Deliveries</label>
+      ${info?.deliveries?.length
+        ? html`
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Received</th>
+                  <th>From</th>
+                  <th>Event</th>
+                  <th>Items</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${info.deliveries.map((delivery) => html`
+                  <tr key=${delivery.id}>
+                    <td>${formatDate(delivery.receivedAt)}</td>
+                    <td>${ENGINE_LABELS[delivery.engine]} <span className="help">${delivery.ip}</span></td>
+                    <td>${delivery.eventType}</td>
+                    <td>${delivery.titles.join(", ") || delivery.ids.join(", ") || "—"}</td>
+                    <td>
+                      <span className=${`pill outcome-${WEBHOOK_STATUS_TONES[delivery.status]}`} title=${delivery.reason || ""}>${delivery.status}</span>
+                      ${delivery.reason && html`<div className="help">${delivery.reason}</div>`}
+                    </td>
+                  </tr>
+                `)}
+              </tbody>
+            </table>
+          `
+        : html`<p className="help">No deliveries yet. The Test button on the webhook connection in Sonarr/Radarr sends one.</p>`}
+    </div>
+  `;
+}
+
+// Extra fields per target type; the server's targetTypes list says which are required.
+const NOTIFICATION_TARGET_FIELDS = {
+  webhook: [{ key: "url", label: "Webhook URL", placeholder: "https://example.com/hooks/completearr", secret: true }],
+  discord: [{ key: "url", label: "Discord Webhook URL", placeholder: "https://discord.com/api/webhooks/…", secret: true }],
+  slack: [{ key: "url", label: "Slack Webhook URL", placeholder: "https://hooks.slack.com/services/…", secret: true }],
+  apprise: [
+    { key: "url", label: "Apprise Notify URL", placeholder: "http://apprise:8000/notify/completearr", secret: true },
+    { key: "appriseUrls", label: "Apprise URLs (optional)", placeholder: "Leave empty to use the saved config key" },
+    { key: "tag", label: "Tag (optional)" }
+  ],
+  smtp: [
+    { key: "host", label: "SMTP Host" },
+    { key: "port", label: "Port", placeholder: "587" },
+    { key: "username", label: "Username" },
+    { key: "password", label: "Password", secret: true },
+    { key: "from", label: "From", placeholder: "CompleteARR <completearr@example.com>" },
+    { key: "to", label: "To" }
+  ]
+};
+
+const NOTIFICATION_TEMPLATES = [
+  { key: "run", label: "Run Summary", fields: "outcome, engines, trigger, duration, promotions, demotions, rootCorrections, errors, runId" },
+  { key: "title", label: "Per Title", fields: "action, title, engine, arrId, oldPath, newPath, dryRun, runId" },
+  { key: "errorThreshold", label: "Error Threshold", fields: "errors, threshold, runId, outcome, engines" }
+];
+
+function NotificationsCard() {
+  const notificationsApi = useApi("/api/notifications", null);
+  const [settings, setSettings] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ text: "", tone: "success" });
+  const [results, setResults] = useState({});
+  const [testing, setTesting] = useState(null);
+
+  useEffect(() => {
+    if (notificationsApi.data) {
+      setSettings(notificationsApi.data.settings);
+      setResults(notificationsApi.data.results || {});
+    }
+  }, [notificationsApi.data]);
+
+  if (!settings) {
+    return html`<div className="card"><h2>Notifications</h2><p>Loading…</p></div>`;
+  }
+
+  const { events, targetTypes } = notificationsApi.data;
+  const update = (patch) => setSettings({ ...settings, ...patch });
+  const updateTarget = (index, patch) =>
+    update({ targets: settings.targets.map((target, i) => (i === index ? { ...target, ...patch } : target)) });
+  const addTarget = () =>
+    update({
+      targets: [
+        ...settings.targets,
+        { id: Math.random().toString(36).slice(2, 10), name: "", type: "discord", enabled: true, url: "" }
+      ]
+    });
+  const removeTarget = (index) => update({ targets: settings.targets.filter((_, i) => i !== index) });
+  const fieldError = (key) => (errors[key] ? html`<div className="help warning">${errors[key]}</div>` : null);
+
+  const save = async () => {
+    const res = await apiFetch("/api/notifications", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(settings)
+    });
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setErrors(payload.errors || {});
+      setStatus({ text: payload.error || "Failed to save notifications.", tone: "warning" });
+      return;
+    }
+    setErrors({});
+    setSettings(payload.settings);
+    setStatus({ text: "Notifications saved.", tone: "success" });
+    setTimeout(() => setStatus({ text: "", tone: "success" }), 3000);
+  };
+
+  // Tests what is in the form, so a target can be tried before it is saved.
+  const sendTest = async (target) => {
+    setTesting(target.id);
+    try {
+      const res = await apiFetch("/api/notifications/test", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ target })
+      });
+      const payload = await res.json().catch(() => ({}));
+      const result = res.ok ? payload : { ok: false, error: payload.error || "Test failed." };
+      if (payload.errors) {
+        const index = settings.targets.indexOf(target);
+        setErrors(Object.fromEntries(Object.entries(payload.errors).map(([key, value]) => [key.replace(/^targets\.0/, `targets.${index}`), value])));
+      }
+      setResults({ ...results, [target.id]: { ...result, at: result.at || new Date().toISOString() } });
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  return html`
+    <div className="card">
+      <h2>Notifications</h2>
+      <p>
+        Send a message when a run finishes or titles change. In digest mode each run sends one message with everything
+        that happened; immediate mode sends every event on its own.
+      </p>
+      <div className="grid">
+        ${Toggle({
+          label: "Notifications",
+          value: settings.enabled,
+          onChange: (val) => update({ enabled: val })
+        })}
+        <div>
+          <label>Delivery</label>
+          <select value=${settings.delivery} onChange=${(event) => update({ delivery: event.target.value })}>
+            <option value="digest">One digest per run</option>
+            <option value="immediate">Every event separately</option>
+          </select>
+          ${fieldError("delivery")}
+        </div>
+        <div>
+          <label>Error Threshold</label>
+          <input
+            type="number"
+            min="1"
+            className=${errors.errorThreshold ? "invalid" : ""}
+            value=${settings.errorThreshold}
+            onInput=${(event) => update({ errorThreshold: Number(event.target.value) })}
+          />
+          ${fieldError("errorThreshold")}
+          <div className="help">Notify when a run logs at least this many errors.</div>
+        </div>
+        ${Toggle({
+          label: "Include Dry Runs",
+          description: "Also report promotions and demotions a dry run would have made.",
+          value: settings.includeDryRuns,
+          onChange: (val) => update({ includeDryRuns: val })
+        })}
+      </div>
+      <label>Events</label>
+      <div className="grid">
+        ${Object.entries(events).map(([key, label]) =>
+          Toggle({ label, value: settings.events[key], onChange: (val) => update({ events: { ...settings.events, [key]: val } }) })
+        )}
+      </div>
+      <label>Message Templates</label>
+      <div className="grid">
+        ${NOTIFICATION_TEMPLATES.map((template) => html`
+          <div key=${template.key}>
+            <label>${template.label}</label>
+            <textarea
+              rows="3"
+              className=${errors[`templates.${template.key}`] ? "invalid" : ""}
+              value=${settings.templates[template.key]}
+              onInput=${(event) => update({ templates: { ...settings.templates, [template.key]: event.target.value } })}
+            ></textarea>
+            ${fieldError(`templates.${template.key}`)}
+            <div className="help">Placeholders: ${template.fields.split(", ").map((field) => `{{${field}}}`).join(" ")}</div>
+          </div>
+        `)}
+      </div>
+      <label>Targets</label>
+      ${settings.targets.map((target, index) => {
+        const result = results[target.id];
+        return html`
+          <div className="notification-target" key=${target.id}>
             <div className="grid">
-              ${Toggle({
-                label: "Dry Run",
-                description: "When enabled, no changes are sent to Radarr. Use this to test safely.",
-                value: radarrApi.data?.Behavior?.DryRun,
-                onChange: (val) => handleInput(radarrApi.setData, "Behavior.DryRun")({ target: { value: val } })
-              })}
-              <div>
-                <label>Preflight Seconds</label>
-                <input type="number" value=${radarrApi.data?.Behavior?.PreflightSeconds ?? 0} onInput=${handleInput(radarrApi.setData, "Behavior.PreflightSeconds")} />
-                <div className="help">Delay before starting work (useful for throttling on startup).</div>
-              </div>
               <div>
-                <label>Post Move Wait</label>
-                <input type="number" value=${radarrApi.data?.Behavior?.PostMoveWaitSeconds ?? 0} onInput=${handleInput(radarrApi.setData, "Behavior.PostMoveWaitSeconds")} />
-                <div className="help">Wait time after a move to let Radarr settle.</div>
+                <label>Name</label>
+                <input value=${target.name || ""} placeholder=${targetTypes[target.type]?.label} onInput=${(event) => updateTarget(index, { name: event.target.value })} />
               </div>
-            </div>
-          </div>
-          <div className="card">
-            <h2>Radarr Move Verification</h2>
-            <div className="grid">
-              ${Toggle({
-                label: "Enable Verification",
-                description: "Verify move operations after Radarr updates.",
-                value: radarrMoveVerify.MoveVerifyEnabled,
-                onChange: (val) => handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyEnabled")({ target: { value: val } })
-              })}
               <div>
-                <label>Mode</label>
-                <select value=${radarrMoveVerify.MoveVerifyMode || "radarr"} onInput=${handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyMode")}>
-                  ${["radarr", "filesystem", "both"].map((mode) => html`<option key=${mode} value=${mode}>${mode}</option>`)}
+                <label>Type</label>
+                <select value=${target.type} onChange=${(event) => updateTarget(index, { type: event.target.value })}>
+                  ${Object.entries(targetTypes).map(([key, type]) => html`<option key=${key} value=${key}>${type.label}</option>`)}
                 </select>
+                ${fieldError(`targets.${index}.type`)}
               </div>
-              <div>
-                <label>Retries</label>
-                <input type="number" value=${radarrMoveVerify.MoveVerifyRetries ?? 3} onInput=${handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyRetries")} />
-              </div>
-              <div>
-                <label>Delay (sec)</label>
-                <input type="number" value=${radarrMoveVerify.MoveVerifyDelaySeconds ?? 5} onInput=${handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyDelaySeconds")} />
-              </div>
-              <div>
-                <label>Backoff (sec)</label>
-                <input type="number" value=${radarrMoveVerify.MoveVerifyBackoffSeconds ?? 2} onInput=${handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyBackoffSeconds")} />
-              </div>
-              ${Toggle({
-                label: "Reattempt Move",
-                description: "Retry the move if verification fails.",
-                value: radarrMoveVerify.MoveVerifyReattemptMove,
-                onChange: (val) => handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyReattemptMove")({ target: { value: val } })
+              ${(NOTIFICATION_TARGET_FIELDS[target.type] || []).map((field) => html`
+                <div key=${field.key}>
+                  <label>${field.label}</label>
+                  <input
+                    type=${field.secret ? secretInputType(target[field.key]) : "text"}
+                    autoComplete="off"
+                    className=${errors[`targets.${index}.${field.key}`] ? "invalid" : ""}
+                    placeholder=${field.placeholder || ""}
+                    value=${target[field.key] || ""}
+                    onInput=${(event) => updateTarget(index, { [field.key]: event.target.value })}
+                  />
+                  ${fieldError(`targets.${index}.${field.key}`)}
+                </div>
+              `)}
+              ${target.type === "smtp" &&
+              Toggle({
+                label: "TLS (SMTPS)",
+                description: "Connect with TLS from the start, usually port 465. Otherwise STARTTLS is used when offered.",
+                value: target.secure,
+                onChange: (val) => updateTarget(index, { secure: val })
               })}
               ${Toggle({
-                label: "Revert On Failure",
-                description: "Revert to the original path if verification fails.",
-                value: radarrMoveVerify.MoveVerifyRevertOnFailure,
-                onChange: (val) => handleInput(radarrApi.setData, "Behavior.MoveVerification.MoveVerifyRevertOnFailure")({ target: { value: val } })
+                label: "Target",
+                value: target.enabled !== false,
+                onChange: (val) => updateTarget(index, { enabled: val })
               })}
             </div>
-          </div>
-          <div className="card">
-            <h2>Profile → Root Folder Mappings</h2>
-            <p>Choose the correct root folder for each Radarr quality profile.</p>
-            <div className="mapping-grid">
-              ${radarrProfiles.map((profile) => html`
-                <div className="mapping-card" key=${profile}>
-                  <div className="mapping-header">${profile}</div>
-                  <div className="mapping-body">
-                    <label>Root Folder</label>
-                    <select
-                      value=${radarrMappings[profile] || ""}
-                      onInput=${handleInput(radarrApi.setData, `FilmEngine.ProfileRootMappings.${profile}`)}
-                    >
-                      <option value="">Select a root</option>
-                      ${radarrRoots.map((root) => html`<option key=${root} value=${root}>${root}</option>`)}
-                    </select>
-                  </div>
-                </div>
-              `)}
+            <div className="actions">
+              <button className="ghost" onClick=${() => sendTest(target)} disabled=${testing === target.id}>
+                ${testing === target.id ? "Sending…" : "Send Test"}
+              </button>
+              <button className="link" onClick=${() => removeTarget(index)}>Remove</button>
+              ${result && html`
+                <span className=${`pill outcome-${result.ok ? "success" : "failed"}`}>${result.ok ? "Sent" : "Failed"}</span>
+                <span className="help">${result.event === "test" ? "Test" : "Last message"} ${formatDate(result.at)}</span>
+              `}
             </div>
+            ${result && !result.ok && html`<div className="help warning">${result.error}</div>`}
           </div>
-          <div className="actions">
-            <button className="primary" onClick=${() => saveSettings("/api/settings/radarr", radarrApi.data, "Radarr settings")}>Save Radarr Settings</button>
+        `;
+      })}
+      ${!settings.targets.length && html`<p className="help">No targets yet.</p>`}
+      <div className="actions">
+        <button className="ghost" onClick=${addTarget}>Add Target</button>
+        <button className="primary" onClick=${save}>Save Notifications</button>
+      </div>
+      ${status.text && html`<p className=${status.tone}>${status.text}</p>`}
+    </div>
+  `;
+}
+
+const RETENTION_FIELDS = [
+  { key: "compressAfterDays", label: "Compress After (days)", help: "Gzip full logs older than this. They stay readable in the Logs view." },
+  { key: "maxAgeDays", label: "Max Age (days)", help: "Delete logs older than this." },
+  { key: "maxTotalSizeMB", label: "Max Total Size (MB)", help: "Delete the oldest logs while all logs together are larger than this." },
+  { key: "keepLastRuns", label: "Keep Last N Runs", help: "Keep only this many of the newest logs per engine and instance." }
+];
+
+function LogRetentionCard() {
+  const [refreshKey, setRefreshKey] = useState(0);
+  const usageApi = useApi(`/api/logs/usage?v=${refreshKey}`, null);
+  const [retention, setRetention] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ text: "", tone: "success" });
+  const [pruning, setPruning] = useState(false);
+  const usage = usageApi.data;
+
+  useEffect(() => {
+    if (usage && !retention) setRetention(usage.retention);
+  }, [usage]);
+
+  const post = async (url, body) => {
+    const res = await apiFetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body || {})
+    });
+    const payload = await res.json().catch(() => ({}));
+    return { ok: res.ok, payload };
+  };
+
+  const save = async () => {
+    const { ok, payload } = await post("/api/logs/retention", retention);
+    if (!ok) {
+      setErrors(payload.errors || {});
+      setStatus({ text: payload.error || "Failed to save retention settings.", tone: "warning" });
+      return;
+    }
+    setErrors({});
+    setRetention(payload);
+    setStatus({ text: "Retention settings saved.", tone: "success" });
+    setRefreshKey((value) => value + 1);
+  };
+
+  const prune = async () => {
+    if (!window.confirm("Apply the saved retention rules now? Deleted logs cannot be recovered.")) return;
+    setPruning(true);
+    try {
+      const { ok, payload } = await post("/api/logs/prune");
+      setStatus(
+        ok
+          ? { text: `Deleted ${payload.deleted.length} and compressed ${payload.compressed.length} log(s), freeing ${formatBytes(payload.freedBytes)}.`, tone: "success" }
+          : { text: payload.error || "Prune failed.", tone: "warning" }
+      );
+      setRefreshKey((value) => value + 1);
+    } finally {
+      setPruning(false);
+    }
+  };
+
+  if (!usage || !retention) {
+    return html`<div className="card"><h2>Log Retention</h2><p>Loading…</p></div>`;
+  }
+
+  return html`
+    <div className="card">
+      <h2>Log Retention</h2>
+      <div className="grid">
+        <div>
+          <label>Full Logs</label>
+          <div>${formatBytes(usage.dirs.full.bytes)} in ${usage.dirs.full.files} file(s)</div>
+          ${usage.dirs.full.compressedFiles > 0 && html`<div className="help">${usage.dirs.full.compressedFiles} compressed</div>`}
+        </div>
+        <div>
+          <label>Error Logs</label>
+          <div>${formatBytes(usage.dirs.error.bytes)} in ${usage.dirs.error.files} file(s)</div>
+        </div>
+        <div>
+          <label>Oldest / Newest</label>
+          <div>${formatDate(usage.oldest)}</div>
+          <div className="help">${formatDate(usage.newest)}</div>
+        </div>
+        ${usage.disk && html`
+          <div>
+            <label>Disk Free</label>
+            <div>${formatBytes(usage.disk.freeBytes)} of ${formatBytes(usage.disk.totalBytes)}</div>
           </div>
+        `}
+      </div>
+      <div className="grid">
+        ${Toggle({
+          label: "Scheduled Pruning",
+          value: retention.enabled,
+          onChange: (val) => setRetention({ ...retention, enabled: val })
+        })}
+        <div>
+          <label>Prune Schedule (cron)</label>
+          <input className=${errors.cron ? "invalid" : ""} value=${retention.cron} onInput=${(event) => setRetention({ ...retention, cron: event.target.value })} />
+          ${errors.cron
+            ? html`<div className="help warning">${errors.cron}</div>`
+            : html`<div className="help">Next prune: ${formatDate(usage.nextPrune)}</div>`}
         </div>
-      `;
+        ${RETENTION_FIELDS.map((field) => html`
+          <div key=${field.key}>
+            <label>${field.label}</label>
+            <input
+              type="number"
+              min="0"
+              className=${errors[field.key] ? "invalid" : ""}
+              value=${retention[field.key]}
+              onInput=${(event) => setRetention({ ...retention, [field.key]: event.target.value })}
+            />
+            ${errors[field.key] ? html`<div className="help warning">${errors[field.key]}</div>` : html`<div className="help">${field.help} 0 turns it off.</div>`}
+          </div>
+        `)}
+      </div>
+      <div className="actions">
+        <button className="primary" onClick=${save}>Save Retention</button>
+        <button className="ghost" onClick=${prune} disabled=${pruning || usage.pruning}>${pruning ? "Pruning…" : "Prune Now"}</button>
+      </div>
+      ${usage.lastPrune && html`
+        <p className="help">
+          Last prune ${formatDate(usage.lastPrune.at)}: deleted ${usage.lastPrune.deleted.length}, compressed
+          ${" "}${usage.lastPrune.compressed.length}, freed ${formatBytes(usage.lastPrune.freedBytes)}.
+          ${usage.lastPrune.skippedCompression ? " Compression was skipped because a run was in progress." : ""}
+        </p>
+      `}
+      ${(usage.lastPrune?.errors || []).map((error) => html`<div className="help warning" key=${error}>${error}</div>`)}
+      ${status.text && html`<p className=${status.tone}>${status.text}</p>`}
+    </div>
+  `;
+}
+
+const WIZARD_ENGINES = ["sonarr", "radarr"];
+const WIZARD_STATE_LABELS = {
+  missing: "no settings file yet",
+  placeholder: "API key still YOUR_API_KEY_HERE"
+};
+const WIZARD_DEFAULT_URLS = { sonarr: "http://localhost:8989", radarr: "http://localhost:7878" };
+const EMPTY_SET = Object.fromEntries(SET_FIELDS.map((field) => [field, ""]));
+const WIZARD_PREVIEW_ROWS = 50;
+
+// Walks through what the FetchInfo launcher used to leave to hand-editing: connecting each engine that still needs
+// setup, choosing Sets or profile mappings from the live instance, the schedule, and a preview of the first run.
+// Nothing is written until Finish, and Dry Run stays on unless going live is confirmed there.
+function SetupWizard({ wizard, onFinished, onSkip }) {
+  const engines = WIZARD_ENGINES.filter((engine) => wizard.engines[engine]?.state !== "configured");
+  const steps = [
+    "welcome",
+    ...engines.flatMap((engine) => [`${engine}-connect`, engine === "sonarr" ? "sonarr-sets" : "radarr-mappings"]),
+    "schedule",
+    "review"
+  ];
+  const [step, setStep] = useState(0);
+  const [answers, setAnswers] = useState(() =>
+    Object.fromEntries(engines.map((engine) => [engine, { Url: WIZARD_DEFAULT_URLS[engine], ApiKey: "" }]))
+  );
+  const [options, setOptions] = useState({});
+  const scheduleApi = useApi("/api/schedule", { engines: {}, timezone: "" });
+  const [preview, setPreview] = useState(null);
+  const [goLive, setGoLive] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const current = steps[step];
+  const engine = current.split("-")[0];
+  const type = engine === "sonarr" ? "Sonarr" : "Radarr";
+  const sets = answers.sonarr?.Sets || [];
+  const setConflicts = findSetConflicts(sets, []);
+  const scheduleEngines = scheduleApi.data?.engines || {};
+
+  const post = async (url, body) => {
+    const res = await apiFetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    const payload = await res.json().catch(() => ({}));
+    return { ok: res.ok, payload };
+  };
+
+  const update = (key, patch) => setAnswers((prev) => ({ ...prev, [key]: { ...prev[key], ...patch } }));
+  const updateSet = (index, field) => (event) => {
+    const value = event.target.value;
+    update("sonarr", { Sets: sets.map((set, i) => (i === index ? { ...set, [field]: value } : set)) });
+  };
+  const updateSchedule = (key, patch) =>
+    scheduleApi.setData((prev) => ({ ...prev, engines: { ...prev.engines, [key]: { ...prev.engines[key], ...patch } } }));
+
+  const go = (next) => {
+    setError("");
+    setStep(next);
+  };
+
+  // Profiles and root folders only load once the connection works; the first load seeds the proposals.
+  const connect = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const { ok, payload } = await post(`/api/wizard/options/${engine}`, { Url: answers[engine].Url, ApiKey: answers[engine].ApiKey });
+      if (!ok) {
+        setError(payload.error || `Could not load options from ${type}.`);
+        return;
+      }
+      if (!options[engine]) {
+        update(
+          engine,
+          engine === "sonarr"
+            ? { Sets: payload.suggestions.map((item) => item.set) }
+            : { ProfileRootMappings: payload.mappings }
+        );
+      }
+      setOptions((prev) => ({ ...prev, [engine]: payload }));
+      setStep(step + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
     }
+  };
 
-    if (view === "shared") {
+  const loadPreview = async () => {
+    setBusy(true);
+    setError("");
+    setPreview(null);
+    try {
+      const { ok, payload } = await post("/api/wizard/preview", answers);
+      if (ok) setPreview(payload);
+      else setError(payload.error || "Could not build the preview.");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  useEffect(() => {
+    if (current === "review") loadPreview();
+  }, [current]);
+
+  const toggleLive = (checked) => {
+    if (checked && !window.confirm("Turn Dry Run off? The first scheduled or manual run will change profiles and move files in your library.")) {
+      return;
+    }
+    setGoLive(checked);
+  };
+
+  const finish = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const schedule = Object.fromEntries(
+        Object.entries(scheduleEngines).map(([key, entry]) => [key, { enabled: entry.enabled, cron: entry.cron }])
+      );
+      const { ok, payload } = await post("/api/wizard/finish", { ...answers, schedule, confirmLive: goLive });
+      if (!ok) {
+        setErrors(payload.errors || {});
+        setError(payload.error || "Setup failed.");
+        return;
+      }
+      onFinished(payload);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const rootSelect = (value, onInput, rootFolders, required) => html`
+    <select className=${required && !value ? "invalid" : ""} value=${value || ""} onInput=${onInput}>
+      <option value="">${required ? "Select a root" : "Not mapped"}</option>
+      ${rootFolders.map((root) => html`<option key=${root} value=${root}>${root}</option>`)}
+    </select>
+  `;
+  const profileSelect = (value, onInput, profiles) => html`
+    <select className=${value ? "" : "invalid"} value=${value || ""} onInput=${onInput}>
+      <option value="">Select a profile</option>
+      ${profiles.map((profile) => html`<option key=${profile} value=${profile}>${profile}</option>`)}
+    </select>
+  `;
+
+  const renderStep = () => {
+    if (current === "welcome") {
       return html`
-        <div className="card">
-          <h2>Shared Settings</h2>
-          <p>These settings apply to both Sonarr and Radarr. Update them here and then save.</p>
-          <div className="grid">
-            <div>
-              <label>Logs Root</label>
-              <input value=${sharedLogging.LogsRoot || "/app/CompleteARR_Logs"} onInput=${handleInput(sonarrApi.setData, "Logging.LogsRoot")} />
-              <div className="help">Base folder for logs. Full logs go into “Full Logs”, error-only logs into “Error Logs”.</div>
-            </div>
-            <div>
-              <label>Log File Name</label>
-              <input value=${sharedLogging.LogFileName || "CompleteARR.log"} onInput=${handleInput(sonarrApi.setData, "Logging.LogFileName")} />
-              <div className="help">Base name for all log files (timestamps are appended).</div>
+        <h2>Welcome to CompleteARR</h2>
+        <p>
+          A few settings are needed before the engines can run. This wizard connects to your instances, proposes Sets
+          and profile mappings from what is already in your library, and shows what the first run would do. Nothing is
+          saved until the last step, and scheduled runs wait until setup is finished.
+        </p>
+        <ul className="result-list">
+          ${engines.map((key) => html`
+            <li key=${key}>${ENGINE_LABELS[key]}: <span className="pill outcome-stopped">${WIZARD_STATE_LABELS[wizard.engines[key].state]}</span></li>
+          `)}
+        </ul>
+        ${engines.some((key) => !wizard.engines[key].example) &&
+        html`<p className="warning">An example settings file is missing from CompleteARR_Settings, so the new file starts without its comments.</p>`}
+      `;
+    }
+    if (current.endsWith("-connect")) {
+      return html`
+        <h2>Connect ${type}</h2>
+        <p>Your API key is under Settings → General in ${type}.</p>
+        <div className="grid">
+          <div>
+            <label>URL</label>
+            <input value=${answers[engine].Url} onInput=${(event) => update(engine, { Url: event.target.value })} />
+            <div className="help">Use the address CompleteARR can reach, e.g. the container name when both run in Docker.</div>
+          </div>
+          <div>
+            <label>API Key</label>
+            <input type="password" value=${answers[engine].ApiKey} onInput=${(event) => update(engine, { ApiKey: event.target.value })} />
+          </div>
+        </div>
+        <${ConnectionTest} engine=${engine} connection=${answers[engine]} />
+      `;
+    }
+    if (current === "sonarr-sets") {
+      const { profiles, rootFolders, unpaired } = options.sonarr;
+      return html`
+        <h2>Sonarr Sets</h2>
+        <p>
+          Each Set pairs an Incomplete and a Complete profile with their root folders. These were proposed from your
+          profile names and where your series already live; adjust them as needed.
+        </p>
+        ${sets.map((set, index) => html`
+          <div key=${index} className="notification-target">
+            <div className="set-header">
+              <strong>${setLabel(set, index)}</strong>
+              <div className="set-actions">
+                <button className="ghost" onClick=${() => update("sonarr", { Sets: sets.filter((item, i) => i !== index) })}>Remove</button>
+              </div>
             </div>
-            <div>
-              <label>Minimum Log Level</label>
-              <select value=${sharedLogging.MinLevel || "Debug"} onInput=${handleInput(sonarrApi.setData, "Logging.MinLevel")}>
-                ${["Debug", "Info", "Warning", "Error", "Success"].map((level) => html`<option key=${level} value=${level}>${level}</option>`)}
-              </select>
-              <div className="help">Controls the verbosity of logging output.</div>
+            <div className="grid">
+              <div>
+                <label>Media Type</label>
+                <input className=${String(set["Media Type"] || "").trim() ? "" : "invalid"} value=${set["Media Type"]} onInput=${updateSet(index, "Media Type")} />
+              </div>
+              ${["Incomplete", "Complete"].map((side) => html`
+                <div key=${side}>
+                  <label>${side} Profile</label>
+                  ${profileSelect(set[`${side} Profile Name`], updateSet(index, `${side} Profile Name`), profiles)}
+                  <label>${side} Root Folder</label>
+                  ${rootSelect(set[`${side} Root Folder`], updateSet(index, `${side} Root Folder`), rootFolders, true)}
+                </div>
+              `)}
             </div>
-            <div>
-              <label>Throttle (ms)</label>
-              <input type="number" value=${sharedLogging.ThrottleMs ?? 200} onInput=${handleInput(sonarrApi.setData, "Logging.ThrottleMs")} />
-              <div className="help">Delay between API calls to avoid overwhelming Sonarr/Radarr.</div>
-            </div>
-            ${Toggle({
-              label: "Log to Console",
-              description: "Write colored logs to the console output.",
-              value: sharedLogging.LogToConsole,
-              onChange: (val) => handleInput(sonarrApi.setData, "Logging.LogToConsole")({ target: { value: val } })
-            })}
-            ${Toggle({
-              label: "Log to File",
-              description: "Write detailed logs to the CompleteARR_Logs folder.",
-              value: sharedLogging.LogToFile,
-              onChange: (val) => handleInput(sonarrApi.setData, "Logging.LogToFile")({ target: { value: val } })
-            })}
-            ${Toggle({
-              label: "Use Colors",
-              description: "Enable colored log output in the console.",
-              value: sharedLogging.UseColors,
-              onChange: (val) => handleInput(sonarrApi.setData, "Logging.UseColors")({ target: { value: val } })
-            })}
-          </div>
-          <div className="actions">
-            <button
-              className="primary"
-              onClick=${() => Promise.all([
-                saveSettings("/api/settings/sonarr", sonarrApi.data, "Shared settings"),
-                // Keep Radarr Logging in sync as well.
-                saveSettings(
-                  "/api/settings/radarr",
-                  (() => {
-                    const next = JSON.parse(JSON.stringify(radarrApi.data || {}));
-                    next.Logging = { ...(next.Logging || {}), ...(sonarrApi.data?.Logging || {}) };
-                    return next;
-                  })(),
-                  "Shared settings"
-                )
-              ])}
-            >
-              Save Shared Settings
-            </button>
           </div>
+        `)}
+        ${!sets.length && html`<p className="warning">Add at least one Set.</p>`}
+        <div className="actions">
+          <button className="ghost" onClick=${() => update("sonarr", { Sets: [...sets, { ...EMPTY_SET }] })}>Add Set</button>
         </div>
+        ${setConflicts.map((conflict) => html`
+          <p key=${conflict.message} className=${conflict.severity === "error" ? "warning" : "help"}>${conflict.message}</p>
+        `)}
+        ${unpaired?.length > 0 &&
+        html`<p className="help">No partner found for: ${unpaired.map((item) => item.profile).join(", ")}.</p>`}
+      `;
+    }
+    if (current === "radarr-mappings") {
+      const { profiles, rootFolders, reasons } = options.radarr;
+      const mappings = answers.radarr.ProfileRootMappings || {};
+      return html`
+        <h2>Radarr Profile Mappings</h2>
+        <p>Movies on each quality profile are kept in its root folder. Profiles left unmapped are skipped.</p>
+        <div className="mapping-grid">
+          ${profiles.map((profile) => html`
+            <div key=${profile} className="mapping-card">
+              <div className="mapping-header">${profile}</div>
+              ${rootSelect(
+                mappings[profile],
+                (event) => update("radarr", { ProfileRootMappings: { ...mappings, [profile]: event.target.value } }),
+                rootFolders,
+                false
+              )}
+              <div className="help">${reasons[profile]}</div>
+            </div>
+          `)}
+        </div>
+      `;
+    }
+    if (current === "schedule") {
+      return html`
+        <h2>Schedule</h2>
+        <p>
+          Each engine runs on its own cron schedule, evaluated in the ${scheduleApi.data?.timezone || "server"} time zone.
+          You can change this later on the Schedule card.
+        </p>
+        <${ScheduleFields}
+          engines=${scheduleEngines}
+          errors=${Object.fromEntries(Object.keys(scheduleEngines).map((key) => [key, errors[`schedule.${key}`]]).filter(([, message]) => message))}
+          onChange=${updateSchedule}
+        />
       `;
     }
-
     return html`
-      <div className="card about-card">
-        <h2>About CompleteARR</h2>
-        <textarea className="about-text" readOnly value=${aboutApi.data?.content || "README not loaded."}></textarea>
+      <h2>Review</h2>
+      <p>What the first run would do with these settings. This is worked out from your library; nothing has been changed.</p>
+      ${busy && !preview && html`<p className="help">Building the preview…</p>`}
+      ${preview?.sonarr && html`
+        <h3>Sonarr</h3>
+        <p>
+          ${preview.sonarr.counts.series} series: ${preview.sonarr.counts.promote || 0} to promote,
+          ${" "}${preview.sonarr.counts.demote || 0} to demote, ${preview.sonarr.counts["root-correct"] || 0} root corrections,
+          ${" "}${preview.sonarr.counts.uncovered} not in any Set.
+        </p>
+        ${preview.sonarr.changes.length > 0 && html`
+          <table className="data-table">
+            <thead><tr><th>Series</th><th>Set</th><th>Change</th><th>Path</th></tr></thead>
+            <tbody>
+              ${preview.sonarr.changes.slice(0, WIZARD_PREVIEW_ROWS).map((row) => html`
+                <tr key=${row.id}>
+                  <td>${row.title}</td>
+                  <td>${row.set}</td>
+                  <td><span className=${`pill verdict-${row.verdict}`}>${VERDICT_LABELS[row.verdict]}</span></td>
+                  <td>${row.path}${row.expectedRoot && html`<div className="help">→ ${row.expectedRoot}</div>`}</td>
+                </tr>
+              `)}
+            </tbody>
+          </table>
+          ${preview.sonarr.changes.length > WIZARD_PREVIEW_ROWS &&
+          html`<p className="help">and ${preview.sonarr.changes.length - WIZARD_PREVIEW_ROWS} more.</p>`}
+        `}
+      `}
+      ${preview?.radarr && html`
+        <h3>Radarr</h3>
+        <p>
+          ${preview.radarr.counts.movies} movies: ${preview.radarr.counts.correct} already in place,
+          ${" "}${preview.radarr.counts.mismatched} to move, ${preview.radarr.counts.unmapped} on unmapped profiles.
+        </p>
+        ${preview.radarr.missingRoots.length > 0 &&
+        html`<p className="warning">Mapped roots Radarr does not know: ${preview.radarr.missingRoots.join(", ")}.</p>`}
+        ${preview.radarr.mismatched.length > 0 && html`
+          <table className="data-table">
+            <thead><tr><th>Movie</th><th>Profile</th><th>Move</th></tr></thead>
+            <tbody>
+              ${preview.radarr.mismatched.slice(0, WIZARD_PREVIEW_ROWS).map((movie) => html`
+                <tr key=${movie.id}>
+                  <td>${movie.title}</td>
+                  <td>${movie.qualityProfileName}</td>
+                  <td>${movie.path}<div className="help">→ ${movie.targetPath}</div></td>
+                </tr>
+              `)}
+            </tbody>
+          </table>
+          ${preview.radarr.mismatched.length > WIZARD_PREVIEW_ROWS &&
+          html`<p className="help">and ${preview.radarr.mismatched.length - WIZARD_PREVIEW_ROWS} more.</p>`}
+        `}
+      `}
+      <div className="actions">
+        <button className="ghost" disabled=${busy} onClick=${loadPreview}>Refresh Preview</button>
       </div>
+      <label className="toggle wizard-live">
+        <input type="checkbox" style=${{ width: "auto" }} checked=${goLive} onChange=${(event) => toggleLive(event.target.checked)} />
+        Turn Dry Run off and let the engines change my library
+      </label>
+      <p className=${goLive ? "warning" : "help"}>
+        ${goLive
+          ? "Dry Run will be off: runs send these changes to your instances."
+          : "Dry Run stays on: runs only log what they would do. You can turn it off later in the Sonarr and Radarr tabs."}
+      </p>
+      ${Object.keys(errors).length > 0 && html`
+        <ul className="result-list">
+          ${Object.entries(errors).map(([key, message]) => {
+            const [scope, ...field] = key.split(".");
+            const label = [scope === "schedule" ? "Schedule" : ENGINE_LABELS[scope], field.join(".")].filter(Boolean).join(" · ");
+            return html`<li key=${key} className="warning">${label}: ${message}</li>`;
+          })}
+        </ul>
+      `}
     `;
-  }, [
-    view,
-    statusApi.data,
-    sonarrApi.data,
-    radarrApi.data,
-    sonarrOptionsApi.data,
-    radarrOptionsApi.data,
-    sharedLogging,
-    radarrMappings,
-    weeklyRadarr,
-    weeklySonarr,
-    weeklySummary
-  ]);
+  };
+
+  const canContinue =
+    current === "sonarr-sets"
+      ? sets.length > 0 && !setConflicts.some((conflict) => conflict.severity === "error")
+      : current.endsWith("-connect")
+        ? Boolean(answers[engine].Url.trim() && answers[engine].ApiKey.trim())
+        : true;
 
   return html`
     <div className="stack">
@@ -671,20 +4232,143 @@ function App() {
         <div className="brand">
           <img className="brand-logo" src="/logo-header.png" alt="CompleteARR" />
         </div>
-        <nav>
-          ${NAV_ITEMS.map((item) => html`
-            <button key=${item.key} className=${view === item.key ? "active" : ""} onClick=${() => setView(item.key)}>
-              ${item.label}
-            </button>
-          `)}
-        </nav>
+      </header>
+      <main className="wizard">
+        <div className="card">
+          <div className="help">Step ${step + 1} of ${steps.length}</div>
+          ${renderStep()}
+          ${error && html`<p className="warning">${error}</p>`}
+          <div className="actions">
+            ${step > 0 && html`<button className="ghost" disabled=${busy} onClick=${() => go(step - 1)}>Back</button>`}
+            ${current === "welcome" && html`<button className="ghost" onClick=${onSkip}>Skip for Now</button>`}
+            ${current === "review"
+              ? html`<button className="primary" disabled=${busy} onClick=${finish}>${busy ? "Saving…" : "Finish Setup"}</button>`
+              : current.endsWith("-connect")
+                ? html`<button className="primary" disabled=${busy || !canContinue} onClick=${connect}>${busy ? "Connecting…" : "Next"}</button>`
+                : html`<button className="primary" disabled=${!canContinue} onClick=${() => go(step + 1)}>Next</button>`}
+          </div>
+        </div>
+      </main>
+    </div>
+  `;
+}
+
+function LoginScreen({ needsSetup, onSignedIn }) {
+  const [username, setUsername] = useState(needsSetup ? "admin" : "");
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [setupToken, setSetupToken] = useState("");
+  const [error, setError] = useState("");
+
+  const submit = async (event) => {
+    event.preventDefault();
+    if (needsSetup && password !== confirm) {
+      setError("Passwords do not match.");
+      return;
+    }
+    const res = await fetch(needsSetup ? "/api/auth/setup" : "/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "same-origin",
+      body: JSON.stringify(needsSetup ? { username, password, setupToken } : { username, password })
+    });
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setError(payload.error || "Sign in failed.");
+      return;
+    }
+    onSignedIn(payload);
+  };
+
+  return html`
+    <div className="stack login">
+      <header>
+        <div className="brand">
+          <img className="brand-logo" src="/logo-header.png" alt="CompleteARR" />
+        </div>
       </header>
       <main>
-        ${message && html`<div className="card"><p className="success">${message}</p></div>`}
-        ${content}
+        <form className="card" onSubmit=${submit}>
+          <h2>${needsSetup ? "Create the admin account" : "Sign in"}</h2>
+          ${needsSetup && html`
+            <p>No account exists yet. The account you create here protects the UI and API.</p>
+            <label>Setup Token</label>
+            <input value=${setupToken} autoComplete="off" onInput=${(event) => setSetupToken(event.target.value)} />
+            <p className="help">Printed in the container log on start (<code>docker logs completearr</code>).</p>
+          `}
+          <label>Username</label>
+          <input value=${username} autoComplete="username" onInput=${(event) => setUsername(event.target.value)} />
+          <label>Password</label>
+          <input
+            type="password"
+            value=${password}
+            autoComplete=${needsSetup ? "new-password" : "current-password"}
+            onInput=${(event) => setPassword(event.target.value)}
+          />
+          ${needsSetup && html`
+            <label>Confirm Password</label>
+            <input type="password" value=${confirm} autoComplete="new-password" onInput=${(event) => setConfirm(event.target.value)} />
+          `}
+          ${error && html`<p className="warning">${error}</p>`}
+          <div className="actions">
+            <button className="primary" type="submit">${needsSetup ? "Create Account" : "Sign In"}</button>
+          </div>
+        </form>
       </main>
     </div>
   `;
 }
 
-ReactDOM.render(html`<${App} />`, document.getElementById("app"));
\ No newline at end of file
+function Root() {
+  const [session, setSession] = useState(null);
+  const [wizard, setWizard] = useState(null);
+  const [setupOpen, setSetupOpen] = useState(true);
+
+  const loadSession = () =>
+    fetch("/api/auth/session", { credentials: "same-origin" })
+      .then((res) => res.json())
+      .then((payload) => {
+        csrfToken = payload.csrfToken;
+        setSession(payload);
+      })
+      .catch(() => setSession({ authenticated: false, needsSetup: false }));
+
+  const loadWizard = () =>
+    apiFetch("/api/wizard")
+      .then((res) => res.json())
+      .then(setWizard)
+      .catch(() => setWizard({ needed: false, engines: {} }));
+
+  useEffect(() => {
+    loadSession();
+    window.addEventListener("completearr:unauthorized", loadSession);
+    return () => window.removeEventListener("completearr:unauthorized", loadSession);
+  }, []);
+
+  useEffect(() => {
+    if (session?.authenticated) loadWizard();
+  }, [session?.authenticated]);
+
+  if (!session) {
+    return null;
+  }
+  if (!session.authenticated) {
+    return html`<${LoginScreen} needsSetup=${session.needsSetup} onSignedIn=${loadSession} />`;
+  }
+  if (!wizard) {
+    return null;
+  }
+  if (wizard.needed && setupOpen) {
+    return html`<${SetupWizard} wizard=${wizard} onFinished=${loadWizard} onSkip=${() => setSetupOpen(false)} />`;
+  }
+
+  const logout = async () => {
+    await apiFetch("/api/auth/logout", { method: "POST" });
+    loadSession();
+  };
+  return html`
+    <${App} session=${session} onLogout=${logout} setupPending=${wizard.needed} onOpenSetup=${() => setSetupOpen(true)} />
+  `;
+}
+
+ReactDOM.render(html`<${Root} />`, document.getElementById("app"));
\ No newline at end of file
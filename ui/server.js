@@ -3,6 +3,15 @@ const path = require("path");
 const fs = require("fs");
 const yaml = require("js-yaml");
 const axios = require("axios");
+// js-yaml reads settings; the "yaml" package edits them in place so comments and key order survive a save.
+const { Document: YamlDocument, isMap, isScalar, isSeq, parseDocument, stringify: stringifyYaml } = require("yaml");
+const readline = require("readline");
+const crypto = require("crypto");
+const os = require("os");
+const zlib = require("zlib");
+const { pipeline } = require("stream");
+const util = require("util");
+const notifications = require("./notifications");
 
 const app = express();
 const PORT = process.env.UI_PORT || 3005;
@@ -13,12 +22,47 @@ const SONARR_SETTINGS =
   process.env.SONARR_SETTINGS || path.join(APP_ROOT, "CompleteARR_Settings", "CompleteARR_SONARR_Settings.yml");
 const RADARR_SETTINGS =
   process.env.RADARR_SETTINGS || path.join(APP_ROOT, "CompleteARR_Settings", "CompleteARR_RADARR_Settings.yml");
+// The setup wizard seeds new settings files from these, comments and all.
+const EXAMPLE_SETTINGS = {
+  sonarr: path.join(APP_ROOT, "CompleteARR_Settings", "CompleteARR_SONARR_Settings.example.yml"),
+  radarr: path.join(APP_ROOT, "CompleteARR_Settings", "CompleteARR_RADARR_Settings.example.yml")
+};
+const API_KEY_PLACEHOLDER = "YOUR_API_KEY_HERE";
 
 const LOGS_BASE = process.env.LOGS_BASE || path.join(APP_ROOT, "CompleteARR_Logs");
 const FULL_LOGS_DIR = process.env.FULL_LOGS_DIR || path.join(LOGS_BASE, "Full Logs");
 const ERROR_LOGS_DIR = process.env.ERROR_LOGS_DIR || path.join(LOGS_BASE, "Error Logs");
 const STATUS_FILE = process.env.STATUS_FILE || path.join(LOGS_BASE, "run_status.json");
 const RUN_LOCK_DIR = process.env.RUN_LOCK_DIR || path.join(LOGS_BASE, "run.lock");
+const RUN_HISTORY_FILE = process.env.RUN_HISTORY_FILE || path.join(LOGS_BASE, "run_history.jsonl");
+const SUMMARY_INDEX_FILE = process.env.SUMMARY_INDEX_FILE || path.join(LOGS_BASE, "summary_index.json");
+const PLANS_DIR = process.env.PLANS_DIR || path.join(LOGS_BASE, "plans");
+const PLAN_LIMIT = Number(process.env.PLAN_LIMIT || 20);
+const WEBHOOK_DELIVERIES_FILE = process.env.WEBHOOK_DELIVERIES_FILE || path.join(LOGS_BASE, "webhook_deliveries.json");
+// Events are collected for this long after the last one before a targeted run starts.
+const WEBHOOK_DEBOUNCE_SECONDS = Number(process.env.WEBHOOK_DEBOUNCE_SECONDS || 60);
+const NOTIFICATIONS_FILE =
+  process.env.NOTIFICATIONS_FILE || path.join(APP_ROOT, "CompleteARR_Settings", "CompleteARR_Notifications.json");
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const SETTINGS_BACKUP_LIMIT = Number(process.env.SETTINGS_BACKUP_LIMIT || 10);
+// Opt-in run of every enabled engine when the server starts, like the old entrypoint loop did.
+const RUN_ON_START = /^(1|true|yes)$/i.test(process.env.RUN_ON_START || "");
+const RETENTION_FILE =
+  process.env.RETENTION_FILE || path.join(APP_ROOT, "CompleteARR_Settings", "CompleteARR_Retention.json");
+const SCHEDULE_FILE =
+  process.env.SCHEDULE_FILE || path.join(APP_ROOT, "CompleteARR_Settings", "CompleteARR_Schedule.json");
+const AUTH_FILE = process.env.AUTH_FILE || path.join(APP_ROOT, "CompleteARR_Settings", "CompleteARR_Auth.json");
+// local (default): admin login + API tokens; proxy: also trust AUTH_PROXY_HEADER from AUTH_PROXY_TRUSTED_IPS; none: no auth.
+const AUTH_MODE = (process.env.AUTH_MODE || "local").toLowerCase();
+const AUTH_PROXY_HEADER = process.env.AUTH_PROXY_HEADER || "Remote-User";
+const AUTH_PROXY_TRUSTED_IPS = (process.env.AUTH_PROXY_TRUSTED_IPS || "")
+  .split(",")
+  .map((ip) => ip.trim())
+  .filter(Boolean);
+const SESSION_COOKIE = "completearr_session";
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Resolved copies of the settings (with secrets filled in) handed to the engines for the length of a run.
+const RUNTIME_CONFIG_DIR = process.env.RUNTIME_CONFIG_DIR || path.join(os.tmpdir(), "completearr-runtime");
 // LOGS_ROOT is where the UI reads *full* logs for summaries.
 const LOGS_ROOT = process.env.LOGS_ROOT || FULL_LOGS_DIR;
 const MS_IN_DAY = 24 * 60 * 60 * 1000;
@@ -77,6 +121,313 @@ app.use(
   express.static(path.join(__dirname, "node_modules", "htm", "dist"))
 );
 
+const sessions = new Map();
+const loginFailures = new Map();
+// Signs CSRF tokens for proxy-authenticated users, who have no server-side session.
+const csrfSecret = crypto.randomBytes(32);
+
+function readAuthFile() {
+  try {
+    if (fs.existsSync(AUTH_FILE)) {
+      return { admin: null, tokens: [], ...JSON.parse(fs.readFileSync(AUTH_FILE, "utf8")) };
+    }
+  } catch (error) {
+    console.error("[auth] Failed to read auth file:", error.message);
+  }
+  return { admin: null, tokens: [] };
+}
+
+function writeAuthFile(auth) {
+  fs.mkdirSync(path.dirname(AUTH_FILE), { recursive: true });
+  const tmpFile = AUTH_FILE + ".tmp." + Date.now();
+  fs.writeFileSync(tmpFile, JSON.stringify(auth, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpFile, AUTH_FILE);
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function validateCredentials(username, password) {
+  if (typeof username !== "string" || !username.trim()) return "Username is required.";
+  if (typeof password !== "string" || password.length < 8) return "Password must be at least 8 characters.";
+  return null;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || "")
+    .split(";")
+    .forEach((part) => {
+      const index = part.indexOf("=");
+      if (index > 0) {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+      }
+    });
+  return cookies;
+}
+
+function createSession(res, req, username) {
+  const id = crypto.randomBytes(32).toString("hex");
+  sessions.set(id, { username, csrfToken: crypto.randomBytes(32).toString("hex"), expiresAt: Date.now() + SESSION_TTL_MS });
+  res.cookie(SESSION_COOKIE, id, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS
+  });
+  return sessions.get(id);
+}
+
+const normalizeIp = (ip) => String(ip || "").replace(/^::ffff:/, "");
+
+// Works out who is calling: a bearer API token, a trusted proxy header or a session cookie.
+function resolveAuth(req) {
+  if (AUTH_MODE === "none") {
+    return { via: "none", username: null, csrfToken: null };
+  }
+
+  const bearer = (req.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    const auth = readAuthFile();
+    const tokenHash = hashToken(bearer[1].trim());
+    const token = auth.tokens.find((item) => item.hash === tokenHash);
+    if (!token) return null;
+    // Only touch the file once a minute so busy scrapers don't rewrite it on every request.
+    if (!token.lastUsedAt || Date.now() - Date.parse(token.lastUsedAt) > 60 * 1000) {
+      token.lastUsedAt = new Date().toISOString();
+      writeAuthFile(auth);
+    }
+    return { via: "token", username: `token:${token.name}`, csrfToken: null };
+  }
+
+  if (AUTH_MODE === "proxy" && AUTH_PROXY_TRUSTED_IPS.includes(normalizeIp(req.socket.remoteAddress))) {
+    const username = req.get(AUTH_PROXY_HEADER);
+    if (username) {
+      const csrfToken = crypto.createHmac("sha256", csrfSecret).update(`proxy:${username}`).digest("hex");
+      return { via: "proxy", username, csrfToken };
+    }
+  }
+
+  const sessionId = parseCookies(req.get("Cookie"))[SESSION_COOKIE];
+  const session = sessionId && sessions.get(sessionId);
+  if (session && session.expiresAt > Date.now()) {
+    return { via: "session", username: session.username, csrfToken: session.csrfToken, sessionId };
+  }
+  if (session) {
+    sessions.delete(sessionId);
+  }
+  return null;
+}
+
+const LOGIN_THROTTLE_MS = 15 * 60 * 1000;
+
+function checkLoginThrottle(ip) {
+  const entry = loginFailures.get(ip);
+  if (entry && entry.count >= 5 && Date.now() - entry.lastAt < LOGIN_THROTTLE_MS) {
+    return "Too many failed logins. Try again in 15 minutes.";
+  }
+  return null;
+}
+
+// Failures older than the throttle window are forgotten, so the map only holds clients seen in the last 15 minutes.
+function recordLoginFailure(ip) {
+  const now = Date.now();
+  for (const [key, entry] of loginFailures) {
+    if (now - entry.lastAt >= LOGIN_THROTTLE_MS) loginFailures.delete(key);
+  }
+  const entry = loginFailures.get(ip) || { count: 0, lastAt: 0 };
+  loginFailures.set(ip, { count: entry.count + 1, lastAt: now });
+}
+
+// The first admin is claimed with a one-time token printed to the log, so only someone who can read the
+// container output can create it.
+let setupToken = null;
+
+function announceSetupToken() {
+  if (AUTH_MODE === "none" || readAuthFile().admin) return;
+  setupToken = crypto.randomBytes(12).toString("base64url");
+  console.log(`[auth] No admin account yet. Setup token for creating it: ${setupToken}`);
+}
+
+function describeSession(req) {
+  const auth = AUTH_MODE === "none" ? null : readAuthFile();
+  const who = resolveAuth(req);
+  return {
+    mode: AUTH_MODE,
+    needsSetup: Boolean(auth && !auth.admin),
+    authenticated: Boolean(who),
+    username: who?.username || null,
+    via: who?.via || null,
+    csrfToken: who?.csrfToken || null
+  };
+}
+
+app.get("/api/auth/session", (req, res) => {
+  res.json(describeSession(req));
+});
+
+// Only allowed while no admin exists, i.e. on first start.
+app.post("/api/auth/setup", (req, res) => {
+  const auth = readAuthFile();
+  if (auth.admin) {
+    return res.status(409).json({ error: "An admin account already exists." });
+  }
+  const ip = normalizeIp(req.socket.remoteAddress);
+  const throttled = checkLoginThrottle(ip);
+  if (throttled) {
+    return res.status(429).json({ error: throttled });
+  }
+  if (!setupToken) {
+    announceSetupToken();
+  }
+  const { username, password, setupToken: provided } = req.body || {};
+  if (hashToken(String(provided || "").trim()) !== hashToken(setupToken)) {
+    recordLoginFailure(ip);
+    return res.status(403).json({ error: "Setup token is missing or wrong. It is printed in the container log." });
+  }
+  const problem = validateCredentials(username, password);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  auth.admin = { username: username.trim(), passwordHash: hashPassword(password), createdAt: new Date().toISOString() };
+  writeAuthFile(auth);
+  setupToken = null;
+  const session = createSession(res, req, auth.admin.username);
+  return res.json({ ok: true, username: session.username, csrfToken: session.csrfToken });
+});
+
+app.post("/api/auth/login", (req, res) => {
+  const ip = normalizeIp(req.socket.remoteAddress);
+  const throttled = checkLoginThrottle(ip);
+  if (throttled) {
+    return res.status(429).json({ error: throttled });
+  }
+  const { username, password } = req.body || {};
+  const { admin } = readAuthFile();
+  if (!admin || username !== admin.username || !verifyPassword(password, admin.passwordHash)) {
+    recordLoginFailure(ip);
+    return res.status(401).json({ error: "Invalid username or password." });
+  }
+  loginFailures.delete(ip);
+  const session = createSession(res, req, admin.username);
+  return res.json({ ok: true, username: session.username, csrfToken: session.csrfToken });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  const sessionId = parseCookies(req.get("Cookie"))[SESSION_COOKIE];
+  if (sessionId) {
+    sessions.delete(sessionId);
+  }
+  res.clearCookie(SESSION_COOKIE);
+  return res.json({ ok: true });
+});
+
+// Prometheus cannot log in either; set METRICS_TOKEN to require "Authorization: Bearer <token>".
+app.get("/metrics", async (req, res) => {
+  if (METRICS_TOKEN) {
+    const provided = Buffer.from(String(req.get("Authorization") || "").replace(/^Bearer\s+/i, ""));
+    const expected = Buffer.from(METRICS_TOKEN);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      res.set("WWW-Authenticate", "Bearer");
+      return res.status(401).type("text/plain").send("Unauthorized\n");
+    }
+  }
+  try {
+    return res.type("text/plain; version=0.0.4").send(await buildMetrics());
+  } catch (error) {
+    return res.status(500).type("text/plain").send(`${error.message}\n`);
+  }
+});
+
+// Sonarr/Radarr cannot log in, so webhooks carry their own shared token instead.
+app.post("/api/webhooks/sonarr", (req, res) => receiveWebhook("sonarr", req, res));
+app.post("/api/webhooks/radarr", (req, res) => receiveWebhook("radarr", req, res));
+
+// Everything else under /api needs a caller; state-changing requests from browsers also need the CSRF token.
+app.use("/api", (req, res, next) => {
+  const who = resolveAuth(req);
+  if (!who) {
+    return res.status(401).json({ error: "Authentication required." });
+  }
+  if (req.method !== "GET" && req.method !== "HEAD" && who.csrfToken) {
+    const provided = String(req.get("X-CSRF-Token") || "");
+    const valid =
+      provided.length === who.csrfToken.length && crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(who.csrfToken));
+    if (!valid) {
+      return res.status(403).json({ error: "Missing or invalid CSRF token." });
+    }
+  }
+  req.auth = who;
+  return next();
+});
+
+app.post("/api/auth/password", (req, res) => {
+  const auth = readAuthFile();
+  if (req.auth.via !== "session" || !auth.admin) {
+    return res.status(400).json({ error: "Only the local admin account can change its password." });
+  }
+  const { currentPassword, newPassword } = req.body || {};
+  if (!verifyPassword(currentPassword, auth.admin.passwordHash)) {
+    return res.status(400).json({ error: "Current password is incorrect." });
+  }
+  const problem = validateCredentials(auth.admin.username, newPassword);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  auth.admin.passwordHash = hashPassword(newPassword);
+  writeAuthFile(auth);
+  // Sign out every other browser.
+  for (const [id, session] of sessions) {
+    if (id !== req.auth.sessionId && session.username === auth.admin.username) {
+      sessions.delete(id);
+    }
+  }
+  return res.json({ ok: true });
+});
+
+app.get("/api/auth/tokens", (req, res) => {
+  const { tokens } = readAuthFile();
+  res.json(tokens.map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt: lastUsedAt || null })));
+});
+
+// The token itself is only returned here; the server keeps a SHA-256 hash.
+app.post("/api/auth/tokens", (req, res) => {
+  const name = String(req.body?.name || "").trim();
+  if (!name) {
+    return res.status(400).json({ error: "Token name is required." });
+  }
+  const auth = readAuthFile();
+  const token = `carr_${crypto.randomBytes(24).toString("base64url")}`;
+  const entry = { id: crypto.randomBytes(6).toString("hex"), name, hash: hashToken(token), createdAt: new Date().toISOString() };
+  auth.tokens.push(entry);
+  writeAuthFile(auth);
+  return res.json({ id: entry.id, name, createdAt: entry.createdAt, token });
+});
+
+app.post("/api/auth/tokens/:id/revoke", (req, res) => {
+  const auth = readAuthFile();
+  const before = auth.tokens.length;
+  auth.tokens = auth.tokens.filter((token) => token.id !== req.params.id);
+  if (auth.tokens.length === before) {
+    return res.status(404).json({ error: "Token not found." });
+  }
+  writeAuthFile(auth);
+  return res.json({ ok: true });
+});
+
 function readYaml(filePath) {
   if (!fs.existsSync(filePath)) {
     return { raw: "", data: null };
@@ -86,6 +437,27 @@ function readYaml(filePath) {
   return { raw, data };
 }
 
+const RADARR_SUMMARY_MARKERS = {
+  moviesChecked: "Movies checked",
+  moviesAlreadyCorrect: "Movies already correct",
+  moviesSkipped: "Movies skipped",
+  moviesExcluded: "Movies excluded",
+  rootCorrections: "Root corrections",
+  errors: "Errors"
+};
+
+const SONARR_SUMMARY_MARKERS = {
+  seriesChecked: "Series checked",
+  seriesExcluded: "Series excluded",
+  incompleteSeriesSeen: "Incomplete series seen",
+  promotions: "Promotions",
+  demotions: "Demotions",
+  specialsMonitored: "Specials monitored",
+  rootCorrections: "Root corrections",
+  errors: "Errors",
+  episodeMonitorChanges: "Episode monitor changes"
+};
+
 function parseSummary(lines, markers) {
   const summary = {};
   for (const line of lines) {
@@ -102,7 +474,7 @@ function parseSummary(lines, markers) {
 }
 
 function parseLogTimestampFromName(name) {
-  const match = name.match(/_(\d{4}-\d{2}-\d{2})_(\d{4})\.log$/);
+  const match = name.match(/_(\d{4}-\d{2}-\d{2})_(\d{4})(?:_ERRORS)?\.log(?:\.gz)?$/);
   if (!match) return null;
   const datePart = match[1];
   const timePart = match[2];
@@ -111,288 +483,4872 @@ function parseLogTimestampFromName(name) {
   return Number.isNaN(parsed) ? null : parsed;
 }
 
-function collectLogSummaries(prefix, markers, days = 7) {
-  // Only read from Full Logs to avoid base-folder conflicts.
-  const logDirs = [LOGS_ROOT]
+const SUMMARY_INDEX_VERSION = 3;
+const SUMMARY_TAIL_CHUNK_BYTES = 64 * 1024;
+const SUMMARY_HEADER = Buffer.from("SUMMARY -----");
+
+// Reads backwards from the end of a log until the "----- COMPLETEARR ... SUMMARY -----" block is in hand.
+// A log without that header (e.g. cut short by a crash) ends up read in full.
+async function readSummaryTail(filePath, size) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const chunks = [];
+    let carry = Buffer.alloc(0);
+    let position = size;
+    while (position > 0) {
+      const length = Math.min(SUMMARY_TAIL_CHUNK_BYTES, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+      chunks.unshift(chunk);
+      // The carry covers a header split across two chunks.
+      const header = Buffer.concat([chunk, carry]).lastIndexOf(SUMMARY_HEADER);
+      if (header !== -1) {
+        return Buffer.concat(chunks).subarray(header).toString("utf8");
+      }
+      carry = chunk.subarray(0, SUMMARY_HEADER.length - 1);
+    }
+    return Buffer.concat(chunks).toString("utf8");
+  } finally {
+    await handle.close();
+  }
+}
+
+async function summarizeLogFile(filePath, markers, size) {
+  let text;
+  if (isCompressedLog(filePath)) {
+    // Compressed logs cannot be read from the end, but they no longer change, so this happens once.
+    text = (await gunzip(await fs.promises.readFile(filePath))).toString("utf8");
+    const header = text.lastIndexOf(SUMMARY_HEADER.toString());
+    if (header !== -1) text = text.slice(header);
+  } else {
+    text = await readSummaryTail(filePath, size ?? (await fs.promises.stat(filePath)).size);
+  }
+  return parseSummary(text.split(/\r?\n/), markers);
+}
+
+// Parsed summaries, action lines and per-Set counts per log file, persisted under LOGS_BASE and keyed by size + mtime so only new or
+// changed logs are parsed again. fs.watch marks it dirty; the next read brings it up to date.
+let summaryIndex = null;
+let summaryIndexDirty = true;
+let summaryIndexWatched = false;
+let summaryIndexRefresh = null;
+
+async function loadSummaryIndex() {
+  if (summaryIndex) return summaryIndex;
+  try {
+    const parsed = JSON.parse(await fs.promises.readFile(SUMMARY_INDEX_FILE, "utf8"));
+    if (parsed?.version === SUMMARY_INDEX_VERSION && isPlainObject(parsed.files)) {
+      summaryIndex = parsed;
+    }
+  } catch (error) {
+    // missing or unreadable: rebuilt below
+  }
+  summaryIndex = summaryIndex || { version: SUMMARY_INDEX_VERSION, files: {} };
+  return summaryIndex;
+}
+
+async function saveSummaryIndex(index) {
+  const tmpFile = `${SUMMARY_INDEX_FILE}.tmp`;
+  await fs.promises.writeFile(tmpFile, JSON.stringify(index));
+  await fs.promises.rename(tmpFile, SUMMARY_INDEX_FILE);
+}
+
+async function refreshSummaryIndex() {
+  const index = await loadSummaryIndex();
+  let names = [];
+  try {
+    // Only read from Full Logs to avoid base-folder conflicts.
+    names = await fs.promises.readdir(LOGS_ROOT);
+  } catch (error) {
+    names = [];
+  }
+
+  const seen = new Set();
+  let changed = false;
+  for (const name of names) {
+    const engine = engineForLogName(name);
+    if (!engine || !ENGINES[engine].markers || !isLogFileName(name)) continue;
+    const filePath = path.join(LOGS_ROOT, name);
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      continue;
+    }
+    seen.add(name);
+    const entry = index.files[name];
+    if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) continue;
+    try {
+      index.files[name] = {
+        engine,
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        timestamp: parseLogTimestampFromName(name) || stats.mtimeMs,
+        summary: await summarizeLogFile(filePath, ENGINES[engine].markers, stats.size),
+        ...(await scanLogActions(filePath))
+      };
+      changed = true;
+    } catch (error) {
+      console.error(`[stats] Failed to index ${name}:`, error.message);
+    }
+  }
+  for (const name of Object.keys(index.files)) {
+    if (!seen.has(name)) {
+      delete index.files[name];
+      changed = true;
+    }
+  }
+  if (changed) {
+    try {
+      await saveSummaryIndex(index);
+    } catch (error) {
+      console.error("[stats] Failed to save summary index:", error.message);
+    }
+  }
+  return index;
+}
+
+// Concurrent readers share one refresh. Without a working watcher every read re-checks sizes and mtimes.
+function getSummaryIndex() {
+  if (summaryIndex && summaryIndexWatched && !summaryIndexDirty) {
+    return Promise.resolve(summaryIndex);
+  }
+  if (!summaryIndexRefresh) {
+    summaryIndexDirty = false;
+    summaryIndexRefresh = refreshSummaryIndex().finally(() => {
+      summaryIndexRefresh = null;
+    });
+  }
+  return summaryIndexRefresh;
+}
+
+function watchSummaryIndex() {
+  try {
+    const watcher = fs.watch(LOGS_ROOT, () => {
+      summaryIndexDirty = true;
+    });
+    watcher.on("error", (error) => {
+      console.warn("[stats] Stopped watching logs:", error.message);
+      summaryIndexWatched = false;
+      watcher.close();
+    });
+    summaryIndexWatched = true;
+  } catch (error) {
+    console.warn("[stats] Cannot watch logs, summaries are re-checked on every request:", error.message);
+  }
+}
+
+async function collectLogSummaries(engine, fromMs, toMs = Date.now()) {
+  const index = await getSummaryIndex();
+  const instanceOf = instanceLabeler();
+  return Object.entries(index.files)
+    .filter(([, entry]) => entry.engine === engine && entry.timestamp >= fromMs && entry.timestamp <= toMs)
+    .filter(([, entry]) => Object.keys(entry.summary).length)
+    .map(([name, entry]) => ({
+      file: name,
+      instance: instanceOf(name),
+      timestamp: new Date(entry.timestamp).toISOString(),
+      summary: entry.summary
+    }))
+    .sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
+}
+
+const ACTION_LINE_PATTERN =
+  /^\[(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})\] \[[A-Z]+\] .*?(Series|Movie) '(.*)' \(id=(\d+)\) - (PROMOTE TO COMPLETE|DEMOTE TO INCOMPLETE|ROOT CORRECTION): (.*)$/;
+const ACTION_TYPES = {
+  "PROMOTE TO COMPLETE": "promote",
+  "DEMOTE TO INCOMPLETE": "demote",
+  "ROOT CORRECTION": "root-correct"
+};
+
+// Turns one engine log line into a ledger record, or null when it is not a PROMOTION/DEMOTION/ROOT CORRECTION line.
+function parseActionLine(line) {
+  const match = line.match(ACTION_LINE_PATTERN);
+  if (!match) return null;
+  const [, date, time, kind, title, id, label, details] = match;
+  const profile = details.match(/profileId (\d+) -> (\d+)/);
+  const movePath = details.match(/path '(.*)' -> '(.*)'/);
+  // Engine timestamps are written in the container's local time.
+  const timestamp = new Date(`${date}T${time}`);
+  return {
+    engine: kind === "Series" ? "sonarr" : "radarr",
+    title,
+    arrId: Number(id),
+    action: ACTION_TYPES[label],
+    oldProfileId: profile ? Number(profile[1]) : null,
+    newProfileId: profile ? Number(profile[2]) : null,
+    oldPath: movePath ? movePath[1] : null,
+    newPath: movePath ? movePath[2] : null,
+    timestamp: Number.isNaN(timestamp.getTime()) ? null : timestamp.toISOString()
+  };
+}
+
+// Streams a whole log once for its action lines, also counted per media set ("Processing media set: X" starts a
+// set) along with ERROR lines for the metrics. Dry runs log the same lines, so the "[DRY RUN] Would PUT" markers
+// flag the log as a dry run.
+async function scanLogActions(filePath) {
+  const actions = [];
+  const counts = new Map();
+  let dryRun = false;
+  let set = "";
+  await streamLogLines(filePath, {}, (text, number) => {
+    if (!dryRun && text.includes("[DRY RUN]")) dryRun = true;
+    const setMatch = text.match(/Processing media set: (.*)$/);
+    if (setMatch) {
+      set = setMatch[1].trim();
+      return;
+    }
+    const record = parseActionLine(text);
+    if (record) actions.push({ ...record, line: number });
+    const key = record ? record.action : /\] \[ERROR\] /.test(text) ? "error" : null;
+    if (!key) return;
+    const id = `${set}\u0000${key}`;
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  const setActions = [...counts].map(([id, value]) => {
+    const [setName, action] = id.split("\u0000");
+    return { set: setName, action, value };
+  });
+  return { dryRun, actions, setActions };
+}
+
+// Run history keeps the original .log names; retention may have compressed the log since.
+const indexEntryFor = (index, name) => index.files[name] || index.files[`${name}.gz`] || null;
+
+const toLedgerActions = (name, entry, instance) =>
+  (entry.actions || []).map(({ line, ...record }) => ({
+    id: `${name}:${line}`,
+    ...record,
+    instance,
+    dryRun: entry.dryRun,
+    file: name,
+    line
+  }));
+
+async function readLogActions(names) {
+  const index = await getSummaryIndex();
+  const instanceOf = instanceLabeler();
+  return names.flatMap((name) => {
+    const entry = indexEntryFor(index, name);
+    return entry ? toLedgerActions(name, entry, instanceOf(name)) : [];
+  });
+}
+
+async function collectActions() {
+  const index = await getSummaryIndex();
+  const instanceOf = instanceLabeler();
+  const actions = Object.entries(index.files)
+    .filter(([, entry]) => entry.engine === "sonarr" || entry.engine === "radarr")
+    .flatMap(([name, entry]) => toLedgerActions(name, entry, instanceOf(name)));
+
+  return actions.sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+}
+
+const LOG_DIRS = { full: FULL_LOGS_DIR, error: ERROR_LOGS_DIR };
+const gunzip = util.promisify(zlib.gunzip);
+const pipelineAsync = util.promisify(pipeline);
+
+// Retention gzips old logs in place; everything that reads logs goes through these so .log.gz reads like .log.
+const isCompressedLog = (name) => name.endsWith(".log.gz");
+const isLogFileName = (name) => name.endsWith(".log") || isCompressedLog(name);
+
+function createLogReadStream(filePath, options = {}) {
+  if (!isCompressedLog(filePath)) {
+    return fs.createReadStream(filePath, options);
+  }
+  const inflated = pipeline(fs.createReadStream(filePath), zlib.createGunzip(), () => {});
+  if (options.encoding) inflated.setEncoding(options.encoding);
+  return inflated;
+}
+
+// Run history keeps the original .log names, so a log compressed since then is found under .log.gz.
+function findLogFile(dir, name) {
+  const filePath = path.join(dir, name);
+  if (fs.existsSync(filePath)) return filePath;
+  return name.endsWith(".log") && fs.existsSync(`${filePath}.gz`) ? `${filePath}.gz` : null;
+}
+const LOG_INDEX_STRIDE = 1000;
+const logLineIndexes = new Map();
+
+function resolveLogFile(kind, name) {
+  const dir = LOG_DIRS[kind];
+  if (!dir || !name || path.basename(name) !== name) return null;
+  return findLogFile(dir, name);
+}
+
+function engineForLogName(name) {
+  return ENGINE_ORDER.find((key) => name.startsWith(ENGINES[key].logPrefix)) || null;
+}
+
+// Runs with several instances name engine logs <prefix>_<instance slug>_<date>_<time>.log.
+function logInstanceSlug(name) {
+  const engine = engineForLogName(name);
+  if (!engine) return null;
+  const match = name.slice(ENGINES[engine].logPrefix.length).match(/^_(.+?)_\d{4}-\d{2}-\d{2}_\d{4}(?:_ERRORS)?\.log(?:\.gz)?$/);
+  return match ? match[1] : null;
+}
+
+// Maps engine log names to instance names from the current settings. Logs without a slug come from
+// single-instance runs (or predate instances) and are labelled with the primary instance.
+function instanceLabeler() {
+  const instances = {};
+  for (const [engine, filePath] of Object.entries(SETTINGS_FILES)) {
+    const type = engine === "sonarr" ? "Sonarr" : "Radarr";
+    try {
+      instances[engine] = listInstances(readYaml(filePath).data, type);
+    } catch (error) {
+      instances[engine] = listInstances(null, type);
+    }
+  }
+  return (name) => {
+    const engine = engineForLogName(name);
+    if (!instances[engine]) return null;
+    const slug = logInstanceSlug(name);
+    if (slug === null) return instances[engine][0].name;
+    return instances[engine].find((instance) => instance.slug === slug)?.name || slug;
+  };
+}
+
+function listLogs() {
+  const instanceOf = instanceLabeler();
+  return Object.entries(LOG_DIRS)
+    .filter(([, dir]) => fs.existsSync(dir))
+    .flatMap(([kind, dir]) =>
+      fs
+        .readdirSync(dir)
+        .filter((name) => isLogFileName(name))
+        .map((name) => {
+          let stats;
+          try {
+            stats = fs.statSync(path.join(dir, name));
+          } catch (error) {
+            // Compression or pruning can remove a file between readdir and stat.
+            if (error.code === "ENOENT") return null;
+            throw error;
+          }
+          const timestamp = parseLogTimestampFromName(name) || stats.mtimeMs;
+          return {
+            kind,
+            name,
+            engine: engineForLogName(name),
+            instance: instanceOf(name),
+            size: stats.size,
+            compressed: isCompressedLog(name),
+            timestamp: new Date(timestamp).toISOString(),
+            modifiedAt: stats.mtime.toISOString()
+          };
+        })
+    )
     .filter(Boolean)
-    .filter((dir) => fs.existsSync(dir));
+    .sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : a.name.localeCompare(b.name)));
+}
 
-  if (!logDirs.length) {
-    return [];
+// Streams the file once and remembers the byte offset of every LOG_INDEX_STRIDE-th line,
+// so later page reads can seek close to the requested line instead of re-reading from the top.
+function getLogLineIndex(filePath) {
+  const stats = fs.statSync(filePath);
+  const cached = logLineIndexes.get(filePath);
+  if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+    return Promise.resolve(cached);
+  }
+
+  return new Promise((resolve, reject) => {
+    const checkpoints = [0];
+    let lines = 0;
+    let position = 0;
+    let lastByte = null;
+    createLogReadStream(filePath)
+      .on("data", (chunk) => {
+        for (let i = 0; i < chunk.length; i += 1) {
+          if (chunk[i] === 0x0a) {
+            lines += 1;
+            if (lines % LOG_INDEX_STRIDE === 0) {
+              checkpoints.push(position + i + 1);
+            }
+          }
+        }
+        position += chunk.length;
+        lastByte = chunk[chunk.length - 1];
+      })
+      .on("error", reject)
+      .on("end", () => {
+        const index = {
+          size: stats.size,
+          mtimeMs: stats.mtimeMs,
+          totalLines: lines + (lastByte !== null && lastByte !== 0x0a ? 1 : 0),
+          checkpoints
+        };
+        logLineIndexes.set(filePath, index);
+        resolve(index);
+      });
+  });
+}
+
+// Calls onLine(text, lineNumber) for each line from startLine (1-based) until it returns false.
+function streamLogLines(filePath, { start = 0, startLine = 1 }, onLine) {
+  return new Promise((resolve, reject) => {
+    // A compressed log cannot be entered mid-way, so it is read from the top and the earlier lines skipped.
+    const compressed = isCompressedLog(filePath);
+    const input = createLogReadStream(filePath, { start: compressed ? 0 : start, encoding: "utf8" });
+    const reader = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNumber = compressed ? 0 : startLine - 1;
+    let done = false;
+    reader.on("line", (text) => {
+      if (done) return;
+      lineNumber += 1;
+      if (lineNumber < startLine) return;
+      if (onLine(text, lineNumber) === false) {
+        done = true;
+        reader.close();
+        input.destroy();
+      }
+    });
+    reader.on("close", resolve);
+    input.on("error", reject);
+  });
+}
+
+function toLogLine(text, number) {
+  return { number, text, level: detectLineLevel(text) };
+}
+
+async function readLogLines(filePath, { offset, limit, levels }) {
+  const lines = [];
+  if (!levels) {
+    const index = await getLogLineIndex(filePath);
+    const checkpoint = Math.min(Math.floor(offset / LOG_INDEX_STRIDE), index.checkpoints.length - 1);
+    if (offset < index.totalLines) {
+      await streamLogLines(
+        filePath,
+        { start: index.checkpoints[checkpoint], startLine: checkpoint * LOG_INDEX_STRIDE + 1 },
+        (text, number) => {
+          if (number > offset) lines.push(toLogLine(text, number));
+          return lines.length < limit;
+        }
+      );
+    }
+    return { lines, total: index.totalLines };
+  }
+
+  // Level-filtered reads have to scan the whole file to know how many lines match.
+  let total = 0;
+  await streamLogLines(filePath, {}, (text, number) => {
+    const level = detectLineLevel(text) || "OTHER";
+    if (!levels.includes(level)) return true;
+    if (total >= offset && lines.length < limit) {
+      lines.push(toLogLine(text, number));
+    }
+    total += 1;
+    return true;
+  });
+  return { lines, total };
+}
+
+function readLogBytes(filePath, start, length) {
+  if (isCompressedLog(filePath)) {
+    // Offsets and size refer to the decompressed text.
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      createLogReadStream(filePath)
+        .on("data", (chunk) => {
+          const from = Math.max(0, start - size);
+          const to = Math.min(chunk.length, start + length - size);
+          if (to > from) chunks.push(chunk.subarray(from, to));
+          size += chunk.length;
+        })
+        .on("error", reject)
+        .on("end", () => {
+          const end = start >= size ? start : Math.min(size, start + length);
+          resolve({ text: Buffer.concat(chunks).toString("utf8"), start, end, size });
+        });
+    });
+  }
+  return new Promise((resolve, reject) => {
+    const size = fs.statSync(filePath).size;
+    if (start >= size) {
+      resolve({ text: "", start, end: start, size });
+      return;
+    }
+    const end = Math.min(size, start + length);
+    const chunks = [];
+    fs.createReadStream(filePath, { start, end: end - 1 })
+      .on("data", (chunk) => chunks.push(chunk))
+      .on("error", reject)
+      .on("end", () => resolve({ text: Buffer.concat(chunks).toString("utf8"), start, end, size }));
+  });
+}
+
+async function searchLog(filePath, { matcher, context, fromLine, maxMatches }) {
+  const matches = [];
+  const before = [];
+  let pending = [];
+  let truncated = false;
+
+  await streamLogLines(filePath, {}, (text, number) => {
+    const line = toLogLine(text, number);
+    pending = pending.filter((match) => {
+      match.after.push(line);
+      return match.after.length < context;
+    });
+
+    if (number >= fromLine && matcher(line)) {
+      if (matches.length >= maxMatches) {
+        truncated = true;
+        return false;
+      }
+      const match = { ...line, before: before.slice(), after: [] };
+      matches.push(match);
+      if (context > 0) pending.push(match);
+    }
+
+    if (context > 0) {
+      before.push(line);
+      if (before.length > context) before.shift();
+    }
+    return true;
+  });
+
+  return { matches, truncated };
+}
+
+// 0 turns a limit off. Only compression is on by default, so upgrading never deletes anything.
+const RETENTION_LIMITS = {
+  compressAfterDays: "Gzip full logs older than this many days",
+  maxAgeDays: "Delete logs older than this many days",
+  maxTotalSizeMB: "Delete the oldest logs while all logs together are larger than this",
+  keepLastRuns: "Keep only this many of the newest logs per engine and instance"
+};
+
+function defaultRetention() {
+  return { enabled: true, cron: "30 3 * * *", compressAfterDays: 7, maxAgeDays: 0, maxTotalSizeMB: 0, keepLastRuns: 0 };
+}
+
+function validateRetention(input) {
+  const defaults = defaultRetention();
+  const source = isPlainObject(input) ? input : {};
+  const retention = { enabled: source.enabled !== undefined ? source.enabled !== false : defaults.enabled };
+  const errors = {};
+  retention.cron = String(source.cron ?? defaults.cron).trim();
+  try {
+    parseCron(retention.cron);
+  } catch (error) {
+    errors.cron = error.message;
+  }
+  for (const key of Object.keys(RETENTION_LIMITS)) {
+    const value = source[key] === undefined || source[key] === "" ? defaults[key] : Number(source[key]);
+    if (!Number.isFinite(value) || value < 0 || (key === "keepLastRuns" && !Number.isInteger(value))) {
+      errors[key] = key === "keepLastRuns" ? "Must be a whole number, 0 or more." : "Must be a number, 0 or more.";
+    }
+    retention[key] = value;
+  }
+  return { retention, errors };
+}
+
+function loadRetention() {
+  try {
+    if (fs.existsSync(RETENTION_FILE)) {
+      const { retention, errors } = validateRetention(JSON.parse(fs.readFileSync(RETENTION_FILE, "utf8")));
+      if (!Object.keys(errors).length) {
+        return retention;
+      }
+      console.error("[retention] Ignoring invalid retention file:", Object.values(errors).join(" "));
+    }
+  } catch (error) {
+    console.error("[retention] Failed to read retention file:", error.message);
+  }
+  return defaultRetention();
+}
+
+function saveRetention(retention) {
+  fs.mkdirSync(path.dirname(RETENTION_FILE), { recursive: true });
+  const tmpFile = RETENTION_FILE + ".tmp." + Date.now();
+  fs.writeFileSync(tmpFile, JSON.stringify(retention, null, 2));
+  fs.renameSync(tmpFile, RETENTION_FILE);
+}
+
+let lastPrune = null;
+let pruningLogs = false;
+
+// Keeps the file's mtime so age-based rules and the summary index still see the original time.
+async function compressLogFile(filePath) {
+  const stats = await fs.promises.stat(filePath);
+  const target = `${filePath}.gz`;
+  const tmpFile = `${target}.tmp`;
+  await pipelineAsync(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(tmpFile));
+  await fs.promises.utimes(tmpFile, stats.atime, stats.mtime);
+  await fs.promises.rename(tmpFile, target);
+  await fs.promises.rm(filePath);
+  return stats.size - (await fs.promises.stat(target)).size;
+}
+
+// Applies keep-last-N, max age and max total size (oldest first), then gzips the full logs that are old enough.
+// Logs written by a run in progress are never touched, and nothing is compressed mid-run because the run
+// record is built from the log names it finds afterwards.
+async function pruneLogs(retention = loadRetention(), now = Date.now()) {
+  if (pruningLogs) {
+    throw new Error("Logs are already being pruned.");
+  }
+  pruningLogs = true;
+  const result = { at: new Date(now).toISOString(), deleted: [], compressed: [], freedBytes: 0, errors: [], skippedCompression: false };
+  try {
+    const runStartedMs = activeRun ? Date.parse(activeRun.startedAt) : null;
+    const files = listLogs()
+      .map((log) => ({ ...log, filePath: path.join(LOG_DIRS[log.kind], log.name), timestampMs: Date.parse(log.timestamp) }))
+      .filter((log) => runStartedMs === null || Date.parse(log.modifiedAt) < runStartedMs);
+
+    const doomed = new Set();
+    if (retention.keepLastRuns > 0) {
+      const groups = new Map();
+      for (const log of files) {
+        const key = `${log.kind}/${log.engine || "other"}/${log.instance || ""}`;
+        groups.set(key, [...(groups.get(key) || []), log]);
+      }
+      // listLogs is newest first.
+      for (const group of groups.values()) {
+        group.slice(retention.keepLastRuns).forEach((log) => doomed.add(log));
+      }
+    }
+    if (retention.maxAgeDays > 0) {
+      const cutoff = now - retention.maxAgeDays * MS_IN_DAY;
+      files.filter((log) => log.timestampMs < cutoff).forEach((log) => doomed.add(log));
+    }
+    if (retention.maxTotalSizeMB > 0) {
+      const kept = files.filter((log) => !doomed.has(log));
+      let total = kept.reduce((sum, log) => sum + log.size, 0);
+      for (const log of [...kept].reverse()) {
+        if (total <= retention.maxTotalSizeMB * 1024 * 1024) break;
+        doomed.add(log);
+        total -= log.size;
+      }
+    }
+
+    for (const log of doomed) {
+      try {
+        await fs.promises.rm(log.filePath);
+        logLineIndexes.delete(log.filePath);
+        result.deleted.push(`${log.kind}/${log.name}`);
+        result.freedBytes += log.size;
+      } catch (error) {
+        result.errors.push(`${log.name}: ${error.message}`);
+      }
+    }
+
+    if (retention.compressAfterDays > 0) {
+      const cutoff = now - retention.compressAfterDays * MS_IN_DAY;
+      const candidates = files.filter((log) => !doomed.has(log) && log.kind === "full" && !log.compressed && log.timestampMs < cutoff);
+      if (activeRun) {
+        result.skippedCompression = candidates.length > 0;
+      } else {
+        for (const log of candidates) {
+          try {
+            result.freedBytes += await compressLogFile(log.filePath);
+            logLineIndexes.delete(log.filePath);
+            result.compressed.push(`${log.kind}/${log.name}`);
+          } catch (error) {
+            result.errors.push(`${log.name}: ${error.message}`);
+          }
+        }
+      }
+    }
+  } finally {
+    pruningLogs = false;
+  }
+  summaryIndexDirty = true;
+  lastPrune = result;
+  console.log(
+    `[retention] Deleted ${result.deleted.length} and compressed ${result.compressed.length} log(s), freeing ${result.freedBytes} bytes.`
+  );
+  return result;
+}
+
+function retentionTick(now) {
+  const retention = loadRetention();
+  if (!retention.enabled || !cronMatches(parseCron(retention.cron), now)) {
+    return;
+  }
+  pruneLogs(retention).catch((error) => console.error("[retention] Prune failed:", error.message));
+}
+
+async function describeLogUsage() {
+  const retention = loadRetention();
+  const dirs = {};
+  for (const kind of Object.keys(LOG_DIRS)) {
+    dirs[kind] = { files: 0, bytes: 0, compressedFiles: 0, compressedBytes: 0 };
+  }
+  const logs = listLogs();
+  for (const log of logs) {
+    const entry = dirs[log.kind];
+    entry.files += 1;
+    entry.bytes += log.size;
+    if (log.compressed) {
+      entry.compressedFiles += 1;
+      entry.compressedBytes += log.size;
+    }
+  }
+  let disk = null;
+  try {
+    const stats = await fs.promises.statfs(LOGS_BASE);
+    disk = { freeBytes: stats.bavail * stats.bsize, totalBytes: stats.blocks * stats.bsize };
+  } catch (error) {
+    // statfs is not available everywhere
+  }
+  const next = retention.enabled ? nextCronOccurrence(parseCron(retention.cron)) : null;
+  return {
+    total: { files: logs.length, bytes: logs.reduce((sum, log) => sum + log.size, 0) },
+    dirs,
+    oldest: logs.length ? logs[logs.length - 1].timestamp : null,
+    newest: logs.length ? logs[0].timestamp : null,
+    disk,
+    retention,
+    nextPrune: next ? next.toISOString() : null,
+    lastPrune,
+    pruning: pruningLogs
+  };
+}
+
+const STATS_BUCKETS = { hour: 60 * 60 * 1000, day: MS_IN_DAY, week: 7 * MS_IN_DAY };
+const STATS_MAX_BUCKETS = 2000;
+
+// Accepts ISO dates or epoch milliseconds.
+function parseStatsTime(value, name, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`${name} must be an ISO date or epoch milliseconds.`);
+  }
+  return ms;
+}
+
+// Buckets are aligned in UTC; weeks start on Monday.
+function statsBucketStart(ms, bucket) {
+  const date = new Date(ms);
+  if (bucket === "hour") {
+    date.setUTCMinutes(0, 0, 0);
+  } else {
+    date.setUTCHours(0, 0, 0, 0);
+    if (bucket === "week") {
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    }
+  }
+  return date.getTime();
+}
+
+// Sums every summary marker per bucket; empty buckets are zero so charts stay continuous.
+// ?instance= narrows the series to logs from one Sonarr/Radarr instance.
+async function buildStatsSeries(query) {
+  const bucket = query.bucket || "day";
+  if (!STATS_BUCKETS[bucket]) {
+    throw new Error("bucket must be hour, day or week.");
+  }
+  const engines = query.engine ? [query.engine] : ["radarr", "sonarr"];
+  if (engines.some((engine) => !ENGINES[engine]?.markers)) {
+    throw new Error("engine must be radarr or sonarr.");
+  }
+  const toMs = parseStatsTime(query.to, "to", Date.now());
+  const fromMs = parseStatsTime(query.from, "from", toMs - 7 * MS_IN_DAY);
+  if (fromMs >= toMs) {
+    throw new Error("from must be before to.");
+  }
+
+  const starts = [];
+  for (let start = statsBucketStart(fromMs, bucket); start <= toMs; start += STATS_BUCKETS[bucket]) {
+    starts.push(start);
+    if (starts.length > STATS_MAX_BUCKETS) {
+      throw new Error(`That range has more than ${STATS_MAX_BUCKETS} ${bucket} buckets; pick a larger bucket.`);
+    }
+  }
+
+  const series = {};
+  const instances = {};
+  for (const engine of engines) {
+    const values = { runs: starts.map(() => 0) };
+    Object.keys(ENGINES[engine].markers).forEach((key) => (values[key] = starts.map(() => 0)));
+    const entries = await collectLogSummaries(engine, fromMs, toMs);
+    instances[engine] = [...new Set(entries.map((entry) => entry.instance))].sort();
+    for (const entry of entries) {
+      if (query.instance && entry.instance !== query.instance) continue;
+      const index = starts.indexOf(statsBucketStart(Date.parse(entry.timestamp), bucket));
+      if (index === -1) continue;
+      values.runs[index] += 1;
+      for (const [key, value] of Object.entries(entry.summary)) {
+        if (values[key] && typeof value === "number") {
+          values[key][index] += value;
+        }
+      }
+    }
+    series[engine] = values;
+  }
+
+  return {
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    bucket,
+    buckets: starts.map((start) => new Date(start).toISOString()),
+    instance: query.instance || null,
+    instances,
+    series
+  };
+}
+
+function normalizeStatsResponse(payload) {
+  return {
+    radarr: payload.radarr || [],
+    sonarr: payload.sonarr || []
+  };
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const yamlKeyOf = (pair) => (isScalar(pair.key) ? pair.key.value : pair.key);
+
+// Walks the parsed document alongside the new data. Changed scalars are collected so they can be
+// spliced into the original text; anything that adds, removes or reshapes nodes edits the document
+// directly and marks the edit as structural.
+function applyYamlChanges(doc, node, value, edits) {
+  if (isMap(node) && isPlainObject(value)) {
+    for (const pair of node.items.slice()) {
+      if (!Object.prototype.hasOwnProperty.call(value, yamlKeyOf(pair))) {
+        node.items.splice(node.items.indexOf(pair), 1);
+        edits.structural = true;
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const pair = node.items.find((item) => yamlKeyOf(item) === key);
+      if (!pair) {
+        node.set(key, doc.createNode(child));
+        edits.structural = true;
+      } else if (!applyYamlChanges(doc, pair.value, child, edits)) {
+        pair.value = doc.createNode(child);
+        edits.structural = true;
+      }
+    }
+    return true;
+  }
+
+  if (isSeq(node) && Array.isArray(value)) {
+    value.forEach((child, index) => {
+      if (index >= node.items.length) {
+        node.items.push(doc.createNode(child));
+        edits.structural = true;
+      } else if (!applyYamlChanges(doc, node.items[index], child, edits)) {
+        node.items[index] = doc.createNode(child);
+        edits.structural = true;
+      }
+    });
+    if (node.items.length > value.length) {
+      node.items.splice(value.length);
+      edits.structural = true;
+    }
+    return true;
+  }
+
+  const isLeaf = value === null || typeof value !== "object";
+  if (isScalar(node) && isLeaf) {
+    if (node.value !== value) {
+      edits.scalars.push({ node, value });
+    }
+    return true;
+  }
+  // An empty key ("Sets:") parses as a null-valued pair; let the caller replace it.
+  return false;
+}
+
+function formatYamlScalar(node, value) {
+  const defaultStringType = ["QUOTE_SINGLE", "QUOTE_DOUBLE"].includes(node.type) ? node.type : "PLAIN";
+  return stringifyYaml(value, { defaultStringType, lineWidth: 0 }).replace(/\n$/, "");
+}
+
+function renderYaml(raw, data) {
+  const doc = raw.trim() ? parseDocument(raw) : null;
+  // A file that does not parse has nothing worth keeping in place; it is still backed up before the write.
+  if (!doc || doc.errors.length) {
+    return new YamlDocument(data).toString({ lineWidth: 0 });
+  }
+
+  const edits = { scalars: [], structural: false };
+  if (!applyYamlChanges(doc, doc.contents, data, edits)) {
+    doc.contents = doc.createNode(data);
+    edits.structural = true;
+  }
+
+  if (edits.structural) {
+    edits.scalars.forEach(({ node, value }) => {
+      node.value = value;
+    });
+    return doc.toString({ lineWidth: 0 });
+  }
+
+  // Only values changed: splice them into the original text so spacing and comment alignment stay put.
+  let content = raw;
+  edits.scalars
+    .sort((a, b) => b.node.range[0] - a.node.range[0])
+    .forEach(({ node, value }) => {
+      const [start, end] = node.range;
+      content = content.slice(0, start) + formatYamlScalar(node, value) + content.slice(end);
+    });
+  return content;
+}
+
+function listSettingsBackups(filePath) {
+  const base = path.basename(filePath);
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.startsWith(`${base}.`) && name.endsWith(".bak"))
+    .map((name) => {
+      const stats = fs.statSync(path.join(dir, name));
+      return {
+        id: name.slice(base.length + 1, -".bak".length),
+        file: name,
+        size: stats.size,
+        createdAt: stats.mtime.toISOString()
+      };
+    })
+    .sort((a, b) => (a.id < b.id ? 1 : -1));
+}
+
+function resolveSettingsBackup(filePath, backupId) {
+  return listSettingsBackups(filePath).find((backup) => backup.id === backupId) || null;
+}
+
+// Keeps the last SETTINGS_BACKUP_LIMIT copies as <file>.<timestamp>.bak next to the settings file.
+function backupSettingsFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  const id = new Date().toISOString().replace(/[:.]/g, "-");
+  const backupPath = path.join(path.dirname(filePath), `${path.basename(filePath)}.${id}.bak`);
+  fs.writeFileSync(backupPath, fs.readFileSync(filePath));
+  listSettingsBackups(filePath)
+    .slice(Math.max(1, SETTINGS_BACKUP_LIMIT))
+    .forEach((backup) => fs.unlinkSync(path.join(path.dirname(filePath), backup.file)));
+  return id;
+}
+
+function writeSettingsFile(filePath, content) {
+  const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null;
+  if (current === content) return;
+  backupSettingsFile(filePath);
+  const tmpFile = filePath + ".tmp." + Date.now();
+  fs.writeFileSync(tmpFile, content, "utf8");
+  fs.renameSync(tmpFile, filePath);
+}
+
+function writeYaml(filePath, data) {
+  const raw = fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : "";
+  writeSettingsFile(filePath, renderYaml(raw, data));
+}
+
+// Line diff (LCS) between two small text files; settings files are a few hundred lines at most.
+function diffLines(before, after) {
+  const a = before.split(/\r?\n/);
+  const b = after.split(/\r?\n/);
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: "same", text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (j < b.length && (i >= a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      lines.push({ type: "add", text: b[j] });
+      j += 1;
+    } else {
+      lines.push({ type: "remove", text: a[i] });
+      i += 1;
+    }
+  }
+  return lines;
+}
+
+const SET_FIELDS = [
+  "Media Type",
+  "Incomplete Profile Name",
+  "Incomplete Root Folder",
+  "Complete Profile Name",
+  "Complete Root Folder"
+];
+// Names the Sonarr instance a Set belongs to; without it the Set belongs to the primary instance.
+const SET_OPTIONAL_FIELDS = ["Instance"];
+const EXCLUSION_TYPES = ["Tag", "Id", "Title", "Path"];
+const EXCLUSION_FIELDS = ["Type", "Value", "Note", "Instance"];
+
+const LOGGING_SCHEMA = {
+  LogsRoot: { type: "string" },
+  LogFileName: { type: "string" },
+  LogToConsole: { type: "boolean" },
+  LogToFile: { type: "boolean" },
+  MinLevel: { type: "enum", values: ["Debug", "Info", "Warning", "Error", "Success"] },
+  UseColors: { type: "boolean" },
+  ThrottleMs: { type: "integer", min: 0, max: 60000 }
+};
+
+function moveVerificationSchema(arrMode) {
+  return {
+    MoveVerifyEnabled: { type: "boolean" },
+    MoveVerifyMode: { type: "enum", values: [arrMode, "filesystem", "both"] },
+    MoveVerifyRetries: { type: "integer", min: 0, max: 20 },
+    MoveVerifyDelaySeconds: { type: "integer", min: 0, max: 600 },
+    MoveVerifyBackoffSeconds: { type: "integer", min: 0, max: 600 },
+    MoveVerifyReattemptMove: { type: "boolean" },
+    MoveVerifyRevertOnFailure: { type: "boolean" }
+  };
+}
+
+// Keys missing from the file fall back to the engine defaults, so only Url/ApiKey are required.
+const CONNECTION_SCHEMA = {
+  Url: { type: "url", required: true },
+  ApiKey: { type: "string", required: true }
+};
+
+const SETTINGS_SCHEMAS = {
+  sonarr: {
+    Sonarr: { type: "instances" },
+    Logging: LOGGING_SCHEMA,
+    Behavior: {
+      DryRun: { type: "boolean" },
+      GraceDays: { type: "integer", min: 0, max: 3650 },
+      PreflightSeconds: { type: "integer", min: 0, max: 3600 },
+      PostMoveWaitSeconds: { type: "integer", min: 0, max: 3600 },
+      MonitorNonSpecials: { type: "boolean" },
+      UnmonitorSpecialsWhenIncomplete: { type: "boolean" },
+      MonitorSpecialsWhenComplete: { type: "boolean" },
+      SpecialsDoNotBlockCompletion: { type: "boolean" },
+      TreatUnknownAirDateAsOld: { type: "boolean" },
+      MoveVerification: moveVerificationSchema("sonarr")
+    },
+    Sets: { type: "sets" },
+    Exclusions: { type: "exclusions" }
+  },
+  radarr: {
+    Radarr: { type: "instances" },
+    Logging: LOGGING_SCHEMA,
+    Behavior: {
+      DryRun: { type: "boolean" },
+      PreflightSeconds: { type: "integer", min: 0, max: 3600 },
+      PostMoveWaitSeconds: { type: "integer", min: 0, max: 3600 },
+      MoveVerification: moveVerificationSchema("radarr")
+    },
+    FilmEngine: {
+      Enabled: { type: "boolean" },
+      ProfileRootMappings: { type: "mappings" }
+    },
+    Exclusions: { type: "exclusions" }
+  }
+};
+
+function validateField(rule, value) {
+  if (value === undefined || value === null || value === "") {
+    // NaN from an emptied number input arrives as null.
+    if (rule.required) return "This field is required.";
+    return value === null && rule.type === "integer" ? "Must be a whole number." : null;
+  }
+
+  switch (rule.type) {
+    case "string":
+      return typeof value === "string" ? null : "Must be text.";
+    case "url":
+      if (typeof value !== "string" || !/^https?:\/\/[^\s/]+/i.test(value)) {
+        return "Must be an http:// or https:// URL.";
+      }
+      return value.endsWith("/") ? "Remove the trailing '/'." : null;
+    case "boolean":
+      return typeof value === "boolean" ? null : "Must be true or false.";
+    case "integer":
+      if (typeof value !== "number" || !Number.isInteger(value)) return "Must be a whole number.";
+      if (value < rule.min || value > rule.max) return `Must be between ${rule.min} and ${rule.max}.`;
+      return null;
+    case "enum": {
+      // PowerShell compares these case-insensitively.
+      const match = typeof value === "string" && rule.values.some((item) => item.toLowerCase() === value.toLowerCase());
+      return match ? null : `Must be one of: ${rule.values.join(", ")}.`;
+    }
+    default:
+      return null;
+  }
+}
+
+function validateSets(sets, errors, instances) {
+  if (!Array.isArray(sets)) {
+    errors.Sets = "Sets must be a list.";
+    return;
+  }
+  const names = new Map();
+  sets.forEach((set, index) => {
+    if (!isPlainObject(set)) {
+      errors[`Sets.${index}`] = "Each Set must be a mapping of field names to values.";
+      return;
+    }
+    for (const key of Object.keys(set)) {
+      if (!SET_FIELDS.includes(key) && !SET_OPTIONAL_FIELDS.includes(key)) {
+        const hint = SET_FIELDS.find((field) => field.toLowerCase() === key.toLowerCase().trim());
+        errors[`Sets.${index}.${key}`] = hint ? `Unknown field "${key}" (did you mean "${hint}"?).` : `Unknown field "${key}".`;
+      }
+    }
+    for (const field of SET_FIELDS) {
+      const value = set[field];
+      if (typeof value !== "string" || !value.trim()) {
+        errors[`Sets.${index}.${field}`] = "This field is required.";
+      }
+    }
+    if (set.Instance !== undefined && set.Instance !== null && set.Instance !== "") {
+      const owner = setInstanceName(set);
+      if (!owner || !instances.some((instance) => instance.name === owner || instance.slug === owner)) {
+        errors[`Sets.${index}.Instance`] = `No Sonarr instance is named "${set.Instance}".`;
+      }
+    }
+    const name = typeof set["Media Type"] === "string" ? set["Media Type"].trim() : "";
+    if (name && names.has(name)) {
+      errors[`Sets.${index}.Media Type`] = `Duplicate Set name (also used by Set ${names.get(name) + 1}).`;
+    } else if (name) {
+      names.set(name, index);
+    }
+  });
+  validateSetProfiles(sets, errors, instances);
+}
+
+// The engine runs every Set of an instance in turn, so a profile named twice has its series processed by both Sets
+// in one run, each moving them to its own folders. Profile names match case-insensitively, like the engine's lookup.
+function validateSetProfiles(sets, errors, instances) {
+  const claimed = new Map();
+  sets.forEach((set, index) => {
+    if (!isPlainObject(set)) return;
+    const ownerName = setInstanceName(set);
+    const owner = ownerName === null ? instances[0]?.name : instances.find((instance) => instance.name === ownerName || instance.slug === ownerName)?.name ?? ownerName;
+    const incomplete = typeof set["Incomplete Profile Name"] === "string" ? set["Incomplete Profile Name"].trim().toLowerCase() : "";
+    if (incomplete && incomplete === String(set["Complete Profile Name"] || "").trim().toLowerCase()) {
+      const key = `Sets.${index}.Complete Profile Name`;
+      if (!errors[key]) errors[key] = "Must differ from the Incomplete profile, or series could never be promoted.";
+      return;
+    }
+    for (const field of ["Incomplete Profile Name", "Complete Profile Name"]) {
+      const profile = typeof set[field] === "string" ? set[field].trim() : "";
+      if (!profile) continue;
+      const key = `${owner}\u0000${profile.toLowerCase()}`;
+      const other = claimed.get(key);
+      if (other && !errors[`Sets.${index}.${field}`]) {
+        errors[`Sets.${index}.${field}`] = `Profile "${profile}" is already the ${other.field.split(" ")[0]} profile of Set ${other.index + 1}; series on it would be processed by both Sets.`;
+      } else if (!other) {
+        claimed.set(key, { index, field });
+      }
+    }
+  });
+}
+
+function validateMappings(mappings, errors, key = "FilmEngine.ProfileRootMappings") {
+  if (!isPlainObject(mappings)) {
+    errors[key] = "ProfileRootMappings must be a mapping of profile name to root folder.";
+    return;
+  }
+  for (const [profile, root] of Object.entries(mappings)) {
+    // An empty root means "not mapped"; the FilmEngine skips those profiles.
+    if (root !== null && root !== "" && typeof root !== "string") {
+      errors[`${key}.${profile}`] = "Root folder must be text.";
+    }
+  }
+}
+
+// A single mapping keeps the original field paths ("Sonarr.Url"); list entries are "Sonarr.1.Url".
+const exclusionType = (rule) => EXCLUSION_TYPES.find((type) => type.toLowerCase() === String(rule?.Type || "").trim().toLowerCase()) || null;
+
+// Returns the message for one rule's Value, or null when it is usable.
+function validateExclusionValue(type, value) {
+  const text = String(value ?? "").trim();
+  if (!text) return "This field is required.";
+  if (type === "Id" && !/^[1-9]\d*$/.test(text)) return "Must be a positive whole number.";
+  if (type === "Title") {
+    try {
+      new RegExp(text, "i");
+    } catch (error) {
+      return `Not a valid regular expression (${error.message.replace(/^Invalid regular expression: /, "")}).`;
+    }
+  }
+  return null;
+}
+
+function validateExclusions(rules, errors, instances) {
+  if (!Array.isArray(rules)) {
+    errors.Exclusions = "Exclusions must be a list of rules.";
+    return;
+  }
+  rules.forEach((rule, index) => {
+    const prefix = `Exclusions.${index}`;
+    if (!isPlainObject(rule)) {
+      errors[prefix] = "Each rule must be a mapping with Type and Value.";
+      return;
+    }
+    for (const key of Object.keys(rule)) {
+      if (!EXCLUSION_FIELDS.includes(key)) {
+        errors[`${prefix}.${key}`] = `Unknown field "${key}".`;
+      }
+    }
+    const type = exclusionType(rule);
+    if (!type) {
+      errors[`${prefix}.Type`] = `Must be one of: ${EXCLUSION_TYPES.join(", ")}.`;
+    } else {
+      const message = validateExclusionValue(type, rule.Value);
+      if (message) errors[`${prefix}.Value`] = message;
+    }
+    if (rule.Note !== undefined && rule.Note !== null && typeof rule.Note !== "string") {
+      errors[`${prefix}.Note`] = "Must be text.";
+    }
+    if (rule.Instance !== undefined && rule.Instance !== null && rule.Instance !== "") {
+      const owner = setInstanceName(rule);
+      if (!owner || !instances.some((instance) => instance.name === owner || instance.slug === owner)) {
+        errors[`${prefix}.Instance`] = `No instance is named "${rule.Instance}".`;
+      }
+    }
+  });
+}
+
+function validateInstances(type, value, errors) {
+  const checkConnection = (connection, prefix) => {
+    for (const [key, rule] of Object.entries(CONNECTION_SCHEMA)) {
+      const message = validateField(rule, connection?.[key]);
+      if (message) errors[`${prefix}.${key}`] = message;
+    }
+  };
+  if (value === undefined || value === null || isPlainObject(value)) {
+    checkConnection(value, type);
+    return;
+  }
+  if (!Array.isArray(value) || !value.length) {
+    errors[type] = "Must be a section of settings or a list of named instances.";
+    return;
+  }
+  const slugs = new Map();
+  value.forEach((entry, index) => {
+    const prefix = `${type}.${index}`;
+    if (!isPlainObject(entry)) {
+      errors[prefix] = "Each instance must be a mapping with Name, Url and ApiKey.";
+      return;
+    }
+    const slug = typeof entry.Name === "string" ? instanceSlug(entry.Name) : "";
+    if (!slug) {
+      errors[`${prefix}.Name`] = "Each instance needs a name with at least one letter or digit.";
+    } else if (slugs.has(slug)) {
+      errors[`${prefix}.Name`] = `Too close to the name of instance ${slugs.get(slug) + 1}; names must differ in more than punctuation.`;
+    } else {
+      slugs.set(slug, index);
+    }
+    checkConnection(entry, prefix);
+    if (type === "Radarr" && entry.ProfileRootMappings !== undefined && entry.ProfileRootMappings !== null) {
+      validateMappings(entry.ProfileRootMappings, errors, `${prefix}.ProfileRootMappings`);
+    }
+  });
+}
+
+// Returns field-level errors keyed by dotted path (e.g. "Behavior.GraceDays", "Sets.2.Complete Root Folder").
+function validateSettings(engine, data) {
+  const errors = {};
+  if (!isPlainObject(data)) {
+    return { "": "Settings must be a YAML mapping." };
+  }
+
+  const walk = (schema, value, prefix) => {
+    for (const [key, rule] of Object.entries(schema)) {
+      const fieldPath = prefix ? `${prefix}.${key}` : key;
+      const fieldValue = value?.[key];
+      if (rule.type === "instances") {
+        validateInstances(key, fieldValue, errors);
+      } else if (rule.type === "sets") {
+        if (fieldValue !== undefined) validateSets(fieldValue, errors, listInstances(data, "Sonarr"));
+      } else if (rule.type === "mappings") {
+        if (fieldValue !== undefined && fieldValue !== null) validateMappings(fieldValue, errors);
+      } else if (rule.type === "exclusions") {
+        const type = engine === "sonarr" ? "Sonarr" : "Radarr";
+        if (fieldValue !== undefined && fieldValue !== null) validateExclusions(fieldValue, errors, listInstances(data, type));
+      } else if (rule.type) {
+        const message = validateField(rule, fieldValue);
+        if (message) errors[fieldPath] = message;
+      } else if (fieldValue === undefined || fieldValue === null) {
+        walk(rule, {}, fieldPath);
+      } else if (!isPlainObject(fieldValue)) {
+        errors[fieldPath] = "Must be a section of settings.";
+      } else {
+        walk(rule, fieldValue, fieldPath);
+      }
+    }
+  };
+  walk(SETTINGS_SCHEMAS[engine], data, "");
+  return errors;
+}
+
+const rootMatches = (value, roots) =>
+  roots.some((root) => root.replace(/\/$/, "") === value.replace(/\/$/, "") || isPathInRoot(value, root));
+
+// Checks Set/mapping profile names and root folders against what each live instance actually has.
+async function validateSettingsAgainstArr(engine, data) {
+  const type = engine === "sonarr" ? "Sonarr" : "Radarr";
+  const instances = listInstances(data, type);
+  const errors = {};
+  const warnings = [];
+
+  for (const instance of instances) {
+    const where = instances.length > 1 ? `${type} instance "${instance.name}"` : type;
+    let options;
+    try {
+      options = await fetchArrOptions(scopeConfig(data, type, instance.name).config, type);
+    } catch (error) {
+      warnings.push(`Could not check against ${where}: ${error.message}`);
+      continue;
+    }
+
+    const checkProfile = (key, value) => {
+      if (value && !options.profiles.includes(value)) {
+        errors[key] = `Quality profile "${value}" does not exist in ${where}.`;
+      }
+    };
+    const checkRoot = (key, value) => {
+      if (value && !errors[key] && !rootMatches(value, options.rootFolders)) {
+        errors[key] = `Root folder "${value}" does not exist in ${where}.`;
+      }
+    };
+
+    if (engine === "sonarr") {
+      (Array.isArray(data.Sets) ? data.Sets : []).forEach((set, index) => {
+        const owner = setInstanceName(set);
+        if (owner === null ? instance.index !== 0 : owner !== instance.name && owner !== instance.slug) return;
+        checkProfile(`Sets.${index}.Incomplete Profile Name`, set?.["Incomplete Profile Name"]);
+        checkProfile(`Sets.${index}.Complete Profile Name`, set?.["Complete Profile Name"]);
+        checkRoot(`Sets.${index}.Incomplete Root Folder`, set?.["Incomplete Root Folder"]);
+        checkRoot(`Sets.${index}.Complete Root Folder`, set?.["Complete Root Folder"]);
+      });
+    } else {
+      const own = instance.connection.ProfileRootMappings;
+      const prefix = own !== undefined ? `Radarr.${instance.index}.ProfileRootMappings` : "FilmEngine.ProfileRootMappings";
+      const mappings = own !== undefined ? own : instance.index === 0 ? data.FilmEngine?.ProfileRootMappings : null;
+      for (const [profile, root] of Object.entries(isPlainObject(mappings) ? mappings : {})) {
+        const key = `${prefix}.${profile}`;
+        checkProfile(key, profile);
+        checkRoot(key, typeof root === "string" ? root : null);
+      }
+    }
+  }
+  return { errors, warning: warnings.length ? warnings.join(" ") : null };
+}
+
+async function checkSettings(engine, data, deep) {
+  const errors = validateSettings(engine, data);
+  let warning = null;
+  if (deep && !Object.keys(errors).length) {
+    const result = await validateSettingsAgainstArr(engine, data);
+    Object.assign(errors, result.errors);
+    warning = result.warning;
+  }
+  return { errors, warning };
+}
+
+function formatAbout(content) {
+  if (!content) {
+    return "";
+  }
+  return content
+    .replace(/```[\s\S]*?```/g, (block) => block.replace(/```[a-z]*\n?/gi, "").replace(/```/g, "").trim())
+    .replace(/^!\[.*?\]\(.*?\)\s*$/gm, "")
+    .replace(/^#{1,6}\s+/gm, "")
+    .replace(/^---\s*$/gm, "")
+    .replace(/\*\*([^*]+)\*\*/g, "$1")
+    .replace(/__([^_]+)__/g, "$1")
+    .replace(/\*([^*]+)\*/g, "$1")
+    .replace(/_([^_]+)_/g, "$1")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/\[([^\]]+)]\([^\)]+\)/g, "$1")
+    .replace(/\r/g, "")
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+const SECRET_MASK = "********";
+const SECRET_FIELDS = {
+  sonarr: [["Sonarr", "ApiKey"]],
+  radarr: [["Radarr", "ApiKey"]]
+};
+const ENV_SECRET_PATTERN = /^\$\{env:([A-Za-z_][A-Za-z0-9_]*)\}$/;
+const FILE_SECRET_PATTERN = /^file:(.+)$/;
+
+const isSecretReference = (value) =>
+  typeof value === "string" && (ENV_SECRET_PATTERN.test(value.trim()) || FILE_SECRET_PATTERN.test(value.trim()));
+
+// "${env:NAME}" reads an environment variable and "file:/path" reads a file (e.g. a Docker secret);
+// anything else is the secret itself.
+function resolveSecretValue(value, label) {
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  const envMatch = trimmed.match(ENV_SECRET_PATTERN);
+  if (envMatch) {
+    if (process.env[envMatch[1]] === undefined) {
+      throw new Error(`${label} refers to environment variable ${envMatch[1]}, which is not set.`);
+    }
+    return process.env[envMatch[1]];
+  }
+  const fileMatch = trimmed.match(FILE_SECRET_PATTERN);
+  if (fileMatch) {
+    try {
+      return fs.readFileSync(fileMatch[1], "utf8").trim();
+    } catch (error) {
+      throw new Error(`${label} refers to ${fileMatch[1]}, which could not be read (${error.code || error.message}).`);
+    }
+  }
+  return value;
+}
+
+// References are only resolved from the saved settings file. One arriving with an unsaved request could read
+// any file or environment variable the server can see and send it to a host of the caller's choosing.
+function rejectSecretReference(value, label) {
+  if (isSecretReference(value)) {
+    throw new Error(`${label} must be the key itself; \${env:...} and file: references only work once saved in settings.`);
+  }
+}
+
+// Secret sections may also be lists of instances; fn gets the dotted path and the entry holding the value.
+function mapSecretFields(engine, data, fn) {
+  const copy = JSON.parse(JSON.stringify(data || {}));
+  for (const [section, key] of SECRET_FIELDS[engine] || []) {
+    const entries = Array.isArray(copy[section]) ? copy[section].map((entry, index) => [entry, `${section}.${index}`]) : [[copy[section], section]];
+    for (const [entry, prefix] of entries) {
+      if (isPlainObject(entry) && entry[key] !== undefined && entry[key] !== null) {
+        entry[key] = fn(entry[key], `${prefix}.${key}`, entry);
+      }
+    }
+  }
+  return copy;
+}
+
+// References are not secret themselves, so they are shown as-is.
+function redactSettings(engine, data) {
+  return mapSecretFields(engine, data, (value) => (value === "" || isSecretReference(value) ? value : SECRET_MASK));
+}
+
+// A placeholder coming back from the form means "unchanged": keep what is stored. Instances are matched
+// by name so reordering or renaming another instance does not mix up keys.
+// Stored values that masked secrets are restored from. A file that does not parse has none; the save replaces it.
+function readStoredSettings(filePath) {
+  try {
+    return readYaml(filePath).data;
+  } catch (error) {
+    return null;
+  }
+}
+
+function restoreRedactedSecrets(engine, incoming, stored) {
+  return mapSecretFields(engine, incoming, (value, fieldPath, entry) => {
+    if (value !== SECRET_MASK) return value;
+    const [section, ...rest] = fieldPath.split(".");
+    const key = rest[rest.length - 1];
+    const source = stored?.[section];
+    if (!Array.isArray(source)) {
+      return (isPlainObject(source) ? source[key] : undefined) ?? "";
+    }
+    const match = source.find((item) => isPlainObject(item) && entry.Name && item.Name === entry.Name);
+    return (match || (rest.length > 1 ? source[Number(rest[0])] : source[0]))?.[key] ?? "";
+  });
+}
+
+function resolveSettingsSecrets(engine, data) {
+  return mapSecretFields(engine, data, (value, fieldPath) => resolveSecretValue(value, fieldPath));
+}
+
+// Masks ApiKey values in raw YAML text (backup contents and diffs).
+function redactYamlText(text) {
+  return text.replace(/^(\s*(?:-[ \t]+)?ApiKey:[ \t]*)(["']?)([^"'#\r\n]*?)\2([ \t]*(?:#.*)?)$/gm, (match, prefix, quote, value, rest) =>
+    !value || isSecretReference(value) ? match : `${prefix}${quote}${SECRET_MASK}${quote}${rest}`
+  );
+}
+
+const DEFAULT_INSTANCE_NAME = "Default";
+
+// Instance names end up in engine log file names, so they are reduced to letters, digits and dashes.
+const instanceSlug = (name) => String(name).trim().replace(/[^A-Za-z0-9-]+/g, "-").replace(/^-+|-+$/g, "");
+
+// `Sonarr:`/`Radarr:` is either one mapping (a single instance, as in the example files) or a list of
+// mappings with a Name each. The first instance is the primary one: unscoped Sets and mappings belong to it.
+function listInstances(config, type) {
+  const section = config?.[type];
+  return (Array.isArray(section) ? section : [section]).map((entry, index) => {
+    const connection = isPlainObject(entry) ? entry : {};
+    const named = typeof connection.Name === "string" && connection.Name.trim();
+    const name = named ? connection.Name.trim() : index === 0 ? DEFAULT_INSTANCE_NAME : `${type} ${index + 1}`;
+    return { name, slug: instanceSlug(name) || String(index + 1), index, connection };
+  });
+}
+
+// Matches by name or slug; no name means the primary instance.
+function findInstance(config, type, name) {
+  const instances = listInstances(config, type);
+  if (name === undefined || name === null || name === "") return instances[0];
+  return instances.find((instance) => instance.name === name || instance.slug === name) || null;
+}
+
+const setInstanceName = (set) => (typeof set?.Instance === "string" && set.Instance.trim() ? set.Instance.trim() : null);
+
+// Unlike Sets, an exclusion rule without an Instance applies to every instance.
+const exclusionAppliesTo = (rule, instance) => {
+  const owner = setInstanceName(rule);
+  return owner === null || owner === instance.name || owner === instance.slug;
+};
+
+// Narrows a settings file to one instance, in the single-instance layout the engines read: its connection,
+// the Sets and Exclusions scoped to it and (for Radarr) its ProfileRootMappings. The primary instance falls
+// back to FilmEngine.ProfileRootMappings when it has none of its own.
+function scopeConfig(config, type, name) {
+  const instance = findInstance(config, type, name);
+  if (!instance) {
+    throw new Error(`${type} instance "${name}" not found.`);
+  }
+  const { ProfileRootMappings: mappings, ...connection } = instance.connection;
+  const owned = (set) => {
+    const owner = setInstanceName(set);
+    return owner === null ? instance.index === 0 : owner === instance.name || owner === instance.slug;
+  };
+  const scoped = { ...config, [type]: connection };
+  if (Array.isArray(config?.Sets)) {
+    scoped.Sets = config.Sets.filter(owned).map((set) => {
+      if (!isPlainObject(set)) return set;
+      const { Instance, ...rest } = set;
+      return rest;
+    });
+  }
+  if (Array.isArray(config?.Exclusions)) {
+    scoped.Exclusions = config.Exclusions.filter((rule) => exclusionAppliesTo(rule, instance)).map((rule) => {
+      if (!isPlainObject(rule)) return rule;
+      const { Instance, ...rest } = rule;
+      return rest;
+    });
+  }
+  if (type === "Radarr" && (mappings !== undefined || instance.index > 0)) {
+    scoped.FilmEngine = { ...(config?.FilmEngine || {}), ProfileRootMappings: mappings ?? {} };
+  }
+  return { instance, config: scoped };
+}
+
+// Unscoped settings (a list of instances) talk to the primary instance.
+function requireConfig(config, type) {
+  const { connection } = listInstances(config, type)[0];
+  const label = connection.Name ? `${type} "${connection.Name}"` : type;
+  if (!connection.Url || !connection.ApiKey) {
+    const missing = !connection.Url ? "Url" : "ApiKey";
+    throw new Error(`${label} ${missing} is missing in settings.`);
+  }
+  return { baseUrl: connection.Url.replace(/\/$/, ""), apiKey: resolveSecretValue(connection.ApiKey, `${label}.ApiKey`) };
+}
+
+// Generous enough for a full library listing, but a Sonarr/Radarr that stops answering cannot hold a route
+// (or the run lock a movie move takes) forever.
+const ARR_REQUEST_TIMEOUT_MS = 60000;
+
+async function arrGet(config, type, apiPath, params) {
+  const { baseUrl, apiKey } = requireConfig(config, type);
+  const headers = { "X-Api-Key": apiKey };
+  const response = await axios.get(`${baseUrl}/api/v3/${apiPath}`, { headers, params, timeout: ARR_REQUEST_TIMEOUT_MS });
+  return response.data;
+}
+
+async function arrPut(config, type, apiPath, body, params) {
+  const { baseUrl, apiKey } = requireConfig(config, type);
+  const headers = { "X-Api-Key": apiKey };
+  const response = await axios.put(`${baseUrl}/api/v3/${apiPath}`, body, { headers, params, timeout: ARR_REQUEST_TIMEOUT_MS });
+  return response.data;
+}
+
+async function fetchArrOptions(config, type) {
+  const [profiles, roots] = await Promise.all([
+    arrGet(config, type, "qualityprofile"),
+    arrGet(config, type, "rootfolder")
+  ]);
+
+  return {
+    profiles: profiles.map((p) => p.name),
+    rootFolders: roots.map((r) => r.path)
+  };
+}
+
+const CONNECTION_TIMEOUT_MS = 10000;
+const TLS_ERROR_CODES = new Set([
+  "CERT_HAS_EXPIRED",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+  "ERR_TLS_CERT_ALTNAME_INVALID",
+  "EPROTO"
+]);
+
+// Turns a failed request into a short category plus a hint the user can act on.
+function classifyConnectionError(error, type, url) {
+  const status = error.response?.status;
+  const code = error.code || "";
+  const host = url.port ? `${url.hostname}:${url.port}` : url.hostname;
+  if (status === 401 || status === 403) {
+    return { code: "unauthorized", error: `${type} rejected the API key (HTTP ${status}).`, hint: `Copy the API key from ${type} → Settings → General.` };
+  }
+  if (status === 404) {
+    return {
+      code: "not-found",
+      error: `No ${type} API at ${url.pathname.replace(/\/$/, "") || "/"}/api/v3 (HTTP 404).`,
+      hint:
+        url.pathname.replace(/\/$/, "") === ""
+          ? `If ${type} has a URL Base set (Settings → General), add it to the URL, e.g. http://${host}/${type.toLowerCase()}.`
+          : `Check that "${url.pathname.replace(/\/$/, "")}" matches the URL Base in ${type} → Settings → General.`
+    };
+  }
+  if (status) {
+    return { code: "http-error", error: `${type} answered with HTTP ${status}.`, hint: `Check the ${type} logs; a reverse proxy in front of it may also be rejecting the request.` };
+  }
+  if (code === "ENOTFOUND" || code === "EAI_AGAIN") {
+    return {
+      code: "dns",
+      error: `Could not resolve host "${url.hostname}".`,
+      hint: "Check the hostname. Inside Docker, use the container name on a shared network or the host's IP address."
+    };
+  }
+  if (code === "ECONNREFUSED") {
+    return { code: "refused", error: `Connection to ${host} was refused.`, hint: `Check the port and that ${type} is running and listening on that address.` };
+  }
+  if (code === "ECONNABORTED" || code === "ETIMEDOUT" || code === "ERR_CANCELED") {
+    return {
+      code: "timeout",
+      error: `No answer from ${host} within ${CONNECTION_TIMEOUT_MS / 1000}s.`,
+      hint: "Check the address and that no firewall is dropping the traffic."
+    };
+  }
+  if (TLS_ERROR_CODES.has(code) || code.startsWith("ERR_SSL") || code.startsWith("ERR_TLS")) {
+    return {
+      code: "tls",
+      error: `TLS handshake with ${host} failed (${code}).`,
+      hint: url.protocol === "https:" ? `If ${type} is served over plain HTTP, use http:// instead; otherwise check its certificate.` : "Check the certificate."
+    };
+  }
+  if (code === "ECONNRESET") {
+    return {
+      code: "reset",
+      error: `${host} closed the connection.`,
+      hint: url.protocol === "http:" ? "If the address expects HTTPS, use https:// instead." : `Check that ${host} really is ${type}.`
+    };
+  }
+  return { code: "error", error: error.message, hint: null };
+}
+
+// Calls system/status with the given (possibly unsaved) connection settings.
+async function testArrConnection(type, connection) {
+  const result = { ok: false, appName: null, version: null, auth: "unknown", latencyMs: null, urlBase: null, urlBaseMismatch: false, warnings: [] };
+  let url;
+  try {
+    url = new URL(String(connection.Url || ""));
+    if (!["http:", "https:"].includes(url.protocol)) throw new Error("bad protocol");
+  } catch (error) {
+    return { ...result, code: "invalid-url", error: `"${connection.Url || ""}" is not a valid URL.`, hint: `Use the full address, e.g. ${type === "Sonarr" ? "http://sonarr:8989" : "http://radarr:7878"}.` };
+  }
+  if (!connection.ApiKey) {
+    return { ...result, code: "missing-key", error: `${type} ApiKey is missing.`, hint: `Copy the API key from ${type} → Settings → General.` };
+  }
+  let apiKey;
+  try {
+    apiKey = resolveSecretValue(connection.ApiKey, `${type}.ApiKey`);
+  } catch (error) {
+    return { ...result, code: "secret", error: error.message, hint: null };
+  }
+
+  const baseUrl = url.toString().replace(/\/$/, "");
+  const started = Date.now();
+  try {
+    const response = await axios.get(`${baseUrl}/api/v3/system/status`, {
+      headers: { "X-Api-Key": apiKey },
+      timeout: CONNECTION_TIMEOUT_MS,
+      maxRedirects: 0
+    });
+    result.latencyMs = Date.now() - started;
+    const status = response.data;
+    if (!isPlainObject(status) || !status.version) {
+      return {
+        ...result,
+        code: "not-arr",
+        error: `${baseUrl} answered, but not with the ${type} API.`,
+        hint: `Check that the URL points at ${type} itself and includes its URL Base, if one is set.`
+      };
+    }
+    result.ok = true;
+    result.auth = "ok";
+    result.appName = status.appName || status.instanceName || null;
+    result.version = status.version;
+    result.urlBase = status.urlBase || "";
+    const configuredBase = url.pathname.replace(/\/$/, "");
+    const actualBase = result.urlBase.replace(/\/$/, "");
+    if (configuredBase !== actualBase) {
+      result.urlBaseMismatch = true;
+      result.warnings.push(
+        `${type} reports URL Base "${actualBase || "/"}" but the URL uses "${configuredBase || "/"}". This only works if a reverse proxy rewrites the path.`
+      );
+    }
+    if (result.appName && result.appName.toLowerCase() !== type.toLowerCase()) {
+      result.warnings.push(`This URL belongs to ${result.appName}, not ${type}.`);
+    }
+    return result;
+  } catch (error) {
+    result.latencyMs = error.response ? Date.now() - started : null;
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      result.auth = "rejected";
+    }
+    if (error.response && error.response.status >= 300 && error.response.status < 400) {
+      return {
+        ...result,
+        code: "redirect",
+        error: `${type} redirected the request to ${error.response.headers?.location || "another address"}.`,
+        hint: "Use the address it redirects to, including https:// or the URL Base."
+      };
+    }
+    return { ...result, ...classifyConnectionError(error, type, url) };
+  }
+}
+
+function parseAirDate(episode) {
+  const value = episode.airDateUtc || episode.airDate;
+  if (!value) return null;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Mirrors Get-SeriesEpisodeStats in CompleteARR_SONARR_SeriesEngine.ps1 so the UI
+// can explain a verdict without running the engine.
+function getSeriesEpisodeStats(episodes, behavior, nowMs = Date.now()) {
+  const graceDays = Number(behavior?.GraceDays) || 0;
+  const treatUnknownAsOld = !!behavior?.TreatUnknownAirDateAsOld;
+  // Like the engine's Get-SeriesEpisodeStats, specials never count towards completion.
+  const specials = episodes.filter((ep) => ep.seasonNumber === 0);
+  const counted = episodes.filter((ep) => ep.seasonNumber !== 0);
+
+  const aired = [];
+  const missingAired = [];
+  const missingPastGrace = [];
+
+  for (const ep of counted) {
+    const airDate = parseAirDate(ep);
+    let isAired = false;
+    let olderThanGrace = false;
+
+    // 1) Prefer Sonarr's hasAired flag, 2) fall back to the air date, 3) unknown dates.
+    if (ep.hasAired !== undefined && ep.hasAired !== null) {
+      isAired = !!ep.hasAired;
+    } else if (airDate !== null) {
+      isAired = airDate <= nowMs;
+    } else if (treatUnknownAsOld) {
+      isAired = true;
+      olderThanGrace = true;
+    }
+
+    if (isAired && airDate !== null && (nowMs - airDate) / MS_IN_DAY >= graceDays) {
+      olderThanGrace = true;
+    }
+
+    if (isAired) {
+      aired.push(ep);
+      if (!ep.hasFile) {
+        missingAired.push(ep);
+        if (olderThanGrace) {
+          missingPastGrace.push(ep);
+        }
+      }
+    }
+  }
+
+  return {
+    countedEpisodes: counted,
+    specials,
+    aired,
+    missingAired,
+    missingPastGrace
+  };
+}
+
+function isPathInRoot(currentPath, root) {
+  if (!currentPath || !root) return false;
+  return currentPath.startsWith(`${root.replace(/\/$/, "")}/`);
+}
+
+function joinRootAndLeaf(root, currentPath) {
+  const leaf = (currentPath || "").replace(/\/$/, "").split("/").pop();
+  const base = root.replace(/\/$/, "");
+  return leaf ? `${base}/${leaf}` : base;
+}
+
+// Matches the way the engine looks profiles up: case-insensitively, skipping Sets whose profiles are not both in
+// Sonarr, and through every remaining Set, so a series can belong to more than one.
+function findSetsForProfile(sets, profileNamesById, profileId) {
+  const profileName = profileNamesById.get(profileId);
+  if (!profileName) return [];
+  const key = (value) => String(value ?? "").toLowerCase();
+  const known = new Set([...profileNamesById.values()].map(key));
+  const matches = [];
+  for (const set of sets || []) {
+    const incomplete = key(set?.["Incomplete Profile Name"]);
+    const complete = key(set?.["Complete Profile Name"]);
+    if (!known.has(incomplete) || !known.has(complete)) continue;
+    if (incomplete === key(profileName)) matches.push({ set, side: "incomplete" });
+    if (complete === key(profileName)) matches.push({ set, side: "complete" });
+  }
+  return matches;
+}
+
+function describeEpisode(ep) {
+  return {
+    id: ep.id,
+    seasonNumber: ep.seasonNumber,
+    episodeNumber: ep.episodeNumber,
+    title: ep.title || "",
+    airDateUtc: ep.airDateUtc || ep.airDate || null
+  };
+}
+
+// Works out what the SeriesEngine would do with one series on its next run.
+function evaluateSeries(config, series, episodes, profileNamesById, nowMs = Date.now()) {
+  const behavior = config?.Behavior || {};
+  const stats = getSeriesEpisodeStats(episodes, behavior, nowMs);
+  const matches = findSetsForProfile(config?.Sets, profileNamesById, series.qualityProfileId);
+  const match = matches[0] || null;
+
+  let verdict = "stay";
+  let reason = "";
+  let targetPath = null;
+
+  if (!match) {
+    reason = "The series' quality profile is not part of any Set, so the engine ignores it.";
+  } else if (match.side === "incomplete") {
+    if (stats.missingAired.length === 0) {
+      verdict = "promote";
+      targetPath = joinRootAndLeaf(match.set["Complete Root Folder"] || "", series.path);
+      reason = "Every aired episode has a file, so the series will be promoted to Complete.";
+    } else if (!isPathInRoot(series.path, match.set["Incomplete Root Folder"])) {
+      verdict = "root-correct";
+      targetPath = joinRootAndLeaf(match.set["Incomplete Root Folder"] || "", series.path);
+      reason = `Missing ${stats.missingAired.length} aired episode(s) and the path is outside the Incomplete root folder.`;
+    } else {
+      reason = `Missing ${stats.missingAired.length} aired episode(s), so the series stays Incomplete.`;
+    }
+  } else if (stats.missingPastGrace.length > 0) {
+    verdict = "demote";
+    targetPath = joinRootAndLeaf(match.set["Incomplete Root Folder"] || "", series.path);
+    reason = `Missing ${stats.missingPastGrace.length} aired episode(s) older than GraceDays, so the series will be demoted.`;
+  } else if (!isPathInRoot(series.path, match.set["Complete Root Folder"])) {
+    verdict = "root-correct";
+    targetPath = joinRootAndLeaf(match.set["Complete Root Folder"] || "", series.path);
+    reason = "No missing episodes past GraceDays, but the path is outside the Complete root folder.";
+  } else {
+    reason = "No missing episodes past GraceDays, so the series stays Complete.";
+  }
+  if (matches.length > 1) {
+    const others = matches.slice(1).map((item) => `"${item.set["Media Type"]}" (${item.side})`);
+    reason += ` The engine processes the series again for ${others.join(", ")}, where the outcome can differ.`;
+  }
+
+  return {
+    series: {
+      id: series.id,
+      title: series.title,
+      path: series.path,
+      qualityProfileId: series.qualityProfileId,
+      qualityProfileName: profileNamesById.get(series.qualityProfileId) || null
+    },
+    set: match ? match.set : null,
+    state: match ? match.side : "unmatched",
+    matches: matches.map((item) => ({ mediaType: item.set["Media Type"], side: item.side })),
+    verdict,
+    reason,
+    targetPath,
+    counts: {
+      episodes: episodes.length,
+      counted: stats.countedEpisodes.length,
+      specials: stats.specials.length,
+      aired: stats.aired.length,
+      missingAired: stats.missingAired.length,
+      missingPastGrace: stats.missingPastGrace.length
+    },
+    missingAired: stats.missingAired.map(describeEpisode),
+    missingPastGrace: stats.missingPastGrace.map(describeEpisode),
+    evaluatedAt: new Date(nowMs).toISOString()
+  };
+}
+
+const ARR_LOOKUP_TTL_MS = 5 * 60 * 1000;
+const arrLookupCache = new Map();
+
+// Base URL, title slugs and profile names for building links to Sonarr/Radarr item pages, plus what
+// exclusion rules match on. The rules themselves are read fresh on every call.
+async function getArrLookup(type, instanceName = null) {
+  const settingsPath = type === "Sonarr" ? SONARR_SETTINGS : RADARR_SETTINGS;
+  const { instance, config: data } = scopeConfig(readYaml(settingsPath).data, type, instanceName);
+  const exclusions = compileExclusions(data.Exclusions);
+  const cacheKey = `${type}:${instance.slug}`;
+  const cached = arrLookupCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { ...cached.value, exclusions };
+  }
+
+  const [items, profileNamesById, tags] = await Promise.all([
+    arrGet(data, type, type === "Sonarr" ? "series" : "movie"),
+    fetchProfileNamesById(data, type),
+    arrGet(data, type, "tag")
+  ]);
+  const value = {
+    baseUrl: data[type].Url.replace(/\/$/, ""),
+    slugsById: new Map(items.map((item) => [item.id, item.titleSlug])),
+    itemsById: new Map(items.map((item) => [item.id, { id: item.id, title: item.title, path: item.path, tags: item.tags }])),
+    tagLabelsById: new Map(tags.map((tag) => [tag.id, tag.label])),
+    profileNamesById
+  };
+  arrLookupCache.set(cacheKey, { value, expiresAt: Date.now() + ARR_LOOKUP_TTL_MS });
+  return { ...value, exclusions };
+}
+
+// Items that have left the library are still checked against the id, title and path they were logged with.
+const lookupExclusion = (lookup, id, fallback) =>
+  lookup ? findExclusion(lookup.exclusions, lookup.itemsById.get(id) || { id, ...fallback }, lookup.tagLabelsById) : null;
+
+async function fetchProfileNamesById(config, type) {
+  const profiles = await arrGet(config, type, "qualityprofile");
+  return new Map(profiles.map((p) => [p.id, p.name]));
+}
+
+const describeExclusion = (type, value) =>
+  ({ Tag: `tag "${value}"`, Id: `id ${value}`, Title: `title /${value}/`, Path: `path ${value}` })[type];
+
+// Mirrors Get-SeriesExclusion / Get-MovieExclusion in the engines: tag labels, ids, title regexes and
+// path prefixes, all case-insensitive. index is the rule's position in the list it was compiled from.
+function compileExclusions(rules) {
+  return (Array.isArray(rules) ? rules : []).flatMap((rule, index) => {
+    const type = exclusionType(rule);
+    if (!type || validateExclusionValue(type, rule.Value)) return [];
+    const value = String(rule.Value).trim();
+    const lower = value.toLowerCase();
+    const tests = {
+      Tag: (item, tagLabelsById) => (item.tags || []).some((id) => String(tagLabelsById.get(id) || "").toLowerCase() === lower),
+      Id: (item) => String(item.id) === value,
+      Title: (item) => new RegExp(value, "i").test(item.title || ""),
+      Path: (item) => String(item.path || "").toLowerCase().startsWith(lower)
+    };
+    return [{ index, type, value, note: rule.Note || null, description: describeExclusion(type, value), test: tests[type] }];
+  });
+}
+
+function findExclusion(exclusions, item, tagLabelsById = new Map()) {
+  const match = item ? exclusions.find((exclusion) => exclusion.test(item, tagLabelsById)) : null;
+  return match ? { index: match.index, type: match.type, value: match.value, note: match.note, description: match.description } : null;
+}
+
+// Tag labels are only needed (and only fetched) when a Tag rule exists.
+async function fetchExclusionTags(config, type, exclusions) {
+  if (!exclusions.some((exclusion) => exclusion.type === "Tag")) return new Map();
+  const tags = await arrGet(config, type, "tag");
+  return new Map(tags.map((tag) => [tag.id, tag.label]));
+}
+
+// An excluded item is skipped by the engine, so whatever else was worked out for it will not happen.
+function applyExclusion(evaluation, exclusion) {
+  if (!exclusion) return { ...evaluation, exclusion: null };
+  return {
+    ...evaluation,
+    exclusion,
+    verdict: "stay",
+    targetPath: null,
+    reason: `Excluded by the ${exclusion.description} rule, so the engine skips it.`
+  };
+}
+
+const LIBRARY_TTL_MS = 15 * 60 * 1000;
+const LIBRARY_FETCH_CONCURRENCY = 4;
+const libraryCache = new Map();
+
+// Sonarr only serves episodes per series, so a large library means many requests; keep a few in flight.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function fetchSonarrLibrary(data) {
+  // Tags are always fetched so Tag exclusions added later still apply to the cached library.
+  const [series, profileNamesById, tags] = await Promise.all([
+    arrGet(data, "Sonarr", "series"),
+    fetchProfileNamesById(data, "Sonarr"),
+    arrGet(data, "Sonarr", "tag")
+  ]);
+  const episodes = await mapWithConcurrency(series, LIBRARY_FETCH_CONCURRENCY, (item) =>
+    arrGet(data, "Sonarr", "episode", { seriesId: item.id })
+  );
+  const tagLabelsById = new Map(tags.map((tag) => [tag.id, tag.label]));
+  return { series, episodes, profileNamesById, tagLabelsById, fetchedAt: new Date().toISOString() };
+}
+
+// Only the Sonarr data is cached; the join with Sets and Exclusions runs on every request so settings changes show up at once.
+// Concurrent requests share one fetch.
+function getSonarrLibrary(instance, data, refresh) {
+  const cacheKey = `${instance.slug}|${data.Sonarr.Url}`;
+  const cached = libraryCache.get(cacheKey);
+  if (cached?.pending) {
+    return cached.pending;
+  }
+  if (cached && !refresh && cached.expiresAt > Date.now()) {
+    return Promise.resolve(cached.value);
+  }
+  const pending = fetchSonarrLibrary(data)
+    .then((value) => {
+      libraryCache.set(cacheKey, { value, expiresAt: Date.now() + LIBRARY_TTL_MS });
+      return value;
+    })
+    .catch((error) => {
+      libraryCache.delete(cacheKey);
+      throw error;
+    });
+  libraryCache.set(cacheKey, { ...cached, pending });
+  return pending;
+}
+
+// One row per series: the Set and side the engine would see, plus the counts behind its verdict.
+function buildLibraryRows(data, library) {
+  const nowMs = Date.now();
+  const exclusions = compileExclusions(data.Exclusions);
+  return library.series.map((series, index) => {
+    const evaluation = applyExclusion(
+      evaluateSeries(data, series, library.episodes[index] || [], library.profileNamesById, nowMs),
+      findExclusion(exclusions, series, library.tagLabelsById)
+    );
+    const side = evaluation.set ? evaluation.state : null;
+    const expectedRoot = side ? evaluation.set[side === "incomplete" ? "Incomplete Root Folder" : "Complete Root Folder"] : null;
+    return {
+      id: series.id,
+      title: series.title,
+      year: series.year || null,
+      path: series.path,
+      qualityProfileName: evaluation.series.qualityProfileName,
+      set: evaluation.set ? evaluation.set["Media Type"] : null,
+      side,
+      orphanedProfile: !evaluation.set,
+      rootMismatch: Boolean(expectedRoot) && !isPathInRoot(series.path, expectedRoot),
+      expectedRoot: expectedRoot || null,
+      aired: evaluation.counts.aired,
+      missingAired: evaluation.counts.missingAired,
+      missingPastGrace: evaluation.counts.missingPastGrace,
+      verdict: evaluation.verdict,
+      exclusion: evaluation.exclusion
+    };
+  });
+}
+
+// "Incomplete - Anime", "Complete: Anime" and "incomplete_anime" all pair on "Anime".
+const SET_PROFILE_PATTERN = /^(incomplete|complete)\b[\s\-–:_]*(.+)$/i;
+
+// Proposes a root folder for one side of a suggested Set: where series on the profile already live, otherwise
+// the root whose folder name shares the most words with the Set name (Incomplete roots must say "incomplete").
+function proposeSetRoot(roots, seriesRoots, side, label) {
+  const counts = [...(seriesRoots || new Map()).entries()].sort((a, b) => b[1] - a[1]);
+  if (counts.length) {
+    const [root, count] = counts[0];
+    return { root, reason: `${count} series on this profile ${count === 1 ? "is" : "are"} stored here.` };
+  }
+  const words = label.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  let best = null;
+  for (const root of roots) {
+    const name = root.replace(/\/$/, "").split("/").pop().toLowerCase();
+    if (/incomplete/.test(name) !== (side === "incomplete")) continue;
+    const score = words.filter((word) => name.includes(word)).length;
+    if (score && (!best || score > best.score)) best = { root, score };
+  }
+  return best
+    ? { root: best.root, reason: `Folder name matches "${label}".` }
+    : { root: "", reason: "No root folder matched; pick one." };
+}
+
+// Pairs the instance's Incomplete/Complete profiles by name into ready-made Sets. Profiles missing their other half
+// are listed separately so they can be renamed or paired by hand.
+async function suggestSonarrSets(config) {
+  const [profiles, rootFolders, series] = await Promise.all([
+    arrGet(config, "Sonarr", "qualityprofile"),
+    arrGet(config, "Sonarr", "rootfolder"),
+    arrGet(config, "Sonarr", "series")
+  ]);
+  const roots = rootFolders.map((root) => root.path);
+  const seriesRootsByProfile = new Map();
+  for (const item of series) {
+    const root = roots.filter((candidate) => isPathInRoot(item.path, candidate)).sort((a, b) => b.length - a.length)[0];
+    if (!root) continue;
+    const counts = seriesRootsByProfile.get(item.qualityProfileId) || new Map();
+    counts.set(root, (counts.get(root) || 0) + 1);
+    seriesRootsByProfile.set(item.qualityProfileId, counts);
+  }
+
+  const pairs = new Map();
+  for (const profile of profiles) {
+    const match = SET_PROFILE_PATTERN.exec(String(profile.name || "").trim());
+    if (!match) continue;
+    const label = match[2].trim();
+    const pair = pairs.get(label.toLowerCase()) || { label };
+    pair[match[1].toLowerCase()] = profile;
+    pairs.set(label.toLowerCase(), pair);
+  }
+
+  const suggestions = [];
+  const unpaired = [];
+  for (const pair of pairs.values()) {
+    if (!pair.incomplete || !pair.complete) {
+      const profile = pair.incomplete || pair.complete;
+      unpaired.push({ profile: profile.name, missing: pair.incomplete ? "Complete" : "Incomplete" });
+      continue;
+    }
+    const incompleteRoot = proposeSetRoot(roots, seriesRootsByProfile.get(pair.incomplete.id), "incomplete", pair.label);
+    const completeRoot = proposeSetRoot(roots, seriesRootsByProfile.get(pair.complete.id), "complete", pair.label);
+    suggestions.push({
+      set: {
+        "Media Type": pair.label,
+        "Incomplete Profile Name": pair.incomplete.name,
+        "Incomplete Root Folder": incompleteRoot.root,
+        "Complete Profile Name": pair.complete.name,
+        "Complete Root Folder": completeRoot.root
+      },
+      reasons: { "Incomplete Root Folder": incompleteRoot.reason, "Complete Root Folder": completeRoot.reason }
+    });
+  }
+  const byName = (a, b) => a.localeCompare(b);
+  return {
+    suggestions: suggestions.sort((a, b) => byName(a.set["Media Type"], b.set["Media Type"])),
+    unpaired: unpaired.sort((a, b) => byName(a.profile, b.profile)),
+    rootFolders: roots
+  };
+}
+
+// The engine loads mappings into a PowerShell hashtable, so profile names match case-insensitively.
+function expectedRootForProfile(mappings, profileName) {
+  if (!profileName || !isPlainObject(mappings)) return null;
+  const key = Object.keys(mappings).find((name) => name.toLowerCase() === profileName.toLowerCase());
+  return key !== undefined && typeof mappings[key] === "string" && mappings[key].trim() ? mappings[key] : null;
+}
+
+// Mirrors Update-MovieLocation in CompleteARR_RADARR_FilmEngine.ps1 without changing anything.
+// Excluded movies are listed on their own because the engine never looks at them.
+async function buildRadarrAudit(data) {
+  const exclusions = compileExclusions(data.Exclusions);
+  const [movies, profileNamesById, roots, tagLabelsById] = await Promise.all([
+    arrGet(data, "Radarr", "movie"),
+    fetchProfileNamesById(data, "Radarr"),
+    arrGet(data, "Radarr", "rootfolder"),
+    fetchExclusionTags(data, "Radarr", exclusions)
+  ]);
+  const mappings = isPlainObject(data.FilmEngine?.ProfileRootMappings) ? data.FilmEngine.ProfileRootMappings : {};
+  const rootFolders = roots.map((root) => root.path);
+  const missingRoots = Object.entries(mappings)
+    .filter(([, root]) => typeof root === "string" && root.trim() && !rootMatches(root, rootFolders))
+    .map(([profile, root]) => ({ profile, root }));
+
+  const mismatched = [];
+  const unmapped = [];
+  const excluded = [];
+  let correct = 0;
+  let noPath = 0;
+  for (const movie of movies) {
+    const qualityProfileName = profileNamesById.get(movie.qualityProfileId) || null;
+    const row = { id: movie.id, title: movie.title, year: movie.year || null, path: movie.path || null, qualityProfileName };
+    const expectedRoot = expectedRootForProfile(mappings, qualityProfileName);
+    const exclusion = findExclusion(exclusions, movie, tagLabelsById);
+    if (exclusion) {
+      excluded.push({ ...row, exclusion });
+    } else if (!expectedRoot) {
+      unmapped.push(row);
+    } else if (!movie.path) {
+      noPath += 1;
+    } else if (isPathInRoot(movie.path, expectedRoot)) {
+      correct += 1;
+    } else {
+      mismatched.push({
+        ...row,
+        expectedRoot,
+        targetPath: joinRootAndLeaf(expectedRoot, movie.path),
+        rootMissing: !rootMatches(expectedRoot, rootFolders)
+      });
+    }
+  }
+  const byTitle = (a, b) => String(a.title || "").localeCompare(String(b.title || ""));
+  return {
+    counts: { movies: movies.length, correct, mismatched: mismatched.length, unmapped: unmapped.length, excluded: excluded.length, noPath },
+    mismatched: mismatched.sort(byTitle),
+    unmapped: unmapped.sort(byTitle),
+    excluded: excluded.sort(byTitle),
+    missingRoots,
+    auditedAt: new Date().toISOString()
+  };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Mirrors Test-MovieMoveCompleted: "radarr" trusts the path Radarr reports, "filesystem" looks for the folder.
+async function isMovieMoveComplete(data, movieId, expectedPath, mode) {
+  const expected = expectedPath.replace(/\/+$/, "");
+  let radarrOk = true;
+  let fsOk = true;
+  if (mode === "radarr" || mode === "both") {
+    const fresh = await arrGet(data, "Radarr", `movie/${movieId}`);
+    radarrOk = String(fresh?.path || "").replace(/\/+$/, "") === expected;
+  }
+  if (mode === "filesystem" || mode === "both") {
+    fsOk = fs.existsSync(expectedPath);
+  }
+  return radarrOk && fsOk;
+}
+
+// Mirrors Invoke-MovieMoveWithVerification for one movie, with the same MoveVerification defaults.
+// Unlike the engine it ignores DryRun: the user asked for this move explicitly.
+async function moveMovieWithVerification(data, movie, newPath) {
+  const oldPath = movie.path;
+  const moved = { ...movie, path: newPath };
+  const put = (body, moveFiles) => arrPut(data, "Radarr", `movie/${movie.id}`, body, { moveFiles });
+  const settings = data.Behavior?.MoveVerification;
+  await put(moved, true);
+  if (!isPlainObject(settings) || settings.MoveVerifyEnabled === false) {
+    return { verified: false, attempts: 1 };
+  }
+
+  const retries = Number.isInteger(settings.MoveVerifyRetries) ? settings.MoveVerifyRetries : 3;
+  const backoffSeconds = Number.isInteger(settings.MoveVerifyBackoffSeconds) ? settings.MoveVerifyBackoffSeconds : 2;
+  const mode = String(settings.MoveVerifyMode || "radarr").toLowerCase();
+  let delaySeconds = Number.isInteger(settings.MoveVerifyDelaySeconds) ? settings.MoveVerifyDelaySeconds : 5;
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    await wait(delaySeconds * 1000);
+    if (await isMovieMoveComplete(data, movie.id, newPath, mode)) {
+      return { verified: true, attempts: attempt + 1 };
+    }
+    if (attempt < retries && settings.MoveVerifyReattemptMove !== false) {
+      await put(moved, true);
+    }
+    delaySeconds += backoffSeconds;
+  }
+
+  const reverted = settings.MoveVerifyRevertOnFailure !== false && Boolean(oldPath);
+  if (reverted) {
+    await put({ ...movie, path: oldPath }, false);
+  }
+  const error = new Error(
+    `Move could not be verified after ${retries + 1} check(s)${reverted ? `; the Radarr path was reverted to ${oldPath}` : ""}.`
+  );
+  error.reverted = reverted;
+  throw error;
+}
+
+function readStatusFile() {
+  if (!fs.existsSync(STATUS_FILE)) {
+    return null;
+  }
+  const raw = fs.readFileSync(STATUS_FILE, "utf8").trim();
+  if (!raw) {
+    return null;
+  }
+  return JSON.parse(raw);
+}
+
+function ensureIdleStatus() {
+  writeStatus("idle", null, null, null);
+  return { status: "idle", startedAt: null, finishedAt: null, nextRun: null };
+}
+
+const ENGINES = {
+  fetchinfo: {
+    label: "FetchInfo",
+    launcher: "./CompleteARR_Launchers/CompleteARR_FetchInfo_Launcher.ps1",
+    logPrefix: "CompleteARR_FetchInfo",
+    markers: null
+  },
+  radarr: {
+    label: "Radarr FilmEngine",
+    launcher: "./CompleteARR_Launchers/CompleteARR_RADARR_Launcher.ps1",
+    logPrefix: "CompleteARR_RADARR_FilmEngine",
+    markers: RADARR_SUMMARY_MARKERS
+  },
+  sonarr: {
+    label: "Sonarr SeriesEngine",
+    launcher: "./CompleteARR_Launchers/CompleteARR_SONARR_Launcher.ps1",
+    logPrefix: "CompleteARR_SONARR_SeriesEngine",
+    markers: SONARR_SUMMARY_MARKERS
+  }
+};
+// Same order CompleteARR_Launch_All_Scripts.ps1 runs them in.
+const ENGINE_ORDER = ["fetchinfo", "radarr", "sonarr"];
+const LAUNCH_ALL_SCRIPT = "./CompleteARR_Launchers/CompleteARR_Launch_All_Scripts.ps1";
+
+let activeRun = null;
+
+const RUN_CONSOLE_MAX_LINES = Number(process.env.RUN_CONSOLE_MAX_LINES) || 5000;
+const LOG_LEVEL_PATTERN = /\[(TRACE|DEBUG|INFO|WARNING|ERROR|SUCCESS|FILE|PROMOTION|DEMOTION)\]/;
+const ANSI_PATTERN = /\x1b\[([0-9;]*)m/g;
+const ANSI_COLORS = ["black", "red", "green", "yellow", "blue", "magenta", "cyan", "white"];
+
+// Replay buffer and subscribers for the live console of the current (or last) run.
+const runConsole = {
+  lines: [],
+  seq: 0,
+  clients: new Set(),
+  state: { running: false, engine: null, set: null, progress: null, startedAt: null, finishedAt: null }
+};
+
+// Splits a line with SGR escape codes into styled segments; other escapes are dropped.
+function ansiToSegments(raw) {
+  const segments = [];
+  let color = null;
+  let bold = false;
+  let lastIndex = 0;
+  const push = (text) => {
+    if (text) segments.push({ text, color, bold });
+  };
+
+  for (const match of raw.matchAll(ANSI_PATTERN)) {
+    push(raw.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+    const codes = (match[1] || "0").split(";").map(Number);
+    for (const code of codes) {
+      if (code === 0) {
+        color = null;
+        bold = false;
+      } else if (code === 1) {
+        bold = true;
+      } else if (code === 22) {
+        bold = false;
+      } else if (code === 39) {
+        color = null;
+      } else if (code >= 30 && code <= 37) {
+        color = ANSI_COLORS[code - 30];
+      } else if (code >= 90 && code <= 97) {
+        color = `bright-${ANSI_COLORS[code - 90]}`;
+      }
+    }
+  }
+  push(raw.slice(lastIndex));
+  return segments.map((segment) => ({ ...segment, text: segment.text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, "") }));
+}
+
+function detectLineLevel(text) {
+  const tagged = text.match(LOG_LEVEL_PATTERN);
+  if (tagged) return tagged[1];
+  // Launcher banners use "ERROR:" / "WARNING:" prefixes instead of tags.
+  const prefixed = text.match(/^\s*(ERROR|WARNING)\b/);
+  return prefixed ? prefixed[1] : null;
+}
+
+function broadcastConsole(event, payload, id) {
+  const frame = `${id !== undefined ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const client of runConsole.clients) {
+    client.write(frame);
+  }
+}
+
+function updateConsoleState(patch) {
+  Object.assign(runConsole.state, patch);
+  broadcastConsole("state", runConsole.state);
+}
+
+function resetRunConsole(engines) {
+  runConsole.lines = [];
+  broadcastConsole("reset", {});
+  updateConsoleState({
+    running: true,
+    engines,
+    engine: null,
+    instance: null,
+    set: null,
+    progress: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  });
+}
+
+function appendConsoleLine(rawLine, stream) {
+  const segments = ansiToSegments(rawLine.replace(/\r$/, ""));
+  const text = segments.map((segment) => segment.text).join("");
+  const line = {
+    seq: ++runConsole.seq,
+    time: new Date().toISOString(),
+    stream,
+    level: detectLineLevel(text),
+    text,
+    segments
+  };
+
+  runConsole.lines.push(line);
+  if (runConsole.lines.length > RUN_CONSOLE_MAX_LINES) {
+    runConsole.lines.splice(0, runConsole.lines.length - RUN_CONSOLE_MAX_LINES);
+  }
+  broadcastConsole("line", line, line.seq);
+
+  const setMatch = text.match(/Processing media set: (.+)$/);
+  if (setMatch) {
+    updateConsoleState({ set: setMatch[1].trim(), progress: null });
+  }
+  const progressMatch = text.match(/\[(\d+)\/(\d+)\]/);
+  if (progressMatch) {
+    updateConsoleState({ progress: { current: Number(progressMatch[1]), total: Number(progressMatch[2]) } });
+  }
+  const engineMatch = text.match(/(RADARR SUITE - Starting|SONARR SUITE - Starting|STEP 1: Fetching)/);
+  if (engineMatch) {
+    const engine = engineMatch[1].startsWith("RADARR") ? "radarr" : engineMatch[1].startsWith("SONARR") ? "sonarr" : "fetchinfo";
+    updateConsoleState({ engine, set: null, progress: null });
+  }
+}
+
+// Feeds a child's output stream into the console line by line, and echoes it to the container log.
+function captureChildStream(stream, name, echo) {
+  let pending = "";
+  stream.setEncoding("utf8");
+  stream.on("data", (chunk) => {
+    echo.write(chunk);
+    pending += chunk;
+    const parts = pending.split("\n");
+    pending = parts.pop();
+    parts.forEach((part) => appendConsoleLine(part, name));
+  });
+  stream.on("end", () => {
+    if (pending) appendConsoleLine(pending, name);
+    pending = "";
+  });
+}
+
+function isChildRunning() {
+  return !!activeRun || !!(global.runningChild && !global.runningChild.killed);
+}
+
+function organizeLogs() {
+  // Keep the logs root clean: *.log files belong in Full Logs, *_ERRORS*.log in Error Logs.
+  const moveMatching = (fromDir, toDir, test) => {
+    if (!fs.existsSync(fromDir) || fromDir === toDir) return;
+    for (const name of fs.readdirSync(fromDir)) {
+      const fullPath = path.join(fromDir, name);
+      try {
+        if (test(name) && fs.statSync(fullPath).isFile()) {
+          fs.renameSync(fullPath, path.join(toDir, name));
+        }
+      } catch (error) {
+        // ignore, the next run tries again
+      }
+    }
+  };
+  moveMatching(LOGS_BASE, FULL_LOGS_DIR, (name) => name.endsWith(".log"));
+  moveMatching(FULL_LOGS_DIR, ERROR_LOGS_DIR, (name) => /_ERRORS.*\.log$/.test(name));
+}
+
+function clearStaleRunState() {
+  let statusData = null;
+  try {
+    statusData = readStatusFile();
+  } catch (error) {
+    statusData = null;
+  }
+
+  const lockExists = fs.existsSync(RUN_LOCK_DIR);
+  const childRunning = isChildRunning();
+
+  if (statusData?.status === "running" && !childRunning) {
+    releaseLock();
+    statusData = { ...statusData, status: "idle", finishedAt: new Date().toISOString() };
+    writeStatus("idle", statusData.startedAt, statusData.finishedAt, statusData.nextRun);
+  }
+
+  // If lock exists but we are idle and no child is running, clear stale lock.
+  if (lockExists && (!statusData || statusData.status !== "running") && !childRunning) {
+    releaseLock();
+  }
+}
+
+function normalizeEngines(engines) {
+  if (!engines || !engines.length) {
+    return [...ENGINE_ORDER];
+  }
+  const unknown = engines.filter((key) => !ENGINES[key]);
+  if (unknown.length) {
+    throw new Error(`Unknown engine(s): ${unknown.join(", ")}.`);
+  }
+  return ENGINE_ORDER.filter((key) => engines.includes(key));
+}
+
+function snapshotLogFiles() {
+  const snapshot = new Map();
+  for (const [kind, dir] of [["full", FULL_LOGS_DIR], ["error", ERROR_LOGS_DIR]]) {
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir)) {
+      try {
+        snapshot.set(`${kind}/${name}`, fs.statSync(path.join(dir, name)).mtimeMs);
+      } catch (error) {
+        // file vanished between readdir and stat
+      }
+    }
+  }
+  return snapshot;
+}
+
+function newRunId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Builds the history record for a finished run: outcome, duration, produced logs and parsed summaries.
+// The ids of a targeted run that an exclusion rule makes the engine skip, checked on every instance the run covers.
+async function findExcludedTargets(options) {
+  const excluded = [];
+  for (const [engine, ids] of [["sonarr", options?.seriesIds], ["radarr", options?.movieIds]]) {
+    if (!ids?.length) continue;
+    const type = engine === "sonarr" ? "Sonarr" : "Radarr";
+    for (const instance of listInstances(readYaml(SETTINGS_FILES[engine]).data, type)) {
+      let lookup;
+      try {
+        lookup = await getArrLookup(type, instance.name);
+      } catch (error) {
+        continue;
+      }
+      for (const id of ids) {
+        const item = lookup.itemsById.get(id);
+        const exclusion = item ? findExclusion(lookup.exclusions, item, lookup.tagLabelsById) : null;
+        if (exclusion) excluded.push({ engine, instance: instance.name, id, title: item.title, exclusion });
+      }
+    }
+  }
+  return excluded;
+}
+
+async function buildRunRecord(run, finishedAt) {
+  const before = run.logSnapshot;
+  const logs = [];
+  for (const [key, mtimeMs] of snapshotLogFiles()) {
+    if (!before.has(key) || before.get(key) !== mtimeMs) {
+      const [kind, ...rest] = key.split("/");
+      logs.push({ kind, name: rest.join("/") });
+    }
+  }
+  logs.sort((a, b) => a.name.localeCompare(b.name));
+
+  // summary holds per-engine totals; instanceSummaries splits them by the instance each log came from.
+  const summary = {};
+  const instanceSummaries = {};
+  const instanceOf = instanceLabeler();
+  for (const key of run.engines) {
+    const engine = ENGINES[key];
+    if (!engine.markers) continue;
+    for (const log of logs.filter((entry) => entry.kind === "full" && entry.name.startsWith(engine.logPrefix))) {
+      try {
+        const parsed = await summarizeLogFile(path.join(FULL_LOGS_DIR, log.name), engine.markers);
+        instanceSummaries[key] = { ...(instanceSummaries[key] || {}), [instanceOf(log.name)]: parsed };
+        const total = summary[key] || {};
+        for (const [marker, value] of Object.entries(parsed)) {
+          total[marker] = typeof value === "number" && typeof (total[marker] ?? 0) === "number" ? (total[marker] ?? 0) + value : value;
+        }
+        summary[key] = total;
+      } catch (error) {
+        console.error(`[history] Failed to read summary from ${log.name}:`, error.message);
+      }
+    }
+  }
+
+  const failedStep = run.steps.find((step) => step.exitCode !== 0);
+  let outcome = "success";
+  if (run.stopped) {
+    outcome = "stopped";
+  } else if (failedStep) {
+    outcome = "failed";
+  }
+
+  return {
+    id: run.id,
+    trigger: run.trigger,
+    engines: run.engines,
+    options: run.options,
+    startedAt: run.startedAt,
+    finishedAt,
+    durationMs: Date.parse(finishedAt) - Date.parse(run.startedAt),
+    outcome,
+    exitCode: failedStep ? failedStep.exitCode : 0,
+    steps: run.steps,
+    logs,
+    summary,
+    instanceSummaries,
+    excluded: await findExcludedTargets(run.options).catch(() => [])
+  };
+}
+
+function appendRunHistory(record) {
+  try {
+    fs.appendFileSync(RUN_HISTORY_FILE, JSON.stringify(record) + "\n", "utf8");
+  } catch (error) {
+    console.error("[history] Failed to write run history:", error.message);
+  }
+}
+
+async function readRunHistory() {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(RUN_HISTORY_FILE, "utf8");
+  } catch (error) {
+    return [];
+  }
+  return raw
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function describeActiveRun() {
+  if (!activeRun) return null;
+  return {
+    id: activeRun.id,
+    trigger: activeRun.trigger,
+    engines: activeRun.engines,
+    options: activeRun.options,
+    startedAt: activeRun.startedAt,
+    finishedAt: null,
+    durationMs: Date.now() - Date.parse(activeRun.startedAt),
+    outcome: "running",
+    exitCode: null,
+    steps: activeRun.steps,
+    logs: [],
+    summary: {}
+  };
+}
+
+const parseIdList = (value, label) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((id) => !Number.isInteger(Number(id)) || Number(id) <= 0)) {
+    throw new Error(`${label} must be a list of positive integers.`);
+  }
+  return [...new Set(value.map(Number))];
+};
+
+// Checks a /api/run-now body. Sets and series ids only exist in Sonarr and movie ids only in Radarr,
+// so without an explicit engine list the filters pick the engines.
+function normalizeRunOptions(body) {
+  const options = {
+    dryRun: null,
+    sets: [],
+    seriesIds: parseIdList(body?.seriesIds, "seriesIds"),
+    movieIds: parseIdList(body?.movieIds, "movieIds")
+  };
+  if (body?.dryRun !== undefined && body?.dryRun !== null) {
+    if (typeof body.dryRun !== "boolean") throw new Error("dryRun must be true or false.");
+    options.dryRun = body.dryRun;
+  }
+  if (body?.sets !== undefined && body?.sets !== null) {
+    if (!Array.isArray(body.sets) || body.sets.some((name) => typeof name !== "string" || !name.trim())) {
+      throw new Error("sets must be a list of Set names.");
+    }
+    const { data } = readYaml(SONARR_SETTINGS);
+    const known = (Array.isArray(data?.Sets) ? data.Sets : []).map((set) => set?.["Media Type"]);
+    const unknown = body.sets.filter((name) => !known.includes(name));
+    if (unknown.length) {
+      throw new Error(`Unknown Set(s): ${unknown.join(", ")}.`);
+    }
+    options.sets = [...new Set(body.sets)];
+  }
+
+  let engines = body?.engines;
+  if (engines !== undefined && engines !== null && !Array.isArray(engines)) {
+    throw new Error("engines must be a list of engine names.");
+  }
+  if (!engines || !engines.length) {
+    const implied = [
+      ...(options.sets.length || options.seriesIds.length ? ["sonarr"] : []),
+      ...(options.movieIds.length ? ["radarr"] : [])
+    ];
+    engines = implied.length ? implied : ENGINE_ORDER;
+  }
+  engines = normalizeEngines(engines);
+  if ((options.sets.length || options.seriesIds.length) && !engines.includes("sonarr")) {
+    throw new Error("sets and seriesIds need the sonarr engine.");
+  }
+  if (options.movieIds.length && !engines.includes("radarr")) {
+    throw new Error("movieIds need the radarr engine.");
+  }
+  return { engines, options };
+}
+
+const hasRunOverrides = (options) =>
+  Boolean(options) &&
+  (options.dryRun !== null || options.sets.length || options.seriesIds.length || options.movieIds.length || Boolean(options.planFile));
+
+// Run overrides never touch the YAML on disk; they are applied to a copy for this run only.
+function applyRunOverrides(engine, data, options) {
+  if (!hasRunOverrides(options)) return data;
+  const copy = JSON.parse(JSON.stringify(data || {}));
+  if (options.dryRun !== null) {
+    copy.Behavior = { ...(copy.Behavior || {}), DryRun: options.dryRun };
+  }
+  if (engine === "sonarr") {
+    if (options.sets.length) {
+      copy.Sets = (copy.Sets || []).filter((set) => options.sets.includes(set?.["Media Type"]));
+    }
+    if (options.seriesIds.length) {
+      copy.RunScope = { SeriesIds: options.seriesIds };
+    }
+  }
+  if (engine === "radarr" && options.movieIds.length) {
+    copy.RunScope = { MovieIds: options.movieIds };
+  }
+  if (options.planFile) {
+    copy.RunScope = { ...(copy.RunScope || {}), PlanFile: options.planFile };
+  }
+  return copy;
+}
+
+// Settings that reference secrets or carry run overrides go to the engines as private copies;
+// anything else is passed through untouched. With several instances every instance gets its own copy,
+// narrowed to its connection, Sets and mappings, and RunScope.Instance puts its name into the log names.
+// Returns one { engine, instance, configPath } per instance to run; configPath is null for the file itself.
+function writeRuntimeConfigs(runId, options) {
+  const targets = [];
+  for (const [engine, filePath] of Object.entries(SETTINGS_FILES)) {
+    const type = engine === "sonarr" ? "Sonarr" : "Radarr";
+    const { data } = readYaml(filePath);
+    const instances = listInstances(data, type);
+    const multiple = instances.length > 1;
+    const references = (SECRET_FIELDS[engine] || []).some(([, key]) => instances.some((instance) => isSecretReference(instance.connection[key])));
+    // The engines only read the single-mapping layout, so a list always needs a copy.
+    if (!references && !hasRunOverrides(options) && !Array.isArray(data?.[type])) {
+      targets.push({ engine, instance: instances[0].name, configPath: null });
+      continue;
+    }
+    fs.mkdirSync(RUNTIME_CONFIG_DIR, { recursive: true, mode: 0o700 });
+    for (const instance of instances) {
+      const runtimeData = applyRunOverrides(engine, resolveSettingsSecrets(engine, scopeConfig(data, type, instance.name).config), options);
+      // A Set filter leaves nothing to do for instances that own none of the picked Sets.
+      if (engine === "sonarr" && multiple && options?.sets.length && !runtimeData.Sets?.length) continue;
+      if (multiple) {
+        runtimeData.RunScope = { ...(runtimeData.RunScope || {}), Instance: instance.slug };
+      }
+      const runtimePath = path.join(RUNTIME_CONFIG_DIR, `${runId}_${multiple ? `${instance.slug}_` : ""}${path.basename(filePath)}`);
+      fs.writeFileSync(runtimePath, yaml.dump(runtimeData, { lineWidth: -1 }), { mode: 0o600 });
+      targets.push({ engine, instance: instance.name, configPath: runtimePath });
+    }
+  }
+  return targets;
+}
+
+const describeRunOptions = (options) =>
+  hasRunOverrides(options)
+    ? {
+        ...(options.dryRun !== null ? { dryRun: options.dryRun } : {}),
+        ...(options.sets.length ? { sets: options.sets } : {}),
+        ...(options.seriesIds.length ? { seriesIds: options.seriesIds } : {}),
+        ...(options.movieIds.length ? { movieIds: options.movieIds } : {}),
+        ...(options.planId ? { planId: options.planId } : {})
+      }
+    : null;
+
+// Running everything goes through the Launch All script so its master summary still prints. With several
+// instances of an engine, each instance runs its own launcher instead; FetchInfo reads the primary instances.
+function planRunSteps(engines, targets) {
+  const targetsFor = (engine) => targets.filter((target) => target.engine === engine);
+  const configArgs = (flag, target) => (target?.configPath ? [flag, target.configPath] : []);
+  const [sonarr] = targetsFor("sonarr");
+  const [radarr] = targetsFor("radarr");
+  if (engines.length === ENGINE_ORDER.length && targetsFor("sonarr").length === 1 && targetsFor("radarr").length === 1) {
+    return [
+      {
+        engine: "all",
+        instance: null,
+        script: LAUNCH_ALL_SCRIPT,
+        args: [...configArgs("-SonarrConfigPath", sonarr), ...configArgs("-RadarrConfigPath", radarr)]
+      }
+    ];
+  }
+  return engines.flatMap((engine) => {
+    if (engine === "fetchinfo") {
+      const args = [...configArgs("-SonarrConfigPath", sonarr), ...configArgs("-RadarrConfigPath", radarr)];
+      return [{ engine, instance: null, script: ENGINES.fetchinfo.launcher, args }];
+    }
+    const own = targetsFor(engine);
+    return own.map((target) => ({
+      engine,
+      instance: own.length > 1 ? target.instance : null,
+      script: ENGINES[engine].launcher,
+      args: configArgs("-ConfigPath", target)
+    }));
+  });
+}
+
+// Starts the launchers for the given engines in the background; onFinish gets the history record.
+// Returns { ok: false, error } when another run holds the lock.
+function startRun(engines, trigger, options = null, onFinish = null) {
+  const ordered = normalizeEngines(engines);
+
+  if (applyingPlan) {
+    return { ok: false, error: "A plan is being applied." };
+  }
+  if (movingMovie) {
+    return { ok: false, error: "A movie is being moved." };
+  }
+  clearStaleRunState();
+  if (activeRun || !tryAcquireLock()) {
+    return { ok: false, error: "Run already in progress." };
+  }
+
+  let steps = [];
+  const startedAt = new Date().toISOString();
+  const run = {
+    id: newRunId(),
+    engines: ordered,
+    trigger,
+    startedAt,
+    stopped: false,
+    steps: [],
+    logSnapshot: null,
+    configPaths: [],
+    options: describeRunOptions(options)
+  };
+  activeRun = run;
+
+  writeStatus("running", startedAt, null, computeNextRun());
+  resetRunConsole(ordered);
+  organizeLogs();
+  run.logSnapshot = snapshotLogFiles();
+  console.log(`[run] Starting CompleteARR run (${trigger}): ${ordered.join(", ")}${run.options ? ` ${JSON.stringify(run.options)}` : ""}`);
+
+  const { spawn } = require("child_process");
+
+  const finish = async () => {
+    const finishedAt = new Date().toISOString();
+    global.runningChild = null;
+    let record;
+    try {
+      for (const runtimePath of run.configPaths) {
+        fs.rmSync(runtimePath, { force: true });
+      }
+      organizeLogs();
+      record = await buildRunRecord(run, finishedAt);
+      appendRunHistory(record);
+    } finally {
+      // Cleared only once the record exists (or could not be built), so the run lock cannot be taken as
+      // stale in between, and a failure here cannot leave the UI locked out of new runs.
+      activeRun = null;
+      writeStatus("idle", startedAt, finishedAt, computeNextRun());
+      releaseLock();
+      updateConsoleState({ running: false, finishedAt });
+    }
+    notifyRunFinished(record).catch((error) => console.error("[notify] Failed to send run notifications:", error.message));
+    if (onFinish) {
+      try {
+        onFinish(record);
+      } catch (error) {
+        console.error("[run] Post-run step failed:", error.message);
+      }
+    }
+    console.log("[run] CompleteARR run finished.");
+  };
+
+  const reportFinishError = (error) => console.error("[run] Failed to finish the run:", error.message);
+
+  const runStep = (index) => {
+    if (index >= steps.length || run.stopped) {
+      finish().catch(reportFinishError);
+      return;
+    }
+
+    const child = spawn("pwsh", [steps[index].script, ...steps[index].args], {
+      cwd: APP_ROOT,
+      env: { ...process.env, COMPLETEARR_NO_PAUSE: "1" },
+      stdio: ["ignore", "pipe", "pipe"]
+    });
+
+    // Store child process ID for stopping
+    global.runningChild = child;
+
+    if (steps.length > 1) {
+      updateConsoleState({ engine: steps[index].engine, instance: steps[index].instance, set: null, progress: null });
+    }
+    captureChildStream(child.stdout, "stdout", process.stdout);
+    captureChildStream(child.stderr, "stderr", process.stderr);
+
+    const step = {
+      engine: steps.length > 1 ? steps[index].engine : "all",
+      ...(steps[index].instance ? { instance: steps[index].instance } : {}),
+      script: steps[index].script,
+      exitCode: null,
+      signal: null
+    };
+    run.steps.push(step);
+
+    let settled = false;
+    // "close" waits for stdout/stderr to drain, so the console gets every line.
+    child.on("close", (code, signal) => {
+      if (settled) return;
+      settled = true;
+      step.exitCode = code;
+      step.signal = signal;
+      runStep(index + 1);
+    });
+
+    child.on("error", (error) => {
+      if (settled) return;
+      settled = true;
+      step.error = error.message;
+      console.error(`[run] Failed to start ${steps[index].script}:`, error.message);
+      appendConsoleLine(`ERROR: Failed to start ${steps[index].script}: ${error.message}`, "stderr");
+      finish().catch(reportFinishError);
+    });
+  };
+
+  try {
+    const targets = writeRuntimeConfigs(run.id, options);
+    run.configPaths = targets.map((target) => target.configPath).filter(Boolean);
+    steps = planRunSteps(ordered, targets);
+  } catch (error) {
+    console.error("[run] Could not prepare settings:", error.message);
+    appendConsoleLine(`ERROR: Could not prepare settings: ${error.message}`, "stderr");
+    run.steps.push({ engine: "all", script: null, exitCode: null, signal: null, error: error.message });
+    finish().catch(reportFinishError);
+    return { ok: true, id: run.id, engines: ordered };
+  }
+
+  runStep(0);
+  return { ok: true, id: run.id, engines: ordered };
+}
+
+let applyingPlan = null;
+let movingMovie = null;
+
+const PLAN_ID_PATTERN = /^[a-z0-9]+-[a-z0-9]+$/;
+const PLAN_ITEM_KINDS = ["promote", "demote", "root-correct", "episode-monitor"];
+
+const planPath = (id) => path.join(PLANS_DIR, `${id}.json`);
+
+function savePlan(plan) {
+  fs.mkdirSync(PLANS_DIR, { recursive: true });
+  const tmpFile = `${planPath(plan.id)}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(plan, null, 2));
+  fs.renameSync(tmpFile, planPath(plan.id));
+}
+
+function readPlan(id) {
+  if (!PLAN_ID_PATTERN.test(id) || !fs.existsSync(planPath(id))) {
+    return null;
+  }
+  const text = fs.readFileSync(planPath(id), "utf8");
+  // A plan file that does not parse counts as missing, like listPlans skips it.
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    console.error(`[plan] Failed to read plan ${id}:`, error.message);
+    return null;
+  }
+}
+
+function listPlans() {
+  if (!fs.existsSync(PLANS_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(PLANS_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(PLANS_DIR, name), "utf8"));
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function prunePlans() {
+  for (const plan of listPlans().slice(PLAN_LIMIT)) {
+    fs.rmSync(planPath(plan.id), { force: true });
+  }
+}
+
+// Turns the engines' plan records into reviewable items. An episode touched twice in one pass
+// keeps its first "from" and last "to", and drops out if that nets to no change.
+function buildPlanItems(records) {
+  const byKey = new Map();
+  for (const record of records) {
+    if (!PLAN_ITEM_KINDS.includes(record?.kind) || !Number.isInteger(record.id)) continue;
+    const scope = record.instance ? `${record.engine}@${record.instance}` : record.engine;
+    const key = `${scope}:${record.itemType}:${record.id}:${record.kind === "episode-monitor" ? "monitor" : "item"}`;
+    const existing = byKey.get(key);
+    if (existing) {
+      existing.to = { ...existing.to, ...record.to };
+      continue;
+    }
+    byKey.set(key, {
+      itemId: key,
+      kind: record.kind,
+      engine: record.engine,
+      instance: record.instance || null,
+      itemType: record.itemType,
+      id: record.id,
+      seriesId: record.seriesId ?? null,
+      title: record.title || `#${record.id}`,
+      from: record.from || {},
+      to: record.to || {}
+    });
+  }
+  return [...byKey.values()].filter((item) => Object.keys(item.to).some((field) => item.to[field] !== item.from[field]));
+}
+
+function finalizePlan(planId, planFile, record) {
+  const plan = readPlan(planId);
+  if (!plan) return;
+  let records = [];
+  try {
+    records = fs
+      .readFileSync(planFile, "utf8")
+      .split(/\r?\n/)
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line.replace(/^\uFEFF/, ""));
+        } catch (error) {
+          return null;
+        }
+      });
+  } catch (error) {
+    // No file means the engines had nothing to change.
+  }
+  fs.rmSync(planFile, { force: true });
+  // Engines of a multi-instance run tag their records with the instance slug; items carry the name.
+  const settings = { sonarr: readYaml(SONARR_SETTINGS).data, radarr: readYaml(RADARR_SETTINGS).data };
+  for (const item of records) {
+    if (!item?.instance || !settings[item.engine]) continue;
+    item.instance = findInstance(settings[item.engine], item.engine === "sonarr" ? "Sonarr" : "Radarr", item.instance)?.name || item.instance;
+  }
+  plan.items = buildPlanItems(records);
+  plan.status = record.outcome === "success" ? "ready" : "failed";
+  plan.finishedAt = record.finishedAt;
+  if (plan.status === "failed") {
+    plan.error = `The dry run ${record.outcome === "stopped" ? "was stopped" : "failed"}; check run ${record.id} in History.`;
+  }
+  savePlan(plan);
+}
+
+// A plan is a forced dry run whose intended changes are captured instead of applied.
+function createPlan(body) {
+  const { engines, options } = normalizeRunOptions({ ...body, dryRun: true });
+  const planId = newRunId();
+  fs.mkdirSync(RUNTIME_CONFIG_DIR, { recursive: true, mode: 0o700 });
+  const planFile = path.join(RUNTIME_CONFIG_DIR, `${planId}.plan.jsonl`);
+  const planOptions = { ...options, planFile, planId };
+  const plan = {
+    id: planId,
+    status: "running",
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    runId: null,
+    engines,
+    options: describeRunOptions({ ...options, dryRun: null }),
+    items: [],
+    appliedAt: null,
+    results: null
+  };
+  savePlan(plan);
+  const result = startRun(engines, "plan", planOptions, (record) => finalizePlan(planId, planFile, record));
+  if (!result.ok) {
+    fs.rmSync(planPath(planId), { force: true });
+    return result;
+  }
+  plan.runId = result.id;
+  savePlan(plan);
+  prunePlans();
+  return { ok: true, plan };
+}
+
+const PLAN_ITEM_SOURCES = {
+  series: { type: "Sonarr", apiPath: (item) => `series/${item.id}` },
+  episode: { type: "Sonarr", apiPath: (item) => `episode/${item.id}` },
+  movie: { type: "Radarr", apiPath: (item) => `movie/${item.id}` }
+};
+
+// Compares the fields a plan item changes with the live library.
+async function findPlanDrift(items, configs) {
+  const drifted = [];
+  const current = new Map();
+  for (const item of items) {
+    const source = PLAN_ITEM_SOURCES[item.itemType];
+    try {
+      const live = await arrGet(configs.for(item), source.type, source.apiPath(item));
+      current.set(item.itemId, live);
+      const changed = Object.keys(item.from).filter((field) => live?.[field] !== item.from[field]);
+      if (changed.length) {
+        drifted.push({
+          itemId: item.itemId,
+          title: item.title,
+          reason: changed.map((field) => `${field} is now ${JSON.stringify(live?.[field])}, planned from ${JSON.stringify(item.from[field])}`).join("; ")
+        });
+      }
+    } catch (error) {
+      if (error.response?.status === 404) {
+        drifted.push({ itemId: item.itemId, title: item.title, reason: `${item.itemType} no longer exists` });
+        continue;
+      }
+      throw error;
+    }
+  }
+  return { drifted, current };
+}
+
+async function applyPlanItems(items, current, configs) {
+  const results = [];
+  for (const item of items) {
+    const source = PLAN_ITEM_SOURCES[item.itemType];
+    try {
+      if (item.itemType === "episode") {
+        await arrPut(configs.for(item), "Sonarr", "episode/monitor", { episodeIds: [item.id], monitored: item.to.monitored });
+      } else {
+        await arrPut(configs.for(item), source.type, source.apiPath(item), { ...current.get(item.itemId), ...item.to }, { moveFiles: true });
+      }
+      results.push({ itemId: item.itemId, ok: true });
+    } catch (error) {
+      const detail = error.response?.data?.message || error.response?.data?.[0]?.errorMessage || error.message;
+      results.push({ itemId: item.itemId, ok: false, error: detail });
+    }
+  }
+  return results;
+}
+
+// Applies the approved items of a ready plan, refusing outright if any of them drifted since planning.
+async function applyPlan(plan, itemIds) {
+  const items = plan.items.filter((item) => itemIds.includes(item.itemId));
+  const settings = { Sonarr: readYaml(SONARR_SETTINGS).data, Radarr: readYaml(RADARR_SETTINGS).data };
+  // Items from before instances (or single-instance runs) have no instance and go to the primary one.
+  const configs = {
+    for: (item) => {
+      const type = PLAN_ITEM_SOURCES[item.itemType].type;
+      return scopeConfig(settings[type], type, item.instance).config;
+    }
+  };
+  const { drifted, current } = await findPlanDrift(items, configs);
+  if (drifted.length) {
+    return { ok: false, drifted };
+  }
+  const results = await applyPlanItems(items, current, configs);
+  plan.status = results.every((result) => result.ok) ? "applied" : "partially-applied";
+  plan.appliedAt = new Date().toISOString();
+  plan.results = results;
+  savePlan(plan);
+  console.log(`[plan] Applied ${results.filter((result) => result.ok).length}/${results.length} item(s) of plan ${plan.id}.`);
+  return { ok: true, plan };
+}
+
+const CRON_MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *"
+};
+
+const CRON_FIELDS = [
+  { key: "minute", label: "minute", min: 0, max: 59 },
+  { key: "hour", label: "hour", min: 0, max: 23 },
+  { key: "dayOfMonth", label: "day of month", min: 1, max: 31 },
+  {
+    key: "month",
+    label: "month",
+    min: 1,
+    max: 12,
+    names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"]
+  },
+  { key: "dayOfWeek", label: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }
+];
+
+function parseCronValue(value, field, expression) {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.key === "month" ? 1 : 0);
+  }
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < field.min || number > field.max) {
+    throw new Error(`Invalid cron expression "${expression}": ${field.label} value "${value}" is out of range.`);
+  }
+  return number;
+}
+
+function parseCronField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [rangeText, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron expression "${expression}": bad step "${stepText}" in ${field.label}.`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes("-")) {
+      const [from, to] = rangeText.split("-");
+      start = parseCronValue(from, field, expression);
+      end = parseCronValue(to, field, expression);
+    } else {
+      start = parseCronValue(rangeText, field, expression);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid cron expression "${expression}": range "${rangeText}" in ${field.label} is reversed.`);
+    }
+    for (let value = start; value <= end; value += step) {
+      // Both 0 and 7 mean Sunday.
+      values.add(field.key === "dayOfWeek" && value === 7 ? 0 : value);
+    }
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const trimmed = String(expression || "").trim();
+  const expanded = CRON_MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = expanded.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${trimmed}": expected 5 fields (minute hour day-of-month month day-of-week).`);
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((field, index) => {
+    parsed[field.key] = parseCronField(parts[index], field, trimmed);
+  });
+  parsed.dayOfMonthRestricted = parts[2] !== "*";
+  parsed.dayOfWeekRestricted = parts[4] !== "*";
+  return parsed;
+}
+
+function cronMatchesDay(cron, date) {
+  const domMatch = cron.dayOfMonth.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.has(date.getDay());
+  // Classic cron: when both day fields are restricted, either one may match.
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+function cronMatches(cron, date) {
+  return (
+    cron.minute.has(date.getMinutes()) &&
+    cron.hour.has(date.getHours()) &&
+    cron.month.has(date.getMonth() + 1) &&
+    cronMatchesDay(cron, date)
+  );
+}
+
+// Next occurrence strictly after `from`, evaluated in the container's local time (TZ).
+function nextCronOccurrence(cron, from = new Date()) {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + 5 * 366 * MS_IN_DAY;
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cronMatchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+  return null;
+}
+
+// Only intervals a cron step can express exactly; anything else returns null.
+function intervalToCron(seconds) {
+  const value = Number(seconds);
+  if (!Number.isInteger(value) || value <= 0 || value % 60 !== 0) return null;
+  const minutes = value / 60;
+  if (minutes < 60 && 60 % minutes === 0) {
+    return minutes === 1 ? "* * * * *" : `*/${minutes} * * * *`;
+  }
+  const hours = minutes / 60;
+  if (Number.isInteger(hours) && hours < 24 && 24 % hours === 0) {
+    return hours === 1 ? "0 * * * *" : `0 */${hours} * * *`;
+  }
+  return minutes === 1440 ? "0 0 * * *" : null;
+}
+
+// Seeded from the interval the old entrypoint loop used. An interval cron cannot express exactly is refused, not rounded.
+const DEFAULT_SCHEDULE_CRON = (() => {
+  const seconds = process.env.RUN_INTERVAL_SECONDS || 3600;
+  const cron = intervalToCron(seconds);
+  if (!cron) {
+    console.error(
+      `[schedule] RUN_INTERVAL_SECONDS=${seconds} has no matching cron schedule (it must divide an hour or a day evenly). ` +
+        "Using hourly instead; set the schedule on the Home tab."
+    );
+    return "0 * * * *";
+  }
+  return cron;
+})();
+
+function defaultSchedule() {
+  const schedule = {};
+  ENGINE_ORDER.forEach((key) => {
+    schedule[key] = { enabled: true, cron: DEFAULT_SCHEDULE_CRON };
+  });
+  return schedule;
+}
+
+function validateSchedule(input) {
+  const schedule = {};
+  const errors = {};
+  const defaults = defaultSchedule();
+  for (const key of ENGINE_ORDER) {
+    const entry = input?.[key] || defaults[key];
+    const cron = String(entry.cron ?? "").trim();
+    try {
+      parseCron(cron);
+    } catch (error) {
+      errors[key] = error.message;
+    }
+    schedule[key] = { enabled: entry.enabled !== false, cron };
+  }
+  return { schedule, errors };
+}
+
+function loadSchedule() {
+  try {
+    if (fs.existsSync(SCHEDULE_FILE)) {
+      const { schedule, errors } = validateSchedule(JSON.parse(fs.readFileSync(SCHEDULE_FILE, "utf8")));
+      if (!Object.keys(errors).length) {
+        return schedule;
+      }
+      console.error("[schedule] Ignoring invalid schedule file:", Object.values(errors).join(" "));
+    }
+  } catch (error) {
+    console.error("[schedule] Failed to read schedule file:", error.message);
+  }
+  return defaultSchedule();
+}
+
+function saveSchedule(schedule) {
+  fs.mkdirSync(path.dirname(SCHEDULE_FILE), { recursive: true });
+  const tmpFile = SCHEDULE_FILE + ".tmp." + Date.now();
+  fs.writeFileSync(tmpFile, JSON.stringify(schedule, null, 2));
+  fs.renameSync(tmpFile, SCHEDULE_FILE);
+}
+
+function describeSchedule(schedule = loadSchedule(), from = new Date()) {
+  const engines = {};
+  for (const key of ENGINE_ORDER) {
+    const entry = schedule[key];
+    const next = entry.enabled ? nextCronOccurrence(parseCron(entry.cron), from) : null;
+    engines[key] = { ...entry, label: ENGINES[key].label, nextRun: next ? next.toISOString() : null };
+  }
+  return { engines, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone };
+}
+
+function computeNextRun(schedule = loadSchedule()) {
+  const upcoming = Object.values(describeSchedule(schedule).engines)
+    .map((entry) => entry.nextRun)
+    .filter(Boolean)
+    .sort();
+  return upcoming[0] || null;
+}
+
+function schedulerTick(now) {
+  const schedule = loadSchedule();
+  const due = ENGINE_ORDER.filter((key) => schedule[key].enabled && cronMatches(parseCron(schedule[key].cron), now));
+  if (!due.length) {
+    return;
+  }
+  const pending = enginesNeedingSetup();
+  if (pending.length) {
+    console.log(`[schedule] Skipping scheduled run of ${due.join(", ")} until setup is finished (${pending.join(", ")}).`);
+    return;
+  }
+
+  const result = startRun(due, "schedule");
+  if (!result.ok) {
+    console.log(`[schedule] Run already in progress. Skipping scheduled run of ${due.join(", ")}.`);
+  }
+}
+
+function runOnStart() {
+  const schedule = loadSchedule();
+  const engines = ENGINE_ORDER.filter((key) => schedule[key].enabled);
+  if (!engines.length) return;
+  const pending = enginesNeedingSetup();
+  if (pending.length) {
+    console.log(`[schedule] Skipping the startup run until setup is finished (${pending.join(", ")}).`);
+    return;
+  }
+  startRun(engines, "startup");
+}
+
+function startScheduler() {
+  // Wake up just after each minute boundary.
+  const delay = 60000 - (Date.now() % 60000) + 50;
+  setTimeout(() => {
+    const minute = new Date(Math.floor(Date.now() / 60000) * 60000);
+    try {
+      schedulerTick(minute);
+    } catch (error) {
+      console.error("[schedule] Scheduler tick failed:", error.message);
+    }
+    try {
+      retentionTick(minute);
+    } catch (error) {
+      console.error("[retention] Retention tick failed:", error.message);
+    }
+    startScheduler();
+  }, delay);
+}
+
+// Events that can change whether a title is complete or where it belongs. Grab, Health, deletes of
+// whole series/movies and the like are logged but do not queue anything.
+const WEBHOOK_EVENTS = {
+  sonarr: ["Download", "SeriesAdd", "EpisodeFileDelete", "Rename", "ImportComplete"],
+  radarr: ["Download", "MovieAdded", "MovieFileDelete", "Rename"]
+};
+const WEBHOOK_DELIVERY_LIMIT = 100;
+
+const webhookQueue = { sonarr: new Set(), radarr: new Set(), timer: null, dueAt: null, firstAt: null };
+let webhookDeliveries = null;
+
+function readWebhookDeliveries() {
+  if (webhookDeliveries) return webhookDeliveries;
+  try {
+    webhookDeliveries = fs.existsSync(WEBHOOK_DELIVERIES_FILE) ? JSON.parse(fs.readFileSync(WEBHOOK_DELIVERIES_FILE, "utf8")) : [];
+  } catch (error) {
+    webhookDeliveries = [];
+  }
+  return webhookDeliveries;
+}
+
+function saveWebhookDeliveries() {
+  try {
+    const tmpFile = WEBHOOK_DELIVERIES_FILE + ".tmp";
+    fs.writeFileSync(tmpFile, JSON.stringify(readWebhookDeliveries()));
+    fs.renameSync(tmpFile, WEBHOOK_DELIVERIES_FILE);
+  } catch (error) {
+    console.error("[webhook] Failed to save deliveries:", error.message);
+  }
+}
+
+function recordWebhookDelivery(delivery) {
+  const deliveries = readWebhookDeliveries();
+  deliveries.unshift(delivery);
+  deliveries.splice(WEBHOOK_DELIVERY_LIMIT);
+  saveWebhookDeliveries();
+  return delivery;
+}
+
+// WEBHOOK_TOKEN wins; otherwise the hash generated from the Shared tab is checked.
+function webhookTokenValid(req) {
+  const basic = String(req.get("Authorization") || "").match(/^Basic\s+(.+)$/i);
+  const provided =
+    String(req.query.token || "") ||
+    String(req.get("X-Webhook-Token") || "") ||
+    (basic ? Buffer.from(basic[1], "base64").toString("utf8").split(":").slice(1).join(":") : "");
+  if (!provided) return false;
+  if (process.env.WEBHOOK_TOKEN) {
+    const expected = Buffer.from(process.env.WEBHOOK_TOKEN);
+    return provided.length === expected.length && crypto.timingSafeEqual(Buffer.from(provided), expected);
+  }
+  const { webhookToken } = readAuthFile();
+  return Boolean(webhookToken) && hashToken(provided) === webhookToken.hash;
+}
+
+// Pulls the affected ids out of a native *arr webhook payload.
+function parseWebhookPayload(engine, body) {
+  const eventType = String(body?.eventType || "Unknown");
+  if (engine === "sonarr") {
+    const series = body?.series || {};
+    return { eventType, ids: Number.isInteger(series.id) ? [series.id] : [], titles: series.title ? [series.title] : [] };
+  }
+  const movie = body?.movie || body?.remoteMovie || {};
+  return { eventType, ids: Number.isInteger(movie.id) ? [movie.id] : [], titles: movie.title ? [movie.title] : [] };
+}
+
+function scheduleWebhookFlush() {
+  clearTimeout(webhookQueue.timer);
+  const now = Date.now();
+  webhookQueue.firstAt = webhookQueue.firstAt || now;
+  // Keep pushing the run back while events arrive, but never past five debounce windows.
+  const dueAt = Math.min(now + WEBHOOK_DEBOUNCE_SECONDS * 1000, webhookQueue.firstAt + WEBHOOK_DEBOUNCE_SECONDS * 5000);
+  webhookQueue.dueAt = new Date(dueAt).toISOString();
+  webhookQueue.timer = setTimeout(flushWebhookQueue, Math.max(0, dueAt - now));
+}
+
+// Starts one targeted run for everything queued; if a run is already going, tries again a window later.
+function flushWebhookQueue() {
+  const seriesIds = [...webhookQueue.sonarr];
+  const movieIds = [...webhookQueue.radarr];
+  if (!seriesIds.length && !movieIds.length) {
+    webhookQueue.timer = webhookQueue.dueAt = webhookQueue.firstAt = null;
+    return;
+  }
+  const { engines, options } = normalizeRunOptions({ seriesIds, movieIds });
+  const result = startRun(engines, "webhook", options);
+  if (!result.ok) {
+    console.log(`[webhook] ${result.error} Retrying queued webhook run in ${WEBHOOK_DEBOUNCE_SECONDS}s.`);
+    webhookQueue.firstAt = null;
+    scheduleWebhookFlush();
+    return;
+  }
+  console.log(`[webhook] Started run ${result.id} for ${seriesIds.length} series and ${movieIds.length} movie(s).`);
+  for (const delivery of readWebhookDeliveries()) {
+    if (delivery.status === "queued") {
+      delivery.status = "processed";
+      delivery.runId = result.id;
+    }
+  }
+  saveWebhookDeliveries();
+  webhookQueue.sonarr.clear();
+  webhookQueue.radarr.clear();
+  webhookQueue.timer = webhookQueue.dueAt = webhookQueue.firstAt = null;
+}
+
+function receiveWebhook(engine, req, res) {
+  const { eventType, ids, titles } = parseWebhookPayload(engine, req.body);
+  const delivery = {
+    id: newRunId(),
+    receivedAt: new Date().toISOString(),
+    engine,
+    eventType,
+    ids,
+    titles,
+    ip: normalizeIp(req.socket.remoteAddress),
+    status: "queued",
+    reason: null,
+    runId: null
+  };
+
+  if (!webhookTokenValid(req)) {
+    recordWebhookDelivery({ ...delivery, status: "rejected", reason: "Missing or invalid webhook token." });
+    return res.status(401).json({ error: "Missing or invalid webhook token." });
+  }
+  if (eventType === "Test") {
+    recordWebhookDelivery({ ...delivery, status: "test" });
+    return res.json({ ok: true, queued: [] });
+  }
+  if (!WEBHOOK_EVENTS[engine].includes(eventType) || !ids.length) {
+    const reason = ids.length ? `${eventType} events do not trigger a run.` : "Payload has no item id.";
+    recordWebhookDelivery({ ...delivery, status: "ignored", reason });
+    return res.json({ ok: true, queued: [] });
+  }
+
+  ids.forEach((id) => webhookQueue[engine].add(id));
+  scheduleWebhookFlush();
+  recordWebhookDelivery(delivery);
+  return res.json({ ok: true, queued: ids, runAt: webhookQueue.dueAt });
+}
+
+// Last delivery result per notification target, shown on the Notifications card.
+const notificationResults = new Map();
+const NOTIFICATION_SECRET_FIELDS = ["password", "url"];
+// A saved password is only reused for the server and login it was saved with.
+const NOTIFICATION_SECRET_BINDINGS = { password: ["host", "port", "username"] };
+
+function loadNotificationSettings() {
+  try {
+    if (fs.existsSync(NOTIFICATIONS_FILE)) {
+      return notifications.normalizeNotificationSettings(JSON.parse(fs.readFileSync(NOTIFICATIONS_FILE, "utf8")));
+    }
+  } catch (error) {
+    console.error("[notify] Failed to read notification settings:", error.message);
+  }
+  return notifications.normalizeNotificationSettings({});
+}
+
+function saveNotificationSettings(settings) {
+  fs.mkdirSync(path.dirname(NOTIFICATIONS_FILE), { recursive: true });
+  const tmpFile = NOTIFICATIONS_FILE + ".tmp." + Date.now();
+  fs.writeFileSync(tmpFile, JSON.stringify(settings, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpFile, NOTIFICATIONS_FILE);
+}
+
+function redactNotificationSettings(settings) {
+  return {
+    ...settings,
+    targets: settings.targets.map((target) => {
+      const copy = { ...target };
+      for (const field of NOTIFICATION_SECRET_FIELDS) {
+        if (copy[field] && !isSecretReference(copy[field])) copy[field] = SECRET_MASK;
+      }
+      return copy;
+    })
+  };
+}
+
+// The saved value an incoming target may reuse for a field: same id and type and, for bound fields, the same
+// binding values. Undefined when there is none.
+function storedNotificationSecret(target, stored, field) {
+  const previous = stored.targets.find((item) => item.id === target.id && item.type === target.type);
+  if (!previous) return undefined;
+  const bound = (NOTIFICATION_SECRET_BINDINGS[field] || []).every(
+    (key) => String(previous[key] ?? "").trim() === String(target[key] ?? "").trim()
+  );
+  return bound ? previous[field] : undefined;
+}
+
+// Masked values come back from the form as "unchanged". One that no longer belongs to its saved target
+// has to be entered again; errors are keyed like validateNotificationSettings.
+function restoreNotificationSecrets(incoming, stored) {
+  const source = isPlainObject(incoming) ? incoming : {};
+  const errors = {};
+  if (!Array.isArray(source.targets)) return { settings: source, errors };
+  const targets = source.targets.map((target, index) => {
+    if (!isPlainObject(target)) return target;
+    const copy = { ...target };
+    for (const field of NOTIFICATION_SECRET_FIELDS) {
+      if (copy[field] !== SECRET_MASK) continue;
+      const previous = storedNotificationSecret(target, stored, field);
+      if (previous === undefined) {
+        errors[`targets.${index}.${field}`] =
+          field === "password" ? "The server or username changed. Enter the password again." : "Enter the URL again.";
+      }
+      copy[field] = previous ?? "";
+    }
+    return copy;
+  });
+  return { settings: { ...source, targets }, errors };
+}
+
+async function deliverNotification(target, message) {
+  const result = { targetId: target.id, event: message.event, at: new Date().toISOString(), ok: true, error: null };
+  try {
+    await notifications.sendToTarget(target, message, resolveSecretValue);
+  } catch (error) {
+    result.ok = false;
+    result.error = error.message;
+    console.error(`[notify] ${target.name || target.id}: ${error.message}`);
+  }
+  if (target.id) {
+    notificationResults.set(target.id, result);
+  }
+  return result;
+}
+
+// Plan previews are dry runs by design, so they never notify.
+async function notifyRunFinished(record) {
+  const settings = loadNotificationSettings();
+  const targets = settings.targets.filter((target) => target.enabled !== false);
+  if (!settings.enabled || !targets.length || record.trigger === "plan") return;
+  let actions = [];
+  try {
+    // The run's logs were just written; the watcher may not have reported them yet.
+    summaryIndexDirty = true;
+    actions = await readLogActions(record.logs.filter((log) => log.kind === "full").map((log) => log.name));
+  } catch (error) {
+    console.error("[notify] Failed to read run actions:", error.message);
+  }
+  for (const message of notifications.buildRunNotifications(settings, record, actions)) {
+    for (const target of targets) {
+      await deliverNotification(target, message);
+    }
+  }
+}
+
+const metricName = (key) => `completearr_last_run_${key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`)}`;
+const metricLabels = (labels) =>
+  `{${Object.entries(labels)
+    .map(([key, value]) => `${key}="${String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`)
+    .join(",")}}`;
+const toSeconds = (iso) => (iso ? Date.parse(iso) / 1000 : null);
+
+// Renders the Prometheus text exposition format from run history and the newest run per engine.
+async function buildMetrics() {
+  const families = new Map();
+  const add = (name, type, help, labels, value) => {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) return;
+    if (!families.has(name)) families.set(name, { type, help, samples: [] });
+    families.get(name).samples.push(`${name}${Object.keys(labels).length ? metricLabels(labels) : ""} ${Number(value)}`);
+  };
+
+  const history = await readRunHistory();
+  const outcomes = { success: 0, failed: 0, stopped: 0 };
+  for (const record of history) {
+    outcomes[record.outcome] = (outcomes[record.outcome] || 0) + 1;
+  }
+  for (const [outcome, count] of Object.entries(outcomes)) {
+    add("completearr_runs_total", "counter", "Finished runs by outcome.", { outcome }, count);
+  }
+
+  const last = history[history.length - 1];
+  const lastSuccess = [...history].reverse().find((record) => record.outcome === "success");
+  add("completearr_run_in_progress", "gauge", "1 while a run is in progress.", {}, activeRun ? 1 : 0);
+  add("completearr_last_run_start_timestamp_seconds", "gauge", "Start time of the last finished run.", {}, toSeconds(last?.startedAt));
+  add("completearr_last_run_finish_timestamp_seconds", "gauge", "Finish time of the last finished run.", {}, toSeconds(last?.finishedAt));
+  add("completearr_last_run_duration_seconds", "gauge", "Duration of the last finished run.", {}, last ? last.durationMs / 1000 : null);
+  add("completearr_last_success_timestamp_seconds", "gauge", "Finish time of the last successful run.", {}, toSeconds(lastSuccess?.finishedAt));
+
+  const index = await getSummaryIndex();
+  const instanceOf = instanceLabeler();
+  for (const engine of ["radarr", "sonarr"]) {
+    const record = [...history].reverse().find((item) => item.summary?.[engine] && Object.keys(item.summary[engine]).length);
+    if (!record) continue;
+    add("completearr_engine_last_run_timestamp_seconds", "gauge", "Finish time of the last run that produced this engine's summary.", { engine }, toSeconds(record.finishedAt));
+    const engineLogs = record.logs.filter((entry) => entry.kind === "full" && entry.name.startsWith(ENGINES[engine].logPrefix));
+    // Records written before instance labels only have the per-engine totals, which came from one instance.
+    const byInstance = record.instanceSummaries?.[engine] || (engineLogs.length ? { [instanceOf(engineLogs[0].name)]: record.summary[engine] } : {});
+    for (const [instance, summary] of Object.entries(byInstance)) {
+      for (const [key, value] of Object.entries(summary)) {
+        add(metricName(key), "gauge", `"${ENGINES[engine].markers[key] || key}" from the engine's last summary.`, { engine, instance }, value);
+      }
+    }
+    // Counted once when the summary index picked the log up; scrapes only read the cached numbers.
+    for (const log of engineLogs) {
+      for (const { set, action, value } of indexEntryFor(index, log.name)?.setActions || []) {
+        add(
+          "completearr_last_run_set_actions",
+          "gauge",
+          "Actions (and errors) logged per media set in the engine's last run.",
+          { engine, instance: instanceOf(log.name), set, action },
+          value
+        );
+      }
+    }
+  }
+
+  return [...families]
+    .map(([name, family]) => [`# HELP ${name} ${family.help}`, `# TYPE ${name} ${family.type}`, ...family.samples].join("\n"))
+    .join("\n") + "\n";
+}
+
+app.get("/api/status", (req, res) => {
+  // Failsafe: if status says "running" but child process is gone and lock is released, force idle
+  const lockExists = fs.existsSync(RUN_LOCK_DIR);
+  const childRunning = isChildRunning();
+  const nextRun = computeNextRun();
+
+  try {
+    const data = readStatusFile();
+
+    if (!data) {
+      return res.json({ ...ensureIdleStatus(), nextRun });
+    }
+
+    // If status says running but child is gone, clear lock + reset to idle.
+    if (data.status === "running" && !childRunning) {
+      console.log("[status] Failsafe: detected stuck 'running' status, resetting to idle");
+      if (lockExists) {
+        releaseLock();
+      }
+      writeStatus("idle", data.startedAt, new Date().toISOString(), nextRun);
+      return res.json({ status: "idle", startedAt: data.startedAt, finishedAt: new Date().toISOString(), nextRun });
+    }
+
+    // If lock exists but status says idle and no child, clear stale lock
+    if (data.status !== "running" && lockExists && !childRunning) {
+      releaseLock();
+    }
+
+    return res.json({ ...data, nextRun });
+  } catch (error) {
+    console.error("Failed to read/parse status file:", error.message);
+    return res.json({ ...ensureIdleStatus(), nextRun });
+  }
+});
+
+app.post("/api/run-now", async (req, res) => {
+  // The web UI tags its own requests; anything else is a script hitting the API.
+  const trigger = req.get("X-CompleteARR-Client") === "ui" ? "ui" : "api";
+  let request;
+  try {
+    request = normalizeRunOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const result = startRun(request.engines, trigger, request.options);
+  if (!result.ok) {
+    return res.status(409).json({ error: result.error });
+  }
+  // Best effort: the run has started either way, this only tells the caller what it will skip.
+  const excluded = await findExcludedTargets(request.options).catch(() => []);
+  return res.json({ ok: true, id: result.id, engines: result.engines, options: describeRunOptions(request.options), excluded });
+});
+
+app.get("/api/runs", async (req, res) => {
+  const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, Number.parseInt(req.query.pageSize, 10) || 20));
+  const current = describeActiveRun();
+  const runs = (await readRunHistory()).reverse();
+  if (current) {
+    runs.unshift(current);
+  }
+  res.json({
+    runs: runs.slice((page - 1) * pageSize, page * pageSize),
+    total: runs.length,
+    page,
+    pageSize
+  });
+});
+
+app.get("/api/plans", (req, res) => {
+  res.json(
+    listPlans().map(({ items, results, ...plan }) => ({
+      ...plan,
+      itemCount: items.length,
+      counts: PLAN_ITEM_KINDS.reduce((counts, kind) => ({ ...counts, [kind]: items.filter((item) => item.kind === kind).length }), {})
+    }))
+  );
+});
+
+app.post("/api/plans", (req, res) => {
+  let result;
+  try {
+    result = createPlan(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!result.ok) {
+    return res.status(409).json({ error: result.error });
+  }
+  return res.json({ ok: true, id: result.plan.id, runId: result.plan.runId });
+});
+
+app.get("/api/plans/:id", async (req, res) => {
+  try {
+    const plan = readPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: "Plan not found." });
+    }
+    // Profile ids are what gets applied; names and exclusion flags are only for display and skipped if the lookup fails.
+    const lookups = {};
+    for (const item of plan.items) {
+      const type = item.engine === "sonarr" ? "Sonarr" : "Radarr";
+      const key = `${type}:${item.instance || ""}`;
+      if (!(key in lookups)) {
+        try {
+          lookups[key] = await getArrLookup(type, item.instance);
+        } catch (error) {
+          lookups[key] = null;
+        }
+      }
+      const lookup = lookups[key];
+      // Rules added after planning still matter: the items they match would not be touched by a run now.
+      item.exclusion =
+        item.itemType === "episode"
+          ? lookupExclusion(lookup, item.seriesId, {})
+          : lookupExclusion(lookup, item.id, { title: item.title, path: item.from.path });
+      if (lookup && item.to.qualityProfileId !== undefined) {
+        item.profileNames = {
+          from: lookup.profileNamesById.get(item.from.qualityProfileId) || null,
+          to: lookup.profileNamesById.get(item.to.qualityProfileId) || null
+        };
+      }
+    }
+    return res.json(plan);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load plan: " + error.message });
+  }
+});
+
+app.post("/api/plans/:id/apply", async (req, res) => {
+  let plan;
+  try {
+    plan = readPlan(req.params.id);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load plan: " + error.message });
+  }
+  if (!plan) {
+    return res.status(404).json({ error: "Plan not found." });
+  }
+  if (plan.status !== "ready") {
+    return res.status(409).json({ error: `Plan is ${plan.status}; only a ready plan can be applied.` });
+  }
+  const itemIds = req.body?.itemIds;
+  if (!Array.isArray(itemIds) || !itemIds.length) {
+    return res.status(400).json({ error: "Approve at least one item." });
+  }
+  const unknown = itemIds.filter((itemId) => !plan.items.some((item) => item.itemId === itemId));
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown plan item(s): ${unknown.join(", ")}.` });
+  }
+
+  clearStaleRunState();
+  if (activeRun || applyingPlan || movingMovie || !tryAcquireLock()) {
+    return res.status(409).json({ error: "Run already in progress." });
+  }
+  applyingPlan = plan.id;
+  try {
+    const result = await applyPlan(plan, itemIds);
+    if (!result.ok) {
+      return res.status(409).json({
+        error: "The library changed since this plan was made. Create a new plan before applying.",
+        drifted: result.drifted
+      });
+    }
+    return res.json({ ok: true, plan: result.plan });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  } finally {
+    applyingPlan = null;
+    releaseLock();
+  }
+});
+
+app.get("/api/webhooks", (req, res) => {
+  const { webhookToken } = readAuthFile();
+  res.json({
+    token: process.env.WEBHOOK_TOKEN ? { source: "env" } : webhookToken ? { source: "file", createdAt: webhookToken.createdAt } : null,
+    debounceSeconds: WEBHOOK_DEBOUNCE_SECONDS,
+    pending: { seriesIds: [...webhookQueue.sonarr], movieIds: [...webhookQueue.radarr], runAt: webhookQueue.dueAt },
+    deliveries: readWebhookDeliveries().slice(0, Math.min(WEBHOOK_DELIVERY_LIMIT, Number(req.query.limit) || 50))
+  });
+});
+
+app.post("/api/webhooks/token", (req, res) => {
+  if (process.env.WEBHOOK_TOKEN) {
+    return res.status(409).json({ error: "The webhook token is set by the WEBHOOK_TOKEN environment variable." });
+  }
+  const auth = readAuthFile();
+  const token = `carrwh_${crypto.randomBytes(24).toString("base64url")}`;
+  auth.webhookToken = { hash: hashToken(token), createdAt: new Date().toISOString() };
+  writeAuthFile(auth);
+  return res.json({ token, createdAt: auth.webhookToken.createdAt });
+});
+
+app.get("/api/notifications", (req, res) => {
+  const settings = loadNotificationSettings();
+  res.json({
+    settings: redactNotificationSettings(settings),
+    events: notifications.NOTIFICATION_EVENTS,
+    targetTypes: Object.fromEntries(
+      Object.entries(notifications.TARGET_TYPES).map(([key, type]) => [key, { label: type.label, required: type.required }])
+    ),
+    results: Object.fromEntries(settings.targets.map((target) => [target.id, notificationResults.get(target.id) || null]))
+  });
+});
+
+app.post("/api/notifications", (req, res) => {
+  const stored = loadNotificationSettings();
+  const restored = restoreNotificationSecrets(req.body, stored);
+  const settings = notifications.normalizeNotificationSettings(restored.settings);
+  const errors = { ...notifications.validateNotificationSettings(settings), ...restored.errors };
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: "Notification settings are invalid.", errors });
+  }
+  try {
+    saveNotificationSettings(settings);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  return res.json({ ok: true, settings: redactNotificationSettings(settings) });
+});
+
+// Sends a sample message to one target: a saved one by id, or an unsaved one straight from the form.
+app.post("/api/notifications/test", async (req, res) => {
+  const stored = loadNotificationSettings();
+  let target = null;
+  let errors = {};
+  if (isPlainObject(req.body?.target)) {
+    const restored = restoreNotificationSecrets({ targets: [req.body.target] }, stored);
+    target = restored.settings.targets[0];
+    errors = restored.errors;
+    // References are only resolved as saved; an unsaved target may only repeat the one stored for it.
+    for (const field of NOTIFICATION_SECRET_FIELDS) {
+      if (isSecretReference(target[field]) && target[field] !== storedNotificationSecret(target, stored, field)) {
+        errors[`targets.0.${field}`] = "${env:...} and file: references only work once the target is saved.";
+      }
+    }
+  } else {
+    target = stored.targets.find((item) => item.id === req.body?.id);
+    if (!target) {
+      return res.status(404).json({ error: "Notification target not found." });
+    }
+  }
+  errors = { ...notifications.validateNotificationSettings({ ...notifications.normalizeNotificationSettings({}), targets: [target] }), ...errors };
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: "Notification target is invalid.", errors });
+  }
+  const message = {
+    event: "test",
+    subject: "CompleteARR test notification",
+    body: `This is a test from CompleteARR. ${target.name || target.type} is set up correctly.`,
+    failure: false,
+    data: {}
+  };
+  const result = await deliverNotification(target, message);
+  return res.json(result);
+});
+
+app.get("/api/runs/:id", async (req, res) => {
+  const current = describeActiveRun();
+  if (current && current.id === req.params.id) {
+    return res.json(current);
+  }
+  const run = (await readRunHistory()).find((item) => item.id === req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: "Run not found." });
+  }
+  return res.json(run);
+});
+
+app.get("/api/actions", async (req, res) => {
+  const { title, engine, instance, action, from, to } = req.query;
+  const fromMs = from ? Date.parse(from) : null;
+  const toMs = to ? Date.parse(to) : null;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return res.status(400).json({ error: "from and to must be valid dates." });
+  }
+  if (engine && !["sonarr", "radarr"].includes(engine)) {
+    return res.status(400).json({ error: `Unknown engine "${engine}".` });
+  }
+  if (action && !Object.values(ACTION_TYPES).includes(action)) {
+    return res.status(400).json({ error: `Unknown action "${action}".` });
+  }
+
+  const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(200, Math.max(1, Number.parseInt(req.query.pageSize, 10) || 50));
+  const search = String(title || "").trim().toLowerCase();
+  // A bare date for "to" means the whole day.
+  const toLimit = toMs !== null && /^\d{4}-\d{2}-\d{2}$/.test(to) ? toMs + MS_IN_DAY : toMs;
+
+  const matches = (await collectActions()).filter((item) => {
+    if (search && !item.title.toLowerCase().includes(search)) return false;
+    if (engine && item.engine !== engine) return false;
+    if (instance && item.instance !== instance) return false;
+    if (action && item.action !== action) return false;
+    const time = item.timestamp ? Date.parse(item.timestamp) : null;
+    if (fromMs !== null && (time === null || time < fromMs)) return false;
+    if (toLimit !== null && (time === null || time >= toLimit)) return false;
+    return true;
+  });
+
+  const actions = matches.slice((page - 1) * pageSize, page * pageSize);
+  const lookups = {};
+  for (const item of actions) {
+    const key = `${item.engine}:${item.instance}`;
+    if (key in lookups) continue;
+    try {
+      lookups[key] = await getArrLookup(item.engine === "sonarr" ? "Sonarr" : "Radarr", item.instance);
+    } catch (error) {
+      // Links and profile names are best effort; the ledger itself comes from the logs.
+      lookups[key] = null;
+    }
+  }
+
+  return res.json({
+    actions: actions.map((item) => {
+      const lookup = lookups[`${item.engine}:${item.instance}`];
+      const slug = lookup?.slugsById.get(item.arrId);
+      return {
+        ...item,
+        oldProfileName: lookup?.profileNamesById.get(item.oldProfileId) || null,
+        newProfileName: lookup?.profileNamesById.get(item.newProfileId) || null,
+        itemUrl: slug ? `${lookup.baseUrl}/${item.engine === "sonarr" ? "series" : "movie"}/${slug}` : null,
+        exclusion: lookupExclusion(lookup, item.arrId, { title: item.title, path: item.newPath || item.oldPath })
+      };
+    }),
+    total: matches.length,
+    page,
+    pageSize
+  });
+});
+
+app.get("/api/logs", (req, res) => {
+  res.json(listLogs());
+});
+
+app.get("/api/logs/usage", async (req, res) => {
+  try {
+    return res.json(await describeLogUsage());
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to read log usage: " + error.message });
+  }
+});
+
+app.get("/api/logs/retention", (req, res) => {
+  res.json(loadRetention());
+});
+
+app.post("/api/logs/retention", (req, res) => {
+  const { retention, errors } = validateRetention(req.body);
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: "Retention settings are invalid.", errors });
+  }
+  saveRetention(retention);
+  return res.json(retention);
+});
+
+app.post("/api/logs/prune", async (req, res) => {
+  try {
+    return res.json(await pruneLogs());
+  } catch (error) {
+    return res.status(409).json({ error: error.message });
+  }
+});
+
+app.get("/api/logs/file/:kind/:name", (req, res) => {
+  const filePath = resolveLogFile(req.params.kind, req.params.name);
+  if (!filePath) {
+    return res.status(404).json({ error: "Log file not found." });
+  }
+  if (req.query.download) {
+    res.attachment(path.basename(filePath).replace(/\.gz$/, ""));
+  }
+  res.type("text/plain");
+  return createLogReadStream(filePath).pipe(res);
+});
+
+app.get("/api/logs/:kind/:name", async (req, res) => {
+  const filePath = resolveLogFile(req.params.kind, req.params.name);
+  if (!filePath) {
+    return res.status(404).json({ error: "Log file not found." });
+  }
+
+  try {
+    // ?start=&length= reads a byte range; otherwise ?offset=&limit= pages by line.
+    if (req.query.start !== undefined) {
+      const start = Number.parseInt(req.query.start, 10);
+      const length = Math.min(1024 * 1024, Number.parseInt(req.query.length, 10) || 64 * 1024);
+      if (!Number.isInteger(start) || start < 0) {
+        return res.status(400).json({ error: "start must be a non-negative byte offset." });
+      }
+      return res.json(await readLogBytes(filePath, start, length));
+    }
+
+    const offset = Math.max(0, Number.parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(2000, Math.max(1, Number.parseInt(req.query.limit, 10) || 500));
+    const levels = req.query.levels
+      ? String(req.query.levels)
+          .split(",")
+          .map((level) => level.trim().toUpperCase())
+          .filter(Boolean)
+      : null;
+    const result = await readLogLines(filePath, { offset, limit, levels });
+    return res.json({ ...result, offset, limit });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+});
+
+app.get("/api/logs/:kind/:name/search", async (req, res) => {
+  const filePath = resolveLogFile(req.params.kind, req.params.name);
+  if (!filePath) {
+    return res.status(404).json({ error: "Log file not found." });
+  }
+
+  const query = String(req.query.q || "");
+  const level = req.query.level ? String(req.query.level).toUpperCase() : null;
+  if (!query && !level) {
+    return res.status(400).json({ error: "Provide q or level to search for." });
+  }
+
+  let test = (text) => text.toLowerCase().includes(query.toLowerCase());
+  if (query && req.query.regex) {
+    try {
+      const pattern = new RegExp(query, req.query.caseSensitive ? "" : "i");
+      test = (text) => pattern.test(text);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  try {
+    const result = await searchLog(filePath, {
+      matcher: (line) => (!level || line.level === level) && (!query || test(line.text)),
+      context: Math.min(20, Math.max(0, Number.parseInt(req.query.context, 10) || 0)),
+      fromLine: Math.max(1, Number.parseInt(req.query.fromLine, 10) || 1),
+      maxMatches: Math.min(1000, Math.max(1, Number.parseInt(req.query.maxMatches, 10) || 200))
+    });
+    return res.json(result);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+});
+
+app.post("/api/stop", (req, res) => {
+  if (!global.runningChild) {
+    return res.status(409).json({ error: "No run in progress." });
+  }
+
+  try {
+    if (activeRun) {
+      // Don't start the remaining launchers of this run.
+      activeRun.stopped = true;
+    }
+    global.runningChild.kill("SIGTERM");
+    return res.json({ ok: true, message: "Stop signal sent." });
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to stop: " + error.message });
+  }
+});
+
+app.post("/api/reset-status", (req, res) => {
+  // Force reset status to idle and clear lock (for when runs get stuck)
+  try {
+    writeStatus("idle", null, null, computeNextRun());
+    releaseLock();
+    global.runningChild = null;
+    activeRun = null;
+    return res.json({ ok: true, message: "Status reset." });
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to reset: " + error.message });
+  }
+});
+
+app.get("/api/runs/current/stream", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  // Replay what the client missed: everything, or only lines after Last-Event-ID on reconnect.
+  const lastSeq = Number(req.get("Last-Event-ID")) || 0;
+  const firstBuffered = runConsole.lines.length ? runConsole.lines[0].seq : runConsole.seq + 1;
+  if (!lastSeq || lastSeq < firstBuffered - 1 || lastSeq > runConsole.seq) {
+    res.write(`event: reset\ndata: {}\n\n`);
+  }
+  res.write(`event: state\ndata: ${JSON.stringify(runConsole.state)}\n\n`);
+  for (const line of runConsole.lines) {
+    if (line.seq > lastSeq || lastSeq > runConsole.seq) {
+      res.write(`id: ${line.seq}\nevent: line\ndata: ${JSON.stringify(line)}\n\n`);
+    }
+  }
+
+  runConsole.clients.add(res);
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 25000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    runConsole.clients.delete(res);
+  });
+});
+
+app.get("/api/schedule", (req, res) => {
+  res.json(describeSchedule());
+});
+
+app.post("/api/schedule", (req, res) => {
+  const { schedule, errors } = validateSchedule(req.body);
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: "One or more schedules are invalid.", errors });
+  }
+  saveSchedule(schedule);
+  return res.json(describeSchedule(schedule));
+});
+
+app.get("/api/settings/sonarr", (req, res) => {
+  const { data } = readYaml(SONARR_SETTINGS);
+  return res.json(redactSettings("sonarr", data));
+});
+
+app.get("/api/settings/radarr", (req, res) => {
+  const { data } = readYaml(RADARR_SETTINGS);
+  return res.json(redactSettings("radarr", data));
+});
+
+const SETTINGS_FILES = { sonarr: SONARR_SETTINGS, radarr: RADARR_SETTINGS };
+
+// ?deep=1 also checks profile names and root folders against the live Sonarr/Radarr.
+app.post("/api/settings/:engine/validate", async (req, res) => {
+  if (!SETTINGS_FILES[req.params.engine]) {
+    return res.status(404).json({ error: `Unknown engine "${req.params.engine}".` });
+  }
+  try {
+    const settings = restoreRedactedSecrets(req.params.engine, req.body, readStoredSettings(SETTINGS_FILES[req.params.engine]));
+    const { errors, warning } = await checkSettings(req.params.engine, settings, Boolean(req.query.deep));
+    return res.json({ valid: !Object.keys(errors).length, errors, warning });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
+});
 
-  const cutoff = Date.now() - days * MS_IN_DAY;
-  const fileEntries = logDirs.flatMap((dir) => {
-    const names = fs
-      .readdirSync(dir)
-      .filter((name) => name.startsWith(prefix) && name.endsWith(".log"));
-    return names.map((name) => ({ name, dir, fullPath: path.join(dir, name) }));
-  });
-
-  const unique = new Map();
-  fileEntries.forEach((entry) => {
-    if (!unique.has(entry.fullPath)) {
-      unique.set(entry.fullPath, entry);
+app.post("/api/settings/:engine", async (req, res) => {
+  const filePath = SETTINGS_FILES[req.params.engine];
+  if (!filePath) {
+    return res.status(404).json({ error: `Unknown engine "${req.params.engine}".` });
+  }
+  try {
+    const settings = restoreRedactedSecrets(req.params.engine, req.body, readStoredSettings(filePath));
+    const { errors, warning } = await checkSettings(req.params.engine, settings, Boolean(req.query.deep));
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ error: "Settings are invalid.", errors, warning });
     }
-  });
-
-  return Array.from(unique.values())
-    .map((entry) => {
-      const stats = fs.statSync(entry.fullPath);
-      const parsedTimestamp = parseLogTimestampFromName(entry.name) || stats.mtimeMs;
-      if (parsedTimestamp < cutoff) {
-        return null;
-      }
-      const raw = fs.readFileSync(entry.fullPath, "utf8");
-      const lines = raw.split(/\r?\n/);
-      const summary = parseSummary(lines, markers);
-      if (!Object.keys(summary).length) {
-        return null;
-      }
-      return {
-        file: entry.name,
-        timestamp: new Date(parsedTimestamp).toISOString(),
-        summary
-      };
-    })
-    .filter(Boolean)
-    .sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
-}
+    writeYaml(filePath, settings);
+    return res.json({ ok: true, warning });
+  } catch (error) {
+    // Disk errors (EACCES, ENOSPC, ...) carry a syscall; anything else is about the settings themselves.
+    return res.status(error.syscall ? 500 : 400).json({ error: error.message });
+  }
+});
 
-function normalizeStatsResponse(payload) {
-  return {
-    radarr: payload.radarr || [],
-    sonarr: payload.sonarr || []
-  };
-}
+app.get("/api/settings/:engine/backups", (req, res) => {
+  const filePath = SETTINGS_FILES[req.params.engine];
+  if (!filePath) {
+    return res.status(404).json({ error: `Unknown engine "${req.params.engine}".` });
+  }
+  return res.json(listSettingsBackups(filePath));
+});
 
-function writeYaml(filePath, data) {
-  const content = yaml.dump(data, { lineWidth: 120, noRefs: true });
-  fs.writeFileSync(filePath, content, "utf8");
-}
+// Diff is from the backup to the current file, i.e. what a restore would undo.
+app.get("/api/settings/:engine/backups/:backupId", (req, res) => {
+  const filePath = SETTINGS_FILES[req.params.engine];
+  const backup = filePath && resolveSettingsBackup(filePath, req.params.backupId);
+  if (!backup) {
+    return res.status(404).json({ error: "Backup not found." });
+  }
+  const content = fs.readFileSync(path.join(path.dirname(filePath), backup.file), "utf8");
+  const { raw } = readYaml(filePath);
+  return res.json({ ...backup, content: redactYamlText(content), diff: diffLines(redactYamlText(content), redactYamlText(raw)) });
+});
 
-function formatAbout(content) {
-  if (!content) {
-    return "";
+app.post("/api/settings/:engine/restore/:backupId", (req, res) => {
+  const filePath = SETTINGS_FILES[req.params.engine];
+  const backup = filePath && resolveSettingsBackup(filePath, req.params.backupId);
+  if (!backup) {
+    return res.status(404).json({ error: "Backup not found." });
   }
-  return content
-    .replace(/```[\s\S]*?```/g, (block) => block.replace(/```[a-z]*\n?/gi, "").replace(/```/g, "").trim())
-    .replace(/^!\[.*?\]\(.*?\)\s*$/gm, "")
-    .replace(/^#{1,6}\s+/gm, "")
-    .replace(/^---\s*$/gm, "")
-    .replace(/\*\*([^*]+)\*\*/g, "$1")
-    .replace(/__([^_]+)__/g, "$1")
-    .replace(/\*([^*]+)\*/g, "$1")
-    .replace(/_([^_]+)_/g, "$1")
-    .replace(/`([^`]+)`/g, "$1")
-    .replace(/\[([^\]]+)]\([^\)]+\)/g, "$1")
-    .replace(/\r/g, "")
-    .split("\n")
-    .map((line) => line.trimEnd())
-    .join("\n")
-    .replace(/\n{3,}/g, "\n\n")
-    .trim();
-}
+  const content = fs.readFileSync(path.join(path.dirname(filePath), backup.file), "utf8");
+  try {
+    yaml.load(content);
+  } catch (error) {
+    return res.status(400).json({ error: `Backup is not valid YAML: ${error.message}` });
+  }
+  // The restore itself is backed up too, so it can be undone.
+  writeSettingsFile(filePath, content);
+  return res.json({ ok: true, data: redactSettings(req.params.engine, yaml.load(content)) });
+});
 
-function requireConfig(config, type) {
-  if (!config?.[type]?.Url || !config?.[type]?.ApiKey) {
-    const missing = !config?.[type]?.Url ? "Url" : "ApiKey";
-    throw new Error(`${type} ${missing} is missing in settings.`);
+app.get("/api/instances", (req, res) => {
+  res.json(
+    Object.fromEntries(
+      Object.entries(SETTINGS_FILES).map(([engine, filePath]) => [
+        engine,
+        listInstances(readYaml(filePath).data, engine === "sonarr" ? "Sonarr" : "Radarr").map(({ name, slug }) => ({ name, slug }))
+      ])
+    )
+  );
+});
+
+const engineType = (engine) => (engine === "sonarr" ? "Sonarr" : "Radarr");
+
+// "missing" (no file, or an empty one), "placeholder" (an ApiKey is still YOUR_API_KEY_HERE) or "configured".
+// A file that does not parse counts as configured, so the Settings tabs can show what is wrong with it.
+function setupState(engine) {
+  const filePath = SETTINGS_FILES[engine];
+  if (!fs.existsSync(filePath)) return "missing";
+  let data;
+  try {
+    data = readYaml(filePath).data;
+  } catch (error) {
+    return "configured";
   }
+  if (!isPlainObject(data)) return "missing";
+  const placeholder = listInstances(data, engineType(engine)).some(
+    (instance) => String(instance.connection.ApiKey || "").trim() === API_KEY_PLACEHOLDER
+  );
+  return placeholder ? "placeholder" : "configured";
 }
 
-async function fetchArrOptions(config, type) {
-  requireConfig(config, type);
-  const baseUrl = config[type].Url.replace(/\/$/, "");
-  const apiKey = config[type].ApiKey;
-  const headers = { "X-Api-Key": apiKey };
-
-  const [profiles, roots] = await Promise.all([
-    axios.get(`${baseUrl}/api/v3/qualityprofile`, { headers }),
-    axios.get(`${baseUrl}/api/v3/rootfolder`, { headers })
-  ]);
+const enginesNeedingSetup = () => Object.keys(SETTINGS_FILES).filter((engine) => setupState(engine) !== "configured");
 
-  return {
-    profiles: profiles.data.map((p) => p.name),
-    rootFolders: roots.data.map((r) => r.path)
+// The example file with the wizard's answers on top. DryRun is only turned off when going live was confirmed.
+function buildWizardSettings(engine, answers, goLive) {
+  const type = engineType(engine);
+  const { data } = readYaml(EXAMPLE_SETTINGS[engine]);
+  const example = isPlainObject(data) ? data : {};
+  const settings = {
+    ...example,
+    [type]: { Url: String(answers?.Url || "").trim().replace(/\/+$/, ""), ApiKey: String(answers?.ApiKey || "").trim() },
+    Behavior: { ...(isPlainObject(example.Behavior) ? example.Behavior : {}), DryRun: !goLive }
   };
+  if (engine === "sonarr") {
+    settings.Sets = Array.isArray(answers?.Sets) ? answers.Sets : [];
+  } else {
+    const mappings = isPlainObject(answers?.ProfileRootMappings) ? answers.ProfileRootMappings : {};
+    settings.FilmEngine = {
+      ...(isPlainObject(example.FilmEngine) ? example.FilmEngine : {}),
+      ProfileRootMappings: Object.fromEntries(Object.entries(mappings).filter(([, root]) => typeof root === "string" && root.trim()))
+    };
+  }
+  return settings;
 }
 
-function readStatusFile() {
-  if (!fs.existsSync(STATUS_FILE)) {
-    return null;
+// Proposes a root for every Radarr profile: the one most of its movies are already in.
+async function suggestRadarrMappings(config) {
+  const [movies, profileNamesById, roots] = await Promise.all([
+    arrGet(config, "Radarr", "movie"),
+    fetchProfileNamesById(config, "Radarr"),
+    arrGet(config, "Radarr", "rootfolder")
+  ]);
+  const rootFolders = roots.map((root) => root.path);
+  const counts = new Map();
+  for (const movie of movies) {
+    const root = rootFolders.filter((candidate) => isPathInRoot(movie.path, candidate)).sort((a, b) => b.length - a.length)[0];
+    const profile = profileNamesById.get(movie.qualityProfileId);
+    if (!root || !profile) continue;
+    const byRoot = counts.get(profile) || new Map();
+    byRoot.set(root, (byRoot.get(root) || 0) + 1);
+    counts.set(profile, byRoot);
   }
-  const raw = fs.readFileSync(STATUS_FILE, "utf8").trim();
-  if (!raw) {
-    return null;
+  const mappings = {};
+  const reasons = {};
+  for (const profile of profileNamesById.values()) {
+    const [root, count] = [...(counts.get(profile) || new Map()).entries()].sort((a, b) => b[1] - a[1])[0] || [];
+    mappings[profile] = root || "";
+    reasons[profile] = root ? `${count} movie${count === 1 ? "" : "s"} on this profile ${count === 1 ? "is" : "are"} stored here.` : "No movies yet; leave empty to skip the profile.";
   }
-  return JSON.parse(raw);
+  return { mappings, reasons };
 }
 
-function ensureIdleStatus() {
-  writeStatus("idle", null, null, null);
-  return { status: "idle", startedAt: null, finishedAt: null, nextRun: null };
-}
+app.get("/api/wizard", (req, res) => {
+  const engines = Object.fromEntries(
+    Object.keys(SETTINGS_FILES).map((engine) => [engine, { state: setupState(engine), example: fs.existsSync(EXAMPLE_SETTINGS[engine]) }])
+  );
+  return res.json({ needed: Object.values(engines).some((engine) => engine.state !== "configured"), engines });
+});
 
-app.get("/api/status", (req, res) => {
-  // Failsafe: if status says "running" but child process is gone and lock is released, force idle
-  const lockExists = fs.existsSync(RUN_LOCK_DIR);
-  const childRunning = global.runningChild && !global.runningChild.killed;
+// Profiles, root folders and proposals from a connection that is not saved yet.
+app.post("/api/wizard/options/:engine", async (req, res) => {
+  if (!SETTINGS_FILES[req.params.engine]) {
+    return res.status(404).json({ error: `Unknown engine "${req.params.engine}".` });
+  }
+  try {
+    rejectSecretReference(req.body?.ApiKey, `${engineType(req.params.engine)} ApiKey`);
+    const config = buildWizardSettings(req.params.engine, req.body, false);
+    const options = await fetchArrOptions(config, engineType(req.params.engine));
+    const proposals = req.params.engine === "sonarr" ? await suggestSonarrSets(config) : await suggestRadarrMappings(config);
+    return res.json({ ...options, ...proposals });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+});
 
+// What the engines would do with the wizard's answers, worked out here without running them or saving anything.
+app.post("/api/wizard/preview", async (req, res) => {
+  const preview = {};
   try {
-    const data = readStatusFile();
+    rejectSecretReference(req.body?.sonarr?.ApiKey, "Sonarr ApiKey");
+    rejectSecretReference(req.body?.radarr?.ApiKey, "Radarr ApiKey");
+    if (isPlainObject(req.body?.sonarr)) {
+      const config = buildWizardSettings("sonarr", req.body.sonarr, false);
+      const rows = buildLibraryRows(config, await fetchSonarrLibrary(config));
+      const counts = { series: rows.length, uncovered: rows.filter((row) => row.orphanedProfile).length };
+      for (const row of rows) counts[row.verdict] = (counts[row.verdict] || 0) + 1;
+      preview.sonarr = {
+        counts,
+        changes: rows
+          .filter((row) => row.verdict !== "stay")
+          .sort((a, b) => String(a.title).localeCompare(String(b.title)))
+          .map((row) => ({ id: row.id, title: row.title, set: row.set, verdict: row.verdict, path: row.path, expectedRoot: row.expectedRoot }))
+      };
+    }
+    if (isPlainObject(req.body?.radarr)) {
+      const audit = await buildRadarrAudit(buildWizardSettings("radarr", req.body.radarr, false));
+      preview.radarr = { counts: audit.counts, mismatched: audit.mismatched, missingRoots: audit.missingRoots };
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  return res.json(preview);
+});
 
-    if (!data) {
-      return res.json(ensureIdleStatus());
+// Writes the settings of every engine that still needs setup, plus the schedule. Errors are keyed "sonarr.Sets.0.…".
+app.post("/api/wizard/finish", (req, res) => {
+  const engines = enginesNeedingSetup();
+  if (!engines.length) {
+    return res.status(409).json({ error: "Setup is already finished." });
+  }
+  const goLive = req.body?.confirmLive === true;
+  const errors = {};
+  const settingsByEngine = {};
+  for (const engine of engines) {
+    const type = engineType(engine);
+    if (!isPlainObject(req.body?.[engine])) {
+      errors[engine] = `${type} settings are missing.`;
+      continue;
     }
+    const settings = buildWizardSettings(engine, req.body[engine], goLive);
+    for (const [key, message] of Object.entries(validateSettings(engine, settings))) {
+      errors[`${engine}.${key}`] = message;
+    }
+    if (settings[type].ApiKey === API_KEY_PLACEHOLDER) {
+      errors[`${engine}.${type}.ApiKey`] = `Enter your ${type} API key.`;
+    }
+    settingsByEngine[engine] = settings;
+  }
+  const { schedule, errors: scheduleErrors } = validateSchedule(req.body?.schedule);
+  for (const [key, message] of Object.entries(scheduleErrors)) {
+    errors[`schedule.${key}`] = message;
+  }
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: "Setup is not complete.", errors });
+  }
 
-    // If status says running but child is gone, clear lock + reset to idle.
-    if (data.status === "running" && !childRunning) {
-      console.log("[status] Failsafe: detected stuck 'running' status, resetting to idle");
-      if (lockExists) {
-        releaseLock();
-      }
-      writeStatus("idle", data.startedAt, new Date().toISOString(), data.nextRun);
-      return res.json({ status: "idle", startedAt: data.startedAt, finishedAt: new Date().toISOString(), nextRun: data.nextRun });
+  for (const [engine, settings] of Object.entries(settingsByEngine)) {
+    fs.mkdirSync(path.dirname(SETTINGS_FILES[engine]), { recursive: true });
+    const { raw } = readYaml(EXAMPLE_SETTINGS[engine]);
+    writeSettingsFile(SETTINGS_FILES[engine], renderYaml(raw, settings));
+  }
+  saveSchedule(schedule);
+  return res.json({ ok: true, engines, dryRun: !goLive });
+});
+
+// Without an instance this answers for the primary one.
+app.get("/api/options/:engine/:instance?", async (req, res) => {
+  const filePath = SETTINGS_FILES[req.params.engine];
+  if (!filePath) {
+    return res.status(404).json({ error: `Unknown engine "${req.params.engine}".` });
+  }
+  const type = req.params.engine === "sonarr" ? "Sonarr" : "Radarr";
+  try {
+    const { data } = readYaml(filePath);
+    if (!findInstance(data, type, req.params.instance)) {
+      return res.status(404).json({ error: "Instance not found." });
     }
+    const options = await fetchArrOptions(scopeConfig(data, type, req.params.instance).config, type);
+    return res.json(options);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+});
 
-    // If lock exists but status says idle and no child, clear stale lock
-    if (data.status !== "running" && lockExists && !childRunning) {
-      releaseLock();
+app.post("/api/test-connection/:engine", async (req, res) => {
+  const filePath = SETTINGS_FILES[req.params.engine];
+  if (!filePath) {
+    return res.status(404).json({ error: `Unknown engine "${req.params.engine}".` });
+  }
+  const type = req.params.engine === "sonarr" ? "Sonarr" : "Radarr";
+  try {
+    const { data } = readYaml(filePath);
+    // Instance is the saved name of the instance being edited, so its stored key can stand in for a masked one.
+    const stored = findInstance(data, type, req.body?.Instance)?.connection || {};
+    // Unsaved form values win; a masked key means "use the saved one", but only for the saved host.
+    rejectSecretReference(req.body?.ApiKey, `${type} ApiKey`);
+    const connection = { Url: req.body?.Url ?? stored.Url, ApiKey: req.body?.ApiKey };
+    if (connection.ApiKey === undefined || connection.ApiKey === SECRET_MASK) {
+      if (String(connection.Url || "").replace(/\/+$/, "") !== String(stored.Url || "").replace(/\/+$/, "")) {
+        throw new Error(`The URL differs from the saved one. Enter the ${type} API key again to test it.`);
+      }
+      connection.ApiKey = stored.ApiKey;
     }
+    const result = await testArrConnection(type, connection);
+    return res.json({ engine: req.params.engine, url: connection.Url || null, testedAt: new Date().toISOString(), ...result });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+});
 
-    return res.json(data);
+app.get("/api/sonarr/series", async (req, res) => {
+  try {
+    const { config: data } = scopeConfig(readYaml(SONARR_SETTINGS).data, "Sonarr", req.query.instance);
+    const series = await arrGet(data, "Sonarr", "series");
+    const search = String(req.query.search || "").trim().toLowerCase();
+    const results = series
+      .filter((item) => !search || (item.title || "").toLowerCase().includes(search) || String(item.id) === search)
+      .map((item) => ({ id: item.id, title: item.title, year: item.year }))
+      .sort((a, b) => (a.title || "").localeCompare(b.title || ""));
+    res.json(results);
   } catch (error) {
-    console.error("Failed to read/parse status file:", error.message);
-    return res.json(ensureIdleStatus());
+    res.status(400).json({ error: error.message });
   }
 });
 
-app.post("/api/run-now", (req, res) => {
-  let statusData = null;
+app.get("/api/sonarr/library", async (req, res) => {
   try {
-    statusData = readStatusFile();
+    const { instance, config: data } = scopeConfig(readYaml(SONARR_SETTINGS).data, "Sonarr", req.query.instance);
+    requireConfig(data, "Sonarr");
+    const refresh = ["1", "true"].includes(String(req.query.refresh || ""));
+    const library = await getSonarrLibrary(instance, data, refresh);
+    return res.json({ instance: instance.name, fetchedAt: library.fetchedAt, series: buildLibraryRows(data, library) });
   } catch (error) {
-    statusData = null;
+    return res.status(400).json({ error: error.message });
   }
+});
 
-  const lockExists = fs.existsSync(RUN_LOCK_DIR);
-  const childRunning = global.runningChild && !global.runningChild.killed;
+// Suggestions only; the Sonarr tab adds the ones picked to the form, to be saved like any other Set.
+app.get("/api/sonarr/set-suggestions", async (req, res) => {
+  try {
+    const { instance, config: data } = scopeConfig(readYaml(SONARR_SETTINGS).data, "Sonarr", req.query.instance);
+    requireConfig(data, "Sonarr");
+    return res.json({ instance: instance.name, ...(await suggestSonarrSets(data)) });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+});
 
-  if (statusData?.status === "running" && !childRunning) {
-    releaseLock();
-    statusData = { ...statusData, status: "idle", finishedAt: new Date().toISOString() };
-    writeStatus("idle", statusData.startedAt, statusData.finishedAt, statusData.nextRun);
+app.get("/api/radarr/audit", async (req, res) => {
+  try {
+    const { instance, config: data } = scopeConfig(readYaml(RADARR_SETTINGS).data, "Radarr", req.query.instance);
+    requireConfig(data, "Radarr");
+    return res.json({ instance: instance.name, ...(await buildRadarrAudit(data)) });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
+});
 
-  // If lock exists but we are idle and no child is running, clear stale lock.
-  if (lockExists && (!statusData || statusData.status !== "running") && !childRunning) {
-    releaseLock();
+// Corrects one movie's root folder now, with the MoveVerification settings the engine would use.
+app.post("/api/radarr/movies/:id/move", async (req, res) => {
+  const movieId = Number(req.params.id);
+  if (!Number.isInteger(movieId) || movieId <= 0) {
+    return res.status(400).json({ error: "Movie id must be a positive integer." });
+  }
+  let data;
+  try {
+    data = scopeConfig(readYaml(RADARR_SETTINGS).data, "Radarr", req.body?.instance).config;
+    requireConfig(data, "Radarr");
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
 
-  if (!tryAcquireLock()) {
+  clearStaleRunState();
+  if (activeRun || applyingPlan || movingMovie || !tryAcquireLock()) {
     return res.status(409).json({ error: "Run already in progress." });
   }
-
-  let nextRun = statusData?.nextRun || null;
-
-  const startedAt = new Date().toISOString();
-  writeStatus("running", startedAt, null, nextRun);
-
-  const { spawn } = require("child_process");
-  const child = spawn(
-    "pwsh",
-    ["./CompleteARR_Launchers/CompleteARR_Launch_All_Scripts.ps1"],
-    {
-      cwd: APP_ROOT,
-      env: { ...process.env, COMPLETEARR_NO_PAUSE: "1" },
-      stdio: "ignore"
+  movingMovie = movieId;
+  try {
+    const exclusions = compileExclusions(data.Exclusions);
+    const [movie, profileNamesById, tagLabelsById] = await Promise.all([
+      arrGet(data, "Radarr", `movie/${movieId}`),
+      fetchProfileNamesById(data, "Radarr"),
+      fetchExclusionTags(data, "Radarr", exclusions)
+    ]);
+    const exclusion = findExclusion(exclusions, movie, tagLabelsById);
+    if (exclusion) {
+      return res.status(409).json({ error: `${movie.title} is excluded by the ${exclusion.description} rule.` });
     }
-  );
-
-  // Store child process ID for stopping
-  global.runningChild = child;
-
-  child.on("exit", () => {
-    global.runningChild = null;
-    const finishedAt = new Date().toISOString();
-    writeStatus("idle", startedAt, finishedAt, nextRun);
-    releaseLock();
-  });
-
-  child.on("error", (error) => {
-    global.runningChild = null;
-    const finishedAt = new Date().toISOString();
-    writeStatus("idle", startedAt, finishedAt, nextRun);
+    const profileName = profileNamesById.get(movie.qualityProfileId);
+    const expectedRoot = expectedRootForProfile(data.FilmEngine?.ProfileRootMappings, profileName);
+    if (!expectedRoot) {
+      return res.status(409).json({ error: `No root folder mapping for profile "${profileName || movie.qualityProfileId}".` });
+    }
+    if (!movie.path || isPathInRoot(movie.path, expectedRoot)) {
+      return res.status(409).json({ error: `${movie.title} is already in ${expectedRoot}.` });
+    }
+    const newPath = joinRootAndLeaf(expectedRoot, movie.path);
+    const result = await moveMovieWithVerification(data, movie, newPath);
+    console.log(`[audit] Moved movie ${movie.id} (${movie.title}) from ${movie.path} to ${newPath}.`);
+    return res.json({ ok: true, id: movie.id, title: movie.title, oldPath: movie.path, newPath, ...result });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({ error: `Movie ${movieId} was not found in Radarr.` });
+    }
+    const detail = error.response?.data?.message || error.response?.data?.[0]?.errorMessage || error.message;
+    return res.status(400).json({ error: detail, reverted: Boolean(error.reverted) });
+  } finally {
+    movingMovie = null;
     releaseLock();
-  });
-
-  return res.json({ ok: true });
+  }
 });
 
-app.post("/api/stop", (req, res) => {
-  if (!global.runningChild) {
-    return res.status(409).json({ error: "No run in progress." });
+app.get("/api/sonarr/series/:id/evaluate", async (req, res) => {
+  const seriesId = Number(req.params.id);
+  if (!Number.isInteger(seriesId) || seriesId <= 0) {
+    return res.status(400).json({ error: "Series id must be a positive integer." });
   }
 
   try {
-    global.runningChild.kill("SIGTERM");
-    return res.json({ ok: true, message: "Stop signal sent." });
+    const { config: data } = scopeConfig(readYaml(SONARR_SETTINGS).data, "Sonarr", req.query.instance);
+    const exclusions = compileExclusions(data.Exclusions);
+    const [series, episodes, profileNamesById, tagLabelsById] = await Promise.all([
+      arrGet(data, "Sonarr", `series/${seriesId}`),
+      arrGet(data, "Sonarr", "episode", { seriesId }),
+      fetchProfileNamesById(data, "Sonarr"),
+      fetchExclusionTags(data, "Sonarr", exclusions)
+    ]);
+    const evaluation = evaluateSeries(data, series, episodes || [], profileNamesById);
+    return res.json(applyExclusion(evaluation, findExclusion(exclusions, series, tagLabelsById)));
   } catch (error) {
-    return res.status(500).json({ error: "Failed to stop: " + error.message });
+    if (error.response?.status === 404) {
+      return res.status(404).json({ error: `Series ${seriesId} was not found in Sonarr.` });
+    }
+    return res.status(400).json({ error: error.message });
   }
 });
 
-app.post("/api/reset-status", (req, res) => {
-  // Force reset status to idle and clear lock (for when runs get stuck)
-  try {
-    writeStatus("idle", null, null, null);
-    releaseLock();
-    global.runningChild = null;
-    return res.json({ ok: true, message: "Status reset." });
-  } catch (error) {
-    return res.status(500).json({ error: "Failed to reset: " + error.message });
+const EXCLUSION_PREVIEW_LIMIT = 200;
+
+// Keeps only the rule fields, with Type in its canonical case and Id values stored as numbers.
+function normalizeExclusionRule(body) {
+  const type = exclusionType(body) || String(body?.Type ?? "").trim();
+  const value = typeof body?.Value === "string" ? body.Value.trim() : body?.Value;
+  const rule = { Type: type, Value: type === "Id" && /^[1-9]\d*$/.test(String(value)) ? Number(value) : value };
+  for (const field of ["Note", "Instance"]) {
+    const text = typeof body?.[field] === "string" ? body[field].trim() : "";
+    if (text) rule[field] = text;
   }
-});
+  return rule;
+}
 
-app.get("/api/settings/sonarr", (req, res) => {
-  const { data } = readYaml(SONARR_SETTINGS);
-  return res.json(data || {});
-});
+const listExclusionRules = (data) =>
+  (Array.isArray(data?.Exclusions) ? data.Exclusions : []).map((rule, index) => ({ index, ...(isPlainObject(rule) ? rule : {}) }));
 
-app.get("/api/settings/radarr", (req, res) => {
-  const { data } = readYaml(RADARR_SETTINGS);
-  return res.json(data || {});
+// Rules are saved like any settings change (validated, backed up, comments kept), but only rule errors block
+// the save so an unrelated problem elsewhere in the file does not lock the editor.
+function saveExclusionRule(engine, index, rule) {
+  const filePath = SETTINGS_FILES[engine];
+  const { data } = readYaml(filePath);
+  if (!isPlainObject(data)) {
+    return { status: 404, body: { error: "Settings file not found." } };
+  }
+  const rules = Array.isArray(data.Exclusions) ? [...data.Exclusions] : [];
+  if (index !== null && (index >= rules.length || index < 0)) {
+    return { status: 404, body: { error: "Rule not found." } };
+  }
+  const position = index === null ? rules.length : index;
+  if (rule) {
+    rules.splice(position, index === null ? 0 : 1, rule);
+  } else {
+    rules.splice(position, 1);
+  }
+  // The last rule removed drops the key, rather than leaving "Exclusions: []" for the next rule to be added to inline.
+  const settings = { ...data, Exclusions: rules };
+  if (!rules.length) delete settings.Exclusions;
+  const prefix = `Exclusions.${position}.`;
+  const errors = Object.fromEntries(
+    Object.entries(validateSettings(engine, settings))
+      .filter(([key]) => key === "Exclusions" || key.startsWith("Exclusions."))
+      .map(([key, message]) => [rule && key.startsWith(prefix) ? key.slice(prefix.length) : key, message])
+  );
+  if (Object.keys(errors).length) {
+    return { status: 400, body: { error: "Rule is invalid.", errors } };
+  }
+  writeYaml(filePath, settings);
+  return { status: 200, body: { ok: true, rules: listExclusionRules(settings) } };
+}
+
+// Lists the library items each rule matches on one instance; rules scoped to another instance match nothing here.
+async function previewExclusions(engine, rules, instanceName) {
+  const type = engineType(engine);
+  const { instance } = scopeConfig(readYaml(SETTINGS_FILES[engine]).data, type, instanceName);
+  const lookup = await getArrLookup(type, instance.name);
+  const items = [...lookup.itemsById.values()];
+  return {
+    instance: instance.name,
+    rules: rules.map((rule, index) => {
+      const ruleType = exclusionType(rule);
+      const error = ruleType ? validateExclusionValue(ruleType, rule?.Value) : `Must be one of: ${EXCLUSION_TYPES.join(", ")}.`;
+      const appliesHere = isPlainObject(rule) && exclusionAppliesTo(rule, instance);
+      const [compiled] = error ? [] : compileExclusions([rule]);
+      const matches = compiled && appliesHere ? items.filter((item) => compiled.test(item, lookup.tagLabelsById)) : [];
+      return {
+        index,
+        ...(isPlainObject(rule) ? rule : {}),
+        description: compiled ? compiled.description : null,
+        error,
+        appliesHere,
+        matchCount: matches.length,
+        matches: matches
+          .sort((a, b) => String(a.title || "").localeCompare(String(b.title || "")))
+          .slice(0, EXCLUSION_PREVIEW_LIMIT)
+          .map((item) => ({ id: item.id, title: item.title, path: item.path }))
+      };
+    })
+  };
+}
+
+app.get("/api/exclusions/:engine", (req, res) => {
+  const filePath = SETTINGS_FILES[req.params.engine];
+  if (!filePath) {
+    return res.status(404).json({ error: `Unknown engine "${req.params.engine}".` });
+  }
+  return res.json({ rules: listExclusionRules(readYaml(filePath).data), types: EXCLUSION_TYPES });
 });
 
-app.post("/api/settings/sonarr", (req, res) => {
-  writeYaml(SONARR_SETTINGS, req.body);
-  return res.json({ ok: true });
+app.post("/api/exclusions/:engine", (req, res) => {
+  if (!SETTINGS_FILES[req.params.engine]) {
+    return res.status(404).json({ error: `Unknown engine "${req.params.engine}".` });
+  }
+  const result = saveExclusionRule(req.params.engine, null, normalizeExclusionRule(req.body));
+  return res.status(result.status).json(result.body);
 });
 
-app.post("/api/settings/radarr", (req, res) => {
-  writeYaml(RADARR_SETTINGS, req.body);
-  return res.json({ ok: true });
+// Preview routes come before /:index so "preview" is not read as a rule index.
+app.get("/api/exclusions/:engine/preview", async (req, res) => {
+  const filePath = SETTINGS_FILES[req.params.engine];
+  if (!filePath) {
+    return res.status(404).json({ error: `Unknown engine "${req.params.engine}".` });
+  }
+  try {
+    const { data } = readYaml(filePath);
+    const rules = Array.isArray(data?.Exclusions) ? data.Exclusions : [];
+    return res.json(await previewExclusions(req.params.engine, rules, req.query.instance));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 });
 
-app.get("/api/options/sonarr", async (req, res) => {
+// Previews unsaved rules, e.g. while one is being typed in the editor.
+app.post("/api/exclusions/:engine/preview", async (req, res) => {
+  if (!SETTINGS_FILES[req.params.engine]) {
+    return res.status(404).json({ error: `Unknown engine "${req.params.engine}".` });
+  }
+  if (!Array.isArray(req.body?.rules)) {
+    return res.status(400).json({ error: "rules must be a list." });
+  }
   try {
-    const { data } = readYaml(SONARR_SETTINGS);
-    const options = await fetchArrOptions(data, "Sonarr");
-    res.json(options);
+    return res.json(await previewExclusions(req.params.engine, req.body.rules.map(normalizeExclusionRule), req.body.instance));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    return res.status(400).json({ error: error.message });
   }
 });
 
-app.get("/api/options/radarr", async (req, res) => {
+// Live tags and titles for picking rule values.
+app.get("/api/exclusions/:engine/candidates", async (req, res) => {
+  if (!SETTINGS_FILES[req.params.engine]) {
+    return res.status(404).json({ error: `Unknown engine "${req.params.engine}".` });
+  }
   try {
-    const { data } = readYaml(RADARR_SETTINGS);
-    const options = await fetchArrOptions(data, "Radarr");
-    res.json(options);
+    const lookup = await getArrLookup(engineType(req.params.engine), req.query.instance);
+    return res.json({
+      tags: [...lookup.tagLabelsById.values()].sort((a, b) => a.localeCompare(b)),
+      items: [...lookup.itemsById.values()]
+        .map((item) => ({ id: item.id, title: item.title, path: item.path }))
+        .sort((a, b) => String(a.title || "").localeCompare(String(b.title || "")))
+    });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    return res.status(400).json({ error: error.message });
+  }
+});
+
+app.put("/api/exclusions/:engine/:index", (req, res) => {
+  const index = Number(req.params.index);
+  if (!SETTINGS_FILES[req.params.engine] || !Number.isInteger(index)) {
+    return res.status(404).json({ error: "Rule not found." });
+  }
+  const result = saveExclusionRule(req.params.engine, index, normalizeExclusionRule(req.body));
+  return res.status(result.status).json(result.body);
+});
+
+app.delete("/api/exclusions/:engine/:index", (req, res) => {
+  const index = Number(req.params.index);
+  if (!SETTINGS_FILES[req.params.engine] || !Number.isInteger(index)) {
+    return res.status(404).json({ error: "Rule not found." });
   }
+  const result = saveExclusionRule(req.params.engine, index, null);
+  return res.status(result.status).json(result.body);
 });
 
 app.get("/api/about", (req, res) => {
@@ -404,36 +5360,48 @@ app.get("/api/about", (req, res) => {
   res.json({ content: formatAbout(content) });
 });
 
-app.get("/api/stats/weekly", (req, res) => {
-  const radarrMarkers = {
-    moviesChecked: "Movies checked",
-    moviesAlreadyCorrect: "Movies already correct",
-    moviesSkipped: "Movies skipped",
-    rootCorrections: "Root corrections",
-    errors: "Errors"
-  };
-
-  const sonarrMarkers = {
-    seriesChecked: "Series checked",
-    incompleteSeriesSeen: "Incomplete series seen",
-    promotions: "Promotions",
-    demotions: "Demotions",
-    specialsMonitored: "Specials monitored",
-    rootCorrections: "Root corrections",
-    errors: "Errors",
-    episodeMonitorChanges: "Episode monitor changes"
-  };
-
-  const radarr = collectLogSummaries("CompleteARR_RADARR_FilmEngine", radarrMarkers, 7);
-  const sonarr = collectLogSummaries("CompleteARR_SONARR_SeriesEngine", sonarrMarkers, 7);
+app.get("/api/stats/weekly", async (req, res) => {
+  const fromMs = Date.now() - 7 * MS_IN_DAY;
+  try {
+    const radarr = await collectLogSummaries("radarr", fromMs);
+    const sonarr = await collectLogSummaries("sonarr", fromMs);
+    return res.json(normalizeStatsResponse({ radarr, sonarr }));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to read stats: " + error.message });
+  }
+});
 
-  res.json(normalizeStatsResponse({ radarr, sonarr }));
+app.get("/api/stats", async (req, res) => {
+  try {
+    return res.json(await buildStatsSeries(req.query));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 });
 
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
+if (AUTH_MODE === "proxy" && !AUTH_PROXY_TRUSTED_IPS.length) {
+  console.warn("[auth] AUTH_MODE=proxy but AUTH_PROXY_TRUSTED_IPS is empty; proxy headers will be ignored.");
+}
+if (!["local", "proxy", "none"].includes(AUTH_MODE)) {
+  console.warn(`[auth] Unknown AUTH_MODE "${AUTH_MODE}"; expected local, proxy or none.`);
+}
+
 app.listen(PORT, () => {
   console.log(`CompleteARR UI listening on port ${PORT}`);
+  announceSetupToken();
+  organizeLogs();
+  startScheduler();
+  if (RUN_ON_START) {
+    try {
+      runOnStart();
+    } catch (error) {
+      console.error("[schedule] Startup run failed:", error.message);
+    }
+  }
+  watchSummaryIndex();
+  getSummaryIndex().catch((error) => console.error("[stats] Failed to build summary index:", error.message));
 });
\ No newline at end of file